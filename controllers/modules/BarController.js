@@ -0,0 +1,86 @@
+import BarService from "../../services/modules/BarService.js";
+
+export class BarController {
+  // GET ALL - bars in the registry
+  static getBars = async (req, res, next) => {
+    try {
+      const result = await BarService.getBars(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Bars retrieved successfully",
+        data: result.bars,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET BY ID
+  static getBarById = async (req, res, next) => {
+    try {
+      const bar = await BarService.getBarById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Bar retrieved successfully",
+        data: bar,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // TRACE - chain of custody of a serial number
+  static trace = async (req, res, next) => {
+    try {
+      const bars = await BarService.trace(req.params.serialNumber, { refiner: req.query.refiner });
+
+      res.status(200).json({
+        success: true,
+        message: "Bar traced successfully",
+        data: bars,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static transition = (event, message) => async (req, res, next) => {
+    try {
+      const { party, note } = req.body || {};
+      const bar = await BarService.transition(req.params.id, event, { party, note }, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message,
+        data: bar,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static reserve = BarController.transition("reserved", "Bar reserved successfully");
+  static release = BarController.transition("released", "Bar released successfully");
+  static markDamaged = BarController.transition("damaged", "Bar marked as damaged");
+  static restore = BarController.transition("restored", "Bar restored to stock");
+
+  // CERTIFICATE - link or unlink an assay certificate (Drafting)
+  static linkCertificate = async (req, res, next) => {
+    try {
+      const bar = await BarService.linkCertificate(req.params.id, req.body?.assayCertificate || null, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Assay certificate updated successfully",
+        data: bar,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default BarController;
@@ -6,14 +6,14 @@ export class ClassificationController {
   // CREATE
   static createClassification = async (req, res, next) => {
     try {
-      const { name } = req.body;
+      const { name, premiumBasis } = req.body;
         
       if (!name?.trim()) {
         throw createAppError("Classification name is required", 400, "REQUIRED_FIELD_MISSING");
       }
 
       const classification = await ClassificationService.createClassification(
-        { name },
+        { name, premiumBasis },
         req.admin.id
       );
 
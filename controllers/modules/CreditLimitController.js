@@ -0,0 +1,84 @@
+import CreditLimitService from "../../services/modules/CreditLimitService.js";
+
+export class CreditLimitController {
+  // AVAILABILITY - remaining cash, metal and unfixed limits plus overdue amounts
+  static getAvailability = async (req, res, next) => {
+    try {
+      const availability = await CreditLimitService.getAvailability(req.params.partyId);
+
+      res.status(200).json({
+        success: true,
+        message: "Credit availability retrieved successfully",
+        data: availability,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ISSUE OVERRIDE - single-use token for one posting over the limit
+  static issueOverride = async (req, res, next) => {
+    try {
+      const override = await CreditLimitService.issueOverride(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Credit override issued successfully",
+        data: override,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // OVERRIDE LOG
+  static getOverrides = async (req, res, next) => {
+    try {
+      const { party, status, page, limit } = req.query;
+      const result = await CreditLimitService.getOverrides({ party, status, page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: "Credit overrides retrieved successfully",
+        data: result.overrides,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // FLEXIBLE LIMIT BREACHES
+  static getBreaches = async (req, res, next) => {
+    try {
+      const { party, startDate, endDate, page, limit } = req.query;
+      const result = await CreditLimitService.getBreaches({ party, startDate, endDate, page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: "Credit limit breaches retrieved successfully",
+        data: result.breaches,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REVOKE OVERRIDE
+  static revokeOverride = async (req, res, next) => {
+    try {
+      const override = await CreditLimitService.revokeOverride(req.params.id, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Credit override revoked successfully",
+        data: override,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default CreditLimitController;
@@ -0,0 +1,86 @@
+import DealWorkflowService from "../../services/modules/DealWorkflowService.js";
+
+export class DealWorkflowController {
+  // CREATE
+  static createRule = async (req, res, next) => {
+    try {
+      const rule = await DealWorkflowService.createRule(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Workflow rule created successfully",
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET ALL - the built-in workflow while none are configured
+  static getRules = async (req, res, next) => {
+    try {
+      const { fromStage, toStage, orderType, status } = req.query;
+      const result = await DealWorkflowService.getRules({
+        fromStage,
+        toStage,
+        orderType,
+        ...(status !== undefined && { status: status === "true" }),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Workflow rules retrieved successfully",
+        data: result.rules,
+        isDefault: result.isDefault,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET BY ID
+  static getRuleById = async (req, res, next) => {
+    try {
+      const rule = await DealWorkflowService.getRuleById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Workflow rule retrieved successfully",
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // UPDATE
+  static updateRule = async (req, res, next) => {
+    try {
+      const rule = await DealWorkflowService.updateRule(req.params.id, req.body, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Workflow rule updated successfully",
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DELETE
+  static deleteRule = async (req, res, next) => {
+    try {
+      const result = await DealWorkflowService.deleteRule(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default DealWorkflowController;
@@ -1,6 +1,9 @@
 // controllers/modules/EntryMasterController.js
 import Entry from "../../models/modules/EntryModel.js";
 import EntryService from "../../services/modules/EntryService.js";
+import VoucherSequenceService from "../../services/modules/VoucherSequenceService.js";
+import BarService from "../../services/modules/BarService.js";
+import InventoryCostingService from "../../services/modules/InventoryCostingService.js";
 
 const validTypes = [
   "metal-receipt",
@@ -34,7 +37,7 @@ const isPostDated = (date) => {
 
 const createEntry = async (req, res) => {
   try {
-    const { type, stocks, cash, invoiceReference, invoiceDate, ...rest } = req.body;
+    const { type, stocks, cash, invoiceReference, invoiceDate, creditOverrideToken, ...rest } = req.body;
 console.log(req.body)
     if (!validTypes.includes(type))
       return res.status(400).json({ success: false, message: "Invalid type" });
@@ -124,7 +127,16 @@ console.log(req.body)
       ...rest,
     });
 
-    await entry.save();
+    await BarService.validateEntry(entry);
+
+    await EntryService.saveWithCredit(entry, (session) => entry.save({ session }), {
+      overrideToken: creditOverrideToken,
+      adminId: req.admin.id,
+    });
+    await VoucherSequenceService.markUsed(entry.voucherCode, {
+      documentModel: "Entry",
+      documentId: entry._id,
+    });
 
     // Apply registry only if approved
     if (entry.status === "approved") {
@@ -139,11 +151,15 @@ console.log(req.body)
 
       if (handlers[type]) await handlers[type]();
     }
+    if (type.includes("metal")) {
+      await BarService.syncEntry(entry._id, { adminId: req.admin.id });
+      await InventoryCostingService.syncVoucher(entry.voucherCode, { adminId: req.admin.id });
+    }
 
     res.status(201).json({ success: true, data: entry });
 
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, error: err.errorCode });
   }
 };
 
@@ -152,27 +168,28 @@ console.log(req.body)
 const editEntry = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, stocks, cash, invoiceReference, invoiceDate, ...rest } = req.body;
+    const { type, stocks, cash, invoiceReference, invoiceDate, creditOverrideToken, ...rest } = req.body;
 
     const entry = await Entry.findById(id);
     if (!entry)
       return res.status(404).json({ success: false, message: "Not found" });
+    if (entry.type === "journal-voucher")
+      return res.status(400).json({ success: false, message: "Journal vouchers are managed under /journal-vouchers" });
 
     const isCheque = cash?.some((c) => c.cashType === "cheque");
 
-    // Reverse existing registry if approved
-    if (entry.status === "approved") {
-      await EntryService.cleanup(entry.voucherCode);
-
-      if (entry.type.includes("metal")) {
-        await EntryService.reverseMetal(entry, entry.type === "metal-receipt");
-      } else {
-        await EntryService.reverseCashTransaction(
-          entry,
-          entry.type.includes("receipt")
-        );
-      }
-    }
+    // Checks run on the entry as edited, before anything is reversed
+    const previous = entry.toObject();
+    const cheque = isCheque ? cash.find((c) => c.cashType === "cheque") : null;
+    const edited = {
+      ...previous,
+      ...rest,
+      type,
+      stockItems: type.includes("metal") ? stocks : undefined,
+      cash: !type.includes("metal") ? cash : undefined,
+      status: cheque ? (cheque.chequeDate && isToday(cheque.chequeDate) ? "approved" : "draft") : entry.status,
+    };
+    await BarService.validateEntry(edited);
 
     // Update entry
     Object.assign(entry, {
@@ -195,7 +212,26 @@ const editEntry = async (req, res) => {
       }
     }
 
-    await entry.save();
+    // The credit check and its override commit with the edit
+    await EntryService.saveWithCredit(entry, (session) => entry.save({ session }), {
+      previous,
+      overrideToken: creditOverrideToken,
+      adminId: req.admin.id,
+    });
+
+    // Reverse the postings of the entry as it was
+    if (previous.status === "approved") {
+      await EntryService.cleanup(previous.voucherCode);
+
+      if (previous.type.includes("metal")) {
+        await EntryService.reverseMetal(previous, previous.type === "metal-receipt");
+      } else {
+        await EntryService.reverseCashTransaction(
+          previous,
+          previous.type.includes("receipt")
+        );
+      }
+    }
 
     // Apply new registry only if approved
     if (entry.status === "approved") {
@@ -210,10 +246,13 @@ const editEntry = async (req, res) => {
 
       if (handlers[type]) await handlers[type]();
     }
+    // The entry may have stopped being a metal entry, so always resync
+    await BarService.syncEntry(entry._id, { adminId: req.admin.id });
+    await InventoryCostingService.syncVoucher(entry.voucherCode, { adminId: req.admin.id });
 
     res.json({ success: true, data: entry });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, error: err.errorCode });
   }
 };
 
@@ -227,6 +266,8 @@ const updateStatus = async (req, res) => {
     const entry = await Entry.findById(id);
     if (!entry)
       return res.status(404).json({ success: false, message: "Not found" });
+    if (entry.type === "journal-voucher")
+      return res.status(400).json({ success: false, message: "Journal vouchers are managed under /journal-vouchers" });
 
     const isCheque = entry.cash?.some((c) => c.cashType === "cheque");
 
@@ -244,6 +285,18 @@ const updateStatus = async (req, res) => {
 
     // draft → approved
     if (entry.status === "draft" && status === "approved") {
+      await BarService.validateEntry({ ...entry.toObject(), status });
+      // The approval is recorded with the credit check that allowed it
+      const approved = await EntryService.saveWithCredit(
+        { ...entry.toObject(), status },
+        (session) =>
+          Entry.updateOne({ _id: entry._id, status: "draft" }, { $set: { status } }, { session }),
+        { overrideToken: req.body.creditOverrideToken, adminId: req.admin.id }
+      );
+      if (!approved.matchedCount) {
+        return res.status(409).json({ success: false, message: "Entry is no longer a draft" });
+      }
+
       const handlers = {
         "metal-receipt": () => EntryService.handleMetalReceipt(entry),
         "metal-payment": () => EntryService.handleMetalPayment(entry),
@@ -257,6 +310,7 @@ const updateStatus = async (req, res) => {
 
     // approved → draft
     if (entry.status === "approved" && status === "draft") {
+      await BarService.assertReversible("Entry", entry._id);
       await EntryService.cleanup(entry.voucherCode);
 
       if (entry.type.includes("metal")) {
@@ -271,11 +325,15 @@ const updateStatus = async (req, res) => {
 
     entry.status = status;
     await entry.save();
+    if (entry.type.includes("metal")) {
+      await BarService.syncEntry(entry._id, { adminId: req.admin.id });
+      await InventoryCostingService.syncVoucher(entry.voucherCode, { adminId: req.admin.id });
+    }
 
     res.json({ success: true, data: entry });
 
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, error: err.errorCode });
   }
 };
 
@@ -286,6 +344,10 @@ const deleteEntryById = async (req, res) => {
     const entry = await Entry.findById(req.params.id);
     if (!entry)
       return res.status(404).json({ success: false, message: "Not found" });
+    if (entry.type === "journal-voucher")
+      return res.status(400).json({ success: false, message: "Journal vouchers are managed under /journal-vouchers" });
+
+    await BarService.assertReversible("Entry", entry._id);
 
     // Cleanup registry and inventory logs first
     await EntryService.cleanup(entry.voucherCode);
@@ -303,6 +365,14 @@ const deleteEntryById = async (req, res) => {
     }
 
     await entry.deleteOne();
+    await VoucherSequenceService.voidNumber(entry.voucherCode, {
+      reason: "Entry deleted",
+      adminId: req.admin.id,
+    });
+    if (entry.type.includes("metal")) {
+      await BarService.syncEntry(entry._id, { adminId: req.admin.id });
+      await InventoryCostingService.syncVoucher(entry.voucherCode, { adminId: req.admin.id });
+    }
 
     res.json({ success: true, message: "Deleted" });
 
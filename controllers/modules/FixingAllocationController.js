@@ -0,0 +1,79 @@
+import FixingAllocationService from "../../services/modules/FixingAllocationService.js";
+
+export class FixingAllocationController {
+  // ALLOCATIONS - ledger of fixing orders against unfixed stock lines
+  static getAllocations = async (req, res, next) => {
+    try {
+      const { party, fixing, metalTransaction, status, page, limit } = req.query;
+      const result = await FixingAllocationService.getAllocations({
+        party,
+        fixing,
+        metalTransaction,
+        status,
+        page,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Fixing allocations retrieved successfully",
+        data: result.allocations,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // TRANSACTION STATUS - fixed and remaining weight per stock line
+  static getTransactionFixingStatus = async (req, res, next) => {
+    try {
+      const status = await FixingAllocationService.getTransactionFixingStatus(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Transaction fixing status retrieved successfully",
+        data: status,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REALLOCATE - FIFO, or manual with body.allocations
+  static reallocateFixing = async (req, res, next) => {
+    try {
+      const { method, allocations } = req.body;
+      const result = await FixingAllocationService.reallocateFixing(req.params.id, {
+        method,
+        selections: allocations,
+        adminId: req.admin.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Fixing reallocated successfully",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REBUILD - recompute every transaction's fixing progress from the ledger
+  static rebuild = async (req, res, next) => {
+    try {
+      const result = await FixingAllocationService.rebuild();
+
+      res.status(200).json({
+        success: true,
+        message: "Fixing progress rebuilt successfully",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default FixingAllocationController;
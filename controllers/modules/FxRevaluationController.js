@@ -0,0 +1,122 @@
+import FxRevaluationService from "../../services/modules/FxRevaluationService.js";
+
+export class FxRevaluationController {
+  // PREVIEW - computes the revaluation without posting anything
+  static previewRevaluation = async (req, res, next) => {
+    try {
+      const preview = await FxRevaluationService.preview(req.body);
+
+      res.status(200).json({
+        success: true,
+        message: "FX revaluation preview generated successfully",
+        data: preview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RUN
+  static runRevaluation = async (req, res, next) => {
+    try {
+      const revaluation = await FxRevaluationService.runRevaluation(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "FX revaluation posted successfully",
+        data: revaluation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REVERSE DUE - normally run by the scheduler
+  static reverseDueRevaluations = async (req, res, next) => {
+    try {
+      const results = await FxRevaluationService.reverseDueRevaluations({ adminId: req.admin.id });
+
+      res.status(200).json({
+        success: true,
+        message: `${results.reversed.length} revaluation(s) reversed`,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET ALL
+  static getRevaluations = async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const { status, startDate, endDate } = req.query;
+      const result = await FxRevaluationService.getRevaluations(page, limit, {
+        status,
+        startDate,
+        endDate,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "FX revaluations retrieved successfully",
+        data: result.revaluations,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET BY ID
+  static getRevaluationById = async (req, res, next) => {
+    try {
+      const revaluation = await FxRevaluationService.getRevaluationById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "FX revaluation retrieved successfully",
+        data: revaluation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REPORT
+  static getRevaluationReport = async (req, res, next) => {
+    try {
+      const report = await FxRevaluationService.getRevaluationReport(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "FX revaluation report generated successfully",
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // CANCEL
+  static cancelRevaluation = async (req, res, next) => {
+    try {
+      const revaluation = await FxRevaluationService.cancelRevaluation(
+        req.params.id,
+        req.body.reason,
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "FX revaluation cancelled successfully",
+        data: revaluation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default FxRevaluationController;
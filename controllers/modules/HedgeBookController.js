@@ -0,0 +1,53 @@
+import HedgeBookService from "../../services/modules/HedgeBookService.js";
+
+export class HedgeBookController {
+  // REGISTER - customer vouchers paired with their hedges
+  static getRegister = async (req, res, next) => {
+    try {
+      const result = await HedgeBookService.getRegister(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Hedge register retrieved successfully",
+        data: result.rows,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // SUMMARY - hedged vs unhedged weight per day and commodity
+  static getSummary = async (req, res, next) => {
+    try {
+      const { startDate, endDate, party, branch, commodity } = req.query;
+      const summary = await HedgeBookService.getSummary({ startDate, endDate, party, branch, commodity });
+
+      res.status(200).json({
+        success: true,
+        message: "Hedge summary retrieved successfully",
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // EXPOSURE - net unhedged weight per branch, flagged against its threshold
+  static getExposure = async (req, res, next) => {
+    try {
+      const { startDate, endDate, asOf, party, branch } = req.query;
+      const exposure = await HedgeBookService.getExposure({ startDate, endDate, asOf, party, branch });
+
+      res.status(200).json({
+        success: true,
+        message: "Hedge exposure retrieved successfully",
+        data: exposure,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default HedgeBookController;
@@ -0,0 +1,76 @@
+import InventoryCostingService from "../../services/modules/InventoryCostingService.js";
+
+export class InventoryCostingController {
+  // VALUATION - stock on hand at cost as of a date, reconciled to GOLD_STOCK
+  static getValuation = async (req, res, next) => {
+    try {
+      const { asOf, branch, stockCode } = req.query;
+      const valuation = await InventoryCostingService.getValuation({ asOf, branch, stockCode });
+
+      res.status(200).json({
+        success: true,
+        message: "Inventory valuation retrieved successfully",
+        data: valuation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // LAYERS - cost layers of one stock code as of a date
+  static getLayers = async (req, res, next) => {
+    try {
+      const { stockCode, asOf, includeClosed } = req.query;
+      const layers = await InventoryCostingService.getLayers({
+        stockCode,
+        asOf,
+        includeClosed: includeClosed === true || includeClosed === "true",
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Cost layers retrieved successfully",
+        data: layers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // MOVEMENTS - costed stock movements with their cost of sales
+  static getMovements = async (req, res, next) => {
+    try {
+      const result = await InventoryCostingService.getMovements(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Costed movements retrieved successfully",
+        data: result.movements,
+        costOfSales: result.costOfSales,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static rebuild = async (req, res, next) => {
+    try {
+      const result = await InventoryCostingService.rebuild({
+        stockCode: req.body?.stockCode,
+        fromDate: req.body?.fromDate,
+        adminId: req.admin.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Inventory costs rebuilt successfully",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default InventoryCostingController;
@@ -0,0 +1,98 @@
+import JobSchedulerService from "../../services/modules/JobSchedulerService.js";
+
+export class JobSchedulerController {
+  // GET ALL
+  static getJobs = async (req, res, next) => {
+    try {
+      const jobs = await JobSchedulerService.getJobs();
+
+      res.status(200).json({
+        success: true,
+        message: "Scheduled jobs retrieved successfully",
+        data: jobs,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RUN HISTORY
+  static getJobRuns = async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const result = await JobSchedulerService.getJobRuns(req.params.id, page, limit);
+
+      res.status(200).json({
+        success: true,
+        message: "Job runs retrieved successfully",
+        data: result.runs,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PAUSE
+  static pauseJob = async (req, res, next) => {
+    try {
+      const job = await JobSchedulerService.setStatus(req.params.id, "paused", req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Job paused successfully",
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RESUME
+  static resumeJob = async (req, res, next) => {
+    try {
+      const job = await JobSchedulerService.setStatus(req.params.id, "active", req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Job resumed successfully",
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RUN NOW
+  static triggerJob = async (req, res, next) => {
+    try {
+      const run = await JobSchedulerService.triggerJob(req.params.id, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: run.status === "succeeded" ? "Job ran successfully" : `Job failed: ${run.error}`,
+        data: run,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // UPDATE
+  static updateJob = async (req, res, next) => {
+    try {
+      const job = await JobSchedulerService.updateJob(req.params.id, req.body, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Job updated successfully",
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default JobSchedulerController;
@@ -0,0 +1,206 @@
+import JournalVoucherService from "../../services/modules/JournalVoucherService.js";
+
+export class JournalVoucherController {
+  // CREATE
+  static createJournalVoucher = async (req, res, next) => {
+    try {
+      const voucher = await JournalVoucherService.createJournalVoucher(
+        req.body,
+        req.admin.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Journal voucher created successfully",
+        data: voucher,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET ALL
+  static getJournalVouchers = async (req, res, next) => {
+    try {
+      const { page = 1, limit = 50, status, template, account, costCenter, startDate, endDate } =
+        req.query;
+      const result = await JournalVoucherService.getJournalVouchers(
+        parseInt(page, 10),
+        parseInt(limit, 10),
+        { status, template, account, costCenter, startDate, endDate }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Journal vouchers retrieved successfully",
+        data: result.vouchers,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET BY ID
+  static getJournalVoucherById = async (req, res, next) => {
+    try {
+      const voucher = await JournalVoucherService.getJournalVoucherById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Journal voucher retrieved successfully",
+        data: voucher,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // UPDATE
+  static updateJournalVoucher = async (req, res, next) => {
+    try {
+      const voucher = await JournalVoucherService.updateJournalVoucher(
+        req.params.id,
+        req.body,
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Journal voucher updated successfully",
+        data: voucher,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // CANCEL
+  static cancelJournalVoucher = async (req, res, next) => {
+    try {
+      const { reason, cancelDate } = req.body || {};
+      const voucher = await JournalVoucherService.cancelJournalVoucher(
+        req.params.id,
+        { reason, cancelDate },
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Journal voucher cancelled successfully",
+        data: voucher,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DELETE
+  static deleteJournalVoucher = async (req, res, next) => {
+    try {
+      const result = await JournalVoucherService.deleteJournalVoucher(
+        req.params.id,
+        req.admin.id
+      );
+
+      res.status(200).json({ success: true, message: result.message });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // TEMPLATES
+  static createTemplate = async (req, res, next) => {
+    try {
+      const template = await JournalVoucherService.createTemplate(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Journal template created successfully",
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getTemplates = async (req, res, next) => {
+    try {
+      const { isActive } = req.query;
+      const templates = await JournalVoucherService.getTemplates({
+        ...(isActive !== undefined && { isActive: isActive === "true" }),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Journal templates retrieved successfully",
+        data: templates,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getTemplateById = async (req, res, next) => {
+    try {
+      const template = await JournalVoucherService.getTemplateById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Journal template retrieved successfully",
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static updateTemplate = async (req, res, next) => {
+    try {
+      const template = await JournalVoucherService.updateTemplate(
+        req.params.id,
+        req.body,
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Journal template updated successfully",
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static deleteTemplate = async (req, res, next) => {
+    try {
+      const result = await JournalVoucherService.deleteTemplate(req.params.id, req.admin.id);
+
+      res.status(200).json({ success: true, message: result.message });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Post every template run that has fallen due
+  static runDueTemplates = async (req, res, next) => {
+    try {
+      const { asOf } = req.body || {};
+      const results = await JournalVoucherService.runDueTemplates({
+        asOf: asOf ? new Date(asOf) : new Date(),
+        adminId: req.admin.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${results.posted.length} journal vouchers posted, ${results.errors.length} failed`,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default JournalVoucherController;
@@ -0,0 +1,69 @@
+import LimitOrderService from "../../services/modules/LimitOrderService.js";
+
+export class LimitOrderController {
+  // CREATE - standing fix order for a party
+  static createOrder = async (req, res, next) => {
+    try {
+      const order = await LimitOrderService.createOrder(req.body, { adminId: req.admin.id });
+
+      res.status(201).json({
+        success: true,
+        message: `Limit order ${order.status === "filled" ? "filled" : "placed"} successfully`,
+        data: order,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // READ ALL - filter by party, status and type
+  static getOrders = async (req, res, next) => {
+    try {
+      const { party, status, type, page, limit } = req.query;
+      const result = await LimitOrderService.getOrders({ party, status, type, page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: "Limit orders retrieved successfully",
+        data: result.orders,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getOrderById = async (req, res, next) => {
+    try {
+      const order = await LimitOrderService.getOrderById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Limit order retrieved successfully",
+        data: order,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // CANCEL - only working orders
+  static cancelOrder = async (req, res, next) => {
+    try {
+      const order = await LimitOrderService.cancelOrder(req.params.id, {
+        adminId: req.admin.id,
+        reason: req.body?.reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Limit order cancelled successfully",
+        data: order,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default LimitOrderController;
@@ -0,0 +1,83 @@
+import MarginService from "../../services/modules/MarginService.js";
+
+export class MarginController {
+  // DASHBOARD - every party with margin terms, worst first
+  static getDashboard = async (req, res, next) => {
+    try {
+      const { status, search } = req.query;
+      const dashboard = await MarginService.getDashboard({ status, search });
+
+      res.status(200).json({
+        success: true,
+        message: "Margin dashboard retrieved successfully",
+        data: dashboard,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PARTY
+  static getPartyMargin = async (req, res, next) => {
+    try {
+      const margin = await MarginService.getPartyMargin(req.params.partyId);
+
+      res.status(200).json({
+        success: true,
+        message: "Party margin retrieved successfully",
+        data: margin,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // CALLS - margin call history
+  static getMarginCalls = async (req, res, next) => {
+    try {
+      const { party, status, level, page, limit } = req.query;
+      const result = await MarginService.getMarginCalls({ party, status, level, page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: "Margin calls retrieved successfully",
+        data: result.calls,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RUN - normally run by the scheduler
+  static runMarginCheck = async (req, res, next) => {
+    try {
+      const results = await MarginService.runMarginCheck();
+
+      res.status(200).json({
+        success: true,
+        message: `Margin check complete: ${results.opened.length} opened, ${results.escalated.length} escalated, ${results.resolved.length} resolved`,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ACKNOWLEDGE
+  static acknowledgeMarginCall = async (req, res, next) => {
+    try {
+      const call = await MarginService.acknowledgeMarginCall(req.params.id, req.admin.id, req.body?.notes);
+
+      res.status(200).json({
+        success: true,
+        message: "Margin call acknowledged successfully",
+        data: call,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default MarginController;
@@ -0,0 +1,68 @@
+import MetalPositionService from "../../services/modules/MetalPositionService.js";
+
+export class MetalPositionController {
+  // CURRENT
+  static getCurrentPosition = async (req, res, next) => {
+    try {
+      const { division, karat } = req.query;
+      const position = await MetalPositionService.getCurrentPosition({ division, karat });
+
+      res.status(200).json({
+        success: true,
+        message: "Net open position retrieved successfully",
+        data: position,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // BY PARTY
+  static getPositionByParty = async (req, res, next) => {
+    try {
+      const { division, karat, party } = req.query;
+      const parties = await MetalPositionService.getPositionByParty({ division, karat, party });
+
+      res.status(200).json({
+        success: true,
+        message: "Position by party retrieved successfully",
+        data: parties,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // INTRADAY HISTORY
+  static getPositionHistory = async (req, res, next) => {
+    try {
+      const { division, karat, from, to } = req.query;
+      const history = await MetalPositionService.getPositionHistory({ division, karat, from, to });
+
+      res.status(200).json({
+        success: true,
+        message: "Position history retrieved successfully",
+        data: history,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REBUILD
+  static rebuildPositions = async (req, res, next) => {
+    try {
+      const results = await MetalPositionService.rebuild();
+
+      res.status(200).json({
+        success: true,
+        message: "Positions resynced successfully",
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default MetalPositionController;
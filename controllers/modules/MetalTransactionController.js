@@ -1,5 +1,5 @@
-import InventoryService from "../../services/modules/inventoryService.js";
 import MetalTransactionService from "../../services/modules/MetalTransactionService.js";
+import DealOrderService from "../../services/modules/dealOrderService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 // Utility functions
@@ -10,354 +10,364 @@ const toNumber = (val, fallback = 0) => {
 };
 const toDate = (val) => (val ? new Date(val) : null);
 
-// ======================== CREATE METAL TRANSACTION ========================
-export const createMetalTransaction = async (req, res, next) => {
-  console.log("CREATE BODY:", JSON.stringify(req.body, null, 2));
-
-  try {
-    const {
-      transactionType,
-      fix,
-      unfix,
-      hedge,
-      partyCode,
-      partyCurrency,
-      partyCurrencyRate,
-      itemCurrency,
-      itemCurrencyRate,
-      voucherType,
-      prefix,
-      voucherDate,
-      voucherNumber,
-      supplierInvoiceNo,
-      supplierDate,
-      declarationNumber,
-      importExportType,
-      remarks,
-      metalRateUnit,
-      stockItems = [],
-      otherCharges = [],
-      totalSummary,
-      totalAmount = 0,
-      enteredBy,
-      salesman,
-      status = "draft",
-      notes,
-      dealOrderId,
-      division,
-    } = req.body;
+// Validate a create payload and map it onto the MetalTransaction shape
+const buildCreateTransactionData = (body) => {
+  const {
+    transactionType,
+    fix,
+    unfix,
+    hedge,
+    partyCode,
+    partyCurrency,
+    partyCurrencyRate,
+    itemCurrency,
+    itemCurrencyRate,
+    voucherType,
+    prefix,
+    voucherDate,
+    voucherNumber,
+    supplierInvoiceNo,
+    supplierDate,
+    declarationNumber,
+    importExportType,
+    remarks,
+    metalRateUnit,
+    stockItems = [],
+    otherCharges = [],
+    totalSummary,
+    totalAmount = 0,
+    enteredBy,
+    salesman,
+    status = "draft",
+    notes,
+    dealOrderId,
+    division,
+  } = body;
+
+  // === VALIDATION ===
+  if (
+    !transactionType ||
+    !partyCode ||
+    !partyCurrency ||
+    !Array.isArray(stockItems) ||
+    stockItems.length === 0
+  ) {
+    throw createAppError(
+      "Required: transactionType, partyCode, partyCurrency, stockItems",
+      400,
+      "REQUIRED_FIELDS_MISSING"
+    );
+  }
 
-    console.log("CREATE METAL TRANSACTION BODY:", JSON.stringify(req.body, null, 2));
+  if (
+    ![
+      "purchase",
+      "sale",
+      "purchaseReturn",
+      "saleReturn",
+      "exportSale",
+      "importPurchase",
+      "exportSaleReturn",
+      "importPurchaseReturn",
+      "hedgeMetalPayment",
+      "hedgeMetalReceipt",
+      "hedgeMetalReciept", // Support both spellings
+    ].includes(transactionType)
+  ) {
+    throw createAppError(
+      "Invalid transactionType. Allowed: purchase, sale, purchaseReturn, saleReturn",
+      400,
+      "INVALID_TRANSACTION_TYPE"
+    );
+  }
 
-    // === VALIDATION ===
-    if (
-      !transactionType ||
-      !partyCode ||
-      !partyCurrency ||
-      !Array.isArray(stockItems) ||
-      stockItems.length === 0
-    ) {
+  // Validate declaration number and import/export type for specific transaction types
+  const importExportTypes = ["exportSale", "exportSaleReturn", "importPurchase", "importPurchaseReturn"];
+  if (importExportTypes.includes(transactionType)) {
+    if (!declarationNumber || !declarationNumber.trim()) {
       throw createAppError(
-        "Required: transactionType, partyCode, partyCurrency, stockItems",
+        "Declaration number is required for this transaction type",
         400,
-        "REQUIRED_FIELDS_MISSING"
+        "DECLARATION_NUMBER_REQUIRED"
       );
     }
-
-    if (
-      ![
-        "purchase",
-        "sale",
-        "purchaseReturn",
-        "saleReturn",
-        "exportSale",
-        "importPurchase",
-        "exportSaleReturn",
-        "importPurchaseReturn",
-        "hedgeMetalPayment",
-        "hedgeMetalReceipt",
-        "hedgeMetalReciept", // Support both spellings
-      ].includes(transactionType)
-    ) {
+    if (!importExportType || !importExportType.trim()) {
       throw createAppError(
-        "Invalid transactionType. Allowed: purchase, sale, purchaseReturn, saleReturn",
+        "Import/Export type is required for this transaction type",
         400,
-        "INVALID_TRANSACTION_TYPE"
+        "IMPORT_EXPORT_TYPE_REQUIRED"
       );
     }
+  }
+  if (
+    ![
+      "METAL-PURCHASE",
+      "METAL-SALE",
+      "PURCHASE-RETURN",
+      "SALES-RETURN",
+      "IMPORT-PURCHASE",
+      "EXPORT-SALE",
+      "IMPORT-PURCHASE-RETURN",
+      "EXPORT-SALE-RETURN",
+      "HEDGE METAL RECIEPT",
+      "HEDGE METAL PAYMENT",
+    ].includes(voucherType)
+  ) {
+    throw createAppError("Invalid voucherType", 400, "INVALID_VOUCHER_TYPE");
+  }
 
-    // Validate declaration number and import/export type for specific transaction types
-    const importExportTypes = ["exportSale", "exportSaleReturn", "importPurchase", "importPurchaseReturn"];
-    if (importExportTypes.includes(transactionType)) {
-      if (!declarationNumber || !declarationNumber.trim()) {
-        throw createAppError(
-          "Declaration number is required for this transaction type",
-          400,
-          "DECLARATION_NUMBER_REQUIRED"
-        );
-      }
-      if (!importExportType || !importExportType.trim()) {
-        throw createAppError(
-          "Import/Export type is required for this transaction type",
-          400,
-          "IMPORT_EXPORT_TYPE_REQUIRED"
-        );
-      }
-    }
-    if (
-      ![
-        "METAL-PURCHASE",
-        "METAL-SALE",
-        "PURCHASE-RETURN",
-        "SALES-RETURN",
-        "IMPORT-PURCHASE",
-        "EXPORT-SALE",
-        "IMPORT-PURCHASE-RETURN",
-        "EXPORT-SALE-RETURN",
-        "HEDGE METAL RECIEPT",
-        "HEDGE METAL PAYMENT",
-      ].includes(voucherType)
-    ) {
-      throw createAppError("Invalid voucherType", 400, "INVALID_VOUCHER_TYPE");
+  // === HELPER: Calculate FXGain and FXLoss based on transaction type ===
+  const calculateForexGainLoss = (transactionType, bidAmountAED, userAmountAED) => {
+    const bidValue = toNumber(bidAmountAED, 0);
+    const userValue = toNumber(userAmountAED, 0);
+
+    // Normalize transaction type
+    const normalizedType = transactionType?.toLowerCase() || "";
+
+    // Determine if it's a purchase or sale type
+    const isPurchaseType = [
+      "purchase",
+      "purchasereturn",
+      "importpurchase",
+      "importpurchasereturn"
+    ].includes(normalizedType);
+
+    const isSaleType = [
+      "sale",
+      "salereturn",
+      "exportsale",
+      "exportsalereturn"
+    ].includes(normalizedType);
+
+    let diff = 0;
+
+    if (isPurchaseType) {
+      // For purchase: FXGain when bid > user, FXLoss when bid < user
+      diff = bidValue - userValue;
+    } else if (isSaleType) {
+      // For sale: FXGain when user > bid, FXLoss when user < bid
+      diff = userValue - bidValue;
     }
 
-    // === HELPER: Calculate FXGain and FXLoss based on transaction type ===
-    const calculateForexGainLoss = (transactionType, bidAmountAED, userAmountAED) => {
-      const bidValue = toNumber(bidAmountAED, 0);
-      const userValue = toNumber(userAmountAED, 0);
-
-      // Normalize transaction type
-      const normalizedType = transactionType?.toLowerCase() || "";
-
-      // Determine if it's a purchase or sale type
-      const isPurchaseType = [
-        "purchase",
-        "purchasereturn",
-        "importpurchase",
-        "importpurchasereturn"
-      ].includes(normalizedType);
-
-      const isSaleType = [
-        "sale",
-        "salereturn",
-        "exportsale",
-        "exportsalereturn"
-      ].includes(normalizedType);
-
-      let diff = 0;
-
-      if (isPurchaseType) {
-        // For purchase: FXGain when bid > user, FXLoss when bid < user
-        diff = bidValue - userValue;
-      } else if (isSaleType) {
-        // For sale: FXGain when user > bid, FXLoss when user < bid
-        diff = userValue - bidValue;
-      }
-
-      return {
-        FXGain: diff > 0 ? diff : 0,
-        FXLoss: diff < 0 ? Math.abs(diff) : 0,
-      };
+    return {
+      FXGain: diff > 0 ? diff : 0,
+      FXLoss: diff < 0 ? Math.abs(diff) : 0,
     };
+  };
 
-    // === MAP STOCK ITEMS ===
-    const mappedStockItems = stockItems.map((item) => {
-      if (!item.stockCode)
-        throw createAppError("stockCode required in stockItems", 400);
+  // === MAP STOCK ITEMS ===
+  const mappedStockItems = stockItems.map((item) => {
+    if (!item.stockCode)
+      throw createAppError("stockCode required in stockItems", 400);
 
-      const {
-        stockCode,
-        description,
-        grossWeight,
-        purityStd,
-        purity,
-        pureWeightStd,
-        pureWeight,
-        pieces,
-        purityDifference,
-        weightInOz,
-        metalRate,
-        makingUnit,
-        premiumDiscount,
-        vat,
-        itemTotal,
-        remarks,
-        forexGain,
-        currencyCode,
-        currencyRate,
-      } = item;
-
-      // Calculate FXGain and FXLoss from forexGain data
-      const { FXGain, FXLoss } = calculateForexGainLoss(
-        transactionType,
-        forexGain?.bidAmountAED,
-        forexGain?.userAmountAED
-      );
-
-      return {
-        stockCode: trim(stockCode),
-        description: trim(description) || "",
-        grossWeight: toNumber(grossWeight),
-        purityStd: toNumber(purityStd, 0.999),
-        purity: toNumber(purity),
-        pieces: toNumber(pieces),
-        pureWeightStd: toNumber(pureWeightStd),
-        pureWeight: toNumber(pureWeight) ? toNumber(pureWeight) : pureWeightStd,
-        purityDifference: toNumber(purityDifference)
-          ? toNumber(purityDifference)
-          : 0,
-        weightInOz: toNumber(weightInOz),
-        metalRate: metalRate?.type || null,
-        passPurityDiff: Boolean(item.passPurityDiff),
-        vatOnMaking: Boolean(item.vatOnMaking),
-        excludeVAT: Boolean(item.excludeVAT),
-        currencyCode: currencyCode ? currencyCode : "AED",
-        currencyRate: toNumber(currencyRate) ? toNumber(currencyRate) : 1,
-        metalRateRequirements: {
-          amount: toNumber(metalRate?.rate),
-          rateInGram: toNumber(metalRate?.rateInGram),
-          currentBidValue: toNumber(metalRate?.currentBidValue),
-          bidValue: toNumber(metalRate?.bidValue),
-        },
-        metalRateUnit: {
-          rateType: metalRateUnit ? trim(metalRateUnit.rateType) : null,
-          rate: metalRateUnit ? toNumber(metalRateUnit.rate) : null,
-          rateInGram: metalRateUnit ? toNumber(metalRateUnit.rateInGram) : null,
-        },
-        metalAmount: toNumber(itemTotal?.baseAmount),
-        FXGain: toNumber(FXGain),
-        FXLoss: toNumber(FXLoss),
-        makingUnit: {
-          unit: makingUnit?.unit || "percentage",
-          makingRate: toNumber(makingUnit?.makingRate),
-          makingAmount: toNumber(makingUnit?.makingAmount),
-        },
-        premiumDiscount: {
-          rate: toNumber(premiumDiscount?.rate),
-          amount: toNumber(premiumDiscount?.amount),
-          usd: toNumber(premiumDiscount?.usd),
-          type: premiumDiscount?.type ? trim(premiumDiscount.type) : "premium",
-        },
-        vat: {
-          percentage: toNumber(vat?.rate),
-          amount: toNumber(vat?.amount),
-        },
-        itemTotal: {
-          baseAmount: toNumber(itemTotal?.baseAmount),
-          makingChargesTotal: toNumber(itemTotal?.makingChargesTotal),
-          premiumTotal: toNumber(itemTotal?.premiumTotal),
-          subTotal: toNumber(itemTotal?.subTotal),
-          vatAmount: toNumber(itemTotal?.vatAmount),
-          // New: taxableAmount = base used for VAT (Metal + Making or Making only)
-          taxableAmount: toNumber(itemTotal?.taxableAmount),
-          itemTotalAmount: toNumber(itemTotal?.itemTotalAmount),
-        },
-        remarks: remarks ? trim(remarks) : null,
-      };
-    });
-
-    // === MAP OTHER CHARGES ===
-    // Map all fields to ensure complete data is stored for proper editing
-    const mappedOtherCharges = otherCharges.map((charge) => {
-      if (!charge.code || !charge.debit || !charge.credit) {
-        throw createAppError("Invalid otherCharges structure", 400);
-      }
-      return {
-        code: trim(charge.code),
-        description: trim(charge.description) || "",
-        percentage: toNumber(charge.percentage, 0),
-        amount: toNumber(charge.amount, 0),
-        debit: {
-          account: trim(charge.debit.account),
-          accountCode: trim(charge.debit.accountCode) || null,
-          accountName: trim(charge.debit.accountName) || null,
-          baseCurrency: toNumber(charge.debit.baseCurrency, 0),
-          foreignCurrency: toNumber(charge.debit.foreignCurrency, 0),
-          amountLC: toNumber(charge.debit.amountLC || charge.debit.baseCurrency, 0),
-          amountFC: toNumber(charge.debit.amountFC || charge.debit.foreignCurrency, 0),
-          currency: trim(charge.debit.currency) || null,
-          convertRate: toNumber(charge.debit.convertRate, 1),
-          defaultConvertRate: toNumber(charge.debit.defaultConvertRate || charge.debit.convertRate, 1),
-          fxRate: toNumber(charge.debit.fxRate, 0),
-        },
-        credit: {
-          account: trim(charge.credit.account),
-          accountCode: trim(charge.credit.accountCode) || null,
-          accountName: trim(charge.credit.accountName) || null,
-          baseCurrency: toNumber(charge.credit.baseCurrency, 0),
-          foreignCurrency: toNumber(charge.credit.foreignCurrency, 0),
-          amountLC: toNumber(charge.credit.amountLC || charge.credit.baseCurrency, 0),
-          amountFC: toNumber(charge.credit.amountFC || charge.credit.foreignCurrency, 0),
-          currency: trim(charge.credit.currency) || null,
-          convertRate: toNumber(charge.credit.convertRate, 1),
-          defaultConvertRate: toNumber(charge.credit.defaultConvertRate || charge.credit.convertRate, 1),
-          fxRate: toNumber(charge.credit.fxRate, 0),
-        },
-        vatDetails: charge.vatDetails
-          ? {
-            vatNo: trim(charge.vatDetails.vatNo) || "",
-            invoiceNo: trim(charge.vatDetails.invoiceNo) || "",
-            invoiceDate: toDate(charge.vatDetails.invoiceDate) || new Date(),
-            vatRate: toNumber(charge.vatDetails.vatRate, 0),
-            vatAmount: toNumber(charge.vatDetails.vatAmountAED || charge.vatDetails.vatAmount, 0), // Always store AED amount (vatAmount always stores AED)
-            vatAmountItemCurrency: toNumber(charge.vatDetails.vatAmountItemCurrency, 0), // VAT in item currency
-            vatAmountAED: toNumber(charge.vatDetails.vatAmountAED || charge.vatDetails.vatAmount, 0), // VAT in AED
-          }
-          : null,
-        remarks: trim(charge.remarks) || "",
-      };
-    });
+    const {
+      stockCode,
+      description,
+      grossWeight,
+      purityStd,
+      purity,
+      pureWeightStd,
+      pureWeight,
+      pieces,
+      purityDifference,
+      weightInOz,
+      metalRate,
+      makingUnit,
+      premiumDiscount,
+      vat,
+      itemTotal,
+      remarks,
+      forexGain,
+      currencyCode,
+      currencyRate,
+    } = item;
 
-    // === FINAL TRANSACTION DATA ===
-    const transactionData = {
+    // Calculate FXGain and FXLoss from forexGain data
+    const { FXGain, FXLoss } = calculateForexGainLoss(
       transactionType,
-      fixed: Boolean(fix),
-      unfix: Boolean(unfix),
-      hedge: Boolean(hedge),
-      partyCode: trim(partyCode),
-      partyCurrency: trim(partyCurrency),
-      itemCurrency: trim(itemCurrency),
-      itemCurrencyRate: itemCurrencyRate !== undefined && itemCurrencyRate !== null && itemCurrencyRate !== ""
-        ? toNumber(itemCurrencyRate, 1)
-        : (partyCurrencyRate !== undefined && partyCurrencyRate !== null && partyCurrencyRate !== ""
-          ? toNumber(partyCurrencyRate, 1)
-          : 1),
-      partyCurrencyRate: toNumber(partyCurrencyRate, 1),
-      voucherType,
-      prefix: trim(prefix),
-      voucherDate: toDate(voucherDate) || new Date(),
-      voucherNumber: trim(voucherNumber),
-      supplierInvoiceNo: trim(supplierInvoiceNo),
-      supplierDate: toDate(supplierDate),
-      declarationNumber: trim(declarationNumber) || null,
-      importExportType: trim(importExportType) || null,
+      forexGain?.bidAmountAED,
+      forexGain?.userAmountAED
+    );
+
+    return {
+      stockCode: trim(stockCode),
+      description: trim(description) || "",
+      grossWeight: toNumber(grossWeight),
+      purityStd: toNumber(purityStd, 0.999),
+      purity: toNumber(purity),
+      pieces: toNumber(pieces),
+      pureWeightStd: toNumber(pureWeightStd),
+      pureWeight: toNumber(pureWeight) ? toNumber(pureWeight) : pureWeightStd,
+      purityDifference: toNumber(purityDifference)
+        ? toNumber(purityDifference)
+        : 0,
+      weightInOz: toNumber(weightInOz),
+      metalRate: metalRate?.type || null,
+      passPurityDiff: Boolean(item.passPurityDiff),
+      vatOnMaking: Boolean(item.vatOnMaking),
+      excludeVAT: Boolean(item.excludeVAT),
+      currencyCode: currencyCode ? currencyCode : "AED",
+      currencyRate: toNumber(currencyRate) ? toNumber(currencyRate) : 1,
+      metalRateRequirements: {
+        amount: toNumber(metalRate?.rate),
+        rateInGram: toNumber(metalRate?.rateInGram),
+        currentBidValue: toNumber(metalRate?.currentBidValue),
+        bidValue: toNumber(metalRate?.bidValue),
+      },
+      metalRateUnit: {
+        rateType: metalRateUnit ? trim(metalRateUnit.rateType) : null,
+        rate: metalRateUnit ? toNumber(metalRateUnit.rate) : null,
+        rateInGram: metalRateUnit ? toNumber(metalRateUnit.rateInGram) : null,
+      },
+      metalAmount: toNumber(itemTotal?.baseAmount),
+      FXGain: toNumber(FXGain),
+      FXLoss: toNumber(FXLoss),
+      makingUnit: {
+        unit: makingUnit?.unit || "percentage",
+        makingRate: toNumber(makingUnit?.makingRate),
+        makingAmount: toNumber(makingUnit?.makingAmount),
+      },
+      premiumDiscount: {
+        rate: toNumber(premiumDiscount?.rate),
+        amount: toNumber(premiumDiscount?.amount),
+        usd: toNumber(premiumDiscount?.usd),
+        type: premiumDiscount?.type ? trim(premiumDiscount.type) : "premium",
+      },
+      vat: {
+        percentage: toNumber(vat?.rate),
+        amount: toNumber(vat?.amount),
+      },
+      itemTotal: {
+        baseAmount: toNumber(itemTotal?.baseAmount),
+        makingChargesTotal: toNumber(itemTotal?.makingChargesTotal),
+        premiumTotal: toNumber(itemTotal?.premiumTotal),
+        subTotal: toNumber(itemTotal?.subTotal),
+        vatAmount: toNumber(itemTotal?.vatAmount),
+        // New: taxableAmount = base used for VAT (Metal + Making or Making only)
+        taxableAmount: toNumber(itemTotal?.taxableAmount),
+        itemTotalAmount: toNumber(itemTotal?.itemTotalAmount),
+      },
       remarks: remarks ? trim(remarks) : null,
-      metalRateUnit: metalRateUnit
+      dealOrderLine: item.dealOrderLine || null,
+      bars: Array.isArray(item.bars) ? item.bars : [],
+    };
+  });
+
+  // === MAP OTHER CHARGES ===
+  // Map all fields to ensure complete data is stored for proper editing
+  const mappedOtherCharges = otherCharges.map((charge) => {
+    if (!charge.code || !charge.debit || !charge.credit) {
+      throw createAppError("Invalid otherCharges structure", 400);
+    }
+    return {
+      code: trim(charge.code),
+      description: trim(charge.description) || "",
+      percentage: toNumber(charge.percentage, 0),
+      amount: toNumber(charge.amount, 0),
+      debit: {
+        account: trim(charge.debit.account),
+        accountCode: trim(charge.debit.accountCode) || null,
+        accountName: trim(charge.debit.accountName) || null,
+        baseCurrency: toNumber(charge.debit.baseCurrency, 0),
+        foreignCurrency: toNumber(charge.debit.foreignCurrency, 0),
+        amountLC: toNumber(charge.debit.amountLC || charge.debit.baseCurrency, 0),
+        amountFC: toNumber(charge.debit.amountFC || charge.debit.foreignCurrency, 0),
+        currency: trim(charge.debit.currency) || null,
+        convertRate: toNumber(charge.debit.convertRate, 1),
+        defaultConvertRate: toNumber(charge.debit.defaultConvertRate || charge.debit.convertRate, 1),
+        fxRate: toNumber(charge.debit.fxRate, 0),
+      },
+      credit: {
+        account: trim(charge.credit.account),
+        accountCode: trim(charge.credit.accountCode) || null,
+        accountName: trim(charge.credit.accountName) || null,
+        baseCurrency: toNumber(charge.credit.baseCurrency, 0),
+        foreignCurrency: toNumber(charge.credit.foreignCurrency, 0),
+        amountLC: toNumber(charge.credit.amountLC || charge.credit.baseCurrency, 0),
+        amountFC: toNumber(charge.credit.amountFC || charge.credit.foreignCurrency, 0),
+        currency: trim(charge.credit.currency) || null,
+        convertRate: toNumber(charge.credit.convertRate, 1),
+        defaultConvertRate: toNumber(charge.credit.defaultConvertRate || charge.credit.convertRate, 1),
+        fxRate: toNumber(charge.credit.fxRate, 0),
+      },
+      vatDetails: charge.vatDetails
         ? {
-          rateType: trim(metalRateUnit.rateType),
-          rate: toNumber(metalRateUnit.rate),
-          rateInGram: toNumber(metalRateUnit.rateInGram),
+          vatNo: trim(charge.vatDetails.vatNo) || "",
+          invoiceNo: trim(charge.vatDetails.invoiceNo) || "",
+          invoiceDate: toDate(charge.vatDetails.invoiceDate) || new Date(),
+          vatRate: toNumber(charge.vatDetails.vatRate, 0),
+          vatAmount: toNumber(charge.vatDetails.vatAmountAED || charge.vatDetails.vatAmount, 0), // Always store AED amount (vatAmount always stores AED)
+          vatAmountItemCurrency: toNumber(charge.vatDetails.vatAmountItemCurrency, 0), // VAT in item currency
+          vatAmountAED: toNumber(charge.vatDetails.vatAmountAED || charge.vatDetails.vatAmount, 0), // VAT in AED
         }
         : null,
-      stockItems: mappedStockItems,
-      otherCharges: mappedOtherCharges,
-      totalSummary: {
-        itemSubTotal: toNumber(totalSummary?.itemSubTotal) || 0,
-        itemTotalVat: toNumber(totalSummary?.itemTotalVat) || 0,
-        itemTotalAmount: toNumber(totalSummary?.itemTotalAmount) || 0,
-        totalOtherCharges: toNumber(totalSummary?.totalOtherCharges) || 0,
-        totalOtherChargesVat: toNumber(totalSummary?.totalOtherChargesVat) || 0,
-        netAmount: toNumber(totalSummary?.netAmount) || 0,
-        rounded: toNumber(totalSummary?.rounded) || 0,
-        totalAmount: toNumber(totalSummary?.totalAmount) || 0,
-      },
-      enteredBy: enteredBy || null, // Store as ObjectId, not string
-      salesman: salesman || null, // Store as ObjectId, not string
-      status,
-      notes: trim(notes),
-      dealOrderId: dealOrderId ? trim(dealOrderId) : null,
-      division: division ? trim(division) : null,
+      remarks: trim(charge.remarks) || "",
     };
+  });
+
+  // === FINAL TRANSACTION DATA ===
+  const transactionData = {
+    transactionType,
+    fixed: Boolean(fix),
+    unfix: Boolean(unfix),
+    hedge: Boolean(hedge),
+    partyCode: trim(partyCode),
+    partyCurrency: trim(partyCurrency),
+    itemCurrency: trim(itemCurrency),
+    itemCurrencyRate: itemCurrencyRate !== undefined && itemCurrencyRate !== null && itemCurrencyRate !== ""
+      ? toNumber(itemCurrencyRate, 1)
+      : (partyCurrencyRate !== undefined && partyCurrencyRate !== null && partyCurrencyRate !== ""
+        ? toNumber(partyCurrencyRate, 1)
+        : 1),
+    partyCurrencyRate: toNumber(partyCurrencyRate, 1),
+    voucherType,
+    prefix: trim(prefix),
+    voucherDate: toDate(voucherDate) || new Date(),
+    voucherNumber: trim(voucherNumber),
+    supplierInvoiceNo: trim(supplierInvoiceNo),
+    supplierDate: toDate(supplierDate),
+    declarationNumber: trim(declarationNumber) || null,
+    importExportType: trim(importExportType) || null,
+    remarks: remarks ? trim(remarks) : null,
+    metalRateUnit: metalRateUnit
+      ? {
+        rateType: trim(metalRateUnit.rateType),
+        rate: toNumber(metalRateUnit.rate),
+        rateInGram: toNumber(metalRateUnit.rateInGram),
+      }
+      : null,
+    stockItems: mappedStockItems,
+    otherCharges: mappedOtherCharges,
+    totalSummary: {
+      itemSubTotal: toNumber(totalSummary?.itemSubTotal) || 0,
+      itemTotalVat: toNumber(totalSummary?.itemTotalVat) || 0,
+      itemTotalAmount: toNumber(totalSummary?.itemTotalAmount) || 0,
+      totalOtherCharges: toNumber(totalSummary?.totalOtherCharges) || 0,
+      totalOtherChargesVat: toNumber(totalSummary?.totalOtherChargesVat) || 0,
+      netAmount: toNumber(totalSummary?.netAmount) || 0,
+      rounded: toNumber(totalSummary?.rounded) || 0,
+      totalAmount: toNumber(totalSummary?.totalAmount) || 0,
+    },
+    enteredBy: enteredBy || null, // Store as ObjectId, not string
+    salesman: salesman || null, // Store as ObjectId, not string
+    status,
+    notes: trim(notes),
+    dealOrderId: dealOrderId ? trim(dealOrderId) : null,
+    division: division ? trim(division) : null,
+  };
+
+  return transactionData;
+};
+
+// ======================== CREATE METAL TRANSACTION ========================
+export const createMetalTransaction = async (req, res, next) => {
+  console.log("CREATE BODY:", JSON.stringify(req.body, null, 2));
+
+  try {
+    console.log("CREATE METAL TRANSACTION BODY:", JSON.stringify(req.body, null, 2));
+
+    const transactionData = buildCreateTransactionData(req.body);
+    const { transactionType } = transactionData;
 
     // === CREATE IN SERVICE ===
     const metalTransaction =
@@ -366,13 +376,6 @@ export const createMetalTransaction = async (req, res, next) => {
         req.admin.id
       );
 
-    // === INVENTORY UPDATE ===
-    if (["purchase", "saleReturn", "importPurchase", "exportSaleReturn", "hedgeMetalReceipt", "hedgeMetalReciept"].includes(transactionType)) {
-      await InventoryService.updateInventory(metalTransaction, false); // add
-    } else if (["sale", "purchaseReturn", "importPurchaseReturn", "exportsale", "hedgeMetalPayment"].includes(transactionType)) {
-      await InventoryService.updateInventory(metalTransaction, true); // deduct
-    }
-
     res.status(201).json({
       success: true,
       message: `Metal ${transactionType} created successfully`,
@@ -384,6 +387,54 @@ export const createMetalTransaction = async (req, res, next) => {
   }
 };
 
+// ======================== FULFIL DEAL ORDER ========================
+// Post a delivery against an approved deal order: the remaining weight of
+// every line, or body.lines [{ line, pureWeight }] for a partial delivery
+export const fulfilDealOrder = async (req, res, next) => {
+  try {
+    const body = await DealOrderService.buildFulfilment(req.params.id, req.body || {}, req.admin.id);
+    const transactionData = buildCreateTransactionData(body);
+    transactionData.creditOverrideToken = req.body?.creditOverrideToken;
+
+    const metalTransaction = await MetalTransactionService.createMetalTransaction(
+      transactionData,
+      req.admin.id
+    );
+    const fulfilment = await DealOrderService.getFulfilment(req.params.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Delivery ${metalTransaction.voucherNumber} posted against deal order ${fulfilment.orderNumber}`,
+      data: { transaction: metalTransaction, fulfilment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ======================== PREVIEW REGISTRY ENTRIES ========================
+export const previewRegistryEntries = async (req, res, next) => {
+  try {
+    const { metalTransactionId } = req.body || {};
+    const transactionData = metalTransactionId
+      ? { metalTransactionId }
+      : buildCreateTransactionData(req.body || {});
+
+    const preview = await MetalTransactionService.previewRegistryEntries(
+      transactionData,
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Registry entries preview generated",
+      data: preview,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ======================== UPDATE METAL TRANSACTION ========================
 export const updateMetalTransaction = async (req, res, next) => {
   let id;
@@ -583,6 +634,8 @@ export const updateMetalTransaction = async (req, res, next) => {
           itemTotalAmount: toNumber(itemTotal?.itemTotalAmount),
         },
         remarks: remarks ? trim(remarks) : null,
+        dealOrderLine: item.dealOrderLine || null,
+        bars: Array.isArray(item.bars) ? item.bars : [],
       };
     });
 
@@ -689,10 +742,12 @@ export const updateMetalTransaction = async (req, res, next) => {
       division: division ? trim(division) : null,
     };
 
+    // Posted vouchers are voided and reissued; the reason is kept on the old one
     const updated = await MetalTransactionService.updateMetalTransaction(
       id,
       transactionData,
-      req.admin.id
+      req.admin.id,
+      { reason: trim(body.voidReason), voidDate: toDate(body.voidDate) }
     );
 
     res.status(200).json({
@@ -784,6 +839,25 @@ export const deleteMetalTransaction = async (req, res, next) => {
   }
 };
 
+export const voidMetalTransaction = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason, voidDate } = req.body || {};
+    if (!id) throw createAppError("ID required", 400);
+
+    const voided = await MetalTransactionService.voidMetalTransaction(
+      id,
+      { reason: trim(reason), voidDate: toDate(voidDate) },
+      req.admin.id
+    );
+    res
+      .status(200)
+      .json({ success: true, message: "Metal transaction voided", data: voided });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getMetalTransactionsByParty = async (req, res, next) => {
   try {
     const { partyId } = req.params;
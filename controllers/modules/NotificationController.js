@@ -0,0 +1,55 @@
+import NotificationService from "../../services/modules/NotificationService.js";
+
+export class NotificationController {
+  // READ - the signed-in admin's notifications
+  static getNotifications = async (req, res, next) => {
+    try {
+      const { unread, page, limit } = req.query;
+      const result = await NotificationService.getNotifications("Admin", req.admin.id, {
+        unread,
+        page,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Notifications retrieved successfully",
+        data: result.notifications,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static markRead = async (req, res, next) => {
+    try {
+      const notification = await NotificationService.markRead(req.params.id, "Admin", req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Notification marked as read",
+        data: notification,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static markAllRead = async (req, res, next) => {
+    try {
+      const result = await NotificationService.markAllRead("Admin", req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Notifications marked as read",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default NotificationController;
@@ -0,0 +1,89 @@
+import PostingRuleService from "../../services/modules/PostingRuleService.js";
+
+export class PostingRuleController {
+  // CREATE
+  static createPostingRule = async (req, res, next) => {
+    try {
+      const rule = await PostingRuleService.createRule(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Posting rule created successfully",
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET ALL
+  static getAllPostingRules = async (req, res, next) => {
+    try {
+      const { branch, transactionType, component, status } = req.query;
+      const rules = await PostingRuleService.getRules({
+        branch,
+        transactionType,
+        component,
+        ...(status !== undefined && { status: status === "true" }),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Posting rules retrieved successfully",
+        data: rules,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET BY ID
+  static getPostingRuleById = async (req, res, next) => {
+    try {
+      const rule = await PostingRuleService.getRuleById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Posting rule retrieved successfully",
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // UPDATE
+  static updatePostingRule = async (req, res, next) => {
+    try {
+      const rule = await PostingRuleService.updateRule(
+        req.params.id,
+        req.body,
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Posting rule updated successfully",
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DELETE
+  static deletePostingRule = async (req, res, next) => {
+    try {
+      const result = await PostingRuleService.deleteRule(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default PostingRuleController;
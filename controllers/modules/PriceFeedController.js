@@ -0,0 +1,65 @@
+import PriceFeedService from "../../services/modules/PriceFeedService.js";
+
+const HEARTBEAT_MS = 25000;
+
+export class PriceFeedController {
+  // LATEST - gold and FX quotes currently held in memory
+  static getLatest = async (req, res, next) => {
+    try {
+      res.status(200).json({
+        success: true,
+        message: "Latest prices retrieved successfully",
+        data: PriceFeedService.getLatest(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // HISTORY
+  static getHistory = async (req, res, next) => {
+    try {
+      const ticks = await PriceFeedService.getHistory(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Price history retrieved successfully",
+        data: ticks,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // STREAM - server-sent events: a snapshot, then every tick as it arrives
+  static streamPrices = async (req, res, next) => {
+    try {
+      const symbols = req.query.symbols
+        ? String(req.query.symbols).toUpperCase().split(",").map((s) => s.trim())
+        : null;
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`event: snapshot\ndata: ${JSON.stringify(PriceFeedService.getLatest())}\n\n`);
+
+      const unsubscribe = PriceFeedService.subscribe((tick) => {
+        if (symbols && !symbols.includes(tick.symbol)) return;
+        res.write(`event: tick\ndata: ${JSON.stringify(tick)}\n\n`);
+      });
+      const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default PriceFeedController;
@@ -0,0 +1,36 @@
+import PricingService from "../../services/modules/PricingService.js";
+
+export class PricingController {
+  // QUOTE - proposed rate, premium/discount and making for a party and commodity
+  static getQuote = async (req, res, next) => {
+    try {
+      const quote = await PricingService.getQuote(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Price quote generated successfully",
+        data: quote,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // OVERRIDES - postings priced outside the quoted margin band
+  static getOverrides = async (req, res, next) => {
+    try {
+      const result = await PricingService.getOverrides(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Pricing overrides retrieved successfully",
+        data: result.transactions,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default PricingController;
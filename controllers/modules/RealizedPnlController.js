@@ -0,0 +1,128 @@
+import RealizedPnlService from "../../services/modules/RealizedPnlService.js";
+import JobSchedulerService from "../../services/modules/JobSchedulerService.js";
+
+export class RealizedPnlController {
+  // REPORT - realized P&L grouped by day, party, salesman, division or commodity
+  static getReport = async (req, res, next) => {
+    try {
+      const { groupBy, method, startDate, endDate, party, salesman, division, commodity } = req.query;
+      const report = await RealizedPnlService.getReport({
+        groupBy,
+        method,
+        startDate,
+        endDate,
+        party,
+        salesman,
+        division,
+        commodity,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Realized P&L retrieved successfully",
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // MATCHES - individual buy/sell matches
+  static getMatches = async (req, res, next) => {
+    try {
+      const result = await RealizedPnlService.getMatches(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "P&L matches retrieved successfully",
+        data: result.matches,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DRILL-DOWN - the lots a voucher's lines were matched against
+  static getLotDrillDown = async (req, res, next) => {
+    try {
+      const drillDown = await RealizedPnlService.getLotDrillDown(req.params.documentId, {
+        method: req.query.method,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Lot matches retrieved successfully",
+        data: drillDown,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // REBUILD - rematch every lot under a method, under the scheduled job's lock
+  static rebuild = async (req, res, next) => {
+    try {
+      const method = RealizedPnlService.resolveMethod(req.body.method);
+      const result = await JobSchedulerService.runHandler("realized-pnl", {
+        adminId: req.admin.id,
+        params: { method },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Realized P&L rebuilt successfully",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // DESIGNATIONS - specific identification of purchase lots for sales
+  static getDesignations = async (req, res, next) => {
+    try {
+      const designations = await RealizedPnlService.getDesignations({
+        document: req.query.document,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Lot designations retrieved successfully",
+        data: designations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static createDesignation = async (req, res, next) => {
+    try {
+      const designation = await RealizedPnlService.createDesignation(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Lot designation created; it applies from the next specific-identification rebuild",
+        data: designation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static deleteDesignation = async (req, res, next) => {
+    try {
+      const designation = await RealizedPnlService.deleteDesignation(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Lot designation deleted successfully",
+        data: designation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default RealizedPnlController;
@@ -1,7 +1,8 @@
 import { createAppError } from "../../utils/errorHandler.js";
 import RegistryService from "../../services/modules/RegistryService.js";
+import RegistryIntegrityService from "../../services/modules/RegistryIntegrityService.js";
 import Account from "../../models/modules/AccountType.js";
-import Registry from "../../models/modules/Registry.js";
+import Registry, { BALANCE_ROW_FILTER } from "../../models/modules/Registry.js";
 
 // Create new registry entry
 export const createRegistry = async (req, res, next) => {
@@ -182,6 +183,32 @@ export const getRegistryFixingTransaction = async (req, res, next) => {
 };
 
 // Get Cash/PDC Entry Audit Trail
+export const getJournalVoucherAuditTrail = async (req, res, next) => {
+  try {
+    const { entryTransactionId } = req.params;
+
+    const registry = await RegistryService.generateJournalVoucherAuditTrail(
+      entryTransactionId
+    );
+
+    if (!registry) {
+      throw createAppError(
+        "Registry entry not found",
+        404,
+        "REGISTRY_NOT_FOUND"
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Journal voucher audit trail retrieved successfully",
+      data: registry,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getCashEntryAuditTrail = async (req, res, next) => {
   try {
     const { entryTransactionId } = req.params;
@@ -491,6 +518,30 @@ export const getRegistryStatistics = async (req, res, next) => {
   }
 };
 
+// Unbalanced vouchers and orphaned rows in a date range
+export const getRegistryIntegrityReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, includeDrafts, page, limit } = req.query;
+
+    const { pagination, ...report } = await RegistryIntegrityService.getIntegrityReport({
+      startDate,
+      endDate,
+      includeDrafts: includeDrafts === "true",
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Registry integrity report generated successfully",
+      data: report,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update registry status
 export const updateRegistryStatus = async (req, res, next) => {
   try {
@@ -713,14 +764,10 @@ export const getStatementByParty = async (req, res) => {
         .json({ success: false, message: "Party not found" });
     }
 
-    // Build filter - exclude drafts from balance calculations
+    // Build filter - exclude drafts and carry forwards from balance calculations
     const filter = {
+      ...BALANCE_ROW_FILTER,
       party: partyId,
-      isActive: true,
-      $or: [
-        { isDraft: { $ne: true } }, // Not a draft
-        { isDraft: { $exists: false } }, // Old entries without isDraft field
-      ],
       type: {
         $in: [
           "PARTY_GOLD_BALANCE",
@@ -0,0 +1,156 @@
+import StockCountService from "../../services/modules/StockCountService.js";
+
+export class StockCountController {
+  // CREATE - open a count and freeze the expected stock
+  static createCount = async (req, res, next) => {
+    try {
+      const count = await StockCountService.createCount(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Stock count opened successfully",
+        data: count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getCounts = async (req, res, next) => {
+    try {
+      const result = await StockCountService.getCounts(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock counts retrieved successfully",
+        data: result.counts,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getCountById = async (req, res, next) => {
+    try {
+      const count = await StockCountService.getCountById(req.params.id, { adminId: req.admin.id });
+
+      res.status(200).json({
+        success: true,
+        message: "Stock count retrieved successfully",
+        data: count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // COUNTS - the calling admin's tally, replacing their earlier one
+  static enterCounts = async (req, res, next) => {
+    try {
+      const count = await StockCountService.enterCounts(req.params.id, req.body?.lines, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Counts recorded successfully",
+        data: count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RECONCILE - settle lines whose counters' tallies disagree
+  static reconcileLines = async (req, res, next) => {
+    try {
+      const variance = await StockCountService.reconcileLines(req.params.id, req.body?.lines, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Count lines reconciled successfully",
+        data: variance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static closeCount = async (req, res, next) => {
+    try {
+      const count = await StockCountService.closeCount(req.params.id, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock count closed successfully",
+        data: count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static reopenCount = async (req, res, next) => {
+    try {
+      const count = await StockCountService.reopenCount(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock count reopened successfully",
+        data: count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // VARIANCE - counted against expected per stock code and bar serial
+  static getVariance = async (req, res, next) => {
+    try {
+      const variance = await StockCountService.getVariance(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock count variance retrieved successfully",
+        data: variance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // APPROVE - post the variance as a stock adjustment voucher
+  static approveCount = async (req, res, next) => {
+    try {
+      const allowMovedStock = req.body?.allowMovedStock === true || req.body?.allowMovedStock === "true";
+      const variance = await StockCountService.approveCount(
+        req.params.id,
+        { allowMovedStock },
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Stock count approved successfully",
+        data: variance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static cancelCount = async (req, res, next) => {
+    try {
+      const count = await StockCountService.cancelCount(req.params.id, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock count cancelled successfully",
+        data: count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default StockCountController;
@@ -0,0 +1,82 @@
+import StockReservationService from "../../services/modules/StockReservationService.js";
+
+export class StockReservationController {
+  // LIST - reservations by party, stock, deal or status, with totals per party and stock
+  static getReservations = async (req, res, next) => {
+    try {
+      const result = await StockReservationService.getReservations(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock reservations retrieved successfully",
+        data: result.reservations,
+        summary: result.summary,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // AVAILABLE - on-hand stock less live reservations
+  static getAvailableToPromise = async (req, res, next) => {
+    try {
+      const available = await StockReservationService.getAvailableToPromise({
+        stockCode: req.query.stockCode,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Available-to-promise stock retrieved successfully",
+        data: available,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getReservationById = async (req, res, next) => {
+    try {
+      const reservation = await StockReservationService.getReservationById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock reservation retrieved successfully",
+        data: reservation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static releaseReservation = async (req, res, next) => {
+    try {
+      const reservation = await StockReservationService.releaseReservation(req.params.id, req.body, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock reservation released successfully",
+        data: reservation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // EXPIRE - release reservations past their expiry now rather than on the next job run
+  static expireReservations = async (req, res, next) => {
+    try {
+      const result = await StockReservationService.expireDue({ adminId: req.admin.id });
+
+      res.status(200).json({
+        success: true,
+        message: `${result.expired} stock reservation(s) expired`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default StockReservationController;
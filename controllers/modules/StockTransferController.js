@@ -0,0 +1,95 @@
+import StockTransferService from "../../services/modules/StockTransferService.js";
+
+export class StockTransferController {
+  // DISPATCH - move metal out of the source location into transit
+  static dispatchTransfer = async (req, res, next) => {
+    try {
+      const transfer = await StockTransferService.dispatchTransfer(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Stock transfer dispatched successfully",
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getTransfers = async (req, res, next) => {
+    try {
+      const result = await StockTransferService.getTransfers(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock transfers retrieved successfully",
+        data: result.transfers,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // LOCATIONS - stock on hand and in transit per branch location
+  static getLocationBalances = async (req, res, next) => {
+    try {
+      const { branch, location, stockCode, asOf } = req.query;
+      const balances = await StockTransferService.getLocationBalances({ branch, location, stockCode, asOf });
+
+      res.status(200).json({
+        success: true,
+        message: "Location balances retrieved successfully",
+        data: balances.rows,
+        totals: balances.totals,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getTransferById = async (req, res, next) => {
+    try {
+      const transfer = await StockTransferService.getTransferById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock transfer retrieved successfully",
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RECEIVE - land the metal at the destination, checking the weight
+  static receiveTransfer = async (req, res, next) => {
+    try {
+      const transfer = await StockTransferService.receiveTransfer(req.params.id, req.body, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock transfer received successfully",
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static cancelTransfer = async (req, res, next) => {
+    try {
+      const transfer = await StockTransferService.cancelTransfer(req.params.id, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Stock transfer cancelled successfully",
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default StockTransferController;
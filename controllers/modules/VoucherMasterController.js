@@ -1,4 +1,5 @@
 import VoucherMasterService from "../../services/modules/VoucherMasterService.js";
+import VoucherSequenceService from "../../services/modules/VoucherSequenceService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 export const createVoucher = async (req, res, next) => {
@@ -199,7 +200,7 @@ export const getVouchersByModule = async (req, res, next) => {
 export const generateVoucherNumber = async (req, res, next) => {
   try {
     const { module } = req.params;
-    const { transactionType, entryType } = req.body;
+    const { transactionType, entryType, voucherDate } = req.body;
 
     if (!module) {
       throw createAppError("Module is required", 400, "MISSING_MODULE");
@@ -212,7 +213,10 @@ export const generateVoucherNumber = async (req, res, next) => {
     if (module.toLowerCase().includes('entry') && entryType) {
       actualTransactionType = entryType;
     }
-    const result = await VoucherMasterService.generateVoucherNumber(module, actualTransactionType);
+    const result = await VoucherMasterService.generateVoucherNumber(module, actualTransactionType, {
+      voucherDate: voucherDate ? new Date(voucherDate) : new Date(),
+      adminId: req.admin?.id,
+    });
     res.status(200).json({
       success: true,
       message: "Voucher number generated successfully",
@@ -252,16 +256,7 @@ export const getVoucherInfoByModule = async (req, res, next) => {
         result = await VoucherMasterService.getMetalSaleVoucherInfo(module);
       } else {
         // General metal voucher info
-        const voucherData = await VoucherMasterService.generateVoucherNumber(module, actualTransactionType);
-        result = {
-          prefix: voucherData.prefix,
-          currentCount: voucherData.transactionCount,
-          nextSequence: voucherData.sequence,
-          nextVoucherNumber: voucherData.voucherNumber,
-          numberLength: voucherData.voucherConfig.numberLength,
-          voucherConfig: voucherData.voucherConfig,
-          transactionType: actualTransactionType
-        };
+        result = await VoucherMasterService.getVoucherInfo(module, actualTransactionType);
       }
     } else if (moduleLC.includes('entry')) {
       if (actualTransactionType) {
@@ -280,17 +275,8 @@ export const getVoucherInfoByModule = async (req, res, next) => {
         result = await VoucherMasterService.getAllEntryTypesVoucherInfo(module);
       }
     } else {
-      // For other modules, use the general voucher generation
-      const voucherData = await VoucherMasterService.generateVoucherNumber(module, actualTransactionType);
-      result = {
-        prefix: voucherData.prefix,
-        currentCount: voucherData.transactionCount,
-        nextSequence: voucherData.sequence,
-        nextVoucherNumber: voucherData.voucherNumber,
-        numberLength: voucherData.voucherConfig.numberLength,
-        voucherConfig: voucherData.voucherConfig,
-        transactionType: actualTransactionType
-      };
+      // For other modules, preview the next number of the module sequence
+      result = await VoucherMasterService.getVoucherInfo(module, actualTransactionType);
     }
 
     res.status(200).json({
@@ -301,4 +287,90 @@ export const getVoucherInfoByModule = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Issued / used / voided voucher number log
+export const getVoucherNumberLog = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const filters = {
+      module: req.query.module,
+      status: req.query.status,
+      periodKey: req.query.periodKey,
+      search: req.query.search,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    };
+
+    const result = await VoucherSequenceService.getNumberLog(page, limit, filters);
+
+    res.status(200).json({
+      success: true,
+      message: "Voucher number log retrieved successfully",
+      data: result.logs,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: Math.ceil(result.total / result.limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Gap audit for one module sequence
+export const getVoucherSequenceAudit = async (req, res, next) => {
+  try {
+    const { module } = req.params;
+    const { periodKey } = req.query;
+
+    const result = await VoucherSequenceService.getSequenceAudit(module, periodKey || undefined);
+
+    res.status(200).json({
+      success: true,
+      message: `Voucher sequence audit for ${module} retrieved successfully`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Void an issued number that will never be used
+export const voidVoucherNumber = async (req, res, next) => {
+  try {
+    const { voucherNumber, reason } = req.body;
+
+    if (!voucherNumber || !reason?.trim()) {
+      throw createAppError(
+        "Required fields: voucherNumber, reason",
+        400,
+        "REQUIRED_FIELDS_MISSING"
+      );
+    }
+
+    const result = await VoucherSequenceService.voidNumber(voucherNumber, {
+      reason: reason.trim(),
+      adminId: req.admin.id,
+    });
+
+    if (!result) {
+      throw createAppError(
+        `Voucher number ${voucherNumber} was not issued by the sequence or is already voided`,
+        404,
+        "VOUCHER_NUMBER_NOT_FOUND"
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Voucher number voided successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
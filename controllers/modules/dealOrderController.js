@@ -1,4 +1,5 @@
 import DealOrderService from "../../services/modules/dealOrderService.js";
+import DealWorkflowService from "../../services/modules/DealWorkflowService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 const ensureArrayWithData = (value) =>
@@ -122,6 +123,8 @@ export const updateDealOrderStatus = async (req, res, next) => {
         stage: payload.stage,
         status: payload.status,
         note: payload.note,
+        reserveUntil: payload.reserveUntil,
+        bars: payload.bars,
       },
       req.admin
     );
@@ -136,3 +139,39 @@ export const updateDealOrderStatus = async (req, res, next) => {
   }
 };
 
+export const getDealOrderFulfilment = async (req, res, next) => {
+  try {
+    const fulfilment = await DealOrderService.getFulfilment(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: fulfilment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getPendingApprovals = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await DealWorkflowService.getPendingApprovals(req.admin.id, { page, limit });
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDealOrderTransitions = async (req, res, next) => {
+  try {
+    const transitions = await DealWorkflowService.getAllowedTransitions(req.params.id, req.admin.id);
+    res.status(200).json({
+      success: true,
+      data: transitions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
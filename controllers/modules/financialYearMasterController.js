@@ -1,5 +1,6 @@
 
 import FinancialYearService from "../../services/modules/FinancialYearService.js";
+import PeriodLockService from "../../services/modules/PeriodLockService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 export class FinancialYearController {
@@ -149,6 +150,136 @@ export class FinancialYearController {
       next(error);
     }
   };
+
+  // CLOSING BALANCES (preview of what a year-end close carries forward)
+  static getClosingBalances = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const result = await FinancialYearService.getClosingBalances(id);
+
+      res.status(200).json({
+        success: true,
+        message: "Closing balances retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // YEAR-END CLOSE
+  static closeFinancialYear = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const result = await FinancialYearService.closeFinancialYear(
+        id,
+        req.body || {},
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Financial year closed successfully",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PERIOD LOCKS
+  static getPeriodLocks = async (req, res, next) => {
+    try {
+      const { periodType, financialYearId, isLocked } = req.query;
+      const locks = await PeriodLockService.getLocks({
+        periodType,
+        financialYearId,
+        ...(isLocked !== undefined && { isLocked: isLocked === "true" }),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Period locks retrieved successfully",
+        data: locks,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static lockPeriod = async (req, res, next) => {
+    try {
+      const { periodType, financialYearId, year, month, remarks } = req.body;
+
+      if (!periodType) {
+        throw createAppError(
+          "Period type is required",
+          400,
+          "REQUIRED_FIELD_MISSING"
+        );
+      }
+
+      const lock = await PeriodLockService.lockPeriod(
+        { periodType, financialYearId, year, month, remarks },
+        req.admin.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Period ${lock.label} locked successfully`,
+        data: lock,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static unlockPeriod = async (req, res, next) => {
+    try {
+      const { lockId } = req.params;
+      const lock = await PeriodLockService.unlockPeriod(
+        lockId,
+        req.admin.id,
+        req.body?.remarks
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Period ${lock.label} unlocked successfully`,
+        data: lock,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getPeriodLockOverrides = async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const { periodLockId, documentModel, startDate, endDate } = req.query;
+
+      const result = await PeriodLockService.getOverrideLog(page, limit, {
+        periodLockId,
+        documentModel,
+        startDate,
+        endDate,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Period lock overrides retrieved successfully",
+        data: result.overrides,
+        pagination: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
 }
 
 export default FinancialYearController;
\ No newline at end of file
@@ -417,6 +417,83 @@ export const metalFixing = async (req, res) => {
 };
 
 
+export const getTrialBalance = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await reportService.getTrialBalance(filters);
+
+    res.status(200).json({
+      success: true,
+      message: reportData.totalRecords > 0
+        ? `Trial balance generated successfully with ${reportData.totalRecords} ledgers`
+        : "No transactions found for the specified criteria",
+      data: reportData.data,
+      totals: reportData.totals,
+      totalRecords: reportData.totalRecords,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in getTrialBalance:", error);
+
+    if (error.message.includes("From date cannot be greater than to date")) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range: From date cannot be greater than to date",
+        error: "INVALID_DATE_RANGE"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const getGeneralLedger = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await reportService.getGeneralLedger(filters);
+
+    res.status(200).json({
+      success: true,
+      message: reportData.totalRecords > 0
+        ? `General ledger generated successfully with ${reportData.totalRecords} records`
+        : "No transactions found for the specified criteria",
+      ledger: reportData.ledger,
+      data: reportData.data,
+      totalRecords: reportData.totalRecords,
+      pagination: reportData.pagination,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in getGeneralLedger:", error);
+
+    if (error.message.includes("From date cannot be greater than to date")) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range: From date cannot be greater than to date",
+        error: "INVALID_DATE_RANGE"
+      });
+    }
+
+    if (error.message.includes("Ledger is required")) {
+      return res.status(400).json({
+        success: false,
+        message: "Ledger is required",
+        error: "MISSING_REQUIRED_FIELDS"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
 export const getDashboard = async (req, res, next) => {
   try {
     const filters = {
@@ -7,6 +7,9 @@ import {
   changeUserPassword,
   getUnfixedTransactionsWithAccount
 } from '../../services/core/userAuthService.js';
+import MarginService from '../../services/modules/MarginService.js';
+import LimitOrderService from '../../services/modules/LimitOrderService.js';
+import NotificationService from '../../services/modules/NotificationService.js';
 
 export const login = async (req, res, next) => {
   try {
@@ -94,4 +97,114 @@ export const getUnfixedTransactionsWithAccounts = async (req, res, next) => {
     console.error("Error in getUnfixedTransactionsWithAccounts:", error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+export const getMarginStatus = async (req, res, next) => {
+  try {
+    const margin = await MarginService.getPartyMargin(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Margin status retrieved successfully",
+      data: margin,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createLimitOrder = async (req, res, next) => {
+  try {
+    const order = await LimitOrderService.createOrder(req.body, { partyId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: `Limit order ${order.status === "filled" ? "filled" : "placed"} successfully`,
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getLimitOrders = async (req, res, next) => {
+  try {
+    const { status, type, page, limit } = req.query;
+    const result = await LimitOrderService.getOrders({ party: req.user.id, status, type, page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Limit orders retrieved successfully",
+      data: result.orders,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getLimitOrder = async (req, res, next) => {
+  try {
+    const order = await LimitOrderService.getOrderById(req.params.id, { partyId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: "Limit order retrieved successfully",
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const cancelLimitOrder = async (req, res, next) => {
+  try {
+    const order = await LimitOrderService.cancelOrder(req.params.id, {
+      partyId: req.user.id,
+      reason: req.body?.reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Limit order cancelled successfully",
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, page, limit } = req.query;
+    const result = await NotificationService.getNotifications("Account", req.user.id, {
+      unread,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications retrieved successfully",
+      data: result.notifications,
+      unreadCount: result.unreadCount,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await NotificationService.markRead(req.params.id, "Account", req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
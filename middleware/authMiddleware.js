@@ -52,6 +52,20 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication for EventSource streams, which cannot send headers: the
+ * access token may also be passed as the ?token= query parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authenticateStreamToken = async (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return authenticateToken(req, res, next);
+};
+
 /**
  * Optional Authentication Middleware
  * Similar to authenticateToken but doesn't throw error if no token
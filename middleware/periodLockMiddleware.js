@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import PeriodLockService from "../services/modules/PeriodLockService.js";
+
+export const PERIOD_LOCK_OVERRIDE_HEADER = "x-period-lock-override";
+
+/**
+ * Refuse writes dated inside a locked period
+ * @param {mongoose.Model} Model - Model of the voucher behind the route
+ * @param {Object} options
+ * @param {Function} options.bodyDate - Reads the new voucher date from the request body
+ * @param {Function} options.documentDate - Reads the stored voucher date from an existing document
+ * @param {boolean} options.checkDocument - Also check the stored document for routes with an :id
+ * @returns {Function} - Express middleware
+ */
+export const enforcePeriodLock = (
+  Model,
+  {
+    bodyDate = (body) => body?.voucherDate,
+    documentDate = (doc) => doc.voucherDate,
+    checkDocument = true,
+  } = {}
+) => {
+  return async (req, res, next) => {
+    try {
+      const dates = [];
+      const { id } = req.params;
+
+      if (id && checkDocument && mongoose.Types.ObjectId.isValid(id)) {
+        const existing = await Model.findById(id).lean();
+        if (existing) dates.push(documentDate(existing));
+      }
+
+      // New vouchers without a date are posted today
+      const requested = bodyDate(req.body || {});
+      if (requested) dates.push(requested);
+      else if (!id || !checkDocument) dates.push(new Date());
+
+      await PeriodLockService.assertPeriodOpen(dates, {
+        admin: req.admin,
+        overrideReason: req.get(PERIOD_LOCK_OVERRIDE_HEADER),
+        action: `${req.method} ${req.originalUrl}`,
+        documentModel: Model.modelName,
+        documentId: id && mongoose.Types.ObjectId.isValid(id) ? id : null,
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+export const BAR_STATUSES = ["active", "reserved", "sold", "damaged"];
+export const BAR_EVENTS = ["received", "issued", "reserved", "released", "damaged", "restored"];
+
+// One step in a bar's chain of custody. Movements posted by a voucher are
+// reversed, not removed, when the voucher is edited, voided or deleted.
+const CustodyEventSchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: BAR_EVENTS, required: true },
+    documentModel: { type: String, enum: ["MetalTransaction", "Entry", null], default: null },
+    documentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    voucherNumber: { type: String, default: null },
+    party: { type: mongoose.Schema.Types.ObjectId, ref: "Account", default: null },
+    fromStatus: { type: String, enum: [...BAR_STATUSES, null], default: null },
+    toStatus: { type: String, enum: BAR_STATUSES, required: true },
+    fromParty: { type: mongoose.Schema.Types.ObjectId, ref: "Account", default: null },
+    note: { type: String, trim: true, default: null },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    reversedAt: { type: Date, default: null },
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  },
+  { _id: true }
+);
+
+// A serialized bar or lot of a lot-enabled commodity, captured when it is
+// received and selected by serial when it leaves
+const BarSchema = new mongoose.Schema(
+  {
+    serialNumber: {
+      type: String,
+      required: [true, "Serial number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    refiner: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "",
+    },
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+      index: true,
+    },
+    commodity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Commodity",
+      default: null,
+    },
+    grossWeight: {
+      type: Number,
+      default: 0,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    // Parts per thousand, e.g. 999.9
+    fineness: {
+      type: Number,
+      default: null,
+      min: [0, "Fineness cannot be negative"],
+    },
+    pureWeight: {
+      type: Number,
+      default: 0,
+    },
+    assayCertificate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Drafting",
+      default: null,
+    },
+    certificateNumber: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: BAR_STATUSES,
+      default: "active",
+      index: true,
+    },
+    // Holder once sold, or the party a bar is reserved for
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+      index: true,
+    },
+    custody: {
+      type: [CustodyEventSchema],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+BarSchema.index({ refiner: 1, serialNumber: 1 }, { unique: true });
+BarSchema.index({ "custody.documentId": 1 });
+
+const Bar = mongoose.models.Bar || mongoose.model("Bar", BarSchema);
+
+export default Bar;
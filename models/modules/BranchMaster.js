@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { COSTING_METHODS } from "./CostLayer.js";
 
 const BranchSchema = new mongoose.Schema(
   {
@@ -131,6 +132,18 @@ const BranchSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Net unhedged pure grams a hedged branch may carry before it is flagged
+    hedgeThreshold: {
+      type: Number,
+      default: 0,
+      min: [0, "Hedge threshold cannot be negative"],
+    },
+    // How stock of this branch is costed when it is issued
+    costingMethod: {
+      type: String,
+      enum: COSTING_METHODS,
+      default: "weightedAverage",
+    },
 
     enableMobileApp: {
       type: Boolean,
@@ -19,6 +19,12 @@ const ClassificationSchema = new mongoose.Schema(
       unique: true,
       maxlength: [50, "Name cannot exceed 50 characters"],
     },
+    // Deal strategy premium quoted to parties of this classification
+    premiumBasis: {
+      type: String,
+      enum: ["lbma", "uaegd", "local"],
+      default: "local",
+    },
     status: {
       type: Boolean,
       default: true,
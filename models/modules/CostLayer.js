@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+export const COSTING_METHODS = ["weightedAverage", "fifo"];
+
+// Pure metal taken into stock by one inventory movement, at its base-currency
+// cost. Issues draw the layer down; rows are rebuilt per stock code by
+// InventoryCostingService.
+const CostLayerSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BranchMaster",
+      default: null,
+    },
+    method: {
+      type: String,
+      enum: COSTING_METHODS,
+      required: true,
+    },
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CostMovement",
+      required: true,
+    },
+    inventoryLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      required: true,
+    },
+    voucherCode: { type: String, default: "" },
+    transactionType: { type: String, default: null },
+    date: { type: Date, required: true },
+    grossWeight: { type: Number, default: 0 },
+    pureWeight: { type: Number, required: true },
+    // Pure weight still on hand after every issue
+    remaining: { type: Number, default: 0 },
+    // Base currency, for the whole layer
+    metalCost: { type: Number, default: 0 },
+    makingCost: { type: Number, default: 0 },
+    premiumCost: { type: Number, default: 0 },
+    totalCost: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CostLayerSchema.index({ stockCode: 1, date: 1 });
+CostLayerSchema.index({ branch: 1, remaining: 1 });
+
+const CostLayer = mongoose.models.CostLayer || mongoose.model("CostLayer", CostLayerSchema);
+export default CostLayer;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import { COSTING_METHODS } from "./CostLayer.js";
+
+const CostValuesSchema = {
+  pureWeight: { type: Number, default: 0 },
+  metalCost: { type: Number, default: 0 },
+  makingCost: { type: Number, default: 0 },
+  premiumCost: { type: Number, default: 0 },
+  totalCost: { type: Number, default: 0 },
+};
+
+// Pure weight an issue took from one layer, at that layer's cost
+const LayerDrawSchema = new mongoose.Schema(
+  {
+    layer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CostLayer",
+      required: true,
+    },
+    ...CostValuesSchema,
+  },
+  { _id: false }
+);
+
+// One inventory log costed in stock-code order: a receipt opens a layer, an
+// issue draws layers down under the branch's costing method. `balance` is the
+// stock code's valuation right after the movement.
+const CostMovementSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BranchMaster",
+      default: null,
+    },
+    method: {
+      type: String,
+      enum: COSTING_METHODS,
+      required: true,
+    },
+    // Position in the stock code's costing order
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    inventoryLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      required: true,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+    voucherCode: { type: String, default: "" },
+    voucherType: { type: String, default: "" },
+    transactionType: { type: String, default: null },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    date: { type: Date, required: true },
+    direction: {
+      type: String,
+      enum: ["in", "out"],
+      required: true,
+    },
+    grossWeight: { type: Number, default: 0 },
+    ...CostValuesSchema,
+    layers: {
+      type: [LayerDrawSchema],
+      default: [],
+    },
+    // Issued weight no layer covered, costed at the last unit cost
+    shortfall: { type: Number, default: 0 },
+    balance: CostValuesSchema,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CostMovementSchema.index({ stockCode: 1, date: -1, sequence: -1 });
+CostMovementSchema.index({ voucherCode: 1 });
+CostMovementSchema.index({ transactionType: 1, date: -1 });
+
+const CostMovement =
+  mongoose.models.CostMovement || mongoose.model("CostMovement", CostMovementSchema);
+export default CostMovement;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+const CreditBreachViolationSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    message: { type: String, required: true },
+    limit: { type: Number, default: 0 },
+    projected: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// A posting allowed through over a Flexible credit limit. Fixed-limit
+// breaches need an override and are logged on the CreditOverride instead.
+const CreditLimitBreachSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+      index: true,
+    },
+    limitType: {
+      type: String,
+      default: "Flexible",
+    },
+    // Currency the cash limit and figures are held in
+    currency: {
+      type: String,
+      default: "AED",
+    },
+    documentModel: {
+      type: String,
+      default: null,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    violations: {
+      type: [CreditBreachViolationSchema],
+      default: [],
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CreditLimitBreachSchema.index({ createdAt: -1 });
+
+const CreditLimitBreach =
+  mongoose.models.CreditLimitBreach || mongoose.model("CreditLimitBreach", CreditLimitBreachSchema);
+export default CreditLimitBreach;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// A limit a posting was allowed to exceed under an override
+const CreditViolationSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    message: { type: String, required: true },
+    limit: { type: Number, default: 0 },
+    projected: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Single-use token a supervisor issues so one posting can exceed a party's
+// credit limits. Once used it records the posting and the limits it broke,
+// which makes the collection the override log.
+const CreditOverrideSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "Override reason is required"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["issued", "used", "revoked"],
+      default: "issued",
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    documentModel: {
+      type: String,
+      default: null,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    violations: {
+      type: [CreditViolationSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const CreditOverride = mongoose.model("CreditOverride", CreditOverrideSchema);
+export default CreditOverride;
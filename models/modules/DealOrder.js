@@ -180,6 +180,15 @@ const StockItemSchema = new mongoose.Schema(
       type: String,
       default: "Pending",
     },
+    // Weight posted so far by metal transactions delivering this line
+    deliveredGrossWeight: {
+      type: Number,
+      default: 0,
+    },
+    deliveredPureWeight: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     _id: true,
@@ -384,6 +393,11 @@ const DealOrderSchema = new mongoose.Schema(
       type: [StockItemSchema],
       default: [],
     },
+    // Sum of the lines' delivered pure weight
+    deliveredPureWeight: {
+      type: Number,
+      default: 0,
+    },
     otherCharges: {
       type: [OtherChargesSchema],
       default: [],
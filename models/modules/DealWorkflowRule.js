@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import DealOrder from "./DealOrder.js";
+
+// One allowed move of a deal order between progress stages and who may make
+// it. Thresholds scope a rule to larger deals: every rule whose thresholds a
+// deal meets must allow the admin, so a "5kg and above needs a manager" rule
+// sits alongside the unrestricted rule for the same move.
+const DealWorkflowRuleSchema = new mongoose.Schema(
+  {
+    fromStage: {
+      type: String,
+      enum: DealOrder.progressStages,
+      required: [true, "From stage is required"],
+    },
+    toStage: {
+      type: String,
+      enum: DealOrder.progressStages,
+      required: [true, "To stage is required"],
+    },
+    // null applies to both purchase and sales orders
+    orderType: {
+      type: String,
+      enum: ["PURCHASE", "SALES", null],
+      default: null,
+    },
+    // Admin types and designations allowed to make the move; both empty
+    // allows anyone
+    allowedTypes: {
+      type: [String],
+      default: [],
+    },
+    allowedDesignations: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Designation" }],
+      default: [],
+    },
+    // Total pure weight of the deal's lines, in grams
+    minPureWeight: {
+      type: Number,
+      default: null,
+      min: [0, "Minimum pure weight cannot be negative"],
+    },
+    // totalSummary.totalAmount of the deal
+    minAmount: {
+      type: Number,
+      default: null,
+      min: [0, "Minimum amount cannot be negative"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      default: null,
+    },
+    status: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DealWorkflowRuleSchema.index({ status: 1, fromStage: 1, toStage: 1 });
+
+const DealWorkflowRule = mongoose.model("DealWorkflowRule", DealWorkflowRuleSchema);
+export default DealWorkflowRule;
@@ -42,6 +42,61 @@ const AttachmentSchema = new mongoose.Schema(
   { _id: true, timestamps: false }
 );
 
+// One debit or credit line of a journal voucher. Cash amounts are in the
+// line currency; gold amounts are pure grams.
+export const JournalLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Account is required for journal lines"],
+    },
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      default: null,
+    },
+    currencyRate: {
+      type: Number,
+      default: 1,
+      min: [0, "Currency rate must be positive"],
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: [0, "Debit must be positive"],
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: [0, "Credit must be positive"],
+    },
+    goldDebit: {
+      type: Number,
+      default: 0,
+      min: [0, "Gold debit must be positive"],
+    },
+    goldCredit: {
+      type: Number,
+      default: 0,
+      min: [0, "Gold credit must be positive"],
+    },
+    costCenter: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  { _id: true }
+);
+
 const entrySchema = new mongoose.Schema(
   {
     type: {
@@ -53,6 +108,7 @@ const entrySchema = new mongoose.Schema(
         "cash-receipt",
         "cash-payment",
         "currency-receipt",
+        "journal-voucher",
       ],
     },
     voucherId: {
@@ -157,6 +213,21 @@ const entrySchema = new mongoose.Schema(
           maxlength: [500, "Remarks cannot exceed 500 characters"],
           default: "",
         },
+        // Serials of a lot-enabled commodity (see Bar)
+        bars: {
+          type: [
+            {
+              bar: { type: mongoose.Schema.Types.ObjectId, ref: "Bar", default: null },
+              serialNumber: { type: String, trim: true, uppercase: true },
+              refiner: { type: String, trim: true, uppercase: true, default: "" },
+              grossWeight: { type: Number, default: null },
+              fineness: { type: Number, default: null },
+              assayCertificate: { type: mongoose.Schema.Types.ObjectId, ref: "Drafting", default: null },
+              _id: false,
+            },
+          ],
+          default: [],
+        },
       },
     ],
     cash: [
@@ -289,11 +360,35 @@ const entrySchema = new mongoose.Schema(
         },
       },
     ],
+    journalLines: {
+      type: [JournalLineSchema],
+      default: undefined,
+    },
+    // Recurring template a journal voucher was generated from
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalTemplate",
+      default: null,
+    },
     status: {
       type: String,
       enum: ["draft", "submitted", "approved", "cancelled"],
       default: "approved",
     },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
     // Attachments array
     attachments: {
       type: [AttachmentSchema],
@@ -324,6 +419,14 @@ entrySchema.pre("save", function (next) {
     }
     // Clear stockItems array for cash entries
     this.stockItems = undefined;
+  } else if (this.type === "journal-voucher") {
+    if ((this.journalLines?.length || 0) < 2) {
+      return next(
+        new Error("A journal voucher needs at least one debit and one credit line")
+      );
+    }
+    this.stockItems = undefined;
+    this.cash = undefined;
   }
 
   // Calculate totals for metal entries
@@ -362,8 +465,17 @@ entrySchema.pre("save", function (next) {
     this.totalOzWeight = 0;
   }
 
-  // Calculate total amount for cash entries
-  if (this.cash?.length) {
+  // Journal vouchers total their debit side, cash in base currency
+  if (this.type === "journal-voucher") {
+    this.totalAmount = this.journalLines.reduce(
+      (sum, line) => sum + (line.debit || 0) * (line.currencyRate || 1),
+      0
+    );
+    this.totalPurityWeight = this.journalLines.reduce(
+      (sum, line) => sum + (line.goldDebit || 0),
+      0
+    );
+  } else if (this.cash?.length) {
     this.totalAmount = this.cash.reduce(
       (sum, cashItem) => sum + (cashItem.amount || 0),
       0
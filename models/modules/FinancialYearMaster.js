@@ -40,6 +40,24 @@ const FinancialYearSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    isClosed: {
+      type: Boolean,
+      default: false,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    carriedForwardTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FinancialYear",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// Links one fixing order to a stock line of an unfixed purchase or sale it
+// settles. A fixing order can be spread over several lines and a line can be
+// settled by several fixings; reversed allocations are kept for the audit
+// trail and no longer count towards the line's fixed weight.
+const FixingAllocationSchema = new mongoose.Schema(
+  {
+    fixing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransactionFixing",
+      required: true,
+      index: true,
+    },
+    // _id of the order inside TransactionFixing.orders
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+      index: true,
+    },
+    side: {
+      type: String,
+      enum: ["purchase", "sale"],
+      required: true,
+    },
+    metalTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      required: true,
+      index: true,
+    },
+    // _id of the line inside MetalTransaction.stockItems
+    stockItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    voucherNumber: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    fixingVoucherNumber: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pureWeight: {
+      type: Number,
+      required: true,
+      min: [0, "Allocated weight cannot be negative"],
+    },
+    // Fixing price per pure gram
+    ratePerGram: {
+      type: Number,
+      default: 0,
+    },
+    method: {
+      type: String,
+      enum: ["fifo", "manual"],
+      default: "fifo",
+    },
+    status: {
+      type: String,
+      enum: ["active", "reversed"],
+      default: "active",
+      index: true,
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+FixingAllocationSchema.index({ stockItem: 1, status: 1 });
+
+const FixingAllocation = mongoose.model("FixingAllocation", FixingAllocationSchema);
+export default FixingAllocation;
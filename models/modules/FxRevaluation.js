@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+
+// One party's balance in one foreign currency, revalued at the snapshot rate
+const FxRevaluationLineSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      required: true,
+    },
+    currencyCode: {
+      type: String,
+      required: true,
+    },
+    // Party balance in the foreign currency; positive means we owe the party
+    foreignBalance: {
+      type: Number,
+      default: 0,
+    },
+    // Base currency value the balance was booked at
+    carryingAmount: {
+      type: Number,
+      default: 0,
+    },
+    bookRate: {
+      type: Number,
+      default: 0,
+    },
+    rate: {
+      type: Number,
+      required: true,
+    },
+    revaluedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Positive is a gain, negative a loss
+    gainLoss: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Month-end revaluation of foreign-currency party balances. The Registry rows
+// it posts are reversed on reversalDate, the first day of the next period.
+const FxRevaluationSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    revaluationDate: {
+      type: Date,
+      required: [true, "Revaluation date is required"],
+      index: true,
+    },
+    reversalDate: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["posted", "reversed", "cancelled"],
+      default: "posted",
+      index: true,
+    },
+    rates: [
+      {
+        _id: false,
+        currency: { type: mongoose.Schema.Types.ObjectId, ref: "CurrencyMaster" },
+        currencyCode: { type: String },
+        rate: { type: Number },
+      },
+    ],
+    lines: [FxRevaluationLineSchema],
+    gainLossAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    totalGain: {
+      type: Number,
+      default: 0,
+    },
+    totalLoss: {
+      type: Number,
+      default: 0,
+    },
+    netGainLoss: {
+      type: Number,
+      default: 0,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const FxRevaluation = mongoose.model("FxRevaluation", FxRevaluationSchema);
+export default FxRevaluation;
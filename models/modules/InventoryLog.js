@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Location of logs that name no vault
+export const DEFAULT_LOCATION = "MAIN";
+
 const inventoryLogSchema = new mongoose.Schema(
   {
     code: {
@@ -128,6 +131,15 @@ const inventoryLogSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    isReversal: {
+      type: Boolean,
+      default: false,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
     isDraft: {
       type: Boolean,
       default: false,
@@ -138,12 +150,43 @@ const inventoryLogSchema = new mongoose.Schema(
       ref: "Drafting",
       default: null,
     },
+    // Where the movement happened; logs without a branch sit at the stock's
+    // own branch
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BranchMaster",
+      default: null,
+    },
+    location: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    // Dispatched towards branch/location and not yet received
+    inTransit: {
+      type: Boolean,
+      default: false,
+    },
+    stockTransfer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockTransfer",
+      default: null,
+      index: true,
+    },
+    // Moves stock between locations without changing the stock code's balance
+    isLocationTransfer: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields automatically
   }
 );
 
+inventoryLogSchema.index({ stockCode: 1, branch: 1, location: 1 });
+
 const InventoryLog = mongoose.model("InventoryLog", inventoryLogSchema);
 
 export default InventoryLog;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// One execution of a scheduled job
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledJob",
+      required: true,
+    },
+    jobName: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "retry", "manual"],
+      default: "schedule",
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    instanceId: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: () => new Date(),
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.model("JobRun", JobRunSchema);
+export default JobRun;
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import { JournalLineSchema } from "./EntryModel.js";
+
+export const TEMPLATE_FREQUENCIES = ["monthly", "quarterly", "yearly"];
+
+// Recurring journal voucher, such as monthly rent. Each run posts a journal
+// voucher dated on nextRunDate and moves nextRunDate on by the frequency.
+const JournalTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    journalLines: {
+      type: [JournalLineSchema],
+      validate: {
+        validator: (lines) => lines && lines.length >= 2,
+        message: "A template needs at least one debit and one credit line",
+      },
+    },
+    frequency: {
+      type: String,
+      enum: TEMPLATE_FREQUENCIES,
+      default: "monthly",
+    },
+    nextRunDate: {
+      type: Date,
+      required: [true, "Next run date is required"],
+      index: true,
+    },
+    // Day of the month runs fall on; shorter months use their last day
+    runDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // Post generated vouchers straight away, or leave them as drafts
+    autoPost: {
+      type: Boolean,
+      default: true,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Entry",
+      default: null,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const JournalTemplate = mongoose.model("JournalTemplate", JournalTemplateSchema);
+export default JournalTemplate;
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+
+export const LIMIT_ORDER_STATUSES = ["working", "triggered", "filled", "expired", "cancelled", "rejected"];
+
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: LIMIT_ORDER_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    note: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Standing instruction to fix a party's unfixed gold once the market
+// reaches a price. Executed by LimitOrderService as price ticks arrive.
+const LimitOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Party is required"],
+      index: true,
+    },
+    // Fixing to create: PURCHASE fixes the party's unfixed purchases (they
+    // sell us the price, filled on our bid), SALE their unfixed sales
+    // (filled on our ask)
+    type: {
+      type: String,
+      enum: ["PURCHASE", "SALE"],
+      required: [true, "Type is required"],
+    },
+    // limit: fill at the trigger or better; stop: fill once the market
+    // moves through the trigger the other way
+    orderType: {
+      type: String,
+      enum: ["limit", "stop"],
+      default: "limit",
+    },
+    symbol: {
+      type: String,
+      default: "XAU",
+      uppercase: true,
+      trim: true,
+    },
+    // Feed quote units (USD per troy ounce for gold)
+    triggerPrice: {
+      type: Number,
+      required: [true, "Trigger price is required"],
+      min: [0, "Trigger price cannot be negative"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0, "Quantity cannot be negative"],
+    },
+    unit: {
+      type: String,
+      enum: ["g", "oz"],
+      default: "g",
+    },
+    pureWeight: {
+      type: Number,
+      required: true,
+    },
+    commodity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Commodity",
+      required: [true, "Commodity is required"],
+    },
+    metalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalRateMaster",
+      required: true,
+    },
+    // Good till cancelled when empty
+    goodTill: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: LIMIT_ORDER_STATUSES,
+      default: "working",
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ["admin", "portal"],
+      default: "admin",
+    },
+    fill: {
+      price: { type: Number, default: null },
+      bid: { type: Number, default: null },
+      ask: { type: Number, default: null },
+      at: { type: Date, default: null },
+      fixing: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TransactionFixing",
+        default: null,
+      },
+      voucherNumber: { type: String, default: null },
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    // Supervisor override the fill uses when it breaks a Fixed credit limit
+    creditOverrideToken: {
+      type: String,
+      trim: true,
+      default: null,
+      select: false,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    history: {
+      type: [StatusHistorySchema],
+      default: [],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LimitOrderSchema.index({ status: 1, symbol: 1, type: 1, triggerPrice: 1 });
+LimitOrderSchema.index({ status: 1, goodTill: 1 });
+
+const LimitOrder = mongoose.model("LimitOrder", LimitOrderSchema);
+export default LimitOrder;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Per-party, per-side counter bumped by every limit order placement. Two
+// placements for the same party and side write the same document, so one of
+// them conflicts and retries against the weight the other committed.
+const LimitOrderLockSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["PURCHASE", "SALE"],
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LimitOrderLockSchema.index({ party: 1, type: 1 }, { unique: true });
+
+const LimitOrderLock =
+  mongoose.models.LimitOrderLock || mongoose.model("LimitOrderLock", LimitOrderLockSchema);
+export default LimitOrderLock;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+export const MARGIN_LEVELS = ["margin_call", "stop_out"];
+
+// Point-in-time figures behind a margin call or a change in its level
+const MarginSnapshotSchema = new mongoose.Schema(
+  {
+    level: {
+      type: String,
+      enum: [...MARGIN_LEVELS, "healthy"],
+      required: true,
+    },
+    equity: { type: Number, default: 0 },
+    requiredMargin: { type: Number, default: 0 },
+    marginLevel: { type: Number, default: null },
+    unfixedGold: { type: Number, default: 0 },
+    ratePerGram: { type: Number, default: 0 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A party's margin falling below the call or stop-out level. The call stays
+// open while the party is under margin and is resolved once equity recovers.
+const MarginCallSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+      index: true,
+    },
+    level: {
+      type: String,
+      enum: MARGIN_LEVELS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+      index: true,
+    },
+    marginPercent: {
+      type: Number,
+      default: 0,
+    },
+    triggered: {
+      type: MarginSnapshotSchema,
+      required: true,
+    },
+    // Every level change while the call was open, ending with the recovery
+    history: {
+      type: [MarginSnapshotSchema],
+      default: [],
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MarginCallSchema.index({ party: 1, status: 1 });
+
+const MarginCall = mongoose.model("MarginCall", MarginCallSchema);
+export default MarginCall;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+export const POSITION_COMPONENTS = ["physical", "unfixedPurchases", "unfixedSales", "hedges", "fixings"];
+
+// Live open position in pure grams for one metal and karat, split by party.
+// House stock has no party. Kept up to date by MetalPositionService as
+// vouchers post, so reports read it instead of re-aggregating vouchers.
+// Physical stock is read from the stock logs when reporting, since entries,
+// adjustments and counts move it too; physical here stays at zero once the
+// positions are rebuilt.
+// net = physical + unfixedPurchases - unfixedSales + hedges + fixings
+const MetalPositionSchema = new mongoose.Schema(
+  {
+    division: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DivisionMaster",
+      default: null,
+    },
+    karat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "KaratMaster",
+      default: null,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    physical: {
+      type: Number,
+      default: 0,
+    },
+    unfixedPurchases: {
+      type: Number,
+      default: 0,
+    },
+    unfixedSales: {
+      type: Number,
+      default: 0,
+    },
+    hedges: {
+      type: Number,
+      default: 0,
+    },
+    fixings: {
+      type: Number,
+      default: 0,
+    },
+    net: {
+      type: Number,
+      default: 0,
+    },
+    lastMovementAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MetalPositionSchema.index({ division: 1, karat: 1, party: 1 }, { unique: true });
+MetalPositionSchema.index({ party: 1 });
+
+const MetalPosition = mongoose.model("MetalPosition", MetalPositionSchema);
+export default MetalPosition;
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import { POSITION_COMPONENTS } from "./MetalPosition.js";
+
+// One change to a MetalPosition bucket. Movements are append-only: edits and
+// voids post the difference, so the log doubles as intraday position history.
+const MetalPositionMovementSchema = new mongoose.Schema(
+  {
+    // Document whose postings the movement belongs to. Hedge fixings raised by
+    // a metal transaction are scoped to that transaction.
+    scope: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    scopeModel: {
+      type: String,
+      enum: ["MetalTransaction", "TransactionFixing"],
+      required: true,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    division: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DivisionMaster",
+      default: null,
+    },
+    karat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "KaratMaster",
+      default: null,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    component: {
+      type: String,
+      enum: POSITION_COMPONENTS,
+      required: true,
+    },
+    // Change to the component and the resulting change to net
+    pureWeight: {
+      type: Number,
+      required: true,
+    },
+    netChange: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MetalPositionMovementSchema.index({ scope: 1 });
+MetalPositionMovementSchema.index({ division: 1, karat: 1, createdAt: 1 });
+
+const MetalPositionMovement = mongoose.model("MetalPositionMovement", MetalPositionMovementSchema);
+export default MetalPositionMovement;
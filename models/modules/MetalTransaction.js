@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+// Vouchers in these states have posted to the ledger, stock and balances;
+// drafts stay off them until they are confirmed
+export const POSTED_TRANSACTION_STATUSES = ["confirmed", "completed"];
+
 // ====================== ATTACHMENT SUB-SCHEMA ======================
 const AttachmentSchema = new mongoose.Schema(
   {
@@ -264,6 +268,32 @@ const StockItemSchema = new mongoose.Schema(
       type: String,
       default: "Approved",
     },
+    // Pure weight settled by fixings (see FixingAllocation)
+    fixedPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    // _id of the DealOrder line this line delivers, when posted against a deal
+    dealOrderLine: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Serials of a lot-enabled commodity: captured on the way in, selected
+    // by bar or serial on the way out (see Bar)
+    bars: {
+      type: [
+        {
+          bar: { type: mongoose.Schema.Types.ObjectId, ref: "Bar", default: null },
+          serialNumber: { type: String, trim: true, uppercase: true },
+          refiner: { type: String, trim: true, uppercase: true, default: "" },
+          grossWeight: { type: Number, default: null },
+          fineness: { type: Number, default: null },
+          assayCertificate: { type: mongoose.Schema.Types.ObjectId, ref: "Drafting", default: null },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
   },
   {
     _id: true, // Each stock item will have its own _id
@@ -512,8 +542,6 @@ const MetalTransactionSchema = new mongoose.Schema(
       type: String,
       trim: true,
       maxlength: [50, "Voucher number cannot exceed 50 characters"],
-      index: true,
-      // Allow null values but enforce uniqueness when present
     },
     hedgeVoucherNumber: {
       type: String,
@@ -628,6 +656,21 @@ const MetalTransactionSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Fixing progress of unfixed purchases and sales, kept up to date on save
+    fixedPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    unfixedPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    isFixed: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
     // MULTIPLE STOCK ITEMS
     stockItems: {
       type: [StockItemSchema],
@@ -697,11 +740,68 @@ const MetalTransactionSchema = new mongoose.Schema(
       default: true,
       index: true,
     },
+    // Set when a posted voucher is voided. Its postings stay and are offset
+    // by reversal entries dated on the void date.
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Void reason cannot exceed 500 characters"],
+      default: null,
+    },
+    voidDate: {
+      type: Date,
+      default: null,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    // Links a voided voucher and the one reissued in its place
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      default: null,
+    },
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      default: null,
+    },
     notes: {
       type: String,
       trim: true,
       maxlength: [1000, "Notes cannot exceed 1000 characters"],
     },
+    // Lines whose rate falls outside the quoted margin band when posted
+    pricingReview: {
+      isFlagged: {
+        type: Boolean,
+        default: false,
+      },
+      checkedAt: {
+        type: Date,
+        default: null,
+      },
+      lines: {
+        type: [
+          {
+            stockItem: { type: mongoose.Schema.Types.ObjectId },
+            stockCode: { type: mongoose.Schema.Types.ObjectId, ref: "MetalStock" },
+            proposedRate: { type: Number },
+            postedRate: { type: Number },
+            minRate: { type: Number },
+            maxRate: { type: Number },
+            deviation: { type: Number },
+          },
+        ],
+        default: [],
+      },
+    },
     salesman: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Salesman",
@@ -737,12 +837,51 @@ MetalTransactionSchema.index({
   partyCode: 1,
   voucherDate: -1,
 });
+// Allow null values but enforce uniqueness when present
+MetalTransactionSchema.index(
+  { voucherNumber: 1 },
+  { unique: true, partialFilterExpression: { voucherNumber: { $type: "string" } } }
+);
 MetalTransactionSchema.index({ transactionType: 1, status: 1, isActive: 1 });
 MetalTransactionSchema.index({ transactionType: 1, createdAt: -1 });
 MetalTransactionSchema.index({ "stockItems.stockCode": 1, transactionType: 1 });
 MetalTransactionSchema.index({ voucherDate: -1, isActive: 1 });
 MetalTransactionSchema.index({ partyCode: 1, isActive: 1, status: 1 });
 MetalTransactionSchema.index({ division: 1, isActive: 1 });
+MetalTransactionSchema.index({ partyCode: 1, isFixed: 1, voucherDate: 1 });
+MetalTransactionSchema.index({ "pricingReview.isFlagged": 1, voucherDate: -1 });
+
+// Unfixed purchases and sales stay open until fixings settle their pure weight
+export const UNFIXED_LOT_TYPES = {
+  purchase: ["purchase", "importPurchase"],
+  sale: ["sale", "exportSale"],
+};
+
+MetalTransactionSchema.methods.isUnfixedLot = function () {
+  return (
+    !this.fixed &&
+    Object.values(UNFIXED_LOT_TYPES).some((types) => types.includes(this.transactionType))
+  );
+};
+
+MetalTransactionSchema.methods.refreshFixingProgress = function () {
+  const lines = this.stockItems || [];
+  const pure = lines.reduce((sum, item) => sum + (item.pureWeight || 0), 0);
+  const fixed = lines.reduce(
+    (sum, item) => sum + Math.min(item.fixedPureWeight || 0, item.pureWeight || 0),
+    0
+  );
+
+  this.fixedPureWeight = Number(fixed.toFixed(4));
+  this.unfixedPureWeight = this.isUnfixedLot() ? Number(Math.max(0, pure - fixed).toFixed(4)) : 0;
+  this.isFixed = this.unfixedPureWeight < 0.0001;
+  return this;
+};
+
+MetalTransactionSchema.pre("save", function (next) {
+  this.refreshFixingProgress();
+  next();
+});
 
 // Virtual for formatted voucher date
 MetalTransactionSchema.virtual("formattedVoucherDate").get(function () {
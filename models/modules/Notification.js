@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Message for a portal user (Account) or an admin, e.g. a limit order
+// filling. Recipients read them from their own notifications endpoint.
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipientModel: {
+      type: String,
+      enum: ["Account", "Admin"],
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "recipientModel",
+      required: true,
+    },
+    // e.g. limit_order.filled
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    documentModel: {
+      type: String,
+      default: null,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ recipientModel: 1, recipient: 1, readAt: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+export default Notification;
@@ -109,6 +109,9 @@ openingBalanceSchema.pre("validate", function (next) {
   next();
 });
 
+// Voucher type of the opening balances a year-end close posts
+export const CARRY_FORWARD_VOUCHER_TYPE = "YEAR_END_CARRY_FORWARD";
+
 const OpeningBalance = mongoose.model(
   "OpeningBalance",
   openingBalanceSchema
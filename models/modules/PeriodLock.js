@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// A month or a whole financial year closed for posting. Write routes for
+// vouchers dated inside a locked period are refused unless a super admin
+// overrides the lock, which is recorded in PeriodLockOverride.
+const PeriodLockSchema = new mongoose.Schema(
+  {
+    periodType: {
+      type: String,
+      enum: ["month", "year"],
+      required: [true, "Period type is required"],
+    },
+    financialYear: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FinancialYear",
+      default: null,
+    },
+    label: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      required: [true, "Period label is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    isLocked: {
+      type: Boolean,
+      default: true,
+    },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    unlockedAt: {
+      type: Date,
+      default: null,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PeriodLockSchema.index({ periodType: 1, startDate: 1 }, { unique: true });
+PeriodLockSchema.index({ isLocked: 1, startDate: 1, endDate: 1 });
+
+const PeriodLock = mongoose.model("PeriodLock", PeriodLockSchema);
+export default PeriodLock;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Audit record for every write a super admin pushed through a locked period
+const PeriodLockOverrideSchema = new mongoose.Schema(
+  {
+    periodLock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PeriodLock",
+      required: [true, "Period lock is required"],
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: [true, "Admin is required"],
+    },
+    action: {
+      type: String,
+      trim: true,
+      required: [true, "Action is required"],
+    },
+    documentModel: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    transactionDate: {
+      type: Date,
+      required: [true, "Transaction date is required"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: [true, "Override reason is required"],
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PeriodLockOverrideSchema.index({ periodLock: 1, createdAt: -1 });
+PeriodLockOverrideSchema.index({ documentModel: 1, documentId: 1 });
+
+const PeriodLockOverride = mongoose.model("PeriodLockOverride", PeriodLockOverrideSchema);
+export default PeriodLockOverride;
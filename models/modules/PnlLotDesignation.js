@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const LotRefSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ["MetalTransaction", "TransactionFixing"],
+      required: true,
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Specific identification: the purchase lot a sale lot is to be matched
+// against, and how much of it. Used by the "specific" P&L method; weight not
+// designated falls back to FIFO.
+const PnlLotDesignationSchema = new mongoose.Schema(
+  {
+    sell: {
+      type: LotRefSchema,
+      required: true,
+    },
+    buy: {
+      type: LotRefSchema,
+      required: true,
+    },
+    pureWeight: {
+      type: Number,
+      required: true,
+      min: [0, "Designated weight cannot be negative"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PnlLotDesignationSchema.index({ "sell.document": 1, "sell.line": 1 });
+
+const PnlLotDesignation = mongoose.model("PnlLotDesignation", PnlLotDesignationSchema);
+export default PnlLotDesignation;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+export const POSTING_TRANSACTION_TYPES = [
+  "purchase",
+  "sale",
+  "purchaseReturn",
+  "saleReturn",
+  "exportSale",
+  "importPurchase",
+  "exportSaleReturn",
+  "importPurchaseReturn",
+  "hedgeMetalPayment",
+  "hedgeMetalReceipt",
+];
+
+export const POSTING_COMPONENTS = [
+  "gold",
+  "making",
+  "premiumDiscount",
+  "vat",
+  "otherCharges",
+  "purityDifference",
+  "fx",
+];
+
+// Maps the company side of one transaction type and component to a GL
+// account and, optionally, a different Registry type. Rules without a branch
+// apply to every branch that has no rule of its own.
+const PostingRuleSchema = new mongoose.Schema(
+  {
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    transactionType: {
+      type: String,
+      enum: POSTING_TRANSACTION_TYPES,
+      required: [true, "Transaction type is required"],
+    },
+    component: {
+      type: String,
+      enum: POSTING_COMPONENTS,
+      required: [true, "Component is required"],
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Account is required"],
+    },
+    registryType: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      default: null,
+    },
+    status: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PostingRuleSchema.index({ branch: 1, transactionType: 1, component: 1 }, { unique: true });
+
+const PostingRule = mongoose.model("PostingRule", PostingRuleSchema);
+export default PostingRule;
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// One price received from the live feed. Gold (XAU) is quoted in USD per
+// troy ounce; FX symbols are CurrencyMaster codes quoted like conversionRate.
+const PriceTickSchema = new mongoose.Schema(
+  {
+    symbol: {
+      type: String,
+      required: [true, "Symbol is required"],
+      trim: true,
+      uppercase: true,
+    },
+    kind: {
+      type: String,
+      enum: ["metal", "fx"],
+      required: true,
+    },
+    bid: {
+      type: Number,
+      required: true,
+      min: [0, "Bid cannot be negative"],
+    },
+    ask: {
+      type: Number,
+      required: true,
+      min: [0, "Ask cannot be negative"],
+    },
+    mid: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: () => new Date(),
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Ticks are kept long enough to review backdated vouchers against, then
+// expire; PRICE_TICK_RETENTION_DAYS overrides the default of 90 days
+const RETENTION_DAYS = Number(process.env.PRICE_TICK_RETENTION_DAYS) || 90;
+
+PriceTickSchema.index({ symbol: 1, receivedAt: -1 });
+PriceTickSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const PriceTick = mongoose.model("PriceTick", PriceTickSchema);
+export default PriceTick;
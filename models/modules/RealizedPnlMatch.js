@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+export const PNL_METHODS = ["fifo", "average", "specific"];
+
+// One side of a match: a fixed stock line of a metal transaction or an
+// order of a fixing
+const PnlLotSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ["MetalTransaction", "TransactionFixing"],
+      required: true,
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // stockItems._id or orders._id
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    voucherNumber: { type: String, default: null },
+    transactionType: { type: String, default: null },
+    date: { type: Date, required: true },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // Base currency per pure gram
+    ratePerGram: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Pure weight bought on one lot and sold on another, with the gain it
+// realized. Rows are rebuilt per matching method by RealizedPnlService.
+const RealizedPnlMatchSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: PNL_METHODS,
+      required: true,
+      index: true,
+    },
+    // The later of the two lots realizes the gain and carries the reporting
+    // dimensions: a sale closing a long, or a purchase closing a short
+    closingSide: {
+      type: String,
+      enum: ["buy", "sell"],
+      required: true,
+    },
+    realizedAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    salesman: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salesman",
+      default: null,
+    },
+    division: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DivisionMaster",
+      default: null,
+    },
+    commodity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Commodity",
+      default: null,
+    },
+    buy: {
+      type: PnlLotSchema,
+      required: true,
+    },
+    sell: {
+      type: PnlLotSchema,
+      required: true,
+    },
+    pureWeight: {
+      type: Number,
+      required: true,
+    },
+    ounces: {
+      type: Number,
+      default: 0,
+    },
+    // Gains in base currency
+    goldGain: { type: Number, default: 0 },
+    makingGain: { type: Number, default: 0 },
+    premiumGain: { type: Number, default: 0 },
+    fxGain: { type: Number, default: 0 },
+    totalGain: { type: Number, default: 0 },
+    goldGainPerOunce: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RealizedPnlMatchSchema.index({ method: 1, realizedAt: 1 });
+RealizedPnlMatchSchema.index({ method: 1, "sell.document": 1 });
+RealizedPnlMatchSchema.index({ method: 1, "buy.document": 1 });
+
+const RealizedPnlMatch = mongoose.model("RealizedPnlMatch", RealizedPnlMatchSchema);
+export default RealizedPnlMatch;
@@ -37,6 +37,14 @@ const RegistrySchema = new mongoose.Schema(
     TransferTransactionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "FundTransfer",
+    },
+    fxRevaluationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FxRevaluation",
+    },
+    costMovementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CostMovement",
     },
      assetType: {
       type: String,
@@ -46,6 +54,12 @@ const RegistrySchema = new mongoose.Schema(
       type: Number,
       default: 1,
     },
+    // Currency master of entry cash rows, whose amounts are held in that currency
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      default: null,
+    },
     costCenter: {
       type: String,
       ref: "CostCenterMaster",
@@ -68,6 +82,17 @@ const RegistrySchema = new mongoose.Schema(
       ref: "Account",
       default: null,
     },
+    // GL account a posting rule assigned to the company side of a voucher
+    ledgerAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    postingRule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PostingRule",
+      default: null,
+    },
     isBullion: {
       type: Boolean,
       default: null,
@@ -166,6 +191,16 @@ const RegistrySchema = new mongoose.Schema(
       ref: "Drafting",
       default: null,
     },
+    // Mirror rows posted when a voucher is voided. The original row stays.
+    isReversal: {
+      type: Boolean,
+      default: false,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registry",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -321,5 +356,12 @@ RegistrySchema.statics.getTransactionsByType = async function (
     .populate("createdBy", "name email");
 };
 
+// Rows that make up a running balance: live and posted. Year-end carry
+// forwards are never posted here, so nothing is counted twice.
+export const BALANCE_ROW_FILTER = Object.freeze({
+  isActive: { $ne: false },
+  isDraft: { $ne: true },
+});
+
 const Registry = mongoose.model("Registry", RegistrySchema);
 export default Registry;
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+// A recurring background job. The handler key names code registered with
+// JobSchedulerService; everything else here can be changed by admins.
+const ScheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Job name is required"],
+      trim: true,
+      unique: true,
+    },
+    handler: {
+      type: String,
+      required: [true, "Job handler is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Run once a day at HH:mm (UTC), or every intervalMinutes when not set
+    dailyAt: {
+      type: String,
+      trim: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Daily run time must be HH:mm"],
+      default: null,
+    },
+    intervalMinutes: {
+      type: Number,
+      min: [1, "Interval must be at least one minute"],
+      default: 60,
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused"],
+      default: "active",
+      index: true,
+    },
+    nextRunAt: {
+      type: Date,
+      default: () => new Date(),
+      index: true,
+    },
+    maxRetries: {
+      type: Number,
+      min: 0,
+      default: 3,
+    },
+    retryDelayMinutes: {
+      type: Number,
+      min: 1,
+      default: 5,
+    },
+    // Consecutive failed attempts of the current run
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Held by the instance running the job; expires so a crashed instance
+    // does not block the job for good
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockTimeoutMinutes: {
+      type: Number,
+      min: 1,
+      default: 30,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ["succeeded", "failed", "retrying", null],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ScheduledJobSchema.index({ status: 1, nextRunAt: 1 });
+
+const ScheduledJob = mongoose.model("ScheduledJob", ScheduledJobSchema);
+export default ScheduledJob;
@@ -36,6 +36,12 @@ const StockSnapshotSchema = new Schema(
       min: 0,
     },
 
+    pieces: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     avgMakingRate: {
       type: Number,
       default: 0,
@@ -138,6 +144,14 @@ const StockAdjustmentSchema = new Schema(
       type: Date,
     },
 
+    // Stock count whose variance this voucher posted
+    stockCount: {
+      type: Schema.Types.ObjectId,
+      ref: "StockCount",
+      default: null,
+      index: true,
+    },
+
     /**
      * 🔥 MULTIPLE STOCK ADJUSTMENTS PER VOUCHER
      */
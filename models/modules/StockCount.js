@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+
+export const STOCK_COUNT_STATUSES = ["open", "closed", "approved", "cancelled"];
+
+const QuantitySchema = {
+  pcs: { type: Number, default: 0 },
+  grossWeight: { type: Number, default: 0 },
+  pureWeight: { type: Number, default: 0 },
+};
+
+// One counter's tally for a line. Every counter counts the whole line, so
+// tallies are independent counts of the same stock that have to agree.
+const CountEntrySchema = new mongoose.Schema(
+  {
+    counter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    pcs: { type: Number, default: 0, min: [0, "Pieces cannot be negative"] },
+    grossWeight: { type: Number, default: 0, min: [0, "Gross weight cannot be negative"] },
+    // Bar serials the counter found, for lot-enabled stock
+    serials: { type: [String], default: [] },
+    note: { type: String, trim: true, default: null },
+    countedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const ExpectedBarSchema = new mongoose.Schema(
+  {
+    bar: { type: mongoose.Schema.Types.ObjectId, ref: "Bar", required: true },
+    serialNumber: { type: String, required: true },
+    refiner: { type: String, default: "" },
+    grossWeight: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const StockCountLineSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    code: { type: String, default: "" },
+    // Fraction, e.g. 0.9999
+    purity: { type: Number, default: 0 },
+    expected: QuantitySchema,
+    bars: { type: [ExpectedBarSchema], default: [] },
+    counts: { type: [CountEntrySchema], default: [] },
+    // Final figure an admin settles on when the counters' tallies disagree
+    reconciled: {
+      pcs: { type: Number, min: [0, "Pieces cannot be negative"] },
+      grossWeight: { type: Number, min: [0, "Gross weight cannot be negative"] },
+      serials: { type: [String], default: undefined },
+      note: { type: String, trim: true },
+      reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      reconciledAt: { type: Date },
+    },
+  },
+  { _id: true }
+);
+
+// A physical stock count: expected quantities are frozen when the count is
+// opened, counters enter what they find, and approval posts the variance as
+// a stock adjustment voucher
+const StockCountSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    countDate: {
+      type: Date,
+      required: [true, "Count date is required"],
+    },
+    snapshotAt: {
+      type: Date,
+      default: Date.now,
+    },
+    division: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DivisionMaster",
+      required: [true, "Division is required"],
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BranchMaster",
+      default: null,
+    },
+    // Counters see no expected quantities while the count is open
+    isBlind: {
+      type: Boolean,
+      default: false,
+    },
+    includeBars: {
+      type: Boolean,
+      default: false,
+    },
+    // Admins allowed to count; empty lets anyone count
+    counters: [{ type: mongoose.Schema.Types.ObjectId, ref: "Admin" }],
+    status: {
+      type: String,
+      enum: STOCK_COUNT_STATUSES,
+      default: "open",
+      index: true,
+    },
+    lines: {
+      type: [StockCountLineSchema],
+      default: [],
+    },
+    remarks: { type: String, trim: true, default: null },
+    adjustment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockAdjustment",
+      default: null,
+    },
+    adjustmentVoucher: { type: String, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    closedAt: { type: Date, default: null },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    approvedAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    cancelledAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+StockCountSchema.index({ division: 1, status: 1 });
+StockCountSchema.index({ countDate: -1 });
+
+const StockCount = mongoose.models.StockCount || mongoose.model("StockCount", StockCountSchema);
+export default StockCount;
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Per-stock counter bumped by every transaction that checks and takes stock
+// available to promise. Two transactions on the same stock write the same
+// document, so one of them conflicts and retries against the other's result.
+const StockLockSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+StockLockSchema.index({ stockCode: 1 }, { unique: true });
+
+const StockLock = mongoose.models.StockLock || mongoose.model("StockLock", StockLockSchema);
+export default StockLock;
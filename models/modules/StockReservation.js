@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+export const STOCK_RESERVATION_STATUSES = ["active", "consumed", "released", "expired"];
+
+const QuantitySchema = {
+  pcs: { type: Number, default: 0 },
+  grossWeight: { type: Number, default: 0 },
+  pureWeight: { type: Number, default: 0 },
+};
+
+// Stock held for one line of an approved sale deal. Deliveries against the
+// deal consume it; cancelling the deal or letting the hold lapse releases it.
+const StockReservationSchema = new mongoose.Schema(
+  {
+    dealOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DealOrder",
+      required: true,
+      index: true,
+    },
+    orderNumber: { type: String, default: "" },
+    // Deal order stock item the reservation covers
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    code: { type: String, default: "" },
+    pcs: { type: Number, default: 0, min: [0, "Pieces cannot be negative"] },
+    grossWeight: {
+      type: Number,
+      required: true,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    pureWeight: { type: Number, default: 0 },
+    // Delivered against the deal so far
+    consumed: QuantitySchema,
+    // Specific bars held for the party, for lot-enabled stock
+    bars: [{ type: mongoose.Schema.Types.ObjectId, ref: "Bar" }],
+    expiresAt: {
+      type: Date,
+      required: [true, "Reservation expiry is required"],
+    },
+    status: {
+      type: String,
+      enum: STOCK_RESERVATION_STATUSES,
+      default: "active",
+    },
+    releaseReason: { type: String, trim: true, default: null },
+    releasedAt: { type: Date, default: null },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+StockReservationSchema.index({ stockCode: 1, status: 1 });
+StockReservationSchema.index({ party: 1, status: 1 });
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation =
+  mongoose.models.StockReservation || mongoose.model("StockReservation", StockReservationSchema);
+export default StockReservation;
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import { DEFAULT_LOCATION } from "./InventoryLog.js";
+
+export const STOCK_TRANSFER_STATUSES = ["dispatched", "received", "cancelled"];
+
+const LocationSchema = {
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BranchMaster",
+    required: [true, "Branch is required"],
+  },
+  location: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: DEFAULT_LOCATION,
+  },
+};
+
+const QuantitySchema = {
+  pcs: { type: Number, default: 0 },
+  grossWeight: { type: Number, default: 0 },
+  pureWeight: { type: Number, default: 0 },
+};
+
+const StockTransferLineSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    code: { type: String, default: "" },
+    // Fraction, e.g. 0.9999
+    purity: { type: Number, default: 0 },
+    pcs: { type: Number, default: 0, min: [0, "Pieces cannot be negative"] },
+    grossWeight: {
+      type: Number,
+      required: true,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    pureWeight: { type: Number, default: 0 },
+    received: QuantitySchema,
+    // Received less dispatched; negative is a shortage
+    discrepancy: QuantitySchema,
+  },
+  { _id: true }
+);
+
+// Metal moved between branches or vault locations. Dispatch takes it out of
+// the source location into transit, receipt lands it at the destination and
+// writes off any weight difference.
+const StockTransferSchema = new mongoose.Schema(
+  {
+    voucherNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    voucherType: { type: String, default: "" },
+    voucherDate: {
+      type: Date,
+      required: [true, "Voucher date is required"],
+    },
+    from: LocationSchema,
+    to: LocationSchema,
+    lines: {
+      type: [StockTransferLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "At least one transfer line is required",
+      },
+    },
+    status: {
+      type: String,
+      enum: STOCK_TRANSFER_STATUSES,
+      default: "dispatched",
+      index: true,
+    },
+    receiptDate: { type: Date, default: null },
+    hasDiscrepancy: { type: Boolean, default: false },
+    discrepancyNote: { type: String, trim: true, default: null },
+    remarks: { type: String, trim: true, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    receivedAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    cancelledAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+StockTransferSchema.index({ "from.branch": 1, status: 1 });
+StockTransferSchema.index({ "to.branch": 1, status: 1 });
+StockTransferSchema.index({ voucherDate: -1 });
+
+const StockTransfer =
+  mongoose.models.StockTransfer || mongoose.model("StockTransfer", StockTransferSchema);
+export default StockTransfer;
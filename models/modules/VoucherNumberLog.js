@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+// Audit record for every voucher number handed out by VoucherSequenceService.
+// A number starts as "issued", becomes "used" once a document is saved with
+// it, and "voided" when that document is deleted or the number is abandoned.
+const VoucherNumberLogSchema = new mongoose.Schema(
+  {
+    module: {
+      type: String,
+      required: [true, "Module is required"],
+      trim: true,
+      lowercase: true,
+    },
+    periodKey: {
+      type: String,
+      required: [true, "Period key is required"],
+      trim: true,
+      uppercase: true,
+    },
+    financialYear: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FinancialYear",
+      default: null,
+    },
+    voucherNumber: {
+      type: String,
+      required: [true, "Voucher number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    sequence: {
+      type: Number,
+      required: [true, "Sequence is required"],
+    },
+    transactionType: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["issued", "used", "voided"],
+      default: "issued",
+    },
+    documentModel: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Void reason cannot exceed 500 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+VoucherNumberLogSchema.index({ module: 1, periodKey: 1, sequence: 1 }, { unique: true });
+VoucherNumberLogSchema.index({ voucherNumber: 1, issuedAt: -1 });
+VoucherNumberLogSchema.index({ status: 1 });
+
+const VoucherNumberLog = mongoose.model("VoucherNumberLog", VoucherNumberLogSchema);
+export default VoucherNumberLog;
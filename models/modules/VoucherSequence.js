@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// One counter per voucher module and numbering period. The period is the
+// financial year code when that year has voucherReset enabled, otherwise the
+// module keeps a single running sequence under the "GLOBAL" period.
+const VoucherSequenceSchema = new mongoose.Schema(
+  {
+    module: {
+      type: String,
+      required: [true, "Module is required"],
+      trim: true,
+      lowercase: true,
+    },
+    periodKey: {
+      type: String,
+      required: [true, "Period key is required"],
+      trim: true,
+      uppercase: true,
+      default: "GLOBAL",
+    },
+    financialYear: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FinancialYear",
+      default: null,
+    },
+    voucherMaster: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VoucherMaster",
+      default: null,
+    },
+    currentValue: {
+      type: Number,
+      default: 0,
+      min: [0, "Sequence value cannot be negative"],
+    },
+    seededFrom: {
+      type: Number,
+      default: 0,
+    },
+    lastIssuedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+VoucherSequenceSchema.index({ module: 1, periodKey: 1 }, { unique: true });
+
+const VoucherSequence = mongoose.model("VoucherSequence", VoucherSequenceSchema);
+export default VoucherSequence;
@@ -9,6 +9,9 @@ import {
   getVouchersByModule,
   generateVoucherNumber,
   getVoucherInfoByModule,
+  getVoucherNumberLog,
+  getVoucherSequenceAudit,
+  voidVoucherNumber,
 } from "../../controllers/modules/VoucherMasterController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 
@@ -25,6 +28,13 @@ router.get("/info/:module", getVoucherInfoByModule);
 // POST /vouchers/generate/:module?transactionType=purchase
 router.post("/generate/:module", generateVoucherNumber);
 
+// Voucher number audit trail
+// GET /vouchers/sequence/log?module=metal-purchase&status=issued
+router.get("/sequence/log", getVoucherNumberLog);
+// GET /vouchers/sequence/audit/:module?periodKey=FY2025
+router.get("/sequence/audit/:module", getVoucherSequenceAudit);
+router.post("/sequence/void", voidVoucherNumber);
+
 // Module-specific voucher retrieval with optional voucher type
 // GET /vouchers/module/:module?voucherType=PURCHASE&page=1&limit=10
 router.get("/module/:module", getVouchersByModule);
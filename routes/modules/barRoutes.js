@@ -0,0 +1,18 @@
+import express from "express";
+import BarController from "../../controllers/modules/BarController.js";
+import { authenticateToken } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", BarController.getBars);
+router.get("/trace/:serialNumber", BarController.trace);
+router.get("/:id", BarController.getBarById);
+router.post("/:id/reserve", BarController.reserve);
+router.post("/:id/release", BarController.release);
+router.post("/:id/damage", BarController.markDamaged);
+router.post("/:id/restore", BarController.restore);
+router.patch("/:id/certificate", BarController.linkCertificate);
+
+export default router;
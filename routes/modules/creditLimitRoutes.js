@@ -0,0 +1,17 @@
+import express from "express";
+import CreditLimitController from "../../controllers/modules/CreditLimitController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const supervisorOnly = requireRole(["super_admin", "admin"]);
+
+router.get("/parties/:partyId", CreditLimitController.getAvailability);
+router.get("/overrides", CreditLimitController.getOverrides);
+router.get("/breaches", CreditLimitController.getBreaches);
+router.post("/overrides", supervisorOnly, CreditLimitController.issueOverride);
+router.post("/overrides/:id/revoke", supervisorOnly, CreditLimitController.revokeOverride);
+
+export default router;
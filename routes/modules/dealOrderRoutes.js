@@ -3,10 +3,14 @@ import {
   createDealOrder,
   deleteDealOrder,
   getDealOrderById,
+  getDealOrderFulfilment,
   getDealOrders,
+  getDealOrderTransitions,
+  getPendingApprovals,
   updateDealOrder,
   updateDealOrderStatus,
 } from "../../controllers/modules/dealOrderController.js";
+import { fulfilDealOrder } from "../../controllers/modules/MetalTransactionController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -18,6 +22,8 @@ router
   .post(createDealOrder)
   .get(getDealOrders);
 
+router.get("/approvals/pending", getPendingApprovals);
+
 router
   .route("/:id")
   .get(getDealOrderById)
@@ -25,6 +31,9 @@ router
   .delete(deleteDealOrder);
 
 router.patch("/:id/status", updateDealOrderStatus);
+router.get("/:id/transitions", getDealOrderTransitions);
+router.get("/:id/fulfilment", getDealOrderFulfilment);
+router.post("/:id/fulfil", fulfilDealOrder);
 
 export default router;
 
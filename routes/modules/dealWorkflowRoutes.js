@@ -0,0 +1,18 @@
+import express from "express";
+import DealWorkflowController from "../../controllers/modules/DealWorkflowController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// READ
+router.get("/", DealWorkflowController.getRules);
+router.get("/:id", DealWorkflowController.getRuleById);
+
+// WRITE - changes who may move every deal order
+router.post("/", requireRole(["super_admin", "admin"]), DealWorkflowController.createRule);
+router.put("/:id", requireRole(["super_admin", "admin"]), DealWorkflowController.updateRule);
+router.delete("/:id", requireRole(["super_admin", "admin"]), DealWorkflowController.deleteRule);
+
+export default router;
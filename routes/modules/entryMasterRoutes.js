@@ -1,11 +1,17 @@
 import express from "express";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
 import entryMasterController from "../../controllers/modules/EntryMasterController.js";
+import Entry from "../../models/modules/EntryModel.js";
 
 const router = express.Router();
 
-router.post('/', authenticateToken, entryMasterController.createEntry);
-router.put('/:id', authenticateToken, entryMasterController.editEntry);
+const periodLock = enforcePeriodLock(Entry);
+// Clearing or bouncing a cheque posts today, whatever the entry's own date
+const pdcPeriodLock = enforcePeriodLock(Entry, { bodyDate: () => null, checkDocument: false });
+
+router.post('/', authenticateToken, periodLock, entryMasterController.createEntry);
+router.put('/:id', authenticateToken, periodLock, entryMasterController.editEntry);
 router.get('/cash-receipts', authenticateToken, entryMasterController.getCashReceipts);
 router.get('/cash-payments', authenticateToken, entryMasterController.getCashPayments);
 router.get('/metal-receipts', authenticateToken, entryMasterController.getMetalReceipts);
@@ -14,12 +20,12 @@ router.get('/metal-payments', authenticateToken, entryMasterController.getMetalP
 // PDC (Post-Dated Cheque) Management Routes - must be before /:id routes
 router.get('/pdc/pending', authenticateToken, entryMasterController.getPendingPDCs);
 router.get('/pdc/due-today', authenticateToken, entryMasterController.getPDCsDueToday);
-router.post('/pdc/:id/clear', authenticateToken, entryMasterController.clearPDC);
-router.post('/pdc/:id/bounce', authenticateToken, entryMasterController.bouncePDC);
+router.post('/pdc/:id/clear', authenticateToken, pdcPeriodLock, entryMasterController.clearPDC);
+router.post('/pdc/:id/bounce', authenticateToken, pdcPeriodLock, entryMasterController.bouncePDC);
 
 // General entry routes - must be after specific routes
 router.get('/:id', authenticateToken, entryMasterController.getEntryById);
-router.delete('/:id', authenticateToken, entryMasterController.deleteEntryById);
-router.patch('/:id/status', authenticateToken, entryMasterController.updateStatus);
+router.delete('/:id', authenticateToken, periodLock, entryMasterController.deleteEntryById);
+router.patch('/:id/status', authenticateToken, periodLock, entryMasterController.updateStatus);
 
 export default router;
\ No newline at end of file
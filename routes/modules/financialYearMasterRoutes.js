@@ -1,6 +1,10 @@
 import express from "express";
 import FinancialYearController from "../../controllers/modules/financialYearMasterController.js";
-import { authenticateToken } from "../../middleware/authMiddleware.js";
+import {
+  authenticateToken,
+  requireRole,
+  requireSuperAdmin,
+} from "../../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -13,6 +17,25 @@ router.post("/", FinancialYearController.createFinancialYear);
 // READ
 router.get("/", FinancialYearController.getAllFinancialYears);
 router.get("/current", FinancialYearController.getCurrentFinancialYear);
+
+// PERIOD LOCKS - must be before /:id routes
+router.get("/period-locks", FinancialYearController.getPeriodLocks);
+router.get(
+  "/period-locks/overrides",
+  requireRole(["super_admin", "admin"]),
+  FinancialYearController.getPeriodLockOverrides
+);
+router.post(
+  "/period-locks",
+  requireRole(["super_admin", "admin"]),
+  FinancialYearController.lockPeriod
+);
+router.patch(
+  "/period-locks/:lockId/unlock",
+  requireSuperAdmin,
+  FinancialYearController.unlockPeriod
+);
+
 router.get("/:id", FinancialYearController.getFinancialYearById);
 
 // UPDATE
@@ -22,4 +45,8 @@ router.put("/:id", FinancialYearController.updateFinancialYear);
 router.delete("/:id", FinancialYearController.deleteFinancialYear);
 router.patch("/:id/deactivate", FinancialYearController.softDeleteFinancialYear);
 
+// YEAR-END CLOSE
+router.get("/:id/closing-balances", FinancialYearController.getClosingBalances);
+router.post("/:id/close", requireSuperAdmin, FinancialYearController.closeFinancialYear);
+
 export default router;
\ No newline at end of file
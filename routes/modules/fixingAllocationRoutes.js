@@ -0,0 +1,18 @@
+import express from "express";
+import FixingAllocationController from "../../controllers/modules/FixingAllocationController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", FixingAllocationController.getAllocations);
+router.get("/transactions/:id", FixingAllocationController.getTransactionFixingStatus);
+router.post("/fixings/:id/reallocate", FixingAllocationController.reallocateFixing);
+router.post(
+  "/rebuild",
+  requireRole(["super_admin", "admin"]),
+  FixingAllocationController.rebuild
+);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import FxRevaluationController from "../../controllers/modules/FxRevaluationController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
+import FxRevaluation from "../../models/modules/FxRevaluation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const runPeriodLock = enforcePeriodLock(FxRevaluation, {
+  bodyDate: (body) => body?.revaluationDate,
+  checkDocument: false,
+});
+// Cancelling posts its mirror rows on the revaluation date
+const cancelPeriodLock = enforcePeriodLock(FxRevaluation, {
+  bodyDate: () => null,
+  documentDate: (doc) => doc.revaluationDate,
+});
+const adminOnly = requireRole(["super_admin", "admin"]);
+
+router.post("/preview", FxRevaluationController.previewRevaluation);
+router.post("/reverse-due", adminOnly, FxRevaluationController.reverseDueRevaluations);
+router.post("/", adminOnly, runPeriodLock, FxRevaluationController.runRevaluation);
+router.get("/", FxRevaluationController.getRevaluations);
+router.get("/:id", FxRevaluationController.getRevaluationById);
+router.get("/:id/report", FxRevaluationController.getRevaluationReport);
+router.post("/:id/cancel", adminOnly, cancelPeriodLock, FxRevaluationController.cancelRevaluation);
+
+export default router;
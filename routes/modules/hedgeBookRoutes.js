@@ -0,0 +1,13 @@
+import express from "express";
+import HedgeBookController from "../../controllers/modules/HedgeBookController.js";
+import { authenticateToken } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", HedgeBookController.getRegister);
+router.get("/summary", HedgeBookController.getSummary);
+router.get("/exposure", HedgeBookController.getExposure);
+
+export default router;
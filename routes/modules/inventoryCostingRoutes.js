@@ -0,0 +1,18 @@
+import express from "express";
+import InventoryCostingController from "../../controllers/modules/InventoryCostingController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/valuation", InventoryCostingController.getValuation);
+router.get("/layers", InventoryCostingController.getLayers);
+router.get("/movements", InventoryCostingController.getMovements);
+router.post(
+  "/rebuild",
+  requireRole(["super_admin", "admin"]),
+  InventoryCostingController.rebuild
+);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import JobSchedulerController from "../../controllers/modules/JobSchedulerController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requireRole(["super_admin", "admin"]));
+
+router.get("/", JobSchedulerController.getJobs);
+router.get("/:id/runs", JobSchedulerController.getJobRuns);
+router.patch("/:id/pause", JobSchedulerController.pauseJob);
+router.patch("/:id/resume", JobSchedulerController.resumeJob);
+router.post("/:id/trigger", JobSchedulerController.triggerJob);
+router.put("/:id", JobSchedulerController.updateJob);
+
+export default router;
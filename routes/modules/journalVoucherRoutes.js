@@ -0,0 +1,33 @@
+import express from "express";
+import JournalVoucherController from "../../controllers/modules/JournalVoucherController.js";
+import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
+import Entry from "../../models/modules/EntryModel.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const periodLock = enforcePeriodLock(Entry);
+// Cancelling posts its reversal on the cancel date, not the voucher date
+const cancelPeriodLock = enforcePeriodLock(Entry, {
+  bodyDate: (body) => body?.cancelDate,
+  checkDocument: false,
+});
+
+// Recurring templates - must be before /:id routes
+router.get("/templates", JournalVoucherController.getTemplates);
+router.post("/templates", JournalVoucherController.createTemplate);
+router.post("/templates/run", JournalVoucherController.runDueTemplates);
+router.get("/templates/:id", JournalVoucherController.getTemplateById);
+router.put("/templates/:id", JournalVoucherController.updateTemplate);
+router.delete("/templates/:id", JournalVoucherController.deleteTemplate);
+
+router.post("/", periodLock, JournalVoucherController.createJournalVoucher);
+router.get("/", JournalVoucherController.getJournalVouchers);
+router.get("/:id", JournalVoucherController.getJournalVoucherById);
+router.put("/:id", periodLock, JournalVoucherController.updateJournalVoucher);
+router.post("/:id/cancel", cancelPeriodLock, JournalVoucherController.cancelJournalVoucher);
+router.delete("/:id", periodLock, JournalVoucherController.deleteJournalVoucher);
+
+export default router;
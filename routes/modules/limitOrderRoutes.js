@@ -0,0 +1,14 @@
+import express from "express";
+import LimitOrderController from "../../controllers/modules/LimitOrderController.js";
+import { authenticateToken } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", LimitOrderController.getOrders);
+router.get("/:id", LimitOrderController.getOrderById);
+router.post("/", LimitOrderController.createOrder);
+router.post("/:id/cancel", LimitOrderController.cancelOrder);
+
+export default router;
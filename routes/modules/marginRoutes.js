@@ -0,0 +1,15 @@
+import express from "express";
+import MarginController from "../../controllers/modules/MarginController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", MarginController.getDashboard);
+router.get("/calls", MarginController.getMarginCalls);
+router.get("/parties/:partyId", MarginController.getPartyMargin);
+router.post("/run", requireRole(["super_admin", "admin"]), MarginController.runMarginCheck);
+router.patch("/calls/:id/acknowledge", MarginController.acknowledgeMarginCall);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import MetalPositionController from "../../controllers/modules/MetalPositionController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", MetalPositionController.getCurrentPosition);
+router.get("/parties", MetalPositionController.getPositionByParty);
+router.get("/history", MetalPositionController.getPositionHistory);
+router.post("/rebuild", requireRole(["super_admin", "admin"]), MetalPositionController.rebuildPositions);
+
+export default router;
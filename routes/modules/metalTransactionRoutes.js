@@ -15,8 +15,12 @@ import {
   calculateSessionTotals,
   getUnfixedTransactions,
   getUnfixedTransactionsWithAccounts,
+  previewRegistryEntries,
+  voidMetalTransaction,
 } from "../../controllers/modules/MetalTransactionController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
 import {
   validateObjectId,
   validatePagination,
@@ -32,8 +36,13 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+const periodLock = enforcePeriodLock(MetalTransaction);
+
 // Create a new metal transaction (purchase or sale)
-router.post("/", createMetalTransaction);
+router.post("/", periodLock, createMetalTransaction);
+
+// Dry run: Registry entries a transaction would post under the posting rules
+router.post("/preview-entries", previewRegistryEntries);
 
 // Get all metal transactions with optional filtering
 router.get("/", validatePagination, validateDateRange, getAllMetalTransactions);
@@ -75,6 +84,7 @@ router.get("/:id", validateObjectId("id"), getMetalTransactionById);
 router.put(
   "/:id",
   validateObjectId("id"),
+  periodLock,
   updateMetalTransaction
 );
 
@@ -84,29 +94,46 @@ router.patch(
   validateObjectId("id"),
   validateRequiredFields(["status"]),
   validateEnum("status", ["draft", "confirmed", "completed", "cancelled"]),
+  periodLock,
   updateTransactionStatus
 );
 
+// Void a posted transaction: reversal entries are posted on the void date,
+// so only that date has to be in an open period
+router.post(
+  "/:id/void",
+  validateObjectId("id"),
+  validateRequiredFields(["reason"]),
+  enforcePeriodLock(MetalTransaction, {
+    bodyDate: (body) => body?.voidDate,
+    checkDocument: false,
+  }),
+  voidMetalTransaction
+);
+
 // Delete metal transaction (soft delete)
-router.delete("/:id", validateObjectId("id"), deleteMetalTransaction);
+router.delete("/:id", validateObjectId("id"), periodLock, deleteMetalTransaction);
 
 // Stock item management
 router.post(
   "/:id/stock",
   validateObjectId("id"),
   validateRequiredFields(["stockCode", "metalRate", "purity"]),
+  periodLock,
   addStockItemToTransaction
 );
 router.put(
   "/:id/stock/:stockItemId",
   validateObjectId("id"),
   validateObjectId("stockItemId"),
+  periodLock,
   updateStockItemInTransaction
 );
 router.delete(
   "/:id/stock/:stockItemId",
   validateObjectId("id"),
   validateObjectId("stockItemId"),
+  periodLock,
   removeStockItemFromTransaction
 );
 
@@ -115,6 +142,7 @@ router.delete(
 router.post(
   "/:id/calculate-session-totals",
   validateObjectId("id"),
+  periodLock,
   calculateSessionTotals
 );
 
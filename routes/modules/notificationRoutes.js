@@ -0,0 +1,13 @@
+import express from "express";
+import NotificationController from "../../controllers/modules/NotificationController.js";
+import { authenticateToken } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", NotificationController.getNotifications);
+router.patch("/read-all", NotificationController.markAllRead);
+router.patch("/:id/read", NotificationController.markRead);
+
+export default router;
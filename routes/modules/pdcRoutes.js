@@ -1,12 +1,13 @@
 import express from "express";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 import EntryService from "../../services/modules/EntryService.js";
-import PDCCronService from "../../services/modules/PDCCronService.js";
+import JobSchedulerService from "../../services/modules/JobSchedulerService.js";
 
 const router = express.Router();
 
 /**
- * Manual trigger for PDC maturity processing (for testing/admin)
+ * Manual trigger for PDC maturity processing (for testing/admin). Runs the
+ * "pdc-maturity" job under its lock, so it cannot overlap the daily run.
  * POST /api/pdc/process-matured
  */
 router.post(
@@ -14,14 +15,16 @@ router.post(
   authenticateToken,
   async (req, res) => {
     try {
-      const results = await PDCCronService.processMaturedPDCs(req.admin.id);
+      const results = await JobSchedulerService.runHandler("pdc-maturity", {
+        adminId: req.admin.id,
+      });
       res.json({
         success: true,
         message: "PDC maturity processing completed",
         data: results,
       });
     } catch (err) {
-      res.status(500).json({
+      res.status(err.statusCode || 500).json({
         success: false,
         message: err.message,
       });
@@ -0,0 +1,19 @@
+import express from "express";
+import PostingRuleController from "../../controllers/modules/PostingRuleController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// READ
+router.get("/", PostingRuleController.getAllPostingRules);
+router.get("/:id", PostingRuleController.getPostingRuleById);
+
+// WRITE - changes where every new voucher posts
+router.post("/", requireRole(["super_admin", "admin"]), PostingRuleController.createPostingRule);
+router.put("/:id", requireRole(["super_admin", "admin"]), PostingRuleController.updatePostingRule);
+router.delete("/:id", requireRole(["super_admin", "admin"]), PostingRuleController.deletePostingRule);
+
+export default router;
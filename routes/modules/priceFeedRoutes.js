@@ -0,0 +1,15 @@
+import express from "express";
+import PriceFeedController from "../../controllers/modules/PriceFeedController.js";
+import { authenticateStreamToken, authenticateToken } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Browsers open the stream with EventSource, which cannot set headers
+router.get("/stream", authenticateStreamToken, PriceFeedController.streamPrices);
+
+router.use(authenticateToken);
+
+router.get("/latest", PriceFeedController.getLatest);
+router.get("/history", PriceFeedController.getHistory);
+
+export default router;
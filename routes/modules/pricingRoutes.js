@@ -0,0 +1,12 @@
+import express from "express";
+import PricingController from "../../controllers/modules/PricingController.js";
+import { authenticateToken } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/quote", PricingController.getQuote);
+router.get("/overrides", PricingController.getOverrides);
+
+export default router;
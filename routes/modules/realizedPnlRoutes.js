@@ -0,0 +1,22 @@
+import express from "express";
+import RealizedPnlController from "../../controllers/modules/RealizedPnlController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", RealizedPnlController.getReport);
+router.get("/matches", RealizedPnlController.getMatches);
+router.get("/lots/:documentId", RealizedPnlController.getLotDrillDown);
+router.post(
+  "/rebuild",
+  requireRole(["super_admin", "admin"]),
+  RealizedPnlController.rebuild
+);
+
+router.get("/designations", RealizedPnlController.getDesignations);
+router.post("/designations", RealizedPnlController.createDesignation);
+router.delete("/designations/:id", RealizedPnlController.deleteDesignation);
+
+export default router;
@@ -8,6 +8,7 @@ import {
   permanentDeleteRegistry,
   getRegistriesByType,
   getRegistryStatistics,
+  getRegistryIntegrityReport,
   updateRegistryStatus,
   getRegistriesByCostCenter,
   getRegistryBalance,
@@ -21,6 +22,7 @@ import {
   getRegistryHedgeAuditTrailById,
   getRegistryFixingTransaction,
   getCashEntryAuditTrail,
+  getJournalVoucherAuditTrail,
   getStockAdjustmentAuditTrail,
   getOpeningFixingAuditTrail,
   getOpeningStockAuditTrail,
@@ -50,6 +52,9 @@ router.get("/", getAllRegistries);
 // Get registry statistics
 router.get("/statistics", validateDateRange, getRegistryStatistics);
 
+// Unbalanced vouchers and orphaned rows
+router.get("/integrity", validateDateRange, getRegistryIntegrityReport);
+
 // get registy for the premium and discount
 router.get("/get-premium-discount", getPremiumOrDiscountRegistries);
 
@@ -87,6 +92,7 @@ router.get("/transaction/:metalTransactionId", getRegistryAuditTrailById);
 router.get("/hedge/:metalTransactionId", getRegistryHedgeAuditTrailById);
 router.get("/fixing/:fixingTransactionId", getRegistryFixingTransaction);
 router.get("/cash-entry/:entryTransactionId", getCashEntryAuditTrail);
+router.get("/journal-voucher/:entryTransactionId", getJournalVoucherAuditTrail);
 
 router.get("/stock-adjustment/:stockAdjustmentId", getStockAdjustmentAuditTrail);
 router.get("/opening-fixing/:purchaseFixingId", getOpeningFixingAuditTrail);
@@ -1,5 +1,5 @@
 import express from "express";
-import { getStockLedgerReports, getStockBalance, getSalesAnalysis, getStockMovement, getStockAnalysis, getOwnStock, getTransactionSummary, metalFixing, accountStatements, getDashboard, getDashboardReport } from "../../controllers/modules/reportsController.js";
+import { getStockLedgerReports, getStockBalance, getSalesAnalysis, getStockMovement, getStockAnalysis, getOwnStock, getTransactionSummary, metalFixing, accountStatements, getTrialBalance, getGeneralLedger, getDashboard, getDashboardReport } from "../../controllers/modules/reportsController.js";
 
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 
@@ -15,6 +15,8 @@ router.post("/sales-analysis", getSalesAnalysis);
 router.post("/own-stock", getOwnStock);
 router.post("/fixing-registry", metalFixing);
 router.post("/account-statements", accountStatements);
+router.post("/trial-balance", getTrialBalance);
+router.post("/general-ledger", getGeneralLedger);
 
 router.get("/dashboard", getDashboard);
 router.get("/dashboard-report", getDashboardReport);
@@ -1,18 +1,24 @@
 import express from "express";
 import { Router } from "express";
 import { authenticateToken } from '../../middleware/authMiddleware.js';
+import { enforcePeriodLock } from '../../middleware/periodLockMiddleware.js';
+import StockAdjustment from '../../models/modules/StockAdjustment.js';
 import { createStockAdjustment, getAllStockAdjustments, getStockAdjustmentById, updateStockAdjustment, deleteStockAdjustment, createStockAdjustmentBatch, getStockAdjustmentByVoucher } from '../../controllers/modules/stockAdjustmentController.js';
 
 const router = Router();
 router.use(authenticateToken);
 
-router.post("/", createStockAdjustment);
-router.post("/batch", createStockAdjustmentBatch);
+const periodLock = enforcePeriodLock(StockAdjustment, {
+    bodyDate: (body) => body.voucher?.voucherDate || body.voucherDate,
+});
+
+router.post("/", periodLock, createStockAdjustment);
+router.post("/batch", periodLock, createStockAdjustmentBatch);
 router.get("/voucher/:voucherNo", getStockAdjustmentByVoucher);
 router.get("/", getAllStockAdjustments);
 router.get("/:id", getStockAdjustmentById);
-router.put("/:id", updateStockAdjustment);
-router.delete("/:id", deleteStockAdjustment);
+router.put("/:id", periodLock, updateStockAdjustment);
+router.delete("/:id", periodLock, deleteStockAdjustment);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import express from "express";
+import StockCountController from "../../controllers/modules/StockCountController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
+import StockCount from "../../models/modules/StockCount.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const adminOnly = requireRole(["super_admin", "admin"]);
+// Approval posts the adjustment voucher on the count date
+const approvePeriodLock = enforcePeriodLock(StockCount, {
+  bodyDate: () => null,
+  documentDate: (doc) => doc.countDate,
+});
+
+router.post("/", adminOnly, StockCountController.createCount);
+router.get("/", StockCountController.getCounts);
+router.get("/:id", StockCountController.getCountById);
+router.get("/:id/variance", adminOnly, StockCountController.getVariance);
+router.post("/:id/counts", StockCountController.enterCounts);
+router.post("/:id/close", adminOnly, StockCountController.closeCount);
+router.post("/:id/reconcile", adminOnly, StockCountController.reconcileLines);
+router.post("/:id/reopen", adminOnly, StockCountController.reopenCount);
+router.post("/:id/approve", adminOnly, approvePeriodLock, StockCountController.approveCount);
+router.post("/:id/cancel", adminOnly, StockCountController.cancelCount);
+
+export default router;
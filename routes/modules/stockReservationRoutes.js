@@ -0,0 +1,17 @@
+import express from "express";
+import StockReservationController from "../../controllers/modules/StockReservationController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const adminOnly = requireRole(["super_admin", "admin"]);
+
+router.get("/", StockReservationController.getReservations);
+router.get("/available", StockReservationController.getAvailableToPromise);
+router.post("/expire", adminOnly, StockReservationController.expireReservations);
+router.get("/:id", StockReservationController.getReservationById);
+router.post("/:id/release", adminOnly, StockReservationController.releaseReservation);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import StockTransferController from "../../controllers/modules/StockTransferController.js";
+import { authenticateToken, requireRole } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
+import StockTransfer from "../../models/modules/StockTransfer.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const adminOnly = requireRole(["super_admin", "admin"]);
+const dispatchPeriodLock = enforcePeriodLock(StockTransfer, { checkDocument: false });
+// Receipt posts on the receipt date, cancelling reverses on today
+const receivePeriodLock = enforcePeriodLock(StockTransfer, {
+  bodyDate: (body) => body?.receiptDate || new Date(),
+  checkDocument: false,
+});
+const cancelPeriodLock = enforcePeriodLock(StockTransfer, {
+  bodyDate: () => new Date(),
+  checkDocument: false,
+});
+
+router.post("/", adminOnly, dispatchPeriodLock, StockTransferController.dispatchTransfer);
+router.get("/", StockTransferController.getTransfers);
+router.get("/locations", StockTransferController.getLocationBalances);
+router.get("/:id", StockTransferController.getTransferById);
+router.post("/:id/receive", receivePeriodLock, StockTransferController.receiveTransfer);
+router.post("/:id/cancel", adminOnly, cancelPeriodLock, StockTransferController.cancelTransfer);
+
+export default router;
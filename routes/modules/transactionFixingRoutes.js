@@ -13,9 +13,16 @@ import {
   getPartyMetalSummary,
 } from "../../controllers/modules/TransactionFixingController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { enforcePeriodLock } from "../../middleware/periodLockMiddleware.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
 
 const router = express.Router();
 
+const periodLock = enforcePeriodLock(TransactionFixing, {
+  bodyDate: (body) => body.voucherDate || body.transactionDate,
+  documentDate: (doc) => doc.voucherDate || doc.transactionDate,
+});
+
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
@@ -27,15 +34,15 @@ router.get("/metal/:metalType/transactions", getTransactionsByMetal);
 router.get("/party/:partyId/metal/:metalType/summary", getPartyMetalSummary);
 
 // POST routes
-router.post("/transactions", createTransaction);
+router.post("/transactions", periodLock, createTransaction);
 
 // PUT routes
-router.put("/transactions/:id", updateTransaction);
-router.put("/transactions/:id/restore", restoreTransaction);
-router.put("/transactions/:id/cancel", cancelTransaction);
+router.put("/transactions/:id", periodLock, updateTransaction);
+router.put("/transactions/:id/restore", periodLock, restoreTransaction);
+router.put("/transactions/:id/cancel", periodLock, cancelTransaction);
 
 // DELETE routes
-router.delete("/transactions/:id", deleteTransaction);
-router.delete("/transactions/:id/permanent", permanentDeleteTransaction);
+router.delete("/transactions/:id", periodLock, deleteTransaction);
+router.delete("/transactions/:id/permanent", periodLock, permanentDeleteTransaction);
 
 export default router;
\ No newline at end of file
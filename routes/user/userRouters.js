@@ -5,7 +5,14 @@ import {
   logout,
   getProfile,
   changePassword,
-  getUnfixedTransactionsWithAccounts
+  getUnfixedTransactionsWithAccounts,
+  getMarginStatus,
+  createLimitOrder,
+  getLimitOrders,
+  getLimitOrder,
+  cancelLimitOrder,
+  getNotifications,
+  markNotificationRead
 } from "../../controllers/user/userController.js";
 import { authenticateUserToken } from "../../middleware/userAuthMiddleware.js";
 
@@ -24,4 +31,11 @@ router.get(
   authenticateUserToken,
   getUnfixedTransactionsWithAccounts
 );
+router.get("/margin", authenticateUserToken, getMarginStatus);
+router.get("/limit-orders", authenticateUserToken, getLimitOrders);
+router.get("/limit-orders/:id", authenticateUserToken, getLimitOrder);
+router.post("/limit-orders", authenticateUserToken, createLimitOrder);
+router.post("/limit-orders/:id/cancel", authenticateUserToken, cancelLimitOrder);
+router.get("/notifications", authenticateUserToken, getNotifications);
+router.patch("/notifications/:id/read", authenticateUserToken, markNotificationRead);
 export default router;
@@ -41,6 +41,30 @@ import draftingRoutes from "./routes/modules/draftingRoutes.js";
 import openingFixingRoutes from "./routes/modules/openingFixingRoutes.js";
 import accountFixingRoutes from "./routes/modules/accountFixingRoutes.js";
 import designationRoutes from "./routes/modules/designationRoutes.js";
+import postingRuleRoutes from "./routes/modules/postingRuleRoutes.js";
+import journalVoucherRoutes from "./routes/modules/journalVoucherRoutes.js";
+import jobSchedulerRoutes from "./routes/modules/jobSchedulerRoutes.js";
+import fxRevaluationRoutes from "./routes/modules/fxRevaluationRoutes.js";
+import metalPositionRoutes from "./routes/modules/metalPositionRoutes.js";
+import priceFeedRoutes from "./routes/modules/priceFeedRoutes.js";
+import marginRoutes from "./routes/modules/marginRoutes.js";
+import creditLimitRoutes from "./routes/modules/creditLimitRoutes.js";
+import fixingAllocationRoutes from "./routes/modules/fixingAllocationRoutes.js";
+import realizedPnlRoutes from "./routes/modules/realizedPnlRoutes.js";
+import limitOrderRoutes from "./routes/modules/limitOrderRoutes.js";
+import notificationRoutes from "./routes/modules/notificationRoutes.js";
+import dealWorkflowRoutes from "./routes/modules/dealWorkflowRoutes.js";
+import hedgeBookRoutes from "./routes/modules/hedgeBookRoutes.js";
+import pricingRoutes from "./routes/modules/pricingRoutes.js";
+import barRoutes from "./routes/modules/barRoutes.js";
+import inventoryCostingRoutes from "./routes/modules/inventoryCostingRoutes.js";
+import stockCountRoutes from "./routes/modules/stockCountRoutes.js";
+import stockTransferRoutes from "./routes/modules/stockTransferRoutes.js";
+import stockReservationRoutes from "./routes/modules/stockReservationRoutes.js";
+import JobSchedulerService from "./services/modules/JobSchedulerService.js";
+import PriceFeedService from "./services/modules/PriceFeedService.js";
+import LimitOrderService from "./services/modules/LimitOrderService.js";
+import { registerScheduledJobs } from "./services/modules/scheduledJobs.js";
 import { mongodb } from "./config/db.js";
 import { errorHandler } from "./utils/errorHandler.js";
 
@@ -83,8 +107,20 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-// Database connecting
-mongodb();
+// Database connecting, then start background jobs and the price feed. Handlers are registered
+// even with the scheduler disabled so jobs can still be triggered by hand.
+registerScheduledJobs();
+mongodb().then(() => {
+  if (process.env.JOB_SCHEDULER_ENABLED !== "false") {
+    JobSchedulerService.start().catch((error) =>
+      console.error("[Job Scheduler] Failed to start:", error.message)
+    );
+  }
+  PriceFeedService.start().catch((error) =>
+    console.error("[Price Feed] Failed to start:", error.message)
+  );
+  LimitOrderService.start();
+});
 
 // Routes
 app.use('/api/v1/user', userRouter);
@@ -125,6 +161,26 @@ app.use("/api/v1/draftings", draftingRoutes);
 app.use("/api/v1/opening-fixing", openingFixingRoutes);
 app.use("/api/v1/opening-account-fixing", accountFixingRoutes);
 app.use("/api/v1/designations", designationRoutes);
+app.use("/api/v1/posting-rules", postingRuleRoutes);
+app.use("/api/v1/journal-vouchers", journalVoucherRoutes);
+app.use("/api/v1/jobs", jobSchedulerRoutes);
+app.use("/api/v1/fx-revaluations", fxRevaluationRoutes);
+app.use("/api/v1/metal-positions", metalPositionRoutes);
+app.use("/api/v1/prices", priceFeedRoutes);
+app.use("/api/v1/margins", marginRoutes);
+app.use("/api/v1/credit", creditLimitRoutes);
+app.use("/api/v1/fixing-allocations", fixingAllocationRoutes);
+app.use("/api/v1/pnl", realizedPnlRoutes);
+app.use("/api/v1/limit-orders", limitOrderRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/deal-workflow-rules", dealWorkflowRoutes);
+app.use("/api/v1/hedge-book", hedgeBookRoutes);
+app.use("/api/v1/pricing", pricingRoutes);
+app.use("/api/v1/bars", barRoutes);
+app.use("/api/v1/inventory-costing", inventoryCostingRoutes);
+app.use("/api/v1/stock-counts", stockCountRoutes);
+app.use("/api/v1/stock-transfers", stockTransferRoutes);
+app.use("/api/v1/stock-reservations", stockReservationRoutes);
 
 // Global error handling middleware
 app.use(errorHandler);
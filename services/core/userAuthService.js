@@ -8,6 +8,7 @@ import {
 } from "../../utils/passwordUtils.js";
 import mongoose from "mongoose";
 import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import FixingAllocationService from "../modules/FixingAllocationService.js";
 
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
@@ -298,8 +299,7 @@ export const getUnfixedTransactionsWithAccount = async (
 
     const skip = (page - 1) * limit;
     const matchStage = {
-      isActive: true,
-      isFixed: false, // Only unfixed transactions
+      ...FixingAllocationService.openLotFilter(), // Only transactions with weight left to fix
       partyCode: new mongoose.Types.ObjectId(filters.partyCode), // Match provided partyCode
     };
 
@@ -396,6 +396,8 @@ export const getUnfixedTransactionsWithAccount = async (
           voucherNumber: 1,
           status: 1,
           isFixed: 1,
+          fixedPureWeight: 1,
+          unfixedPureWeight: 1,
           stockItems: 1,
           totalAmountSession: 1,
           createdAt: 1,
@@ -450,6 +452,9 @@ export const getUnfixedTransactionsWithAccount = async (
                 totalSessionAmount: {
                   $sum: "$totalAmountSession.totalAmountAED",
                 },
+                totalUnfixedPureWeight: {
+                  $sum: "$unfixedPureWeight",
+                },
               },
             },
           ],
@@ -470,6 +475,7 @@ export const getUnfixedTransactionsWithAccount = async (
       totalCashDebit: 0,
       totalCashCredit: 0,
       totalSessionAmount: 0,
+      totalUnfixedPureWeight: 0,
     };
 
     return {
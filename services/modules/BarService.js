@@ -0,0 +1,580 @@
+import mongoose from "mongoose";
+import Bar from "../../models/modules/Bar.js";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES } from "../../models/modules/MetalTransaction.js";
+import Entry from "../../models/modules/EntryModel.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Commodity from "../../models/modules/Commodity.js";
+import Drafting from "../../models/modules/Drafting.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const INBOUND_TYPES = [
+  "purchase",
+  "importPurchase",
+  "saleReturn",
+  "exportSaleReturn",
+  "hedgeMetalReceipt",
+  "hedgeMetalReciept",
+];
+const OUTBOUND_TYPES = ["sale", "exportSale", "purchaseReturn", "importPurchaseReturn", "hedgeMetalPayment"];
+const ENTRY_DIRECTIONS = { "metal-receipt": "in", "metal-payment": "out" };
+
+// Manual moves between statuses, outside any voucher
+const TRANSITIONS = {
+  reserved: { from: ["active"], to: "reserved" },
+  released: { from: ["reserved"], to: "active" },
+  damaged: { from: ["active", "reserved"], to: "damaged" },
+  restored: { from: ["damaged"], to: "active" },
+};
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const normalize = (value) => String(value || "").trim().toUpperCase();
+
+const serialKey = (refiner, serialNumber) => `${normalize(refiner)}|${normalize(serialNumber)}`;
+
+const round = (value, digits = 4) => Number((Number(value) || 0).toFixed(digits));
+
+/**
+ * Serial registry for lot-enabled commodities. Purchases and metal receipts
+ * capture each bar's serial, refiner, weight and fineness; sales and metal
+ * payments must name the bars they send out. Every movement is kept on the
+ * bar as its chain of custody, and is reversed when the voucher posting it
+ * is edited, voided or deleted.
+ */
+class BarService {
+  // ---------------------------------------------------------------------
+  // Voucher postings
+  // ---------------------------------------------------------------------
+
+  static getDirection(documentModel, document) {
+    if (documentModel === "Entry") return ENTRY_DIRECTIONS[document.type] || null;
+    if (INBOUND_TYPES.includes(document.transactionType)) return "in";
+    if (OUTBOUND_TYPES.includes(document.transactionType)) return "out";
+    return null;
+  }
+
+  static isPosted(documentModel, document) {
+    if (!document) return false;
+    if (documentModel === "Entry") return document.status === "approved";
+    return Boolean(document.isActive) && POSTED_TRANSACTION_STATUSES.includes(document.status);
+  }
+
+  static getParty(documentModel, document) {
+    return documentModel === "Entry" ? document.party || null : document.partyCode || null;
+  }
+
+  // Lot-enabled commodity of each stock that has one
+  static async getLotStocks(stockIds, session = null) {
+    const [stocks, commodities] = await Promise.all([
+      MetalStock.find({ _id: { $in: stockIds } }).select("code metalType karat").session(session).lean(),
+      Commodity.find({ lotEnabled: true }).select("code division karatSelect").session(session).lean(),
+    ]);
+    const byKey = new Map(commodities.map((c) => [`${idOf(c.division)}|${idOf(c.karatSelect)}`, c]));
+
+    const lotStocks = new Map();
+    for (const stock of stocks) {
+      const commodity = byKey.get(`${idOf(stock.metalType)}|${idOf(stock.karat)}`);
+      if (commodity) lotStocks.set(idOf(stock._id), { stock, commodity });
+    }
+    return lotStocks;
+  }
+
+  // Bars each lot-enabled line of a voucher should move, checked against
+  // the line's pieces
+  static async getDesired(documentModel, document, session = null) {
+    const direction = this.getDirection(documentModel, document);
+    if (!direction || !this.isPosted(documentModel, document)) return { direction, specs: [] };
+
+    const lines = (document.stockItems || []).map((item) => ({
+      item,
+      stockCode: idOf(documentModel === "Entry" ? item.stock : item.stockCode),
+    }));
+    const lotStocks = await this.getLotStocks(lines.map((line) => line.stockCode).filter(Boolean), session);
+
+    const specs = [];
+    const seen = new Set();
+    for (const { item, stockCode } of lines) {
+      const lot = lotStocks.get(stockCode);
+      if (!lot) continue;
+
+      const bars = item.bars || [];
+      if (bars.length === 0) {
+        throw createAppError(
+          `Stock ${lot.stock.code} is lot-enabled: list the serial of every bar on the line`,
+          422,
+          "BAR_SERIALS_REQUIRED"
+        );
+      }
+      const pieces = Number(item.pieces) || 0;
+      if (pieces > 0 && bars.length !== pieces) {
+        throw createAppError(
+          `Stock ${lot.stock.code} has ${pieces} pieces but ${bars.length} serials`,
+          422,
+          "BAR_COUNT_MISMATCH"
+        );
+      }
+
+      for (const bar of bars) {
+        if (!bar.serialNumber && !(direction === "out" && bar.bar)) {
+          throw createAppError(
+            `Every bar of stock ${lot.stock.code} needs a serial number`,
+            422,
+            "BAR_SERIALS_REQUIRED"
+          );
+        }
+        const key = bar.bar && direction === "out" ? idOf(bar.bar) : serialKey(bar.refiner, bar.serialNumber);
+        if (seen.has(key)) {
+          throw createAppError(
+            `Bar ${normalize(bar.serialNumber) || key} is listed twice`,
+            422,
+            "DUPLICATE_BAR_SERIAL"
+          );
+        }
+        seen.add(key);
+
+        const grossWeight = Number(bar.grossWeight) || (Number(item.grossWeight) || 0) / bars.length;
+        const fineness = Number(bar.fineness) || null;
+        specs.push({
+          ...bar,
+          stockCode,
+          commodity: lot.commodity._id,
+          line: item._id || null,
+          grossWeight,
+          fineness,
+          pureWeight: fineness
+            ? (grossWeight * fineness) / 1000
+            : (Number(item.pureWeight ?? item.purityWeight) || 0) / bars.length,
+        });
+      }
+    }
+    return { direction, specs };
+  }
+
+  // The bar an outgoing line names, by id or by serial (and refiner)
+  static async findOutgoingBar(spec, session = null) {
+    if (spec.bar) {
+      const bar = await Bar.findById(spec.bar).session(session);
+      if (!bar) throw createAppError(`Bar ${spec.bar} not found`, 404, "BAR_NOT_FOUND");
+      return bar;
+    }
+
+    const query = { serialNumber: normalize(spec.serialNumber) };
+    if (spec.refiner) query.refiner = normalize(spec.refiner);
+    const bars = await Bar.find(query).session(session);
+    if (bars.length === 0) {
+      throw createAppError(`Bar ${query.serialNumber} is not in the registry`, 404, "BAR_NOT_FOUND");
+    }
+    if (bars.length > 1) {
+      throw createAppError(
+        `Serial ${query.serialNumber} is held from several refiners: give the refiner`,
+        409,
+        "AMBIGUOUS_BAR_SERIAL"
+      );
+    }
+    return bars[0];
+  }
+
+  static async getCertificate(draftingId, session = null) {
+    if (!draftingId) return null;
+    if (!mongoose.Types.ObjectId.isValid(draftingId)) {
+      throw createAppError("Invalid assay certificate ID", 400, "INVALID_ID");
+    }
+    const drafting = await Drafting.findById(draftingId)
+      .select("certificateNumber status")
+      .session(session)
+      .lean();
+    if (!drafting) throw createAppError("Assay certificate not found", 404, "CERTIFICATE_NOT_FOUND");
+    if (drafting.status === "rejected") {
+      throw createAppError("A rejected assay cannot certify a bar", 422, "CERTIFICATE_REJECTED");
+    }
+    return drafting;
+  }
+
+  static latestEvent(bar) {
+    return [...bar.custody].reverse().find((event) => !event.reversedAt) || null;
+  }
+
+  // Undo a voucher's movement of a bar. Only the bar's latest movement can
+  // be undone; a bar a receipt created goes away with it.
+  static async reverseEvent(bar, event, { adminId = null, session = null } = {}) {
+    if (idOf(this.latestEvent(bar)) !== idOf(event)) {
+      throw createAppError(
+        `Bar ${bar.serialNumber} has moved since ${event.voucherNumber || "this voucher"}; reverse its later movements first`,
+        409,
+        "BAR_MOVED"
+      );
+    }
+
+    if (event.event === "received" && !event.fromStatus) {
+      await Bar.deleteOne({ _id: bar._id }).session(session);
+      return;
+    }
+    event.reversedAt = new Date();
+    event.reversedBy = adminId;
+    bar.status = event.fromStatus;
+    bar.party = event.fromParty;
+    await bar.save({ session });
+  }
+
+  static async receive(spec, context, { adminId = null, session = null } = {}) {
+    const certificate = await this.getCertificate(spec.assayCertificate, session);
+    const event = {
+      event: "received",
+      ...context,
+      toStatus: "active",
+      by: adminId,
+    };
+
+    const existing = await Bar.findOne({
+      refiner: normalize(spec.refiner),
+      serialNumber: normalize(spec.serialNumber),
+    }).session(session);
+    if (!existing) {
+      const [bar] = await Bar.create(
+        [
+          {
+            serialNumber: spec.serialNumber,
+            refiner: spec.refiner || "",
+            stockCode: spec.stockCode,
+            commodity: spec.commodity,
+            grossWeight: round(spec.grossWeight),
+            fineness: spec.fineness,
+            pureWeight: round(spec.pureWeight),
+            assayCertificate: certificate?._id || null,
+            certificateNumber: certificate?.certificateNumber || null,
+            status: "active",
+            custody: [event],
+            createdBy: adminId,
+          },
+        ],
+        { session }
+      );
+      return bar;
+    }
+
+    // A bar we sold coming back, e.g. on a sale return
+    if (existing.status !== "sold") {
+      throw createAppError(
+        `Bar ${existing.serialNumber} is already held (${existing.status})`,
+        409,
+        "BAR_ALREADY_HELD"
+      );
+    }
+    existing.custody.push({ ...event, fromStatus: existing.status, fromParty: existing.party });
+    existing.status = "active";
+    existing.party = null;
+    if (certificate) {
+      existing.assayCertificate = certificate._id;
+      existing.certificateNumber = certificate.certificateNumber || null;
+    }
+    await existing.save({ session });
+    return existing;
+  }
+
+  static async issue(bar, spec, context, { adminId = null, session = null } = {}) {
+    const available =
+      bar.status === "active" || (bar.status === "reserved" && idOf(bar.party) === idOf(context.party));
+    if (!available) {
+      throw createAppError(
+        `Bar ${bar.serialNumber} is not available (${bar.status})`,
+        409,
+        "BAR_NOT_AVAILABLE"
+      );
+    }
+    if (idOf(bar.stockCode) !== spec.stockCode) {
+      throw createAppError(
+        `Bar ${bar.serialNumber} is not of the line's stock`,
+        422,
+        "BAR_STOCK_MISMATCH"
+      );
+    }
+
+    bar.custody.push({
+      event: "issued",
+      ...context,
+      fromStatus: bar.status,
+      fromParty: bar.party,
+      toStatus: "sold",
+      by: adminId,
+    });
+    bar.status = "sold";
+    bar.party = context.party;
+    await bar.save({ session });
+    return bar;
+  }
+
+  // Bring the registry in line with a voucher as it now stands
+  static async syncDocument(documentModel, documentId, { adminId = null, session = null } = {}) {
+    const Model = documentModel === "Entry" ? Entry : MetalTransaction;
+    const document = await Model.findById(documentId).session(session).lean();
+    const { direction, specs } = document
+      ? await this.getDesired(documentModel, document, session)
+      : { direction: null, specs: [] };
+
+    const context = document
+      ? {
+          documentModel,
+          documentId,
+          voucherNumber: document.voucherNumber || document.voucherCode || null,
+          party: this.getParty(documentModel, document),
+        }
+      : null;
+
+    // Outgoing bars are matched by id, incoming ones by serial
+    const wanted = new Map();
+    for (const spec of specs) {
+      if (direction === "out") {
+        const bar = await this.findOutgoingBar(spec, session);
+        wanted.set(idOf(bar._id), { spec, bar });
+      } else {
+        wanted.set(serialKey(spec.refiner, spec.serialNumber), { spec });
+      }
+    }
+
+    const posted = await Bar.find({ "custody.documentId": documentId }).session(session);
+    for (const bar of posted) {
+      const event = bar.custody.find(
+        (e) =>
+          idOf(e.documentId) === idOf(documentId) &&
+          e.documentModel === documentModel &&
+          ["received", "issued"].includes(e.event) &&
+          !e.reversedAt
+      );
+      if (!event) continue;
+
+      const key = event.event === "issued" ? idOf(bar._id) : serialKey(bar.refiner, bar.serialNumber);
+      const keep = wanted.has(key) && (event.event === "issued") === (direction === "out");
+      if (!keep) {
+        await this.reverseEvent(bar, event, { adminId, session });
+        continue;
+      }
+
+      // Still posted: pick up edits to an incoming bar's details
+      const { spec } = wanted.get(key);
+      wanted.delete(key);
+      if (event.event === "received") {
+        const certificate = await this.getCertificate(spec.assayCertificate, session);
+        bar.stockCode = spec.stockCode;
+        bar.commodity = spec.commodity;
+        bar.grossWeight = round(spec.grossWeight);
+        bar.fineness = spec.fineness;
+        bar.pureWeight = round(spec.pureWeight);
+        if (certificate) {
+          bar.assayCertificate = certificate._id;
+          bar.certificateNumber = certificate.certificateNumber || null;
+        }
+        event.voucherNumber = context.voucherNumber;
+        event.party = context.party;
+        await bar.save({ session });
+      }
+    }
+
+    for (const { spec, bar } of wanted.values()) {
+      if (direction === "out") {
+        await this.issue(bar, spec, context, { adminId, session });
+      } else {
+        await this.receive(spec, context, { adminId, session });
+      }
+    }
+  }
+
+  // Refuse to unpost a voucher whose bars have moved on since
+  static async assertReversible(documentModel, documentId) {
+    const bars = await Bar.find({ "custody.documentId": documentId });
+    for (const bar of bars) {
+      const latest = this.latestEvent(bar);
+      const posted = bar.custody.find(
+        (e) => idOf(e.documentId) === idOf(documentId) && e.documentModel === documentModel && !e.reversedAt
+      );
+      if (posted && idOf(latest) !== idOf(posted)) {
+        throw createAppError(
+          `Bar ${bar.serialNumber} has moved since ${posted.voucherNumber || "this voucher"}; reverse its later movements first`,
+          409,
+          "BAR_MOVED"
+        );
+      }
+    }
+  }
+
+  static async syncMetalTransaction(transactionId, options = {}) {
+    return this.syncDocument("MetalTransaction", transactionId, options);
+  }
+
+  static async syncEntry(entryId, options = {}) {
+    return this.syncDocument("Entry", entryId, options);
+  }
+
+  // Checks an entry's serials before it is saved, as entries post outside
+  // a database transaction
+  static async validateEntry(entry) {
+    const plain = typeof entry.toObject === "function" ? entry.toObject() : entry;
+    const { direction, specs } = await this.getDesired("Entry", plain);
+    const postedHere = (bar) =>
+      bar.custody.some((e) => idOf(e.documentId) === idOf(entry._id) && !e.reversedAt);
+
+    for (const spec of specs) {
+      if (direction === "out") {
+        const bar = await this.findOutgoingBar(spec);
+        const available =
+          bar.status === "active" || (bar.status === "reserved" && idOf(bar.party) === idOf(entry.party));
+        if (!available && !postedHere(bar)) {
+          throw createAppError(`Bar ${bar.serialNumber} is not available (${bar.status})`, 409, "BAR_NOT_AVAILABLE");
+        }
+        continue;
+      }
+
+      const bar = await Bar.findOne({
+        refiner: normalize(spec.refiner),
+        serialNumber: normalize(spec.serialNumber),
+      });
+      if (bar && bar.status !== "sold" && !postedHere(bar)) {
+        throw createAppError(`Bar ${bar.serialNumber} is already held (${bar.status})`, 409, "BAR_ALREADY_HELD");
+      }
+      await this.getCertificate(spec.assayCertificate);
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Status changes and certificates
+  // ---------------------------------------------------------------------
+
+  static async transition(id, event, { party = null, note = null, session = null } = {}, adminId = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid bar ID", 400, "INVALID_ID");
+    }
+    const rule = TRANSITIONS[event];
+    if (event === "reserved" && !mongoose.Types.ObjectId.isValid(party)) {
+      throw createAppError("A valid party is required to reserve a bar", 400, "VALIDATION_ERROR");
+    }
+
+    const current = await Bar.findById(id).select("status party").session(session).lean();
+    if (!current) throw createAppError("Bar not found", 404, "BAR_NOT_FOUND");
+    const holder = event === "reserved" ? party : null;
+
+    const bar = await Bar.findOneAndUpdate(
+      { _id: id, status: { $in: rule.from } },
+      {
+        $set: { status: rule.to, party: holder },
+        $push: {
+          custody: {
+            event,
+            party: holder,
+            fromStatus: current.status,
+            fromParty: current.party,
+            toStatus: rule.to,
+            note,
+            by: adminId,
+          },
+        },
+      },
+      { new: true, session }
+    );
+    if (!bar) {
+      throw createAppError(
+        `A ${current.status} bar cannot be ${event}`,
+        409,
+        "INVALID_BAR_STATUS"
+      );
+    }
+    return bar;
+  }
+
+  static async linkCertificate(id, draftingId, adminId = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid bar ID", 400, "INVALID_ID");
+    }
+    const certificate = await this.getCertificate(draftingId);
+    const bar = await Bar.findByIdAndUpdate(
+      id,
+      {
+        assayCertificate: certificate?._id || null,
+        certificateNumber: certificate?.certificateNumber || null,
+      },
+      { new: true }
+    );
+    if (!bar) throw createAppError("Bar not found", 404, "BAR_NOT_FOUND");
+    return bar;
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  static async getBars({ page = 1, limit = 50, status, stockCode, commodity, party, refiner, search } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    for (const [field, value] of Object.entries({ stockCode, commodity, party })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+      }
+      query[field] = value;
+    }
+    if (refiner) query.refiner = normalize(refiner);
+    if (search) {
+      query.serialNumber = new RegExp(normalize(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    }
+
+    const pageNumber = Math.max(Number(page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 500);
+    const [bars, total] = await Promise.all([
+      Bar.find(query)
+        .select("-custody")
+        .populate("stockCode", "code description")
+        .populate("party", "accountCode customerName")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Bar.countDocuments(query),
+    ]);
+
+    return {
+      bars,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+
+  static async getBarById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid bar ID", 400, "INVALID_ID");
+    }
+    const bar = await Bar.findById(id)
+      .populate("stockCode", "code description")
+      .populate("commodity", "code description")
+      .populate("party", "accountCode customerName")
+      .lean();
+    if (!bar) throw createAppError("Bar not found", 404, "BAR_NOT_FOUND");
+    return bar;
+  }
+
+  // Chain of custody of a serial, in the order it moved
+  static async trace(serialNumber, { refiner } = {}) {
+    const query = { serialNumber: normalize(serialNumber) };
+    if (refiner) query.refiner = normalize(refiner);
+
+    const bars = await Bar.find(query)
+      .populate("stockCode", "code description")
+      .populate("commodity", "code description")
+      .populate("party", "accountCode customerName")
+      .populate(
+        "assayCertificate",
+        "draftNumber certificateNumber laboratoryName testMethod goldAuPercent resultKarat dateReport status"
+      )
+      .populate("custody.party", "accountCode customerName")
+      .populate("custody.by", "name email")
+      .lean();
+    if (bars.length === 0) {
+      throw createAppError(`Bar ${query.serialNumber} is not in the registry`, 404, "BAR_NOT_FOUND");
+    }
+
+    return bars;
+  }
+}
+
+export default BarService;
@@ -6,7 +6,7 @@ export class ClassificationService {
   // CREATE
   static async createClassification(classificationData, adminId) {
     try {
-      const { name } = classificationData;
+      const { name, premiumBasis } = classificationData;
 
       if (!name?.trim()) {
         throw createAppError("Classification name is required", 400, "REQUIRED_FIELD_MISSING");
@@ -20,6 +20,7 @@ export class ClassificationService {
 
       const classification = new Classification({
         name: name.trim(),
+        ...(premiumBasis && { premiumBasis }),
         createdBy: adminId,
       });
 
@@ -99,7 +100,7 @@ export class ClassificationService {
         throw createAppError("Classification not found", 404, "NOT_FOUND");
       }
 
-      const { name } = updateData;
+      const { name, premiumBasis } = updateData;
 
       if (name && name.trim() !== classification.name) {
         const nameExists = await Classification.isNameExists(name.trim(), id);
@@ -112,6 +113,7 @@ export class ClassificationService {
         id,
         {
           ...(name && { name: name.trim() }),
+          ...(premiumBasis && { premiumBasis }),
           updatedBy: adminId,
         },
         { new: true, runValidators: true }
@@ -0,0 +1,532 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import Registry, { BALANCE_ROW_FILTER } from "../../models/modules/Registry.js";
+import MetalPosition from "../../models/modules/MetalPosition.js";
+import CreditOverride from "../../models/modules/CreditOverride.js";
+import CreditLimitBreach from "../../models/modules/CreditLimitBreach.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import PriceFeedService from "./PriceFeedService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const DEFAULT_OVERRIDE_MINUTES = 30;
+const BASE_CURRENCY = "AED";
+
+const INBOUND_TYPES = [
+  "purchase",
+  "importPurchase",
+  "saleReturn",
+  "exportSaleReturn",
+];
+
+// Registry rows that charge or credit a party's cash and metal accounts
+const PARTY_CASH_TYPES = [
+  "PARTY_CASH_BALANCE",
+  "PARTY_MAKING_CHARGES",
+  "PARTY_PREMIUM",
+  "PARTY_VAT_AMOUNT",
+];
+const PARTY_GOLD_TYPES = ["PARTY_GOLD_BALANCE"];
+
+const round = (value, digits = 2) => Number((Number(value) || 0).toFixed(digits));
+
+const sumBy = (items, pick) => items.reduce((sum, item) => sum + (Number(pick(item)) || 0), 0);
+
+/**
+ * Party credit limits from Account.limitsMargins, checked before postings.
+ * A zero limit is treated as not set. Fixed limits block a posting unless a
+ * supervisor override token is supplied, Flexible limits warn and log the
+ * breach, and Unlimited parties are not checked.
+ *
+ * Cash limits are held in the currency set on the limits (the base currency
+ * otherwise). Exposures give cashChange in the base currency and any
+ * per-currency amounts as cash: [{ amount, currency }]; both are converted.
+ */
+class CreditLimitService {
+  // ---------------------------------------------------------------------
+  // Exposure a posting adds
+  // ---------------------------------------------------------------------
+
+  // Cash, metal and unfixed-gold changes a metal transaction or deal order
+  // makes to the party's balances. Negative cash or gold means the party owes
+  // more; unfixed gold is signed long (purchases) and short (sales).
+  static getTradeExposure({ transactionType, fixed, unfix, stockItems = [], totalSummary } = {}) {
+    const direction = INBOUND_TYPES.includes(transactionType) ? 1 : -1;
+    const pureWeight = sumBy(
+      stockItems,
+      (item) => item.pureWeight || (item.purity || 0) * (item.grossWeight || 0)
+    );
+
+    if (fixed && !unfix) {
+      const total =
+        totalSummary?.itemTotalAmount || sumBy(stockItems, (item) => item.itemTotal?.itemTotalAmount);
+      return { cashChange: direction * total, goldChange: 0, unfixedChange: 0 };
+    }
+
+    // Unfixed: metal moves on the gold account, charges on the cash account
+    const charges = sumBy(
+      stockItems,
+      (item) =>
+        (item.itemTotal?.makingChargesTotal || 0) +
+        (item.itemTotal?.premiumTotal || 0) +
+        (item.itemTotal?.vatAmount || item.vat?.amount || 0)
+    );
+    return {
+      cashChange: direction * charges,
+      goldChange: direction * pureWeight,
+      unfixedChange: direction * pureWeight,
+    };
+  }
+
+  // Extra exposure from editing a trade; without a previous version the
+  // whole trade counts
+  static getExposureChange(before, after) {
+    const next = this.getTradeExposure(after);
+    if (!before) return next;
+    const previous = this.getTradeExposure(before);
+    return {
+      cashChange: next.cashChange - previous.cashChange,
+      goldChange: next.goldChange - previous.goldChange,
+      unfixedChange: next.unfixedChange - previous.unfixedChange,
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Currency
+  // ---------------------------------------------------------------------
+
+  // Currency codes for CurrencyMaster ids; codes pass through
+  static async resolveCurrencyCodes(currencies, session = null) {
+    const ids = [...new Set(currencies.filter((c) => c && mongoose.Types.ObjectId.isValid(c)).map(String))];
+    const found = ids.length
+      ? await CurrencyMaster.find({ _id: { $in: ids } }).select("currencyCode").session(session).lean()
+      : [];
+    const codes = new Map(found.map((c) => [String(c._id), c.currencyCode]));
+    return (currency) => {
+      if (!currency) return BASE_CURRENCY;
+      return codes.get(String(currency)) || String(currency).toUpperCase();
+    };
+  }
+
+  // Sums amounts held in different currencies into one currency, at the
+  // base-currency rates the price feed quotes
+  static async convertAmounts(amounts, toCurrency, session = null) {
+    const codeOf = await this.resolveCurrencyCodes(
+      amounts.map((a) => a.currency),
+      session
+    );
+    const rates = new Map();
+    const rateOf = async (code) => {
+      if (!rates.has(code)) rates.set(code, await PriceFeedService.getCurrencyRate(code));
+      const rate = rates.get(code);
+      if (!rate) {
+        throw createAppError(`No exchange rate for ${code}`, 422, "CURRENCY_RATE_MISSING");
+      }
+      return rate;
+    };
+
+    const target = await rateOf(toCurrency);
+    let total = 0;
+    for (const { amount, currency } of amounts) {
+      const value = Number(amount) || 0;
+      if (!value) continue;
+      const code = codeOf(currency);
+      total += code === toCurrency ? value : (value * (await rateOf(code))) / target;
+    }
+    return total;
+  }
+
+  static async getLimitCurrency(account, session = null) {
+    const currency = account.limitsMargins?.[0]?.currency;
+    if (!currency) return BASE_CURRENCY;
+    const codeOf = await this.resolveCurrencyCodes([currency], session);
+    return codeOf(currency);
+  }
+
+  // The exposure with all cash in the limit currency
+  static async toLimitCurrency(exposure, currency, session = null) {
+    const cashChange = await this.convertAmounts(
+      [{ amount: exposure.cashChange, currency: BASE_CURRENCY }, ...(exposure.cash || [])],
+      currency,
+      session
+    );
+    return {
+      cashChange,
+      goldChange: Number(exposure.goldChange) || 0,
+      unfixedChange: Number(exposure.unfixedChange) || 0,
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Availability
+  // ---------------------------------------------------------------------
+
+  static getLimits(account) {
+    const limits = account.limitsMargins?.[0] || {};
+    return {
+      limitType: limits.limitType || null,
+      creditAmount: Number(limits.creditAmount) || 0,
+      metalAmount: Number(limits.metalAmount) || 0,
+      unfixGold: Number(limits.unfixGold) || 0,
+      creditDaysAmt: Number(limits.creditDaysAmt) || 0,
+      creditDaysMtl: Number(limits.creditDaysMtl) || 0,
+    };
+  }
+
+  // Debt is settled oldest first, so whatever is owed beyond the charges
+  // posted inside the credit window is overdue
+  static async getOverdue(partyId, owed, days, types, session = null) {
+    if (!days || owed <= 0) return 0;
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const [recent] = await Registry.aggregate([
+      {
+        $match: {
+          ...BALANCE_ROW_FILTER,
+          party: new mongoose.Types.ObjectId(String(partyId)),
+          type: { $in: types },
+          transactionDate: { $gte: since },
+        },
+      },
+      { $group: { _id: null, debit: { $sum: "$debit" } } },
+    ]).session(session);
+
+    return Math.max(0, owed - (recent?.debit || 0));
+  }
+
+  static async getAvailability(partyId, { session = null } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_ID");
+    }
+
+    const account = await Account.findById(partyId)
+      .select("accountCode customerName limitsMargins balances.cashBalance balances.goldBalance")
+      .session(session)
+      .lean();
+    if (!account) {
+      throw createAppError("Party not found", 404, "PARTY_NOT_FOUND");
+    }
+
+    const limits = this.getLimits(account);
+    const currency = await this.getLimitCurrency(account, session);
+    const cashBalance = await this.convertAmounts(
+      (account.balances?.cashBalance || []).map((balance) => ({
+        amount: balance.amount,
+        currency: balance.currency || balance.code,
+      })),
+      currency,
+      session
+    );
+    const goldBalance = Number(account.balances?.goldBalance?.totalGrams) || 0;
+    const cashOwed = Math.max(0, -cashBalance);
+    const goldOwed = Math.max(0, -goldBalance);
+
+    // Sequential: the reads may share a transaction session
+    const positions = await MetalPosition.find({ party: partyId })
+      .select("unfixedPurchases unfixedSales")
+      .session(session)
+      .lean();
+    const overdueCash = await this.getOverdue(partyId, cashOwed, limits.creditDaysAmt, PARTY_CASH_TYPES, session);
+    const overdueGold = await this.getOverdue(partyId, goldOwed, limits.creditDaysMtl, PARTY_GOLD_TYPES, session);
+    const unfixedGold = sumBy(positions, (p) => (p.unfixedPurchases || 0) - (p.unfixedSales || 0));
+
+    const available = (limit, used) => (limit > 0 ? round(limit - used, 4) : null);
+
+    return {
+      party: { _id: account._id, accountCode: account.accountCode, customerName: account.customerName },
+      limitType: limits.limitType,
+      limits,
+      cash: {
+        currency,
+        balance: round(cashBalance),
+        owed: round(cashOwed),
+        limit: limits.creditAmount,
+        available: available(limits.creditAmount, cashOwed),
+      },
+      gold: {
+        balance: round(goldBalance, 4),
+        owed: round(goldOwed, 4),
+        limit: limits.metalAmount,
+        available: available(limits.metalAmount, goldOwed),
+      },
+      unfixed: {
+        position: round(unfixedGold, 4),
+        limit: limits.unfixGold,
+        available: available(limits.unfixGold, Math.abs(unfixedGold)),
+      },
+      overdue: {
+        cash: round(overdueCash),
+        gold: round(overdueGold, 4),
+        creditDaysAmt: limits.creditDaysAmt,
+        creditDaysMtl: limits.creditDaysMtl,
+      },
+      asOf: new Date(),
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Checks
+  // ---------------------------------------------------------------------
+
+  // Limits the posting would break. Only changes that add to what the party
+  // owes are held against a limit, so settlements always go through.
+  static getViolations(availability, { cashChange = 0, goldChange = 0, unfixedChange = 0 }) {
+    const { limits, cash, gold, unfixed, overdue } = availability;
+    const violations = [];
+
+    if (cashChange < 0 && limits.creditAmount > 0) {
+      const projected = round(Math.max(0, -(cash.balance + cashChange)));
+      if (projected > limits.creditAmount) {
+        violations.push({
+          code: "CREDIT_LIMIT",
+          message: `Cash owed would reach ${projected} against a credit limit of ${limits.creditAmount}`,
+          limit: limits.creditAmount,
+          projected,
+        });
+      }
+    }
+
+    if (goldChange < 0 && limits.metalAmount > 0) {
+      const projected = round(Math.max(0, -(gold.balance + goldChange)), 4);
+      if (projected > limits.metalAmount) {
+        violations.push({
+          code: "METAL_LIMIT",
+          message: `Metal owed would reach ${projected}g against a metal limit of ${limits.metalAmount}g`,
+          limit: limits.metalAmount,
+          projected,
+        });
+      }
+    }
+
+    const projectedUnfixed = round(Math.abs(unfixed.position + unfixedChange), 4);
+    if (limits.unfixGold > 0 && projectedUnfixed > Math.abs(unfixed.position) && projectedUnfixed > limits.unfixGold) {
+      violations.push({
+        code: "UNFIX_LIMIT",
+        message: `Unfixed gold would reach ${projectedUnfixed}g against an unfixed limit of ${limits.unfixGold}g`,
+        limit: limits.unfixGold,
+        projected: projectedUnfixed,
+      });
+    }
+
+    if (cashChange < 0 && overdue.cash > 0) {
+      violations.push({
+        code: "OVERDUE_CASH",
+        message: `${overdue.cash} is overdue beyond ${limits.creditDaysAmt} credit days`,
+        limit: limits.creditDaysAmt,
+        projected: overdue.cash,
+      });
+    }
+
+    if (goldChange < 0 && overdue.gold > 0) {
+      violations.push({
+        code: "OVERDUE_METAL",
+        message: `${overdue.gold}g of metal is overdue beyond ${limits.creditDaysMtl} credit days`,
+        limit: limits.creditDaysMtl,
+        projected: overdue.gold,
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Runs the credit check for a posting. Returns { violations, warnings,
+   * override }; throws 422 CREDIT_LIMIT_EXCEEDED when a Fixed limit is broken
+   * and no valid override token was given.
+   */
+  static async assertCreditAvailable(
+    partyId,
+    exposure,
+    { overrideToken = null, adminId = null, documentModel = null, reference = null, session = null } = {}
+  ) {
+    const availability = await this.getAvailability(partyId, { session });
+    if (availability.limitType === "Unlimited") {
+      return { violations: [], warnings: [], override: null };
+    }
+
+    const change = await this.toLimitCurrency(exposure, availability.cash.currency, session);
+    const violations = this.getViolations(availability, change);
+    if (violations.length === 0) {
+      return { violations, warnings: [], override: null };
+    }
+
+    if (availability.limitType === "Flexible") {
+      await CreditLimitBreach.create(
+        [
+          {
+            party: partyId,
+            limitType: availability.limitType,
+            currency: availability.cash.currency,
+            documentModel,
+            reference,
+            violations,
+            recordedBy: adminId,
+          },
+        ],
+        { session }
+      );
+      return { violations, warnings: violations.map((v) => v.message), override: null };
+    }
+
+    if (!overrideToken) {
+      throw createAppError(
+        `Credit check failed for ${availability.party.accountCode}: ${violations.map((v) => v.message).join("; ")}. A supervisor override is required.`,
+        422,
+        "CREDIT_LIMIT_EXCEEDED"
+      );
+    }
+
+    const override = await this.consumeOverride(overrideToken, partyId, {
+      adminId,
+      documentModel,
+      reference,
+      violations,
+      session,
+    });
+    return { violations, warnings: [], override };
+  }
+
+  // ---------------------------------------------------------------------
+  // Overrides
+  // ---------------------------------------------------------------------
+
+  static async issueOverride({ party, reason, expiresInMinutes }, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(party)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_ID");
+    }
+    if (!reason?.trim()) {
+      throw createAppError("An override reason is required", 400, "OVERRIDE_REASON_REQUIRED");
+    }
+    if (!(await Account.exists({ _id: party }))) {
+      throw createAppError("Party not found", 404, "PARTY_NOT_FOUND");
+    }
+
+    const minutes = Number(expiresInMinutes) || DEFAULT_OVERRIDE_MINUTES;
+    return CreditOverride.create({
+      token: crypto.randomBytes(4).toString("hex").toUpperCase(),
+      party,
+      reason: reason.trim(),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      issuedBy: adminId,
+    });
+  }
+
+  static async consumeOverride(token, partyId, { adminId, documentModel, reference, violations, session = null }) {
+    const override = await CreditOverride.findOneAndUpdate(
+      {
+        token: String(token).trim().toUpperCase(),
+        party: partyId,
+        status: "issued",
+        expiresAt: { $gt: new Date() },
+      },
+      {
+        status: "used",
+        usedAt: new Date(),
+        usedBy: adminId,
+        documentModel,
+        reference,
+        violations,
+      },
+      { new: true, session }
+    );
+
+    if (!override) {
+      throw createAppError(
+        "Credit override token is invalid, expired, already used or issued for another party",
+        403,
+        "INVALID_CREDIT_OVERRIDE"
+      );
+    }
+    return override;
+  }
+
+  static async revokeOverride(id, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid override ID", 400, "INVALID_ID");
+    }
+
+    const override = await CreditOverride.findOneAndUpdate(
+      { _id: id, status: "issued" },
+      { status: "revoked", usedBy: adminId, usedAt: new Date() },
+      { new: true }
+    );
+    if (!override) {
+      throw createAppError("Only unused overrides can be revoked", 409, "OVERRIDE_NOT_REVOCABLE");
+    }
+    return override;
+  }
+
+  static async getBreaches({ party, startDate, endDate, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (party) {
+      if (!mongoose.Types.ObjectId.isValid(party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      query.party = party;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [breaches, total] = await Promise.all([
+      CreditLimitBreach.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("recordedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      CreditLimitBreach.countDocuments(query),
+    ]);
+
+    return {
+      breaches,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+
+  static async getOverrides({ party, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (party) {
+      if (!mongoose.Types.ObjectId.isValid(party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      query.party = party;
+    }
+    if (status) query.status = status;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [overrides, total] = await Promise.all([
+      CreditOverride.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("issuedBy", "name email")
+        .populate("usedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      CreditOverride.countDocuments(query),
+    ]);
+
+    return {
+      overrides,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+}
+
+export default CreditLimitService;
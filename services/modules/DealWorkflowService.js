@@ -0,0 +1,404 @@
+import mongoose from "mongoose";
+import DealOrder from "../../models/modules/DealOrder.js";
+import DealWorkflowRule from "../../models/modules/DealWorkflowRule.js";
+import Designation from "../../models/modules/Designation.js";
+import Admin from "../../models/core/adminModel.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const ADMIN_TYPES = Admin.schema.path("type").enumValues;
+const APPROVERS = ["super_admin", "admin", "manager"];
+// Reached through deliveries only (see DealOrderService.syncFulfilment)
+const DELIVERY_STAGES = ["inFulfilment", "completed"];
+const OPEN_STAGES = ["created", "sentToPurchase", "sentToSales", "awaitingApproval", "approved"];
+const ORDER_TYPES = DealOrder.schema.path("orderType").enumValues;
+
+// getDealMetrics as aggregation expressions, for filtering in the query
+const PURE_WEIGHT_EXPR = {
+  $sum: {
+    $map: {
+      input: { $ifNull: ["$stockItems", []] },
+      as: "line",
+      in: { $ifNull: ["$$line.pureWeight", 0] },
+    },
+  },
+};
+const AMOUNT_EXPR = { $ifNull: ["$totalSummary.totalAmount", 0] };
+
+// Workflow enforced until rules are configured
+const DEFAULT_RULES = [
+  { fromStage: "created", toStage: "sentToPurchase" },
+  { fromStage: "created", toStage: "sentToSales" },
+  { fromStage: "created", toStage: "awaitingApproval" },
+  { fromStage: "sentToPurchase", toStage: "awaitingApproval" },
+  { fromStage: "sentToSales", toStage: "awaitingApproval" },
+  { fromStage: "awaitingApproval", toStage: "approved", allowedTypes: APPROVERS },
+  { fromStage: "awaitingApproval", toStage: "created", allowedTypes: APPROVERS },
+  ...OPEN_STAGES.map((fromStage) => ({ fromStage, toStage: "onHold" })),
+  ...OPEN_STAGES.map((fromStage) => ({
+    fromStage,
+    toStage: "cancelled",
+    ...(fromStage === "approved" && { allowedTypes: APPROVERS }),
+  })),
+  { fromStage: "onHold", toStage: "created" },
+  { fromStage: "onHold", toStage: "awaitingApproval" },
+  { fromStage: "onHold", toStage: "cancelled" },
+].map((rule) => ({
+  orderType: null,
+  allowedTypes: [],
+  allowedDesignations: [],
+  minPureWeight: null,
+  minAmount: null,
+  ...rule,
+}));
+
+const sanitizeNumber = (val) => {
+  const num = Number(val);
+  return Number.isFinite(num) ? num : 0;
+};
+
+class DealWorkflowService {
+  // Configured rules replace the default workflow as a whole
+  static async getEnforcedRules() {
+    const configured = await DealWorkflowRule.find({ status: true }).lean();
+    return configured.length > 0 ? configured : DEFAULT_RULES;
+  }
+
+  static forOrderType(rules, orderType) {
+    return rules.filter((rule) => !rule.orderType || rule.orderType === orderType);
+  }
+
+  static getDealMetrics(deal) {
+    return {
+      pureWeight: (deal.stockItems || []).reduce((sum, line) => sum + sanitizeNumber(line.pureWeight), 0),
+      amount: sanitizeNumber(deal.totalSummary?.totalAmount),
+    };
+  }
+
+  static appliesTo(rule, metrics) {
+    return (
+      (rule.minPureWeight == null || metrics.pureWeight >= rule.minPureWeight) &&
+      (rule.minAmount == null || metrics.amount >= rule.minAmount)
+    );
+  }
+
+  // Super admins are never locked out by a misconfigured rule
+  static permits(rule, actor) {
+    if (actor.type === "super_admin") return true;
+    if (rule.allowedTypes.length === 0 && rule.allowedDesignations.length === 0) return true;
+    return (
+      rule.allowedTypes.includes(actor.type) ||
+      rule.allowedDesignations.some((id) => String(id) === String(actor.designationId))
+    );
+  }
+
+  static describe(rule) {
+    if (rule.description) return rule.description;
+
+    const scope = [
+      rule.minPureWeight != null && `of ${rule.minPureWeight}g or more`,
+      rule.minAmount != null && `of ${rule.minAmount} or more`,
+    ].filter(Boolean);
+    const who = [
+      ...rule.allowedTypes,
+      ...(rule.allowedDesignations.length > 0 ? ["an allowed designation"] : []),
+    ];
+    return `Moving deals${scope.length ? ` ${scope.join(" and ")}` : ""} from ${rule.fromStage} to ${rule.toStage} requires ${who.join(" or ")}`;
+  }
+
+  static async getActor(adminId) {
+    const actor = mongoose.Types.ObjectId.isValid(adminId)
+      ? await Admin.findById(adminId).select("name type designationId isActive").lean()
+      : null;
+    if (!actor?.isActive) {
+      throw createAppError("Admin not found or inactive", 403, "ADMIN_INACTIVE");
+    }
+    return actor;
+  }
+
+  // The move must be defined by at least one rule, and every rule whose
+  // thresholds the deal meets must allow the admin
+  static evaluate(deal, toStage, actor, rules) {
+    const fromStage = deal.progress?.currentStage;
+    const candidates = rules.filter((rule) => rule.fromStage === fromStage && rule.toStage === toStage);
+    if (candidates.length === 0) {
+      return {
+        allowed: false,
+        status: 409,
+        code: "INVALID_TRANSITION",
+        reason: `Deal orders cannot move from ${fromStage} to ${toStage}`,
+      };
+    }
+
+    const metrics = this.getDealMetrics(deal);
+    const blocking = candidates.find((rule) => this.appliesTo(rule, metrics) && !this.permits(rule, actor));
+    if (blocking) {
+      return { allowed: false, status: 403, code: "APPROVAL_NOT_PERMITTED", reason: this.describe(blocking) };
+    }
+    return { allowed: true };
+  }
+
+  static async assertTransition(deal, toStage, adminId) {
+    if (!DealOrder.progressStages.includes(toStage)) {
+      throw createAppError("Invalid progress stage", 400, "INVALID_STAGE");
+    }
+    if (DELIVERY_STAGES.includes(toStage)) {
+      throw createAppError(
+        `Deal orders move to ${toStage} through deliveries against them`,
+        409,
+        "INVALID_TRANSITION"
+      );
+    }
+    if (toStage === deal.progress?.currentStage) return;
+
+    const actor = await this.getActor(adminId);
+    const rules = this.forOrderType(await this.getEnforcedRules(), deal.orderType);
+    const result = this.evaluate(deal, toStage, actor, rules);
+    if (!result.allowed) {
+      throw createAppError(result.reason, result.status, result.code);
+    }
+  }
+
+  static async getAllowedTransitions(dealId, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw createAppError("Invalid deal order id", 400, "INVALID_ID");
+    }
+    const deal = await DealOrder.findOne({ _id: dealId, isDeleted: false })
+      .select("orderType progress.currentStage stockItems.pureWeight totalSummary.totalAmount")
+      .lean();
+    if (!deal) {
+      throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
+    }
+
+    const actor = await this.getActor(adminId);
+    const rules = this.forOrderType(await this.getEnforcedRules(), deal.orderType);
+    const stages = [
+      ...new Set(
+        rules.filter((rule) => rule.fromStage === deal.progress?.currentStage).map((rule) => rule.toStage)
+      ),
+    ];
+
+    return {
+      currentStage: deal.progress?.currentStage,
+      transitions: stages.map((toStage) => {
+        const { allowed, reason = null } = this.evaluate(deal, toStage, actor, rules);
+        return { toStage, allowed, reason };
+      }),
+    };
+  }
+
+  // Query conditions matching what evaluate() allows for approval: per
+  // order type and stage, a rule must define the move, and the deal must fall
+  // below the thresholds of every rule that does not permit the admin
+  static buildApprovableConditions(actor, allRules) {
+    const conditions = [];
+    for (const orderType of ORDER_TYPES) {
+      const rules = this.forOrderType(allRules, orderType).filter((rule) => rule.toStage === "approved");
+      for (const fromStage of new Set(rules.map((rule) => rule.fromStage))) {
+        const escapes = rules
+          .filter((rule) => rule.fromStage === fromStage && !this.permits(rule, actor))
+          .map((rule) =>
+            [
+              rule.minPureWeight != null && { $lt: [PURE_WEIGHT_EXPR, rule.minPureWeight] },
+              rule.minAmount != null && { $lt: [AMOUNT_EXPR, rule.minAmount] },
+            ].filter(Boolean)
+          );
+        // A blocking rule without thresholds covers every deal
+        if (escapes.some((escape) => escape.length === 0)) continue;
+
+        const condition = { orderType, "progress.currentStage": fromStage };
+        if (escapes.length > 0) condition.$expr = { $and: escapes.map((escape) => ({ $or: escape })) };
+        conditions.push(condition);
+      }
+    }
+    return conditions;
+  }
+
+  // Deals waiting at a stage the admin may approve them from
+  static async getPendingApprovals(adminId, { page = 1, limit = 20 } = {}) {
+    const actor = await this.getActor(adminId);
+    const conditions = this.buildApprovableConditions(actor, await this.getEnforcedRules());
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = { isDeleted: false, status: { $ne: "cancelled" }, $or: conditions };
+    const [deals, total] =
+      conditions.length === 0
+        ? [[], 0]
+        : await Promise.all([
+            DealOrder.find(query)
+              .sort({ updatedAt: 1 })
+              .skip((pageNumber - 1) * pageSize)
+              .limit(pageSize)
+              .populate({ path: "partyCode", select: "accountCode customerName" })
+              .populate("salesmanId", "name code")
+              .populate("createdBy", "name email")
+              .select("-otherCharges")
+              .lean(),
+            DealOrder.countDocuments(query),
+          ]);
+
+    return {
+      data: deals.map((deal) => ({
+        ...deal,
+        totalPureWeight: this.getDealMetrics(deal).pureWeight,
+        waitingSince: deal.progress?.history?.at(-1)?.updatedAt || deal.updatedAt,
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize) || 1,
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Rules
+  // ---------------------------------------------------------------------
+
+  static async validateRule(data) {
+    const { fromStage, toStage, orderType = null } = data;
+    const stages = DealOrder.progressStages;
+
+    if (!stages.includes(fromStage) || !stages.includes(toStage)) {
+      throw createAppError(`Stages must be one of: ${stages.join(", ")}`, 400, "INVALID_STAGE");
+    }
+    if (fromStage === toStage) {
+      throw createAppError("From and to stages must differ", 400, "INVALID_TRANSITION");
+    }
+    if (DELIVERY_STAGES.includes(toStage)) {
+      throw createAppError(`${toStage} is reached through deliveries, not rules`, 400, "INVALID_TRANSITION");
+    }
+    if (orderType && !["PURCHASE", "SALES"].includes(orderType)) {
+      throw createAppError("Order type must be PURCHASE or SALES", 400, "INVALID_ORDER_TYPE");
+    }
+
+    const allowedTypes = data.allowedTypes || [];
+    const invalidType = allowedTypes.find((type) => !ADMIN_TYPES.includes(type));
+    if (invalidType) {
+      throw createAppError(
+        `Admin type must be one of: ${ADMIN_TYPES.join(", ")}`,
+        400,
+        "INVALID_ADMIN_TYPE"
+      );
+    }
+
+    const allowedDesignations = data.allowedDesignations || [];
+    if (allowedDesignations.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw createAppError("Invalid designation ID", 400, "INVALID_DESIGNATION");
+    }
+    if (allowedDesignations.length > 0) {
+      const found = await Designation.countDocuments({ _id: { $in: allowedDesignations } });
+      if (found !== new Set(allowedDesignations.map(String)).size) {
+        throw createAppError("Designation not found", 404, "DESIGNATION_NOT_FOUND");
+      }
+    }
+
+    for (const field of ["minPureWeight", "minAmount"]) {
+      const value = data[field];
+      if (value != null && !(Number(value) >= 0)) {
+        throw createAppError(`${field} must be zero or more`, 400, "INVALID_THRESHOLD");
+      }
+    }
+  }
+
+  static async createRule(data, adminId) {
+    await this.validateRule(data);
+
+    const rule = await DealWorkflowRule.create({
+      fromStage: data.fromStage,
+      toStage: data.toStage,
+      orderType: data.orderType || null,
+      allowedTypes: data.allowedTypes || [],
+      allowedDesignations: data.allowedDesignations || [],
+      minPureWeight: data.minPureWeight ?? null,
+      minAmount: data.minAmount ?? null,
+      description: data.description || null,
+      createdBy: adminId,
+    });
+
+    return this.getRuleById(rule._id);
+  }
+
+  static async getRules(filters = {}) {
+    const query = {};
+    if (filters.fromStage) query.fromStage = filters.fromStage;
+    if (filters.toStage) query.toStage = filters.toStage;
+    if (filters.orderType) query.orderType = filters.orderType;
+    if (filters.status !== undefined) query.status = filters.status;
+
+    const rules = await DealWorkflowRule.find(query)
+      .sort({ fromStage: 1, toStage: 1, minPureWeight: 1, minAmount: 1 })
+      .populate("allowedDesignations", "name")
+      .lean();
+
+    // Show what is enforced while nothing is configured
+    if (rules.length === 0 && Object.keys(query).length === 0) {
+      return { rules: DEFAULT_RULES, isDefault: true };
+    }
+    return { rules, isDefault: false };
+  }
+
+  static async getRuleById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid workflow rule ID", 400, "INVALID_ID");
+    }
+
+    const rule = await DealWorkflowRule.findById(id)
+      .populate("allowedDesignations", "name")
+      .populate("createdBy", "name email")
+      .populate("updatedBy", "name email")
+      .lean();
+    if (!rule) {
+      throw createAppError("Workflow rule not found", 404, "NOT_FOUND");
+    }
+    return rule;
+  }
+
+  static async updateRule(id, data, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid workflow rule ID", 400, "INVALID_ID");
+    }
+    const existing = await DealWorkflowRule.findById(id);
+    if (!existing) {
+      throw createAppError("Workflow rule not found", 404, "NOT_FOUND");
+    }
+
+    const fields = [
+      "fromStage",
+      "toStage",
+      "orderType",
+      "allowedTypes",
+      "allowedDesignations",
+      "minPureWeight",
+      "minAmount",
+    ];
+    const merged = Object.fromEntries(
+      fields.map((field) => [field, data[field] !== undefined ? data[field] : existing[field]])
+    );
+    await this.validateRule(merged);
+
+    Object.assign(existing, merged, {
+      orderType: merged.orderType || null,
+      ...(data.description !== undefined && { description: data.description }),
+      ...(data.status !== undefined && { status: data.status }),
+      updatedBy: adminId,
+    });
+    await existing.save();
+
+    return this.getRuleById(id);
+  }
+
+  static async deleteRule(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid workflow rule ID", 400, "INVALID_ID");
+    }
+    const rule = await DealWorkflowRule.findByIdAndDelete(id);
+    if (!rule) {
+      throw createAppError("Workflow rule not found", 404, "NOT_FOUND");
+    }
+    return { message: "Workflow rule deleted successfully" };
+  }
+}
+
+export default DealWorkflowService;
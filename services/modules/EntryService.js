@@ -3,6 +3,8 @@ import Account from "../../models/modules/AccountType.js";
 import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
 import DocumentType from "../../models/modules/DocumentType.js";
 import RegistryService from "./RegistryService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import CreditLimitService from "./CreditLimitService.js";
 import InventoryService from "./inventoryService.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 import { createAppError } from "../../utils/errorHandler.js";
@@ -50,6 +52,15 @@ class EntryService {
   // Calculate FX Gain/Loss
   // For cash-payment: if fxBaseRate > fxRate = Loss (paying less than market)
   // For cash-receipt: if fxBaseRate > fxRate = Gain (receiving more than market)
+  // Cash registry rows stay in the entry currency; tag them with it so
+  // revaluation can convert them
+  static cashRowFx(cashItem, currency) {
+    return {
+      assetType: currency?.currencyCode || "AED",
+      currencyRate: Number(cashItem.fxRate) || Number(currency?.conversionRate) || 1,
+    };
+  }
+
   static calculateFxGainLoss(amount, fxRate, fxBaseRate, isPayment = true) {
     const givenValue = amount * fxRate;
     const marketValue = amount * fxBaseRate;
@@ -86,9 +97,9 @@ class EntryService {
     return bal;
   }
 
-  static async updateAccountCashBalance(accountId, currencyId, amount) {
+  static async updateAccountCashBalance(accountId, currencyId, amount, session = null) {
     if (!accountId) return;
-    const acc = await Account.findById(accountId);
+    const acc = await Account.findById(accountId).session(session);
     if (!acc) return;
 
     const bal = await this.ensureCashBalance(acc, currencyId);
@@ -96,7 +107,66 @@ class EntryService {
     bal.amount += amount;
     bal.lastUpdated = new Date();
 
-    await acc.save();
+    await acc.save({ session });
+  }
+
+  // ------------------------------------------------------------------------
+  // CREDIT CHECK - payments add to what the party owes, receipts settle it
+  // ------------------------------------------------------------------------
+  static getEntryExposure(entry) {
+    if (entry?.status !== "approved" || !entry.party) return null;
+
+    if (entry.type === "metal-payment") {
+      const grams = (entry.stockItems || []).reduce((sum, item) => sum + (Number(item.purityWeight) || 0), 0);
+      return { cashChange: 0, goldChange: -grams };
+    }
+    if (["cash-payment", "currency-payment"].includes(entry.type)) {
+      // Each line in its own currency; the credit check converts them
+      const cash = (entry.cash || []).map((c) => ({ amount: -(Number(c.amount) || 0), currency: c.currency }));
+      return { cashChange: 0, goldChange: 0, cash };
+    }
+    return null;
+  }
+
+  // On edits, pass the entry as it stands so only the difference is checked
+  static async assertEntryCredit(entry, { previous = null, overrideToken = null, adminId = null, session = null } = {}) {
+    const exposure = this.getEntryExposure(entry);
+    if (!exposure) return null;
+
+    const before =
+      previous && String(previous.party) === String(entry.party) ? this.getEntryExposure(previous) : null;
+    if (before) {
+      exposure.cashChange -= before.cashChange;
+      exposure.goldChange -= before.goldChange;
+      exposure.cash = [
+        ...(exposure.cash || []),
+        ...(before.cash || []).map((c) => ({ ...c, amount: -c.amount })),
+      ];
+    }
+
+    return CreditLimitService.assertCreditAvailable(entry.party, exposure, {
+      overrideToken,
+      adminId,
+      documentModel: "Entry",
+      reference: entry.voucherCode,
+      session,
+    });
+  }
+
+  // The credit check, the override it spends and the write it allows commit
+  // together, so a token is never used up by an entry that wasn't saved
+  static async saveWithCredit(entry, write, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        await this.assertEntryCredit(entry, { ...options, session });
+        result = await write(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
   }
 
   // ------------------------------------------------------------------------
@@ -119,7 +189,7 @@ class EntryService {
       const txId = await Registry.generateTransactionId();
       const desc = item.remarks || "Metal receipt";
 
-      await Registry.create([
+      const registryRows = [
         {
           transactionType: entry.type,
           transactionId: txId,
@@ -178,7 +248,10 @@ class EntryService {
           assetType: "AED",
           currencyRate: 1,
         },
-      ]);
+      ];
+
+      RegistryIntegrityService.assertBalanced(registryRows);
+      await Registry.create(registryRows);
 
       await InventoryService.updateInventory(
         {
@@ -228,7 +301,7 @@ class EntryService {
       const txId = await Registry.generateTransactionId();
       const desc = item.remarks || "Metal payment";
 
-      await Registry.create([
+      const registryRows = [
         {
           transactionType: entry.type,
           transactionId: txId,
@@ -287,7 +360,10 @@ class EntryService {
           assetType: "AED",
           currencyRate: 1,
         },
-      ]);
+      ];
+
+      RegistryIntegrityService.assertBalanced(registryRows);
+      await Registry.create(registryRows);
 
       await InventoryService.updateInventory(
         {
@@ -334,6 +410,7 @@ class EntryService {
       const amount = Number(c.amount);
       const fxRate = Number(c.fxRate) || 1;
       const fxBaseRate = Number(c.fxBaseRate) || 1;
+      const cashFx = this.cashRowFx(c, currency);
 
       // Check if this is a cheque transaction
       const isCheque = c.cashType === "cheque";
@@ -501,6 +578,7 @@ class EntryService {
         createdBy: entry.enteredBy,
         party: entry.party,
         currency: c.currency,
+        ...cashFx,
       });
 
       // Registry for opposite account (Bank/Cash/PDC)
@@ -519,6 +597,7 @@ class EntryService {
           createdBy: entry.enteredBy,
           party: pdcAccount,
           currency: c.currency,
+          ...cashFx,
         });
       } else if (opposite) {
         // Normal bank/cash account registry
@@ -535,6 +614,7 @@ class EntryService {
           createdBy: entry.enteredBy,
           party: opposite,
           currency: c.currency,
+          ...cashFx,
         });
       }
 
@@ -605,6 +685,7 @@ class EntryService {
       }
     }
 
+    RegistryIntegrityService.assertBalanced(registryRows);
     await Registry.create(registryRows);
     
     // Save updated cash items with FX and PDC info
@@ -626,6 +707,7 @@ class EntryService {
     }
 
     const currency = await CurrencyMaster.findById(cashItem.currency);
+    const cashFx = this.cashRowFx(cashItem, currency);
     const amount = Number(cashItem.amount);
     const isReceipt = entry.type.includes("cash-receipt");
 
@@ -652,6 +734,7 @@ class EntryService {
         createdBy: adminId,
         party: pdcAccount,
         currency: cashItem.currency,
+        ...cashFx,
       });
     }
 
@@ -675,9 +758,11 @@ class EntryService {
         createdBy: adminId,
         party: bankAccount,
         currency: cashItem.currency,
+        ...cashFx,
       });
     }
 
+    RegistryIntegrityService.assertBalanced(registryRows);
     await Registry.create(registryRows);
 
     // Update PDC status
@@ -702,6 +787,7 @@ class EntryService {
     }
 
     const currency = await CurrencyMaster.findById(cashItem.currency);
+    const cashFx = this.cashRowFx(cashItem, currency);
     const amount = Number(cashItem.amount);
     const isReceipt = entry.type.includes("receipt");
 
@@ -727,6 +813,7 @@ class EntryService {
         createdBy: adminId,
         party: pdcAccount,
         currency: cashItem.currency,
+        ...cashFx,
       });
     }
 
@@ -748,8 +835,10 @@ class EntryService {
       createdBy: adminId,
       party: entry.party,
       currency: cashItem.currency,
+      ...cashFx,
     });
 
+    RegistryIntegrityService.assertBalanced(registryRows);
     await Registry.create(registryRows);
 
     // Update PDC status
@@ -1160,6 +1249,7 @@ class EntryService {
 
         const amount = Number(schedule.amount);
         const isReceipt = schedule.entryType === "currency-receipt";
+        const cashFx = this.cashRowFx(cashItem, schedule.currency);
         const registryRows = [];
 
         // Reverse PDC account entry
@@ -1192,6 +1282,7 @@ class EntryService {
           createdBy: adminId || entry.enteredBy,
           party: schedule.pdcAccount,
           currency: schedule.currency,
+          ...cashFx,
         });
 
         // Registry: Post to bank account
@@ -1208,8 +1299,10 @@ class EntryService {
           createdBy: adminId || entry.enteredBy,
           party: schedule.bankAccountId,
           currency: schedule.currency,
+          ...cashFx,
         });
 
+        RegistryIntegrityService.assertBalanced(registryRows);
         await Registry.create(registryRows);
 
         // Update cash item status
@@ -1270,6 +1363,7 @@ class EntryService {
     const amount = Number(cashItem.amount);
     const isReceipt = entry.type === "currency-receipt";
     const currency = await CurrencyMaster.findById(cashItem.currency);
+    const cashFx = this.cashRowFx(cashItem, currency);
     const registryRows = [];
 
     // Reverse party balance
@@ -1296,6 +1390,7 @@ class EntryService {
         createdBy: adminId,
         party: pdcAccount,
         currency: cashItem.currency,
+        ...cashFx,
       });
     }
 
@@ -1313,8 +1408,10 @@ class EntryService {
       createdBy: adminId,
       party: entry.party,
       currency: cashItem.currency,
+      ...cashFx,
     });
 
+    RegistryIntegrityService.assertBalanced(registryRows);
     await Registry.create(registryRows);
 
     // Update cash item status
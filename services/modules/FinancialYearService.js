@@ -1,7 +1,17 @@
 
+import mongoose from "mongoose";
 import FinancialYear from "../../models/modules/FinancialYearMaster.js";
+import Registry, { BALANCE_ROW_FILTER } from "../../models/modules/Registry.js";
+import MetalRate from "../../models/modules/MetalRateMaster.js";
+import { CARRY_FORWARD_VOUCHER_TYPE } from "../../models/modules/OpeningBalance.js";
+import OpeningBalanceService from "./OpeningBalanceService.js";
+import OpeningFixingService from "./OpeningFixingService.js";
+import PeriodLockService from "./PeriodLockService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
+const GRAMS_PER_OZ = 31.1035;
+
 // Helper function to normalize date to UTC midnight (start of day)
 // This ensures dates are compared correctly regardless of timezone
 const normalizeDateToUTC = (date) => {
@@ -179,6 +189,14 @@ export class FinancialYearService {
         throw createAppError("Financial year not found", 404, "NOT_FOUND");
       }
 
+      if (financialYear.isClosed) {
+        throw createAppError(
+          `Financial year ${financialYear.code} is closed`,
+          400,
+          "FINANCIAL_YEAR_CLOSED"
+        );
+      }
+
       const { code, startDate, endDate, voucherReset } = updateData;
 
       // Check duplicate code if changed
@@ -255,6 +273,14 @@ export class FinancialYearService {
         throw createAppError("Financial year not found", 404, "NOT_FOUND");
       }
 
+      if (financialYear.isClosed) {
+        throw createAppError(
+          `Financial year ${financialYear.code} is closed`,
+          400,
+          "FINANCIAL_YEAR_CLOSED"
+        );
+      }
+
       // Check if this is the current financial year
       if (financialYear.isCurrent()) {
         throw createAppError(
@@ -315,6 +341,226 @@ export class FinancialYearService {
       throw error;
     }
   }
+
+  // Party cash (per currency) and gold balances and the net stock position as
+  // of the last day of a financial year
+  static async getClosingBalances(id) {
+    const financialYear = await FinancialYear.findById(id).lean();
+    if (!financialYear) {
+      throw createAppError("Financial year not found", 404, "NOT_FOUND");
+    }
+
+    // Every party-side cash ledger settles into the party's cash balance
+    const partyCashLedgers = RegistryIntegrityService.getLedgerTypes("cash").filter(
+      (type) => type.startsWith("PARTY_")
+    );
+    const yearEnd = new Date(financialYear.endDate);
+    yearEnd.setUTCHours(23, 59, 59, 999);
+
+    const rows = await Registry.aggregate([
+      {
+        $match: {
+          ...BALANCE_ROW_FILTER,
+          transactionDate: { $lte: yearEnd },
+          type: { $in: [...partyCashLedgers, "PARTY_GOLD_BALANCE", "GOLD_STOCK"] },
+        },
+      },
+      { $addFields: RegistryIntegrityService.buildLegExpressions() },
+      {
+        $group: {
+          _id: {
+            ledger: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$type", "GOLD_STOCK"] }, then: "STOCK" },
+                  { case: { $eq: ["$type", "PARTY_GOLD_BALANCE"] }, then: "GOLD" },
+                ],
+                default: "CASH",
+              },
+            },
+            party: { $cond: [{ $eq: ["$type", "GOLD_STOCK"] }, null, "$party"] },
+            currency: {
+              $cond: [
+                { $in: ["$type", partyCashLedgers] },
+                { $toUpper: { $ifNull: ["$assetType", "AED"] } },
+                "XAU",
+              ],
+            },
+          },
+          cash: { $sum: { $subtract: ["$cashDebit", "$cashCredit"] } },
+          gold: { $sum: { $subtract: ["$goldDebit", "$goldCredit"] } },
+        },
+      },
+    ]);
+
+    const partyBalances = [];
+    let stockPosition = 0;
+    for (const row of rows) {
+      const { ledger, party, currency } = row._id;
+      if (ledger === "STOCK") {
+        stockPosition += row.gold;
+        continue;
+      }
+      if (!party) continue;
+
+      const value = ledger === "CASH" ? Number(row.cash.toFixed(2)) : Number(row.gold.toFixed(3));
+      if (value === 0) continue;
+
+      partyBalances.push({
+        partyId: party,
+        assetType: ledger,
+        assetCode: currency,
+        transactionType: value > 0 ? "debit" : "credit",
+        value: Math.abs(value),
+      });
+    }
+
+    return {
+      financialYear,
+      asOf: yearEnd,
+      partyBalances,
+      stockPosition: Number(stockPosition.toFixed(3)),
+    };
+  }
+
+  // Carry closing balances into the next year as opening entries, then close
+  // and lock the year. Party accounts already hold these balances, so the
+  // opening voucher only writes the registry side.
+  static async closeFinancialYear(id, options, adminId) {
+    const { nextFinancialYearId, divisionId, salesmanId, metalRateId, bidValue } = options;
+
+    const financialYear = await FinancialYear.findById(id);
+    if (!financialYear) {
+      throw createAppError("Financial year not found", 404, "NOT_FOUND");
+    }
+    if (financialYear.isClosed) {
+      throw createAppError(
+        `Financial year ${financialYear.code} is already closed`,
+        409,
+        "FINANCIAL_YEAR_CLOSED"
+      );
+    }
+
+    const nextYear = nextFinancialYearId
+      ? await FinancialYear.findById(nextFinancialYearId)
+      : await FinancialYear.findOne({
+          status: true,
+          startDate: { $gt: financialYear.endDate },
+        }).sort({ startDate: 1 });
+    if (!nextYear || nextYear.startDate <= financialYear.endDate) {
+      throw createAppError(
+        "Create the following financial year before closing this one",
+        400,
+        "NEXT_FINANCIAL_YEAR_MISSING"
+      );
+    }
+
+    const { partyBalances, stockPosition } = await this.getClosingBalances(id);
+
+    let metalRate = null;
+    if (stockPosition !== 0) {
+      if (!divisionId || !salesmanId || !metalRateId || !bidValue) {
+        throw createAppError(
+          "Division, salesman, metal rate and bid value are required to carry the stock position forward",
+          400,
+          "REQUIRED_FIELD_MISSING"
+        );
+      }
+      metalRate = await MetalRate.findById(metalRateId).lean();
+      if (!metalRate?.convFactGms) {
+        throw createAppError("Invalid metal rate", 400, "INVALID_METAL_RATE");
+      }
+    }
+
+    const voucherCode = `YEC-${financialYear.code}`;
+    const voucherDate = nextYear.startDate;
+    const description = `Balance carried forward from ${financialYear.code}`;
+
+    // Carry forwards, the lock and the close commit together or not at all
+    let openingBalance = null;
+    let openingFixing = null;
+    let closedYear = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        closedYear = await FinancialYear.findOneAndUpdate(
+          { _id: financialYear._id, isClosed: { $ne: true } },
+          {
+            $set: {
+              isClosed: true,
+              closedAt: new Date(),
+              closedBy: adminId,
+              carriedForwardTo: nextYear._id,
+              updatedBy: adminId,
+            },
+          },
+          { new: true, session }
+        );
+        if (!closedYear) {
+          throw createAppError(
+            `Financial year ${financialYear.code} is already closed`,
+            409,
+            "FINANCIAL_YEAR_CLOSED"
+          );
+        }
+
+        if (partyBalances.length > 0) {
+          openingBalance = await OpeningBalanceService.createOpeningBalanceBatch({
+            voucherCode,
+            voucherType: CARRY_FORWARD_VOUCHER_TYPE,
+            voucherDate,
+            description,
+            entries: partyBalances,
+            adminId,
+            applyPartyBalances: false,
+            carryForwardOf: financialYear._id,
+            session,
+          });
+        }
+
+        if (stockPosition !== 0) {
+          const pureWeight = Math.abs(stockPosition);
+          const convFactGms = Number(metalRate.convFactGms);
+          openingFixing = await OpeningFixingService.createOpeningFixing(
+            {
+              voucherNumber: `${voucherCode}-STK`,
+              voucherType: CARRY_FORWARD_VOUCHER_TYPE,
+              prefix: "YEC",
+              voucherDate,
+              divisionId,
+              salesmanId,
+              position: stockPosition > 0 ? "LONG" : "SHORT",
+              pureWeight,
+              weightOz: Number((pureWeight / GRAMS_PER_OZ).toFixed(3)),
+              metalRateId,
+              bidvalue: Number(bidValue),
+              metalRateValue: convFactGms,
+              metalValue: Number(((pureWeight / convFactGms) * Number(bidValue)).toFixed(2)),
+            },
+            adminId,
+            { carryForwardOf: financialYear._id, session }
+          );
+        }
+
+        await PeriodLockService.lockPeriod(
+          { periodType: "year", financialYearId: financialYear._id, remarks: "Year-end close" },
+          adminId,
+          session
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return {
+      financialYear: closedYear,
+      nextFinancialYear: nextYear,
+      openingBalance,
+      openingFixing,
+      carriedParties: partyBalances.length,
+      stockPosition,
+    };
+  }
 }
 
 export default FinancialYearService;
\ No newline at end of file
@@ -0,0 +1,425 @@
+import mongoose from "mongoose";
+import FixingAllocation from "../../models/modules/FixingAllocation.js";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES, UNFIXED_LOT_TYPES } from "../../models/modules/MetalTransaction.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const WEIGHT_TOLERANCE = 0.0001;
+
+// A purchase fixing settles the party's unfixed purchases, a sale fixing its
+// unfixed sales. Hedge fixings belong to fixed trades and are not allocated.
+const SIDE_BY_FIXING_TYPE = {
+  PURCHASE: "purchase",
+  SALE: "sale",
+};
+
+const round = (value) => Number((Number(value) || 0).toFixed(4));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+/**
+ * Allocation ledger between fixing orders and the unfixed stock lines they
+ * settle. Fixings allocate FIFO by voucher date unless lines are picked by
+ * hand; each line's fixed weight is recomputed from its active allocations.
+ */
+class FixingAllocationService {
+  // Query for posted transactions still waiting to be fixed
+  static openLotFilter(side = null) {
+    return {
+      isActive: true,
+      status: { $in: POSTED_TRANSACTION_STATUSES },
+      fixed: { $ne: true },
+      isFixed: { $ne: true },
+      transactionType: {
+        $in: side ? UNFIXED_LOT_TYPES[side] : Object.values(UNFIXED_LOT_TYPES).flat(),
+      },
+    };
+  }
+
+  static async getOpenLots(party, side, session = null) {
+    const transactions = await MetalTransaction.find({ ...this.openLotFilter(side), partyCode: party })
+      .sort({ voucherDate: 1, createdAt: 1 })
+      .session(session);
+
+    return transactions.flatMap((transaction) =>
+      transaction.stockItems
+        .map((item) => ({
+          transaction,
+          item,
+          remaining: round((item.pureWeight || 0) - (item.fixedPureWeight || 0)),
+        }))
+        .filter((lot) => lot.remaining > WEIGHT_TOLERANCE)
+    );
+  }
+
+  // Sets each line's fixed weight from its active allocations. Written with
+  // updateOne so documents callers still hold keep a valid version.
+  static async refreshTransactions(transactionIds, session = null) {
+    const ids = [...new Set(transactionIds.map(idOf).filter(Boolean))];
+    if (ids.length === 0) return;
+
+    const transactions = await MetalTransaction.find({ _id: { $in: ids } }).session(session);
+    const totals = await FixingAllocation.aggregate([
+      {
+        $match: {
+          metalTransaction: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+          status: "active",
+        },
+      },
+      { $group: { _id: "$stockItem", pureWeight: { $sum: "$pureWeight" } } },
+    ]).session(session);
+
+    const fixedByLine = new Map(totals.map((t) => [idOf(t._id), round(t.pureWeight)]));
+    for (const transaction of transactions) {
+      const $set = {};
+      transaction.stockItems.forEach((item, index) => {
+        item.fixedPureWeight = fixedByLine.get(idOf(item._id)) || 0;
+        $set[`stockItems.${index}.fixedPureWeight`] = item.fixedPureWeight;
+      });
+      transaction.refreshFixingProgress();
+      $set.fixedPureWeight = transaction.fixedPureWeight;
+      $set.unfixedPureWeight = transaction.unfixedPureWeight;
+      $set.isFixed = transaction.isFixed;
+
+      await MetalTransaction.updateOne({ _id: transaction._id }, { $set }, { session });
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Allocating
+  // ---------------------------------------------------------------------
+
+  /**
+   * Allocates whatever weight of the fixing's orders is not yet allocated.
+   * selections ([{ order, metalTransaction, stockItem, pureWeight }], order
+   * being an order _id or index) are used with the "manual" method.
+   */
+  static async allocateFixing(fixingId, { method = "fifo", selections = [], adminId = null, session = null } = {}) {
+    const fixing = await TransactionFixing.findById(fixingId).session(session);
+    const side = SIDE_BY_FIXING_TYPE[fixing?.type?.toUpperCase()];
+    if (!fixing || !side || !fixing.isActive || fixing.status === "cancelled") {
+      return { allocations: [], unallocated: [] };
+    }
+
+    const allocated = await FixingAllocation.aggregate([
+      { $match: { fixing: fixing._id, status: "active" } },
+      { $group: { _id: "$order", pureWeight: { $sum: "$pureWeight" } } },
+    ]).session(session);
+    const allocatedByOrder = new Map(allocated.map((a) => [idOf(a._id), a.pureWeight]));
+
+    const needs = fixing.orders.map((order) => ({
+      order,
+      need: round((order.pureWeight || 0) - (allocatedByOrder.get(idOf(order._id)) || 0)),
+    }));
+    const lots = await this.getOpenLots(fixing.partyId, side, session);
+
+    const plan =
+      method === "manual"
+        ? this.planManual(needs, lots, selections)
+        : this.planFifo(needs, lots);
+
+    const allocations = plan.map(({ order, lot, pureWeight }) => ({
+      fixing: fixing._id,
+      order: order._id,
+      party: fixing.partyId,
+      side,
+      metalTransaction: lot.transaction._id,
+      stockItem: lot.item._id,
+      voucherNumber: lot.transaction.voucherNumber,
+      fixingVoucherNumber: fixing.voucherNumber,
+      pureWeight,
+      ratePerGram: order.pureWeight ? round(order.price / order.pureWeight) : 0,
+      method: method === "manual" ? "manual" : "fifo",
+      createdBy: adminId,
+    }));
+
+    if (allocations.length > 0) {
+      await FixingAllocation.insertMany(allocations, { session });
+      await this.refreshTransactions(allocations.map((a) => a.metalTransaction), session);
+    }
+
+    return {
+      allocations,
+      // Fixed ahead of delivery: no open lot left to settle
+      unallocated: needs
+        .filter(({ need }) => need > WEIGHT_TOLERANCE)
+        .map(({ order, need }) => ({ order: order._id, pureWeight: round(need) })),
+    };
+  }
+
+  // Oldest open lots first, order by order. Consumes needs and lots in place.
+  static planFifo(needs, lots) {
+    const plan = [];
+    for (const entry of needs) {
+      for (const lot of lots) {
+        if (entry.need <= WEIGHT_TOLERANCE) break;
+        if (lot.remaining <= WEIGHT_TOLERANCE) continue;
+
+        const pureWeight = round(Math.min(entry.need, lot.remaining));
+        plan.push({ order: entry.order, lot, pureWeight });
+        entry.need = round(entry.need - pureWeight);
+        lot.remaining = round(lot.remaining - pureWeight);
+      }
+    }
+    return plan;
+  }
+
+  static planManual(needs, lots, selections = []) {
+    if (!Array.isArray(selections) || selections.length === 0) {
+      throw createAppError("Manual allocation needs at least one selection", 400, "NO_ALLOCATIONS");
+    }
+
+    const plan = [];
+    selections.forEach((selection, index) => {
+      const entry =
+        needs.find(({ order }) => idOf(order._id) === idOf(selection.order)) ||
+        (Number.isInteger(Number(selection.order)) ? needs[Number(selection.order)] : null);
+      const lot = lots.find(
+        ({ transaction, item }) =>
+          idOf(item._id) === idOf(selection.stockItem) &&
+          (!selection.metalTransaction || idOf(transaction._id) === idOf(selection.metalTransaction))
+      );
+      const pureWeight = round(selection.pureWeight);
+
+      if (!entry) {
+        throw createAppError(`Allocation ${index + 1}: fixing order not found`, 400, "INVALID_ALLOCATION");
+      }
+      if (!lot) {
+        throw createAppError(
+          `Allocation ${index + 1}: stock line is not an open unfixed lot of this party`,
+          400,
+          "INVALID_ALLOCATION"
+        );
+      }
+      if (!(pureWeight > 0)) {
+        throw createAppError(`Allocation ${index + 1}: weight must be positive`, 400, "INVALID_ALLOCATION");
+      }
+      if (pureWeight > entry.need + WEIGHT_TOLERANCE) {
+        throw createAppError(
+          `Allocation ${index + 1}: ${pureWeight}g exceeds the ${entry.need}g left on the order`,
+          400,
+          "ALLOCATION_EXCEEDS_ORDER"
+        );
+      }
+      if (pureWeight > lot.remaining + WEIGHT_TOLERANCE) {
+        throw createAppError(
+          `Allocation ${index + 1}: ${pureWeight}g exceeds the ${lot.remaining}g unfixed on ${lot.transaction.voucherNumber}`,
+          400,
+          "ALLOCATION_EXCEEDS_LOT"
+        );
+      }
+
+      plan.push({ order: entry.order, lot, pureWeight });
+      entry.need = round(entry.need - pureWeight);
+      lot.remaining = round(lot.remaining - pureWeight);
+    });
+    return plan;
+  }
+
+  // ---------------------------------------------------------------------
+  // Reversing
+  // ---------------------------------------------------------------------
+
+  static async reverseAllocations(query, { adminId = null, reason = null, session = null } = {}) {
+    const allocations = await FixingAllocation.find({ ...query, status: "active" })
+      .select("fixing metalTransaction")
+      .session(session)
+      .lean();
+    if (allocations.length === 0) return [];
+
+    await FixingAllocation.updateMany(
+      { _id: { $in: allocations.map((a) => a._id) } },
+      { status: "reversed", reversedAt: new Date(), reversedBy: adminId, reversalReason: reason },
+      { session }
+    );
+    await this.refreshTransactions(allocations.map((a) => a.metalTransaction), session);
+    return allocations;
+  }
+
+  // Fixing cancelled, deleted or about to be reallocated
+  static async reverseFixing(fixingId, options = {}) {
+    return this.reverseAllocations({ fixing: fixingId }, options);
+  }
+
+  // Transaction voided, deleted or its lines changed. Returns the fixings
+  // that lost weight so they can be allocated again.
+  static async releaseTransaction(transactionId, options = {}) {
+    const allocations = await this.reverseAllocations({ metalTransaction: transactionId }, options);
+    return [...new Set(allocations.map((a) => idOf(a.fixing)))];
+  }
+
+  static async reallocateFixings(fixingIds, { adminId = null, session = null } = {}) {
+    const results = [];
+    for (const fixingId of fixingIds) {
+      results.push(await this.allocateFixing(fixingId, { adminId, session }));
+    }
+    return results;
+  }
+
+  // A new unfixed purchase or sale takes up fixings that were booked before
+  // there was metal to settle them against, oldest first
+  static async allocatePending(transaction, { adminId = null, session = null } = {}) {
+    const side = Object.keys(UNFIXED_LOT_TYPES).find((key) =>
+      UNFIXED_LOT_TYPES[key].includes(transaction.transactionType)
+    );
+    if (!side || transaction.fixed) return;
+
+    const fixings = await TransactionFixing.find({
+      partyId: transaction.partyCode,
+      type: { $in: Object.keys(SIDE_BY_FIXING_TYPE).filter((t) => SIDE_BY_FIXING_TYPE[t] === side) },
+      isActive: true,
+      status: { $ne: "cancelled" },
+    })
+      .select("_id")
+      .sort({ transactionDate: 1, createdAt: 1 })
+      .session(session)
+      .lean();
+
+    await this.reallocateFixings(fixings.map((f) => f._id), { adminId, session });
+  }
+
+  static async getTransactionFixingIds(transactionId, session = null) {
+    const ids = await FixingAllocation.distinct("fixing", {
+      metalTransaction: transactionId,
+      status: "active",
+    }).session(session);
+    return ids.map(idOf);
+  }
+
+  // Lines of an edited transaction may have changed, so its allocations are
+  // released and the affected fixings allocated again FIFO
+  static async resyncTransaction(transactionId, { adminId = null, session = null } = {}) {
+    const fixingIds = await this.releaseTransaction(transactionId, {
+      adminId,
+      reason: "Transaction lines changed",
+      session,
+    });
+    await this.reallocateFixings(fixingIds, { adminId, session });
+  }
+
+  // Replaces a fixing's allocations, e.g. to pick the lines by hand
+  static async reallocateFixing(fixingId, { method = "fifo", selections = [], adminId = null } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(fixingId)) {
+      throw createAppError("Invalid fixing ID", 400, "INVALID_ID");
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        const fixing = await TransactionFixing.findById(fixingId).session(session);
+        if (!fixing) {
+          throw createAppError("Fixing transaction not found", 404, "NOT_FOUND");
+        }
+        if (!SIDE_BY_FIXING_TYPE[fixing.type?.toUpperCase()]) {
+          throw createAppError("Hedge fixings are not allocated", 409, "FIXING_NOT_ALLOCATABLE");
+        }
+        if (!fixing.isActive || fixing.status === "cancelled") {
+          throw createAppError("Cancelled fixings cannot be allocated", 409, "FIXING_CANCELLED");
+        }
+
+        await this.reverseFixing(fixingId, { adminId, reason: "Reallocated", session });
+        result = await this.allocateFixing(fixingId, { method, selections, adminId, session });
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  static async getAllocations({ party, fixing, metalTransaction, status, page = 1, limit = 50 } = {}) {
+    const query = {};
+    for (const [field, value] of Object.entries({ party, fixing, metalTransaction })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+      }
+      query[field] = value;
+    }
+    if (status) query.status = status;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [allocations, total] = await Promise.all([
+      FixingAllocation.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("metalTransaction", "voucherNumber voucherDate transactionType")
+        .populate("fixing", "voucherNumber transactionDate type")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      FixingAllocation.countDocuments(query),
+    ]);
+
+    return {
+      allocations,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+
+  // Per-line fixing progress of one transaction with the fixings behind it
+  static async getTransactionFixingStatus(transactionId) {
+    if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+      throw createAppError("Invalid transaction ID", 400, "INVALID_ID");
+    }
+
+    const [transaction, allocations] = await Promise.all([
+      MetalTransaction.findById(transactionId)
+        .select("voucherNumber voucherDate transactionType partyCode fixed stockItems fixedPureWeight unfixedPureWeight isFixed")
+        .lean(),
+      FixingAllocation.find({ metalTransaction: transactionId, status: "active" })
+        .populate("fixing", "voucherNumber transactionDate type")
+        .sort({ createdAt: 1 })
+        .lean(),
+    ]);
+    if (!transaction) {
+      throw createAppError("Metal transaction not found", 404, "NOT_FOUND");
+    }
+
+    return {
+      _id: transaction._id,
+      voucherNumber: transaction.voucherNumber,
+      voucherDate: transaction.voucherDate,
+      transactionType: transaction.transactionType,
+      fixedPureWeight: transaction.fixedPureWeight,
+      unfixedPureWeight: transaction.unfixedPureWeight,
+      isFixed: transaction.isFixed,
+      lines: transaction.stockItems.map((item) => ({
+        stockItem: item._id,
+        stockCode: item.stockCode,
+        pureWeight: item.pureWeight,
+        fixedPureWeight: item.fixedPureWeight || 0,
+        remaining: round(Math.max(0, (item.pureWeight || 0) - (item.fixedPureWeight || 0))),
+        allocations: allocations.filter((a) => idOf(a.stockItem) === idOf(item._id)),
+      })),
+    };
+  }
+
+  // Rebuilds every transaction's fixing progress from the allocation ledger
+  static async rebuild() {
+    let transactions = 0;
+    const cursor = MetalTransaction.find({ isActive: true }).select("_id").lean().cursor();
+    const batch = [];
+    for await (const { _id } of cursor) {
+      batch.push(_id);
+      if (batch.length === 100) {
+        await this.refreshTransactions(batch.splice(0));
+        transactions += 100;
+      }
+    }
+    transactions += batch.length;
+    await this.refreshTransactions(batch);
+    return { transactions };
+  }
+}
+
+export default FixingAllocationService;
@@ -0,0 +1,456 @@
+import mongoose from "mongoose";
+import FxRevaluation from "../../models/modules/FxRevaluation.js";
+import Registry, { BALANCE_ROW_FILTER } from "../../models/modules/Registry.js";
+import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import RegistryService from "./RegistryService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import PeriodLockService from "./PeriodLockService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+export const FX_REVALUATION_TYPE = "fx-revaluation";
+
+const BASE_CURRENCY = "AED";
+const CASH_TOLERANCE = 0.01;
+
+const round = (value) => Number((Number(value) || 0).toFixed(2));
+
+class FxRevaluationService {
+  // Revaluations run for a whole month: any date in it resolves to its last
+  // day, reversed on the first day of the next month
+  static getPeriod(value) {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+      throw createAppError("A valid revaluation date is required", 400, "INVALID_REVALUATION_DATE");
+    }
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    return {
+      revaluationDate: new Date(Date.UTC(year, month + 1, 0)),
+      reversalDate: new Date(Date.UTC(year, month + 1, 1)),
+      label: `${year}${String(month + 1).padStart(2, "0")}`,
+    };
+  }
+
+  // Rates to revalue at: CurrencyMaster conversion rates unless overridden,
+  // e.g. { USD: 3.6725 }
+  static async getRateSnapshot(overrides = {}) {
+    const currencies = await CurrencyMaster.find({
+      isActive: true,
+      currencyCode: { $ne: BASE_CURRENCY },
+    })
+      .select("currencyCode conversionRate")
+      .lean();
+
+    return currencies.map((currency) => {
+      const override = overrides?.[currency.currencyCode];
+      if (override !== undefined && !(Number(override) > 0)) {
+        throw createAppError(
+          `Rate for ${currency.currencyCode} must be a positive number`,
+          400,
+          "INVALID_RATE"
+        );
+      }
+      return {
+        currency: currency._id,
+        currencyCode: currency.currencyCode,
+        rate: override !== undefined ? Number(override) : currency.conversionRate,
+      };
+    });
+  }
+
+  // Each party's foreign-currency cash balance as of the period end, with
+  // the base value it was booked at. Trade cash rows hold base amounts and
+  // the rate they were booked at, so the foreign amount is amount / rate;
+  // entry cash rows hold the entry currency, so the base value is amount * rate.
+  // Earlier revaluations are left out; they are reversed the next day.
+  static async computeLines(period, rates) {
+    if (rates.length === 0) return [];
+    const rateByCode = new Map(rates.map((r) => [r.currencyCode, r]));
+
+    const balances = await Registry.aggregate([
+      {
+        $match: {
+          ...BALANCE_ROW_FILTER,
+          type: "PARTY_CASH_BALANCE",
+          party: { $ne: null },
+          assetType: { $in: [...rateByCode.keys()] },
+          transactionDate: { $lt: period.reversalDate },
+        },
+      },
+      {
+        $project: {
+          party: 1,
+          assetType: 1,
+          inCurrency: { $ne: [{ $ifNull: ["$EntryTransactionId", null] }, null] },
+          net: { $subtract: [{ $ifNull: ["$credit", 0] }, { $ifNull: ["$debit", 0] }] },
+          rate: {
+            $cond: [{ $gt: [{ $ifNull: ["$currencyRate", 0] }, 0] }, "$currencyRate", 1],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { party: "$party", currencyCode: "$assetType" },
+          carryingAmount: {
+            $sum: { $cond: ["$inCurrency", { $multiply: ["$net", "$rate"] }, "$net"] },
+          },
+          foreignBalance: {
+            $sum: { $cond: ["$inCurrency", "$net", { $divide: ["$net", "$rate"] }] },
+          },
+        },
+      },
+    ]);
+
+    const lines = [];
+    for (const { _id, carryingAmount, foreignBalance } of balances) {
+      const { currency, rate } = rateByCode.get(_id.currencyCode);
+      const foreign = round(foreignBalance);
+      const carrying = round(carryingAmount);
+      const revalued = round(foreign * rate);
+      // A larger balance owed to the party is a loss, a larger receivable a gain
+      const gainLoss = round(carrying - revalued);
+      if (Math.abs(gainLoss) < CASH_TOLERANCE) continue;
+
+      lines.push({
+        party: _id.party,
+        currency,
+        currencyCode: _id.currencyCode,
+        foreignBalance: foreign,
+        carryingAmount: carrying,
+        bookRate: foreign ? Number((carrying / foreign).toFixed(6)) : 0,
+        rate,
+        revaluedAmount: revalued,
+        gainLoss,
+      });
+    }
+    return lines.sort(
+      (a, b) => a.currencyCode.localeCompare(b.currencyCode) || String(a.party).localeCompare(String(b.party))
+    );
+  }
+
+  static summarizeLines(lines) {
+    const totalGain = round(lines.reduce((sum, l) => sum + Math.max(l.gainLoss, 0), 0));
+    const totalLoss = round(lines.reduce((sum, l) => sum + Math.max(-l.gainLoss, 0), 0));
+    return { totalGain, totalLoss, netGainLoss: round(totalGain - totalLoss) };
+  }
+
+  static async resolveGainLossAccount(accountId) {
+    const id = accountId || process.env.FX_REVALUATION_ACCOUNT_ID || null;
+    if (!id) return null;
+    if (!mongoose.Types.ObjectId.isValid(id) || !(await Account.exists({ _id: id }))) {
+      throw createAppError("FX gain/loss account not found", 400, "INVALID_ACCOUNT");
+    }
+    return id;
+  }
+
+  // Party row moves the party's base value to the revalued amount; the
+  // company row books the other side as unrealized FX gain or loss
+  static buildRegistryRows(revaluation, adminId) {
+    const rows = [];
+    revaluation.lines.forEach((line, index) => {
+      const amount = Math.abs(line.gainLoss);
+      const isGain = line.gainLoss > 0;
+      const base = {
+        transactionType: FX_REVALUATION_TYPE,
+        fxRevaluationId: revaluation._id,
+        assetType: line.currencyCode,
+        currencyRate: line.rate,
+        value: amount,
+        transactionDate: revaluation.revaluationDate,
+        reference: revaluation.reference,
+        createdBy: adminId,
+      };
+      const suffix = String(index + 1).padStart(3, "0");
+
+      rows.push({
+        ...base,
+        transactionId: `${revaluation.reference}-${suffix}P`,
+        type: "FX_REVALUATION",
+        description: `Unrealized FX ${isGain ? "gain" : "loss"} - ${line.currencyCode} ${line.foreignBalance} at ${line.rate}`,
+        party: line.party,
+        debit: isGain ? amount : 0,
+        credit: isGain ? 0 : amount,
+      });
+      rows.push({
+        ...base,
+        transactionId: `${revaluation.reference}-${suffix}G`,
+        type: "UNREALIZED_FX",
+        description: `Unrealized FX ${isGain ? "gain" : "loss"} on ${line.currencyCode} balances`,
+        party: null,
+        ledgerAccount: revaluation.gainLossAccount,
+        debit: isGain ? 0 : amount,
+        credit: isGain ? amount : 0,
+      });
+    });
+    return rows;
+  }
+
+  static async preview({ revaluationDate, rates } = {}) {
+    const period = this.getPeriod(revaluationDate);
+    const snapshot = await this.getRateSnapshot(rates);
+    const lines = await this.computeLines(period, snapshot);
+    await Account.populate(lines, { path: "party", select: "accountCode customerName" });
+
+    return {
+      revaluationDate: period.revaluationDate,
+      reversalDate: period.reversalDate,
+      rates: snapshot,
+      lines,
+      ...this.summarizeLines(lines),
+    };
+  }
+
+  static async runRevaluation(data = {}, adminId) {
+    const period = this.getPeriod(data.revaluationDate);
+
+    const existing = await FxRevaluation.findOne({
+      revaluationDate: period.revaluationDate,
+      status: { $ne: "cancelled" },
+    }).lean();
+    if (existing) {
+      throw createAppError(
+        `Balances for this period were already revalued (${existing.reference})`,
+        409,
+        "REVALUATION_EXISTS"
+      );
+    }
+
+    // The reversal is posted later by the scheduler, so its period must be open now
+    await PeriodLockService.assertPeriodOpen([period.reversalDate], {
+      action: "FX revaluation reversal",
+      documentModel: "FxRevaluation",
+    });
+
+    const gainLossAccount = await this.resolveGainLossAccount(data.gainLossAccount);
+    const rates = await this.getRateSnapshot(data.rates);
+    const lines = await this.computeLines(period, rates);
+    if (lines.length === 0) {
+      throw createAppError(
+        "No foreign-currency balances to revalue for this period",
+        400,
+        "NOTHING_TO_REVALUE"
+      );
+    }
+
+    const runs = await FxRevaluation.countDocuments({ revaluationDate: period.revaluationDate });
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const [revaluation] = await FxRevaluation.create(
+        [
+          {
+            reference: `FXR-${period.label}${runs ? `-${runs + 1}` : ""}`,
+            revaluationDate: period.revaluationDate,
+            reversalDate: period.reversalDate,
+            rates,
+            lines,
+            gainLossAccount,
+            remarks: data.remarks || null,
+            createdBy: adminId,
+            ...this.summarizeLines(lines),
+          },
+        ],
+        { session }
+      );
+
+      const rows = this.buildRegistryRows(revaluation, adminId);
+      RegistryIntegrityService.assertBalanced(rows);
+      await Registry.insertMany(rows, { session, ordered: false });
+
+      await session.commitTransaction();
+      return await this.getRevaluationById(revaluation._id);
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static async reverseWithinSession(revaluation, { transactionDate, adminId, status, cancelReason = null }, session) {
+    if (revaluation.status !== "posted") {
+      throw createAppError(
+        `Revaluation ${revaluation.reference} is already ${revaluation.status}`,
+        409,
+        "REVALUATION_NOT_POSTED"
+      );
+    }
+
+    await RegistryService.postReversals(
+      { fxRevaluationId: revaluation._id },
+      { transactionDate, adminId, session }
+    );
+
+    revaluation.status = status;
+    revaluation.reversedAt = new Date();
+    revaluation.reversedBy = adminId;
+    revaluation.cancelReason = cancelReason;
+    await revaluation.save({ session });
+  }
+
+  static async reverse(revaluation, options) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      await this.reverseWithinSession(revaluation, options, session);
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Scheduled: reverse every posted revaluation whose reversal date has come
+  static async reverseDueRevaluations({ asOf = new Date(), adminId = null } = {}) {
+    const due = await FxRevaluation.find({
+      status: "posted",
+      reversalDate: { $lte: asOf },
+    });
+
+    const results = { reversed: [], errors: [] };
+    for (const revaluation of due) {
+      try {
+        await PeriodLockService.assertPeriodOpen([revaluation.reversalDate], {
+          action: "FX revaluation reversal",
+          documentModel: "FxRevaluation",
+          documentId: revaluation._id,
+        });
+        await this.reverse(revaluation, {
+          transactionDate: revaluation.reversalDate,
+          adminId: adminId || revaluation.createdBy,
+          status: "reversed",
+        });
+        results.reversed.push(revaluation.reference);
+      } catch (error) {
+        results.errors.push({ reference: revaluation.reference, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Take back a revaluation before its scheduled reversal, e.g. to rerun it
+  // with corrected rates. The mirror rows are dated on the revaluation date.
+  static async cancelRevaluation(id, reason, adminId) {
+    if (!reason?.trim()) {
+      throw createAppError("A reason is required to cancel a revaluation", 400, "CANCEL_REASON_REQUIRED");
+    }
+    const revaluation = await this.findRevaluation(id);
+    await this.reverse(revaluation, {
+      transactionDate: revaluation.revaluationDate,
+      adminId,
+      status: "cancelled",
+      cancelReason: reason.trim(),
+    });
+    return this.getRevaluationById(id);
+  }
+
+  static async findRevaluation(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid revaluation ID", 400, "INVALID_ID");
+    }
+    const revaluation = await FxRevaluation.findById(id);
+    if (!revaluation) {
+      throw createAppError("FX revaluation not found", 404, "NOT_FOUND");
+    }
+    return revaluation;
+  }
+
+  static async getRevaluationById(id) {
+    await this.findRevaluation(id);
+    return FxRevaluation.findById(id)
+      .populate("lines.party", "accountCode customerName")
+      .populate("gainLossAccount", "accountCode customerName")
+      .populate("createdBy", "name email")
+      .populate("reversedBy", "name email")
+      .lean();
+  }
+
+  static async getRevaluations(page = 1, limit = 50, filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.startDate || filters.endDate) {
+      query.revaluationDate = {};
+      if (filters.startDate) query.revaluationDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.revaluationDate.$lte = new Date(filters.endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [revaluations, total] = await Promise.all([
+      FxRevaluation.find(query)
+        .select("-lines")
+        .sort({ revaluationDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("createdBy", "name email")
+        .lean(),
+      FxRevaluation.countDocuments(query),
+    ]);
+
+    return {
+      revaluations,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  // Revaluation lines grouped by currency, with per-currency and overall totals
+  static async getRevaluationReport(id) {
+    const revaluation = await this.getRevaluationById(id);
+
+    const byCurrency = new Map();
+    for (const line of revaluation.lines) {
+      if (!byCurrency.has(line.currencyCode)) {
+        const { rate } = revaluation.rates.find((r) => r.currencyCode === line.currencyCode) || {};
+        byCurrency.set(line.currencyCode, {
+          currencyCode: line.currencyCode,
+          rate: rate ?? line.rate,
+          parties: [],
+          foreignBalance: 0,
+          carryingAmount: 0,
+          revaluedAmount: 0,
+          gainLoss: 0,
+        });
+      }
+      const group = byCurrency.get(line.currencyCode);
+      group.parties.push({
+        partyId: line.party?._id || line.party,
+        accountCode: line.party?.accountCode || null,
+        partyName: line.party?.customerName || null,
+        foreignBalance: line.foreignBalance,
+        bookRate: line.bookRate,
+        carryingAmount: line.carryingAmount,
+        revaluedAmount: line.revaluedAmount,
+        gainLoss: line.gainLoss,
+      });
+      group.foreignBalance = round(group.foreignBalance + line.foreignBalance);
+      group.carryingAmount = round(group.carryingAmount + line.carryingAmount);
+      group.revaluedAmount = round(group.revaluedAmount + line.revaluedAmount);
+      group.gainLoss = round(group.gainLoss + line.gainLoss);
+    }
+
+    return {
+      reference: revaluation.reference,
+      revaluationDate: revaluation.revaluationDate,
+      reversalDate: revaluation.reversalDate,
+      status: revaluation.status,
+      baseCurrency: BASE_CURRENCY,
+      gainLossAccount: revaluation.gainLossAccount,
+      currencies: [...byCurrency.values()],
+      totals: {
+        totalGain: revaluation.totalGain,
+        totalLoss: revaluation.totalLoss,
+        netGainLoss: revaluation.netGainLoss,
+      },
+    };
+  }
+}
+
+export default FxRevaluationService;
@@ -0,0 +1,457 @@
+import mongoose from "mongoose";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES } from "../../models/modules/MetalTransaction.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import FixingAllocation from "../../models/modules/FixingAllocation.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Commodity from "../../models/modules/Commodity.js";
+import Account from "../../models/modules/AccountType.js";
+import Branch from "../../models/modules/BranchMaster.js";
+import PriceFeedService from "./PriceFeedService.js";
+import RealizedPnlService, { BUY_TYPES, SELL_TYPES } from "./RealizedPnlService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const WEIGHT_TOLERANCE = 0.0001;
+
+// Fixings posted by createHedgeFixingEntry against a hedged voucher
+const HEDGE_TYPES = ["SALE-HEDGE", "PURCHASE-HEDGE", "SALE-RETURN-HEDGE", "PURCHASE-RETURN-HEDGE"];
+
+// Dollar-offset band within which a hedge counts as effective
+const EFFECTIVE_RANGE = [0.8, 1.25];
+
+// Vouchers read when no start date is given, counted back from the end date
+const DEFAULT_WINDOW_DAYS = 90;
+
+const round = (value, digits = 2) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const dayOf = (value) => new Date(value || 0).toISOString().slice(0, 10);
+
+const weightedRate = (parts) => {
+  const weight = parts.reduce((sum, part) => sum + part.pureWeight, 0);
+  if (weight <= WEIGHT_TOLERANCE) return null;
+  return parts.reduce((sum, part) => sum + part.rate * part.pureWeight, 0) / weight;
+};
+
+/**
+ * Hedge book. Each customer-side purchase or sale is paired with the hedge
+ * fixings posted against it, giving its hedged and unhedged pure weight and
+ * the P&L of the hedge against the voucher's own fixing price. Rows roll up
+ * per day and commodity, and per branch against the branch's hedge policy:
+ * branches marked isHedged are flagged when their net unhedged weight
+ * exceeds hedgeThreshold. Every view covers vouchers dated up to an as-of
+ * date (endDate, default now) and from startDate, default 90 days earlier.
+ */
+class HedgeBookService {
+  static parseDate(value, label) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createAppError(`Invalid ${label}`, 400, "INVALID_DATE");
+    }
+    return date;
+  }
+
+  static resolvePeriod({ startDate, endDate, asOf } = {}) {
+    const to = endDate || asOf ? this.parseDate(endDate || asOf, "end date") : new Date();
+    const from = startDate
+      ? this.parseDate(startDate, "start date")
+      : new Date(to.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      throw createAppError("Start date must be on or before the end date", 400, "INVALID_DATE_RANGE");
+    }
+    return { from, to };
+  }
+
+  static buildFilter({ party, ...period } = {}) {
+    const filter = {
+      isActive: true,
+      status: { $in: POSTED_TRANSACTION_STATUSES },
+      hedge: { $ne: true },
+      transactionType: { $in: [...BUY_TYPES, ...SELL_TYPES] },
+    };
+    if (party) {
+      if (!mongoose.Types.ObjectId.isValid(party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      filter.partyCode = new mongoose.Types.ObjectId(party);
+    }
+    const { from, to } = this.resolvePeriod(period);
+    filter.voucherDate = { $gte: from, $lte: to };
+    return filter;
+  }
+
+  // The party's default branch, else its first, else the company default
+  static async getPartyBranches(partyIds) {
+    const accounts = await Account.find({ _id: { $in: partyIds } })
+      .select("accountCode customerName acDefinition.branches")
+      .lean();
+    const fallback = process.env.DEFAULT_BRANCH_ID || null;
+    return new Map(
+      accounts.map((account) => {
+        const branches = account.acDefinition?.branches || [];
+        const branch = (branches.find((b) => b.isDefault) || branches[0])?.branch || fallback;
+        return [
+          idOf(account._id),
+          {
+            _id: account._id,
+            accountCode: account.accountCode,
+            customerName: account.customerName,
+            branch: idOf(branch),
+          },
+        ];
+      })
+    );
+  }
+
+  // Hedge fixings by the voucher they offset, as they stood at asOf
+  static async getHedges(transactionIds, asOf = new Date()) {
+    const fixings = await TransactionFixing.find({
+      metalTransactionId: { $in: transactionIds },
+      type: { $in: HEDGE_TYPES },
+      isActive: true,
+      status: { $ne: "cancelled" },
+      $or: [
+        { transactionDate: { $lte: asOf } },
+        { transactionDate: null, createdAt: { $lte: asOf } },
+      ],
+    })
+      .select("metalTransactionId type voucherNumber transactionDate createdAt orders")
+      .lean();
+
+    const byTransaction = new Map();
+    for (const fixing of fixings) {
+      const parts = fixing.orders
+        .map((order) => {
+          const pureWeight = Number(order.pureWeight) || 0;
+          const currencyRate = Number(order.currencyRate ?? order.itemCurrencyRate ?? 1) || 1;
+          return { pureWeight, rate: pureWeight ? ((Number(order.price) || 0) * currencyRate) / pureWeight : 0 };
+        })
+        .filter((part) => part.pureWeight > WEIGHT_TOLERANCE);
+      const key = idOf(fixing.metalTransactionId);
+      if (!byTransaction.has(key)) byTransaction.set(key, []);
+      byTransaction.get(key).push({
+        _id: fixing._id,
+        type: fixing.type,
+        voucherNumber: fixing.voucherNumber,
+        date: fixing.transactionDate || fixing.createdAt,
+        parts,
+      });
+    }
+    return byTransaction;
+  }
+
+  // Fixing price per gram of unfixed vouchers, from their allocated fixings
+  static async getAllocatedRates(transactionIds) {
+    const allocations = await FixingAllocation.find({
+      metalTransaction: { $in: transactionIds },
+      status: "active",
+    })
+      .select("fixing order metalTransaction pureWeight ratePerGram")
+      .lean();
+    if (allocations.length === 0) return new Map();
+
+    const fixings = await TransactionFixing.find({
+      _id: { $in: [...new Set(allocations.map((a) => idOf(a.fixing)))] },
+    })
+      .select("orders._id orders.currencyRate orders.itemCurrencyRate")
+      .lean();
+    const currencyRateByOrder = new Map(
+      fixings.flatMap((f) =>
+        f.orders.map((o) => [idOf(o._id), Number(o.currencyRate ?? o.itemCurrencyRate ?? 1) || 1])
+      )
+    );
+
+    const parts = new Map();
+    for (const allocation of allocations) {
+      const key = idOf(allocation.metalTransaction);
+      if (!parts.has(key)) parts.set(key, []);
+      parts.get(key).push({
+        pureWeight: allocation.pureWeight,
+        rate: allocation.ratePerGram * (currencyRateByOrder.get(idOf(allocation.order)) || 1),
+      });
+    }
+    return new Map([...parts].map(([key, list]) => [key, weightedRate(list)]));
+  }
+
+  // Dollar offset: the hedge's mark-to-market against the underlying's
+  static getEffectiveness(row, marketRate) {
+    if (marketRate == null || row.underlyingRate == null || row.hedgeRate == null) return null;
+    if (row.hedgedWeight <= WEIGHT_TOLERANCE) return null;
+
+    const sign = row.side === "long" ? 1 : -1;
+    const underlying = sign * (marketRate - row.underlyingRate) * row.hedgedWeight;
+    const hedge = sign * (row.hedgeRate - marketRate) * row.hedgedWeight;
+    if (Math.abs(underlying) < 0.01) return null;
+
+    const ratio = Math.abs(hedge / underlying);
+    return {
+      underlyingMtm: round(underlying),
+      hedgeMtm: round(hedge),
+      ratio: round(ratio, 4),
+      isEffective: ratio >= EFFECTIVE_RANGE[0] && ratio <= EFFECTIVE_RANGE[1],
+    };
+  }
+
+  static async loadRows(filters = {}) {
+    const { to: asOf } = this.resolvePeriod(filters);
+    const transactions = await MetalTransaction.find(this.buildFilter(filters))
+      .select("transactionType voucherNumber voucherDate createdAt partyCode fixed unfix stockItems")
+      .sort({ voucherDate: 1, createdAt: 1 })
+      .lean();
+    if (transactions.length === 0) return [];
+
+    const ids = transactions.map((t) => t._id);
+    const unfixedIds = transactions.filter((t) => !t.fixed).map((t) => t._id);
+    const parties = await this.getPartyBranches([...new Set(transactions.map((t) => idOf(t.partyCode)))]);
+    const hedges = await this.getHedges(ids, asOf);
+    const allocatedRates = await this.getAllocatedRates(unfixedIds);
+    const commodityIndex = await RealizedPnlService.getCommodityIndex();
+    const stockIds = [...new Set(transactions.flatMap((t) => t.stockItems.map((item) => idOf(item.stockCode))))];
+    const stocks = await MetalStock.find({ _id: { $in: stockIds } }).select("metalType karat").lean();
+    const stockById = new Map(stocks.map((s) => [idOf(s._id), s]));
+    // Marked at the live rate, or at the stored one for a past as-of date
+    const marketRate =
+      filters.endDate || filters.asOf
+        ? await PriceFeedService.getGoldRatePerGramAt(asOf)
+        : await PriceFeedService.getGoldRatePerGram();
+
+    const rows = [];
+    for (const transaction of transactions) {
+      const party = parties.get(idOf(transaction.partyCode)) || { _id: transaction.partyCode, branch: null };
+      if (filters.branch && party.branch !== String(filters.branch)) continue;
+
+      const lines = [];
+      let gold = 0;
+      for (const item of transaction.stockItems) {
+        const pureWeight = Number(item.pureWeight) || 0;
+        if (pureWeight <= WEIGHT_TOLERANCE) continue;
+        const stock = stockById.get(idOf(item.stockCode));
+        lines.push({
+          commodity: idOf(commodityIndex.get(`${idOf(stock?.metalType)}|${idOf(stock?.karat)}`)),
+          pureWeight,
+        });
+        gold += RealizedPnlService.lineValues(item).gold;
+      }
+      const pureWeight = lines.reduce((sum, line) => sum + line.pureWeight, 0);
+      if (pureWeight <= WEIGHT_TOLERANCE) continue;
+
+      const offsets = hedges.get(idOf(transaction._id)) || [];
+      const hedgeParts = offsets.flatMap((h) => h.parts);
+      const hedgeWeight = hedgeParts.reduce((sum, part) => sum + part.pureWeight, 0);
+      const hedgedWeight = Math.min(hedgeWeight, pureWeight);
+      const hedgeRate = weightedRate(hedgeParts);
+      const underlyingRate = transaction.fixed
+        ? gold / pureWeight
+        : allocatedRates.get(idOf(transaction._id)) ?? null;
+
+      const side = BUY_TYPES.includes(transaction.transactionType) ? "long" : "short";
+      // A long voucher is hedged by selling: the hedge gains when it sells above cost
+      const hedgePnl =
+        hedgeRate != null && underlyingRate != null
+          ? (side === "long" ? hedgeRate - underlyingRate : underlyingRate - hedgeRate) * hedgedWeight
+          : null;
+
+      const row = {
+        transaction: {
+          _id: transaction._id,
+          voucherNumber: transaction.voucherNumber,
+          transactionType: transaction.transactionType,
+          fixed: Boolean(transaction.fixed),
+        },
+        date: dayOf(transaction.voucherDate || transaction.createdAt),
+        party: { _id: party._id, accountCode: party.accountCode, customerName: party.customerName },
+        branch: party.branch,
+        side,
+        pureWeight,
+        hedgedWeight,
+        unhedgedWeight: pureWeight - hedgedWeight,
+        overHedgedWeight: Math.max(hedgeWeight - pureWeight, 0),
+        hedgeRatio: hedgeWeight / pureWeight,
+        underlyingRate,
+        hedgeRate,
+        hedgePnl,
+        hedges: offsets.map((h) => ({
+          _id: h._id,
+          type: h.type,
+          voucherNumber: h.voucherNumber,
+          date: h.date,
+          pureWeight: round(h.parts.reduce((sum, part) => sum + part.pureWeight, 0), 4),
+          ratePerGram: weightedRate(h.parts) == null ? null : round(weightedRate(h.parts), 4),
+        })),
+        // Hedged weight is spread over the lines by their pure weight
+        commodities: lines.map((line) => ({
+          commodity: line.commodity,
+          pureWeight: line.pureWeight,
+          hedgedWeight: (hedgedWeight * line.pureWeight) / pureWeight,
+          hedgePnl: hedgePnl == null ? null : (hedgePnl * line.pureWeight) / pureWeight,
+        })),
+      };
+      row.effectiveness = this.getEffectiveness(row, marketRate);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  static present(row) {
+    return {
+      ...row,
+      pureWeight: round(row.pureWeight, 4),
+      hedgedWeight: round(row.hedgedWeight, 4),
+      unhedgedWeight: round(row.unhedgedWeight, 4),
+      overHedgedWeight: round(row.overHedgedWeight, 4),
+      hedgeRatio: round(row.hedgeRatio, 4),
+      underlyingRate: row.underlyingRate == null ? null : round(row.underlyingRate, 4),
+      hedgeRate: row.hedgeRate == null ? null : round(row.hedgeRate, 4),
+      hedgePnl: row.hedgePnl == null ? null : round(row.hedgePnl),
+      commodities: row.commodities.map((line) => ({
+        ...line,
+        pureWeight: round(line.pureWeight, 4),
+        hedgedWeight: round(line.hedgedWeight, 4),
+        hedgePnl: line.hedgePnl == null ? null : round(line.hedgePnl),
+      })),
+    };
+  }
+
+  static async getRegister({ page = 1, limit = 50, status, ...filters } = {}) {
+    let rows = await this.loadRows(filters);
+    if (status === "unhedged") rows = rows.filter((row) => row.hedgedWeight <= WEIGHT_TOLERANCE);
+    if (status === "partial") {
+      rows = rows.filter((row) => row.hedgedWeight > WEIGHT_TOLERANCE && row.unhedgedWeight > WEIGHT_TOLERANCE);
+    }
+    if (status === "hedged") rows = rows.filter((row) => row.unhedgedWeight <= WEIGHT_TOLERANCE);
+
+    const pageNumber = Math.max(Number(page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 500);
+    return {
+      rows: rows.slice((pageNumber - 1) * pageSize, pageNumber * pageSize).map((row) => this.present(row)),
+      pagination: {
+        total: rows.length,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(rows.length / pageSize),
+      },
+    };
+  }
+
+  // Hedged vs unhedged weight per day and commodity
+  static async getSummary({ commodity, ...filters } = {}) {
+    const rows = await this.loadRows(filters);
+
+    const cells = new Map();
+    for (const row of rows) {
+      for (const line of row.commodities) {
+        if (commodity && line.commodity !== String(commodity)) continue;
+        const key = `${row.date}|${line.commodity}`;
+        if (!cells.has(key)) {
+          cells.set(key, {
+            date: row.date,
+            commodity: line.commodity,
+            longWeight: 0,
+            shortWeight: 0,
+            hedgedWeight: 0,
+            unhedgedWeight: 0,
+            netUnhedgedWeight: 0,
+            hedgePnl: 0,
+            vouchers: new Set(),
+          });
+        }
+        const cell = cells.get(key);
+        const unhedged = line.pureWeight - line.hedgedWeight;
+        cell[row.side === "long" ? "longWeight" : "shortWeight"] += line.pureWeight;
+        cell.hedgedWeight += line.hedgedWeight;
+        cell.unhedgedWeight += unhedged;
+        cell.netUnhedgedWeight += row.side === "long" ? unhedged : -unhedged;
+        cell.hedgePnl += line.hedgePnl || 0;
+        cell.vouchers.add(idOf(row.transaction._id));
+      }
+    }
+
+    const commodities = await Commodity.find({
+      _id: { $in: [...new Set([...cells.values()].map((c) => c.commodity).filter(Boolean))] },
+    })
+      .select("code description")
+      .lean();
+    const labels = new Map(commodities.map((c) => [idOf(c._id), c]));
+
+    const weights = ["longWeight", "shortWeight", "hedgedWeight", "unhedgedWeight", "netUnhedgedWeight"];
+    const totals = { longWeight: 0, shortWeight: 0, hedgedWeight: 0, unhedgedWeight: 0, netUnhedgedWeight: 0, hedgePnl: 0 };
+    const summary = [...cells.values()]
+      .sort((a, b) => a.date.localeCompare(b.date) || String(a.commodity).localeCompare(String(b.commodity)))
+      .map(({ vouchers, ...cell }) => {
+        for (const field of Object.keys(totals)) totals[field] += cell[field];
+        const gross = cell.longWeight + cell.shortWeight;
+        return {
+          ...cell,
+          commodity: labels.get(cell.commodity) || cell.commodity,
+          ...Object.fromEntries(weights.map((field) => [field, round(cell[field], 4)])),
+          hedgeRatio: gross ? round(cell.hedgedWeight / gross, 4) : 0,
+          hedgePnl: round(cell.hedgePnl),
+          vouchers: vouchers.size,
+        };
+      });
+
+    return {
+      rows: summary,
+      totals: {
+        ...Object.fromEntries(weights.map((field) => [field, round(totals[field], 4)])),
+        hedgePnl: round(totals.hedgePnl),
+      },
+    };
+  }
+
+  // Net unhedged weight per branch against its hedge policy
+  static async getExposure(filters = {}) {
+    const { from, to } = this.resolvePeriod(filters);
+    const rows = await this.loadRows(filters);
+
+    const exposure = new Map();
+    for (const row of rows) {
+      const key = row.branch || null;
+      if (!exposure.has(key)) {
+        exposure.set(key, { longUnhedged: 0, shortUnhedged: 0, hedgedWeight: 0, vouchers: 0 });
+      }
+      const entry = exposure.get(key);
+      entry[row.side === "long" ? "longUnhedged" : "shortUnhedged"] += row.unhedgedWeight;
+      entry.hedgedWeight += row.hedgedWeight;
+      entry.vouchers += 1;
+    }
+
+    const branches = await Branch.find({
+      _id: { $in: [...exposure.keys()].filter((id) => id && mongoose.Types.ObjectId.isValid(id)) },
+    })
+      .select("code name isHedged hedgeThreshold")
+      .lean();
+    const branchById = new Map(branches.map((b) => [idOf(b._id), b]));
+
+    const result = [...exposure].map(([id, entry]) => {
+      const branch = branchById.get(id);
+      const net = entry.longUnhedged - entry.shortUnhedged;
+      const threshold = Number(branch?.hedgeThreshold) || 0;
+      const mustHedge = Boolean(branch?.isHedged);
+      return {
+        branch: branch ? { _id: branch._id, code: branch.code, name: branch.name } : id,
+        isHedged: mustHedge,
+        hedgeThreshold: threshold,
+        longUnhedgedWeight: round(entry.longUnhedged, 4),
+        shortUnhedgedWeight: round(entry.shortUnhedged, 4),
+        netUnhedgedWeight: round(net, 4),
+        hedgedWeight: round(entry.hedgedWeight, 4),
+        vouchers: entry.vouchers,
+        isFlagged: mustHedge && Math.abs(net) > threshold + WEIGHT_TOLERANCE,
+      };
+    });
+
+    return {
+      branches: result.sort(
+        (a, b) =>
+          Number(b.isFlagged) - Number(a.isFlagged) ||
+          Math.abs(b.netUnhedgedWeight) - Math.abs(a.netUnhedgedWeight)
+      ),
+      flagged: result.filter((entry) => entry.isFlagged).length,
+      from,
+      asOf: to,
+    };
+  }
+}
+
+export default HedgeBookService;
@@ -0,0 +1,819 @@
+import mongoose from "mongoose";
+import CostLayer from "../../models/modules/CostLayer.js";
+import CostMovement from "../../models/modules/CostMovement.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import BranchMaster from "../../models/modules/BranchMaster.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import Registry from "../../models/modules/Registry.js";
+import RealizedPnlService from "./RealizedPnlService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import PeriodLockService from "./PeriodLockService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+export const COSTING_TRANSACTION_TYPE = "inventory-costing";
+
+const DEFAULT_METHOD = "weightedAverage";
+const GRAMS_PER_OUNCE = 31.1035;
+const WEIGHT_TOLERANCE = 0.0001;
+const GOLD_TOLERANCE = 0.001;
+const CASH_TOLERANCE = 0.01;
+
+const COST_FIELDS = ["metalCost", "makingCost", "premiumCost"];
+
+// Receipts priced off their own voucher line. Other receipts (returns,
+// metal deposits, adjustments) come in at the stock code's running cost.
+const PRICED_TYPES = ["purchase", "importPurchase", "hedgeMetalReceipt", "hedgeMetalReciept"];
+const OPENING_TYPES = ["opening", "initial"];
+
+// Sales and sale returns move cost of sales; every other issue only moves stock
+const COGS_TYPES = ["sale", "exportSale", "saleReturn", "exportSaleReturn"];
+
+const OUT_ACTIONS = ["remove", "delete"];
+
+const round = (value, digits = 2) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const emptyValues = () => ({ pureWeight: 0, metalCost: 0, makingCost: 0, premiumCost: 0 });
+
+const totalOf = (values) => COST_FIELDS.reduce((sum, field) => sum + (values[field] || 0), 0);
+
+// Per pure gram cost of a set of values, or null when it holds no weight
+const unitOf = (values) =>
+  values && values.pureWeight > WEIGHT_TOLERANCE
+    ? Object.fromEntries(COST_FIELDS.map((field) => [field, (values[field] || 0) / values.pureWeight]))
+    : null;
+
+const costsAt = (unit, pureWeight) =>
+  Object.fromEntries(COST_FIELDS.map((field) => [field, (unit?.[field] || 0) * pureWeight]));
+
+// Logs carry purity as a fraction; opening stock may hold a percentage or fineness
+const toFraction = (purity) => {
+  const value = Number(purity) || 0;
+  if (value > 100) return value / 1000;
+  if (value > 1) return value / 100;
+  return value;
+};
+
+const pureWeightOf = (log) => (Number(log.grossWeight) || 0) * toFraction(log.purity);
+
+// What a set of layers still holds, at their own costs
+const balanceOfLayers = (layers) => {
+  const balance = emptyValues();
+  for (const layer of layers) {
+    if (layer.remaining <= WEIGHT_TOLERANCE) continue;
+    const share = layer.remaining / layer.pureWeight;
+    balance.pureWeight += layer.remaining;
+    for (const field of COST_FIELDS) balance[field] += layer[field] * share;
+  }
+  return balance;
+};
+
+const roundValues = (values) => ({
+  pureWeight: round(values.pureWeight, 4),
+  ...Object.fromEntries(COST_FIELDS.map((field) => [field, round(values[field])])),
+  totalCost: round(totalOf(values)),
+});
+
+const toObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * Inventory valuation. Every stock movement in InventoryLog is costed per
+ * stock code in voucher-date order under its branch's costing method:
+ * receipts open cost layers (metal, making, premium) and issues draw them
+ * down oldest first (FIFO) or pro rata (weighted average). Sales and sale
+ * returns post their cost to COST_OF_SALES / INVENTORY_COST. A voucher
+ * change re-costs its stock codes forward from the voucher's date, so a
+ * back-dated voucher re-prices the issues after it but never those in a
+ * locked period.
+ */
+class InventoryCostingService {
+  // ---------------------------------------------------------------------
+  // Costing
+  // ---------------------------------------------------------------------
+
+  static async getBranchMethods(stocks, session = null) {
+    const branchIds = [...new Set(stocks.map((s) => idOf(s.branch)).filter(Boolean))];
+    const branches = await BranchMaster.find({ _id: { $in: branchIds } })
+      .select("costingMethod")
+      .session(session)
+      .lean();
+    return new Map(branches.map((b) => [idOf(b._id), b.costingMethod || DEFAULT_METHOD]));
+  }
+
+  // Per pure gram cost of each priced receipt, keyed by inventory log
+  static async loadPrices(logs, session = null) {
+    const prices = new Map();
+    const receipts = logs.filter((log) => !OUT_ACTIONS.includes(log.action) && !log.isReversal);
+
+    const priced = receipts.filter((log) => PRICED_TYPES.includes(log.transactionType));
+    if (priced.length > 0) {
+      const transactions = await MetalTransaction.find({
+        voucherNumber: { $in: [...new Set(priced.map((log) => log.voucherCode))] },
+      })
+        .select("voucherNumber stockItems")
+        .session(session)
+        .lean();
+
+      // A voucher may carry the same stock on several lines: they share a price
+      const lines = new Map();
+      for (const transaction of transactions) {
+        for (const item of transaction.stockItems || []) {
+          const key = `${transaction.voucherNumber}|${idOf(item.stockCode)}`;
+          const values = RealizedPnlService.lineValues(item);
+          const line = lines.get(key) || emptyValues();
+          line.pureWeight += Number(item.pureWeight) || 0;
+          line.metalCost += values.gold;
+          line.makingCost += values.making;
+          line.premiumCost += values.premium;
+          lines.set(key, line);
+        }
+      }
+
+      for (const log of priced) {
+        const line = lines.get(`${log.voucherCode}|${idOf(log.stockCode)}`);
+        // Unfixed receipts carry no metal value yet
+        if (line?.metalCost > 0) prices.set(idOf(log._id), unitOf(line));
+      }
+    }
+
+    // Opening stock is valued at the bid (USD/oz) it was entered with
+    const openings = receipts.filter((log) => OPENING_TYPES.includes(log.transactionType));
+    if (openings.length > 0) {
+      const [rows, usd] = await Promise.all([
+        Registry.find({ InventoryLogID: { $in: openings.map((log) => log._id) }, type: "GOLD_STOCK" })
+          .select("InventoryLogID goldBidValue")
+          .session(session)
+          .lean(),
+        CurrencyMaster.findOne({ currencyCode: "USD" }).select("conversionRate").session(session).lean(),
+      ]);
+      const bidByLog = new Map(rows.map((row) => [idOf(row.InventoryLogID), Number(row.goldBidValue) || 0]));
+      const usdRate = Number(usd?.conversionRate) || 0;
+
+      for (const log of openings) {
+        const bid = bidByLog.get(idOf(log._id));
+        const pureWeight = pureWeightOf(log);
+        if (!bid || !usdRate || pureWeight <= WEIGHT_TOLERANCE) continue;
+        prices.set(idOf(log._id), {
+          metalCost: (bid * usdRate) / GRAMS_PER_OUNCE,
+          makingCost: (Number(log.avgMakingAmount) || 0) / pureWeight,
+          premiumCost: (Number(log.premiumDiscountAmount) || 0) / pureWeight,
+        });
+      }
+    }
+
+    return prices;
+  }
+
+  // Runs one stock code's logs, already in costing order, through its layers.
+  // `seed` carries the layers still open, and the movements reversed, from
+  // before the first log when costing forward from a date.
+  static costLogs(logs, { stockCode, branch = null, method = DEFAULT_METHOD, prices = new Map(), seed = {} }) {
+    const carried = (seed.layers || []).map((layer) => ({ ...layer }));
+    const layers = [...carried];
+    const layerById = new Map(carried.map((layer) => [idOf(layer._id), layer]));
+    const movementByLog = new Map((seed.movements || []).map((movement) => [idOf(movement.inventoryLog), movement]));
+    const movements = [];
+    let lastUnit = seed.lastUnit || null;
+    const firstSequence = seed.sequence || 0;
+
+    const balanceOf = () => balanceOfLayers(layers);
+
+    for (const log of logs) {
+      const pureWeight = pureWeightOf(log);
+      if (pureWeight <= WEIGHT_TOLERANCE) continue;
+
+      const original = log.reversalOf ? movementByLog.get(idOf(log.reversalOf)) : null;
+      const movement = {
+        _id: new mongoose.Types.ObjectId(),
+        stockCode,
+        branch,
+        method,
+        sequence: firstSequence + movements.length + 1,
+        inventoryLog: log._id,
+        reversalOf: log.reversalOf || null,
+        voucherCode: log.voucherCode || "",
+        voucherType: log.voucherType || "",
+        transactionType: log.transactionType || null,
+        party: log.party || null,
+        date: log.voucherDate,
+        direction: OUT_ACTIONS.includes(log.action) ? "out" : "in",
+        grossWeight: Number(log.grossWeight) || 0,
+        pureWeight,
+        layers: [],
+        shortfall: 0,
+        createdBy: log.createdBy || null,
+      };
+
+      if (movement.direction === "in") {
+        // A reversed issue comes back at what it went out at
+        const unit =
+          (original?.direction === "out" && unitOf(original)) ||
+          prices.get(idOf(log._id)) ||
+          unitOf(balanceOf()) ||
+          lastUnit;
+        const costs = costsAt(unit, pureWeight);
+        const layer = {
+          _id: new mongoose.Types.ObjectId(),
+          stockCode,
+          branch,
+          method,
+          movement: movement._id,
+          inventoryLog: log._id,
+          voucherCode: movement.voucherCode,
+          transactionType: movement.transactionType,
+          date: movement.date,
+          grossWeight: movement.grossWeight,
+          pureWeight,
+          remaining: pureWeight,
+          ...costs,
+        };
+        layers.push(layer);
+        layerById.set(idOf(layer._id), layer);
+        movement.layers.push({ layer: layer._id, pureWeight, ...costs });
+        Object.assign(movement, costs);
+        lastUnit = unit || lastUnit;
+      } else {
+        const averageBefore = unitOf(balanceOf());
+        let need = pureWeight;
+        const take = (layer, weight) => {
+          if (weight <= WEIGHT_TOLERANCE) return;
+          const share = weight / layer.pureWeight;
+          movement.layers.push({
+            layer: layer._id,
+            pureWeight: weight,
+            ...Object.fromEntries(COST_FIELDS.map((field) => [field, layer[field] * share])),
+          });
+          layer.remaining -= weight;
+          need -= weight;
+        };
+
+        // Reversing a receipt takes back its own layer first
+        if (original?.direction === "in") {
+          for (const draw of original.layers) {
+            const layer = layerById.get(idOf(draw.layer));
+            if (layer) take(layer, Math.min(layer.remaining, need));
+          }
+        }
+
+        const open = layers.filter((layer) => layer.remaining > WEIGHT_TOLERANCE);
+        if (method === "fifo") {
+          for (const layer of open) {
+            if (need <= WEIGHT_TOLERANCE) break;
+            take(layer, Math.min(layer.remaining, need));
+          }
+        } else if (need > WEIGHT_TOLERANCE) {
+          // Every open layer gives up the same share, so the issue goes out
+          // at the pool's weighted average
+          const total = open.reduce((sum, layer) => sum + layer.remaining, 0);
+          const ratio = total > WEIGHT_TOLERANCE ? Math.min(1, need / total) : 0;
+          for (const layer of open) take(layer, layer.remaining * ratio);
+        }
+
+        const costs = Object.fromEntries(
+          COST_FIELDS.map((field) => [field, movement.layers.reduce((sum, draw) => sum + draw[field], 0)])
+        );
+        if (need > WEIGHT_TOLERANCE) {
+          movement.shortfall = need;
+          const shortfallCosts = costsAt(averageBefore || lastUnit, need);
+          for (const field of COST_FIELDS) costs[field] += shortfallCosts[field];
+        }
+        Object.assign(movement, costs);
+        lastUnit = unitOf(movement) || lastUnit;
+      }
+
+      movement.balance = balanceOf();
+      movementByLog.set(idOf(log._id), movement);
+      movements.push(movement);
+    }
+
+    return {
+      movements: movements.map(({ layers: draws, balance, ...movement }) => ({
+        ...movement,
+        ...roundValues(movement),
+        shortfall: round(movement.shortfall, 4),
+        layers: draws.map(({ layer, ...values }) => ({ layer, ...roundValues(values) })),
+        balance: roundValues(balance),
+      })),
+      layers: layers.slice(carried.length).map((layer) => ({
+        ...layer,
+        ...roundValues(layer),
+        remaining: Math.max(0, round(layer.remaining, 4)),
+      })),
+      carried: carried.map((layer) => ({ _id: layer._id, remaining: Math.max(0, round(layer.remaining, 4)) })),
+    };
+  }
+
+  // An issue on a sale books its cost to cost of sales; a return, or the
+  // reversal of a sale, takes it back
+  static buildRegistryRows(movements, stock, adminId = null) {
+    const rows = [];
+    for (const movement of movements) {
+      if (!COGS_TYPES.includes(movement.transactionType)) continue;
+      const amount = round(movement.totalCost);
+      if (amount < CASH_TOLERANCE) continue;
+
+      const isIssue = movement.direction === "out";
+      const id = idOf(movement._id).toUpperCase();
+      const base = {
+        transactionType: COSTING_TRANSACTION_TYPE,
+        costMovementId: movement._id,
+        metalId: movement.stockCode,
+        value: amount,
+        grossWeight: movement.grossWeight,
+        pureWeight: movement.pureWeight,
+        transactionDate: movement.date,
+        reference: movement.voucherCode,
+        createdBy: adminId || movement.createdBy,
+      };
+
+      rows.push({
+        ...base,
+        transactionId: `COGS-${id}-C`,
+        type: "COST_OF_SALES",
+        description: `Cost of sales${isIssue ? "" : " reversed"} - ${stock?.code || ""} ${movement.voucherCode}`.trim(),
+        debit: isIssue ? amount : 0,
+        credit: isIssue ? 0 : amount,
+      });
+      rows.push({
+        ...base,
+        transactionId: `COGS-${id}-S`,
+        type: "INVENTORY_COST",
+        description: `Inventory at cost - ${stock?.code || ""} ${movement.voucherCode}`.trim(),
+        debit: isIssue ? 0 : amount,
+        credit: isIssue ? amount : 0,
+      });
+    }
+    return rows;
+  }
+
+  static async insertChunks(Model, docs, session) {
+    for (let i = 0; i < docs.length; i += 500) {
+      await Model.insertMany(docs.slice(i, i + 500), { session });
+    }
+  }
+
+  // Costing state of a stock code just before a date: the layers still open
+  // then, the last movement and the earlier movements later logs reverse
+  static async loadSeed(stockCode, fromDate, logs, session = null) {
+    const forward = await CostMovement.find({ stockCode, date: { $gte: fromDate }, direction: "out" })
+      .select("layers.layer layers.pureWeight")
+      .session(session)
+      .lean();
+    const drawn = new Map();
+    for (const draw of forward.flatMap((movement) => movement.layers)) {
+      drawn.set(idOf(draw.layer), (drawn.get(idOf(draw.layer)) || 0) + (draw.pureWeight || 0));
+    }
+
+    const reversed = logs.map((log) => log.reversalOf).filter(Boolean);
+    const [layers, last, movements] = await Promise.all([
+      CostLayer.find({
+        stockCode,
+        date: { $lt: fromDate },
+        $or: [{ remaining: { $gt: WEIGHT_TOLERANCE } }, { _id: { $in: [...drawn.keys()] } }],
+      })
+        .sort({ date: 1, _id: 1 })
+        .session(session)
+        .lean(),
+      CostMovement.findOne({ stockCode, date: { $lt: fromDate } })
+        .sort({ date: -1, sequence: -1 })
+        .session(session)
+        .lean(),
+      reversed.length > 0
+        ? CostMovement.find({ stockCode, inventoryLog: { $in: reversed }, date: { $lt: fromDate } })
+            .session(session)
+            .lean()
+        : [],
+    ]);
+
+    return {
+      // What the later issues drew goes back on the layer
+      layers: layers.map((layer) => ({ ...layer, remaining: (layer.remaining || 0) + (drawn.get(idOf(layer._id)) || 0) })),
+      movements,
+      lastUnit: last ? unitOf(last) : null,
+      sequence: last?.sequence || 0,
+    };
+  }
+
+  // Refuse to re-cost into a locked period: its cost of sales is final
+  static async assertRecostable(fromDate, code = null) {
+    const lock = await PeriodLockService.findLockFrom(fromDate);
+    if (!lock) return;
+    throw createAppError(
+      `Re-costing ${code || "stock"} from ${fromDate.toISOString().slice(0, 10)} would change cost of sales ` +
+        `in locked period ${lock.label}`,
+      423,
+      "PERIOD_LOCKED"
+    );
+  }
+
+  // Re-costs the given stock codes from a date on (all of their history
+  // without one) and replaces their later layers, movements and cost of
+  // sales postings
+  static async rebuildStocks(stockIds, { fromDate = null, adminId = null, session = null } = {}) {
+    const ids = [...new Set(stockIds.map(idOf).filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const stocks = await MetalStock.find({ _id: { $in: ids } })
+      .select("code branch")
+      .session(session)
+      .lean();
+    const stockById = new Map(stocks.map((s) => [idOf(s._id), s]));
+    const methods = await this.getBranchMethods(stocks, session);
+    if (fromDate) await this.assertRecostable(fromDate, stocks.map((s) => s.code).join(", "));
+
+    const results = [];
+    for (const id of ids) {
+      const stockCode = new mongoose.Types.ObjectId(id);
+      const stock = stockById.get(id);
+      const branch = stock?.branch || null;
+      const method = methods.get(idOf(branch)) || DEFAULT_METHOD;
+      const since = fromDate ? { $gte: fromDate } : null;
+
+      const logs = stock
+        ? await InventoryLog.find({
+            stockCode,
+            isDraft: { $ne: true },
+            isPurityDifferenceEntry: { $ne: true },
+            // Location moves keep the metal, and its cost, in the stock code
+            isLocationTransfer: { $ne: true },
+            ...(since && { voucherDate: since }),
+          })
+            .sort({ voucherDate: 1, createdAt: 1, _id: 1 })
+            .session(session)
+            .lean()
+        : [];
+      const seed = fromDate ? await this.loadSeed(stockCode, fromDate, logs, session) : {};
+      const prices = await this.loadPrices(logs, session);
+      const { movements, layers, carried } = this.costLogs(logs, { stockCode, branch, method, prices, seed });
+      const rows = this.buildRegistryRows(movements, stock, adminId);
+      RegistryIntegrityService.assertBalanced(rows);
+
+      await Promise.all([
+        CostMovement.deleteMany({ stockCode, ...(since && { date: since }) }).session(session),
+        CostLayer.deleteMany({ stockCode, ...(since && { date: since }) }).session(session),
+        Registry.deleteMany({
+          transactionType: COSTING_TRANSACTION_TYPE,
+          metalId: stockCode,
+          ...(since && { transactionDate: since }),
+        }).session(session),
+      ]);
+      await this.insertChunks(CostMovement, movements, session);
+      await this.insertChunks(CostLayer, layers, session);
+      await this.insertChunks(Registry, rows, session);
+      if (carried.length > 0) {
+        await CostLayer.bulkWrite(
+          carried.map(({ _id, remaining }) => ({ updateOne: { filter: { _id }, update: { $set: { remaining } } } })),
+          { session }
+        );
+      }
+
+      const last = movements[movements.length - 1];
+      const openLayers = [...carried, ...layers].filter((layer) => layer.remaining > WEIGHT_TOLERANCE).length;
+      results.push({
+        stockCode: id,
+        code: stock?.code || null,
+        method,
+        fromDate,
+        movements: movements.length,
+        openLayers,
+        balance: last?.balance || roundValues(balanceOfLayers(seed.layers || [])),
+      });
+    }
+    return results;
+  }
+
+  // Re-costs the stock codes a voucher moves now or moved before its change,
+  // from the earlier of its old and new dates. Callers posting the voucher
+  // pass their session; without one the re-cost runs in its own transaction.
+  static async syncVoucher(voucherCode, { adminId = null, session = null } = {}) {
+    if (!voucherCode) return [];
+    if (!session) {
+      const own = await mongoose.startSession();
+      try {
+        let results = [];
+        await own.withTransaction(async () => {
+          results = await this.syncVoucher(voucherCode, { adminId, session: own });
+        });
+        return results;
+      } finally {
+        await own.endSession();
+      }
+    }
+
+    const [logged, costed] = await Promise.all([
+      InventoryLog.find({ voucherCode }).select("stockCode voucherDate").session(session).lean(),
+      CostMovement.find({ voucherCode }).select("stockCode date").session(session).lean(),
+    ]);
+    const dates = [...logged.map((log) => log.voucherDate), ...costed.map((movement) => movement.date)]
+      .filter(Boolean)
+      .map((date) => new Date(date).getTime());
+    if (dates.length === 0) return [];
+
+    return this.rebuildStocks(
+      [...logged.map((log) => log.stockCode), ...costed.map((movement) => movement.stockCode)],
+      { fromDate: new Date(Math.min(...dates)), adminId, session }
+    );
+  }
+
+  // Re-cost on demand, one stock code per transaction, e.g. after a branch
+  // changes its costing method. Runs from `fromDate`, or from the end of the
+  // last locked period so closed periods keep their cost of sales.
+  static async rebuild({ stockCode, fromDate, adminId = null } = {}) {
+    let from = null;
+    if (fromDate) {
+      from = new Date(fromDate);
+      if (isNaN(from.getTime())) {
+        throw createAppError("A valid fromDate is required", 400, "INVALID_DATE");
+      }
+    } else {
+      const lastLock = await PeriodLockService.findLastLock();
+      if (lastLock) from = new Date(new Date(lastLock.endDate).getTime() + 1);
+    }
+
+    let ids;
+    if (stockCode) {
+      ids = [toObjectId(stockCode, "stock")];
+    } else {
+      const [logged, costed] = await Promise.all([
+        InventoryLog.distinct("stockCode"),
+        CostMovement.distinct("stockCode"),
+      ]);
+      ids = [...new Set([...logged, ...costed].map(idOf))];
+    }
+
+    const results = [];
+    for (const id of ids) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          results.push(...(await this.rebuildStocks([id], { fromDate: from, adminId, session })));
+        });
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    return {
+      fromDate: from,
+      stockCodes: results.length,
+      movements: results.reduce((sum, r) => sum + r.movements, 0),
+      results,
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Reports
+  // ---------------------------------------------------------------------
+
+  // A date without a time covers the whole day
+  static getAsOf(value) {
+    if (!value) return new Date();
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw createAppError("A valid asOf date is required", 400, "INVALID_DATE");
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) date.setUTCHours(23, 59, 59, 999);
+    return date;
+  }
+
+  static buildFilter({ branch, stockCode } = {}) {
+    const filter = {};
+    if (branch) filter.branch = toObjectId(branch, "branch");
+    if (stockCode) filter.stockCode = toObjectId(stockCode, "stock");
+    return filter;
+  }
+
+  // Stock on hand at cost as of a date: each stock code's balance after its
+  // last movement on or before it
+  static async getValuation({ asOf, branch, stockCode } = {}) {
+    const date = this.getAsOf(asOf);
+    const filter = this.buildFilter({ branch, stockCode });
+
+    const groups = await CostMovement.aggregate([
+      { $match: { ...filter, date: { $lte: date } } },
+      { $sort: { stockCode: 1, date: -1, sequence: -1 } },
+      {
+        $group: {
+          _id: "$stockCode",
+          branch: { $first: "$branch" },
+          method: { $first: "$method" },
+          balance: { $first: "$balance" },
+          lastMovement: { $first: "$date" },
+          bookWeight: {
+            $sum: { $cond: [{ $eq: ["$direction", "in"] }, "$pureWeight", { $multiply: ["$pureWeight", -1] }] },
+          },
+          shortfall: { $sum: "$shortfall" },
+        },
+      },
+    ]);
+
+    const stocks = await MetalStock.find({ _id: { $in: groups.map((g) => g._id) } })
+      .select("code description")
+      .lean();
+    const stockById = new Map(stocks.map((s) => [idOf(s._id), s]));
+
+    const rows = groups
+      .filter((g) => g.balance?.pureWeight > WEIGHT_TOLERANCE || Math.abs(g.bookWeight) > WEIGHT_TOLERANCE)
+      .map((g) => ({
+        stockCode: stockById.get(idOf(g._id)) || g._id,
+        branch: g.branch,
+        method: g.method,
+        ...roundValues(g.balance),
+        unitCost: g.balance.pureWeight > WEIGHT_TOLERANCE ? round(g.balance.totalCost / g.balance.pureWeight, 4) : 0,
+        bookWeight: round(g.bookWeight, 4),
+        shortfall: round(g.shortfall, 4),
+        lastMovement: g.lastMovement,
+      }))
+      .sort((a, b) => String(a.stockCode?.code || "").localeCompare(String(b.stockCode?.code || "")));
+
+    const totals = rows.reduce(
+      (acc, row) => {
+        for (const field of ["pureWeight", ...COST_FIELDS, "totalCost", "bookWeight", "shortfall"]) {
+          acc[field] += row[field];
+        }
+        return acc;
+      },
+      { pureWeight: 0, metalCost: 0, makingCost: 0, premiumCost: 0, totalCost: 0, bookWeight: 0, shortfall: 0 }
+    );
+    for (const field of Object.keys(totals)) {
+      totals[field] = round(totals[field], ["pureWeight", "bookWeight", "shortfall"].includes(field) ? 4 : 2);
+    }
+
+    // GOLD_STOCK rows don't all carry a stock code, so only the whole book
+    // reconciles
+    const reconciliation = branch || stockCode ? null : await this.getReconciliation(date);
+
+    return { asOf: date, rows, totals, reconciliation };
+  }
+
+  // Net pure weight the GOLD_STOCK ledger and the costed movements hold per
+  // voucher. Void reversals post as REV-<voucher> and net against it.
+  static async getReconciliation(date) {
+    const [ledger, costed] = await Promise.all([
+      Registry.aggregate([
+        {
+          $match: {
+            type: "GOLD_STOCK",
+            isActive: { $ne: false },
+            isDraft: { $ne: true },
+            transactionDate: { $lte: date },
+          },
+        },
+        {
+          $group: {
+            _id: { $ifNull: ["$reference", "$transactionId"] },
+            weight: { $sum: { $subtract: [{ $ifNull: ["$debit", 0] }, { $ifNull: ["$credit", 0] }] } },
+          },
+        },
+      ]),
+      CostMovement.aggregate([
+        { $match: { date: { $lte: date } } },
+        {
+          $group: {
+            _id: "$voucherCode",
+            weight: {
+              $sum: { $cond: [{ $eq: ["$direction", "in"] }, "$pureWeight", { $multiply: ["$pureWeight", -1] }] },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    const vouchers = new Map();
+    const add = (key, field, weight) => {
+      const voucherCode = String(key || "").replace(/^REV-/, "");
+      if (!vouchers.has(voucherCode)) vouchers.set(voucherCode, { voucherCode, ledgerWeight: 0, bookWeight: 0 });
+      vouchers.get(voucherCode)[field] += weight;
+    };
+    ledger.forEach((row) => add(row._id, "ledgerWeight", row.weight));
+    costed.forEach((row) => add(row._id, "bookWeight", row.weight));
+
+    let ledgerWeight = 0;
+    let bookWeight = 0;
+    const exceptions = [];
+    for (const voucher of vouchers.values()) {
+      ledgerWeight += voucher.ledgerWeight;
+      bookWeight += voucher.bookWeight;
+      const difference = voucher.bookWeight - voucher.ledgerWeight;
+      if (Math.abs(difference) <= GOLD_TOLERANCE) continue;
+      exceptions.push({
+        voucherCode: voucher.voucherCode,
+        ledgerWeight: round(voucher.ledgerWeight, 4),
+        bookWeight: round(voucher.bookWeight, 4),
+        difference: round(difference, 4),
+      });
+    }
+    exceptions.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    const difference = round(bookWeight - ledgerWeight, 4);
+    return {
+      ledgerWeight: round(ledgerWeight, 4),
+      bookWeight: round(bookWeight, 4),
+      difference,
+      reconciled: Math.abs(difference) <= GOLD_TOLERANCE && exceptions.length === 0,
+      exceptions,
+    };
+  }
+
+  // A stock code's layers as of a date, with what was left of each then
+  static async getLayers({ stockCode, asOf, includeClosed = false } = {}) {
+    if (!stockCode) {
+      throw createAppError("stockCode is required", 400, "VALIDATION_ERROR");
+    }
+    const date = this.getAsOf(asOf);
+    const id = toObjectId(stockCode, "stock");
+
+    const [layers, draws] = await Promise.all([
+      CostLayer.find({ stockCode: id, date: { $lte: date } })
+        .sort({ date: 1, createdAt: 1 })
+        .lean(),
+      CostMovement.aggregate([
+        { $match: { stockCode: id, direction: "out", date: { $lte: date } } },
+        { $unwind: "$layers" },
+        { $group: { _id: "$layers.layer", pureWeight: { $sum: "$layers.pureWeight" } } },
+      ]),
+    ]);
+    const drawnByLayer = new Map(draws.map((d) => [idOf(d._id), d.pureWeight]));
+
+    const rows = layers
+      .map((layer) => {
+        const remaining = Math.max(0, round(layer.pureWeight - (drawnByLayer.get(idOf(layer._id)) || 0), 4));
+        const share = layer.pureWeight ? remaining / layer.pureWeight : 0;
+        return {
+          ...layer,
+          remaining,
+          unitCost: layer.pureWeight ? round(layer.totalCost / layer.pureWeight, 4) : 0,
+          remainingCost: round(layer.totalCost * share),
+        };
+      })
+      .filter((layer) => includeClosed || layer.remaining > WEIGHT_TOLERANCE);
+
+    return {
+      asOf: date,
+      method: layers[layers.length - 1]?.method || null,
+      layers: rows,
+      remaining: round(rows.reduce((sum, layer) => sum + layer.remaining, 0), 4),
+      remainingCost: round(rows.reduce((sum, layer) => sum + layer.remainingCost, 0)),
+    };
+  }
+
+  static async getMovements({ page = 1, limit = 50, stockCode, branch, voucherCode, transactionType, startDate, endDate } = {}) {
+    const filter = this.buildFilter({ branch, stockCode });
+    if (voucherCode) filter.voucherCode = String(voucherCode).trim();
+    if (transactionType) filter.transactionType = transactionType;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = this.getAsOf(endDate);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [movements, total, sums] = await Promise.all([
+      CostMovement.find(filter)
+        .populate("stockCode", "code description")
+        .populate("party", "accountCode customerName")
+        .sort({ date: -1, sequence: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      CostMovement.countDocuments(filter),
+      CostMovement.aggregate([
+        {
+          $match: {
+            ...filter,
+            transactionType: { $in: COGS_TYPES.filter((type) => !transactionType || type === transactionType) },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            costOfSales: {
+              $sum: { $cond: [{ $eq: ["$direction", "out"] }, "$totalCost", { $multiply: ["$totalCost", -1] }] },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    return {
+      movements,
+      costOfSales: round(sums[0]?.costOfSales),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+}
+
+export default InventoryCostingService;
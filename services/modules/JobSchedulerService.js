@@ -0,0 +1,304 @@
+import os from "os";
+import mongoose from "mongoose";
+import ScheduledJob from "../../models/modules/ScheduledJob.js";
+import JobRun from "../../models/modules/JobRun.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_POLL_SECONDS = 60;
+
+// handler key -> { run, defaults }
+const handlers = new Map();
+
+/**
+ * In-process job scheduler. Job definitions and run history live in MongoDB;
+ * each instance polls for due jobs and takes a per-job lock before running
+ * one, so several app instances can share the schedule without running a
+ * job twice.
+ */
+class JobSchedulerService {
+  static timer = null;
+  static ticking = false;
+
+  /**
+   * Register the code behind a job
+   * @param {string} handler - Key stored on the job definition
+   * @param {Function} run - async ({ params, adminId, job }) => result
+   * @param {Object} defaults - Definition created the first time the job is seen
+   */
+  static registerHandler(handler, run, defaults = {}) {
+    handlers.set(handler, { run, defaults: { name: handler, ...defaults, handler } });
+  }
+
+  static getHandlers() {
+    return [...handlers.keys()];
+  }
+
+  // Create definitions for registered handlers that have none yet. Existing
+  // definitions keep whatever admins changed.
+  static async ensureJobs() {
+    for (const { defaults } of handlers.values()) {
+      const { name, ...rest } = defaults;
+      await ScheduledJob.updateOne(
+        { name },
+        { $setOnInsert: { name, ...rest, nextRunAt: this.getNextRunAt(defaults) } },
+        { upsert: true }
+      );
+    }
+  }
+
+  static getNextRunAt(job, from = new Date()) {
+    if (job.dailyAt) {
+      const [hours, minutes] = job.dailyAt.split(":").map(Number);
+      const next = new Date(from);
+      next.setUTCHours(hours, minutes, 0, 0);
+      if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+      return next;
+    }
+    return new Date(from.getTime() + (job.intervalMinutes || 60) * 60 * 1000);
+  }
+
+  // Take the job's lock. Scheduled claims also require the job to be due.
+  static async claim(jobId, { requireDue = true } = {}) {
+    const now = new Date();
+    const query = {
+      _id: jobId,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    };
+    if (requireDue) {
+      query.status = "active";
+      query.nextRunAt = { $lte: now };
+    }
+
+    const job = await ScheduledJob.findOne({ _id: jobId }).select("lockTimeoutMinutes").lean();
+    if (!job) return null;
+
+    return ScheduledJob.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + job.lockTimeoutMinutes * 60 * 1000),
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // Params given here add to the job's own for this run. With rethrow, a
+  // failed run is still recorded and its error then thrown to the caller.
+  static async execute(job, { trigger = "schedule", adminId = null, params = {}, rethrow = false } = {}) {
+    const entry = handlers.get(job.handler);
+    const run = await JobRun.create({
+      job: job._id,
+      jobName: job.name,
+      trigger: trigger === "schedule" && job.attempts > 0 ? "retry" : trigger,
+      attempt: job.attempts + 1,
+      instanceId: INSTANCE_ID,
+      triggeredBy: adminId,
+    });
+
+    const update = { lockedBy: null, lockedUntil: null, lastRunAt: run.startedAt };
+    let failure = null;
+    try {
+      if (!entry) {
+        throw new Error(`No handler registered for ${job.handler}`);
+      }
+      const result = await entry.run({ params: { ...(job.params || {}), ...params }, adminId, job });
+
+      run.status = "succeeded";
+      run.result = result ?? null;
+      Object.assign(update, {
+        lastStatus: "succeeded",
+        lastError: null,
+        attempts: 0,
+        nextRunAt: this.getNextRunAt(job),
+      });
+    } catch (error) {
+      failure = error;
+      run.status = "failed";
+      run.error = error.message;
+      const attempts = job.attempts + 1;
+      const retry = attempts <= job.maxRetries;
+      // Back off a little more on each failed attempt
+      Object.assign(update, {
+        lastStatus: retry ? "retrying" : "failed",
+        lastError: error.message,
+        attempts: retry ? attempts : 0,
+        nextRunAt: retry
+          ? new Date(Date.now() + job.retryDelayMinutes * attempts * 60 * 1000)
+          : this.getNextRunAt(job),
+      });
+      console.error(`[Job Scheduler] ${job.name} failed:`, error.message);
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    // Manual runs leave the schedule and retry count alone, except that a
+    // success ends a pending retry chain
+    if (trigger === "manual") {
+      const endsRetries = run.status === "succeeded" && job.attempts > 0;
+      if (!endsRetries) delete update.nextRunAt;
+      if (run.status === "failed") {
+        update.lastStatus = "failed";
+        update.attempts = job.attempts;
+      }
+    }
+    await ScheduledJob.updateOne({ _id: job._id, lockedBy: INSTANCE_ID }, { $set: update });
+
+    if (rethrow && failure) throw failure;
+    return run.toObject();
+  }
+
+  // Run every job that is due and not locked by another instance
+  static async tick() {
+    if (this.ticking || mongoose.connection.readyState !== 1) return;
+    this.ticking = true;
+    try {
+      const due = await ScheduledJob.find({
+        status: "active",
+        nextRunAt: { $lte: new Date() },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+      })
+        .select("_id")
+        .lean();
+
+      for (const { _id } of due) {
+        const job = await this.claim(_id);
+        if (job) await this.execute(job);
+      }
+    } catch (error) {
+      console.error("[Job Scheduler] Tick failed:", error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  static async start({ pollSeconds = Number(process.env.JOB_SCHEDULER_POLL_SECONDS) || DEFAULT_POLL_SECONDS } = {}) {
+    if (this.timer) return;
+    await this.ensureJobs();
+    this.timer = setInterval(() => this.tick(), pollSeconds * 1000);
+    this.timer.unref();
+    console.log(`[Job Scheduler] Started on ${INSTANCE_ID}, polling every ${pollSeconds}s`);
+  }
+
+  static stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Admin operations
+  // ---------------------------------------------------------------------
+  static async findJob(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid job ID", 400, "INVALID_ID");
+    }
+    const job = await ScheduledJob.findById(id);
+    if (!job) {
+      throw createAppError("Scheduled job not found", 404, "NOT_FOUND");
+    }
+    return job;
+  }
+
+  static async getJobs() {
+    const jobs = await ScheduledJob.find().sort({ name: 1 }).lean();
+    return jobs.map((job) => ({
+      ...job,
+      isRunning: Boolean(job.lockedUntil && job.lockedUntil > new Date()),
+      hasHandler: handlers.has(job.handler),
+    }));
+  }
+
+  static async getJobRuns(id, page = 1, limit = 50) {
+    await this.findJob(id);
+    const skip = (page - 1) * limit;
+    const [runs, total] = await Promise.all([
+      JobRun.find({ job: id })
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("triggeredBy", "name email")
+        .lean(),
+      JobRun.countDocuments({ job: id }),
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async setStatus(id, status, adminId) {
+    const job = await this.findJob(id);
+    job.status = status;
+    job.updatedBy = adminId;
+    // A resumed job picks up from now rather than replaying missed runs
+    if (status === "active" && job.nextRunAt < new Date()) {
+      job.nextRunAt = this.getNextRunAt(job);
+    }
+    await job.save();
+    return job.toObject();
+  }
+
+  static async updateJob(id, data, adminId) {
+    const job = await this.findJob(id);
+    const fields = [
+      "description",
+      "dailyAt",
+      "intervalMinutes",
+      "params",
+      "maxRetries",
+      "retryDelayMinutes",
+      "lockTimeoutMinutes",
+    ];
+    for (const field of fields) {
+      if (data[field] !== undefined) job[field] = data[field];
+    }
+    if (data.dailyAt !== undefined || data.intervalMinutes !== undefined) {
+      job.nextRunAt = this.getNextRunAt(job);
+    }
+    job.updatedBy = adminId;
+    await job.save();
+    return job.toObject();
+  }
+
+  // Run the job behind a handler now, under the same lock as scheduled runs,
+  // for endpoints that start the work directly. Returns the handler's result.
+  static async runHandler(handler, { adminId = null, params = {} } = {}) {
+    let definition = await ScheduledJob.findOne({ handler }).select("_id").lean();
+    if (!definition) {
+      await this.ensureJobs();
+      definition = await ScheduledJob.findOne({ handler }).select("_id").lean();
+    }
+    if (!definition) {
+      throw createAppError("Scheduled job not found", 404, "NOT_FOUND");
+    }
+
+    const job = await this.claim(definition._id, { requireDue: false });
+    if (!job) {
+      throw createAppError("Job is already running", 409, "JOB_LOCKED");
+    }
+    const run = await this.execute(job, { trigger: "manual", adminId, params, rethrow: true });
+    return run.result;
+  }
+
+  // Run a job now. Refused while another instance holds its lock.
+  static async triggerJob(id, adminId) {
+    await this.findJob(id);
+    const job = await this.claim(id, { requireDue: false });
+    if (!job) {
+      throw createAppError("Job is already running", 409, "JOB_LOCKED");
+    }
+    return this.execute(job, { trigger: "manual", adminId });
+  }
+}
+
+export default JobSchedulerService;
@@ -0,0 +1,620 @@
+import mongoose from "mongoose";
+import Entry from "../../models/modules/EntryModel.js";
+import JournalTemplate, { TEMPLATE_FREQUENCIES } from "../../models/modules/JournalTemplate.js";
+import Registry from "../../models/modules/Registry.js";
+import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import CostCenterMaster from "../../models/modules/CostCenterMaster.js";
+import EntryService from "./EntryService.js";
+import RegistryService from "./RegistryService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
+import PeriodLockService from "./PeriodLockService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+export const JOURNAL_VOUCHER_TYPE = "journal-voucher";
+export const JOURNAL_VOUCHER_MODULE = "journal-voucher";
+
+const CASH_TOLERANCE = 0.01;
+const GOLD_TOLERANCE = 0.001;
+
+const toAmount = (value) => Number(value) || 0;
+
+class JournalVoucherService {
+  static normalizeLines(lines = []) {
+    return lines.map((line) => ({
+      account: line.account,
+      currency: line.currency || null,
+      currencyRate: toAmount(line.currencyRate) || 1,
+      debit: toAmount(line.debit),
+      credit: toAmount(line.credit),
+      goldDebit: toAmount(line.goldDebit),
+      goldCredit: toAmount(line.goldCredit),
+      costCenter: line.costCenter ? String(line.costCenter).trim().toUpperCase() : null,
+      remarks: line.remarks ? String(line.remarks).trim() : "",
+    }));
+  }
+
+  // Check each line and that cash (in base currency) and gold both balance
+  static async validateLines(rawLines) {
+    if (!Array.isArray(rawLines) || rawLines.length < 2) {
+      throw createAppError(
+        "A journal voucher needs at least one debit and one credit line",
+        400,
+        "INVALID_JOURNAL_LINES"
+      );
+    }
+
+    const lines = this.normalizeLines(rawLines);
+    const totals = { cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 };
+
+    lines.forEach((line, index) => {
+      const label = `Line ${index + 1}`;
+      const amounts = [line.debit, line.credit, line.goldDebit, line.goldCredit];
+
+      if (!mongoose.Types.ObjectId.isValid(line.account)) {
+        throw createAppError(`${label}: a valid account is required`, 400, "INVALID_JOURNAL_LINES");
+      }
+      if (amounts.some((amount) => amount < 0)) {
+        throw createAppError(`${label}: amounts cannot be negative`, 400, "INVALID_JOURNAL_LINES");
+      }
+      if (amounts.every((amount) => amount === 0)) {
+        throw createAppError(`${label}: enter a debit or credit amount`, 400, "INVALID_JOURNAL_LINES");
+      }
+      if ((line.debit && line.credit) || (line.goldDebit && line.goldCredit)) {
+        throw createAppError(
+          `${label}: a line cannot debit and credit the same balance`,
+          400,
+          "INVALID_JOURNAL_LINES"
+        );
+      }
+      if ((line.debit || line.credit) && !mongoose.Types.ObjectId.isValid(line.currency)) {
+        throw createAppError(`${label}: cash amounts need a currency`, 400, "INVALID_JOURNAL_LINES");
+      }
+
+      totals.cashDebit += line.debit * line.currencyRate;
+      totals.cashCredit += line.credit * line.currencyRate;
+      totals.goldDebit += line.goldDebit;
+      totals.goldCredit += line.goldCredit;
+    });
+
+    const cashDifference = Number((totals.cashDebit - totals.cashCredit).toFixed(2));
+    const goldDifference = Number((totals.goldDebit - totals.goldCredit).toFixed(3));
+    if (Math.abs(cashDifference) > CASH_TOLERANCE || Math.abs(goldDifference) > GOLD_TOLERANCE) {
+      throw createAppError(
+        `Journal voucher does not balance: cash difference ${cashDifference}, gold difference ${goldDifference}`,
+        422,
+        "UNBALANCED_JOURNAL_VOUCHER"
+      );
+    }
+
+    await this.validateReferences(lines);
+    return lines;
+  }
+
+  static async validateReferences(lines) {
+    const unique = (values) => [...new Set(values.filter(Boolean).map(String))];
+    const accountIds = unique(lines.map((line) => line.account));
+    const currencyIds = unique(lines.map((line) => line.currency));
+    const costCenters = unique(lines.map((line) => line.costCenter));
+
+    const [accounts, currencies, centers] = await Promise.all([
+      Account.find({ _id: { $in: accountIds }, isActive: true }).select("_id").lean(),
+      CurrencyMaster.find({ _id: { $in: currencyIds } }).select("_id").lean(),
+      CostCenterMaster.find({ code: { $in: costCenters }, isActive: true }).select("code").lean(),
+    ]);
+
+    const missing = (ids, found, key = "_id") => {
+      const known = new Set(found.map((doc) => String(doc[key])));
+      return ids.filter((id) => !known.has(id));
+    };
+
+    const missingAccounts = missing(accountIds, accounts);
+    if (missingAccounts.length) {
+      throw createAppError(
+        `Accounts not found or inactive: ${missingAccounts.join(", ")}`,
+        400,
+        "INVALID_ACCOUNT"
+      );
+    }
+    const missingCurrencies = missing(currencyIds, currencies);
+    if (missingCurrencies.length) {
+      throw createAppError(
+        `Currencies not found: ${missingCurrencies.join(", ")}`,
+        400,
+        "INVALID_CURRENCY"
+      );
+    }
+    const missingCenters = missing(costCenters, centers, "code");
+    if (missingCenters.length) {
+      throw createAppError(
+        `Cost centers not found or inactive: ${missingCenters.join(", ")}`,
+        400,
+        "INVALID_COST_CENTER"
+      );
+    }
+  }
+
+  static async buildRegistryRows(entry, adminId) {
+    const currencyIds = entry.journalLines.map((line) => line.currency).filter(Boolean);
+    const currencies = await CurrencyMaster.find({ _id: { $in: currencyIds } })
+      .select("currencyCode")
+      .lean();
+    const codes = new Map(currencies.map((c) => [String(c._id), c.currencyCode]));
+
+    const rows = [];
+    for (const line of entry.journalLines) {
+      const base = {
+        transactionType: JOURNAL_VOUCHER_TYPE,
+        EntryTransactionId: entry._id,
+        description: line.remarks || entry.remarks || "Journal voucher",
+        party: line.account,
+        costCenter: line.costCenter || null,
+        transactionDate: entry.voucherDate,
+        reference: entry.voucherCode,
+        createdBy: adminId,
+      };
+
+      if (line.debit || line.credit) {
+        const rate = line.currencyRate || 1;
+        const debit = Number((line.debit * rate).toFixed(2));
+        const credit = Number((line.credit * rate).toFixed(2));
+        rows.push({
+          ...base,
+          transactionId: await Registry.generateTransactionId(),
+          type: "PARTY_CASH_BALANCE",
+          value: debit || credit,
+          debit,
+          credit,
+          assetType: codes.get(String(line.currency)) || "AED",
+          currencyRate: rate,
+        });
+      }
+
+      if (line.goldDebit || line.goldCredit) {
+        rows.push({
+          ...base,
+          transactionId: await Registry.generateTransactionId(),
+          type: "PARTY_GOLD_BALANCE",
+          value: line.goldDebit || line.goldCredit,
+          debit: line.goldDebit,
+          credit: line.goldCredit,
+          pureWeight: line.goldDebit || line.goldCredit,
+        });
+      }
+    }
+    return rows;
+  }
+
+  // Credits raise an account's balance and debits lower it, as on receipts
+  static async applyBalances(entry, sign = 1, session = null) {
+    for (const line of entry.journalLines) {
+      const cash = (line.credit || 0) - (line.debit || 0);
+      if (cash && line.currency) {
+        await EntryService.updateAccountCashBalance(line.account, line.currency, sign * cash, session);
+      }
+
+      const gold = (line.goldCredit || 0) - (line.goldDebit || 0);
+      if (gold) {
+        await Account.updateOne(
+          { _id: line.account },
+          {
+            $inc: { "balances.goldBalance.totalGrams": sign * gold },
+            $set: { "balances.goldBalance.lastUpdated": new Date() },
+          },
+          { session }
+        );
+      }
+    }
+  }
+
+  static async post(entry, adminId, session = null) {
+    const rows = await this.buildRegistryRows(entry, adminId);
+    RegistryIntegrityService.assertBalanced(rows);
+    await Registry.insertMany(rows, { ordered: false, session });
+    await this.applyBalances(entry, 1, session);
+  }
+
+  // Reverse a posted voucher by mirror rows; what it posted stays in the Registry
+  static async unpost(entry, adminId, transactionDate = new Date(), session = null) {
+    await RegistryService.postReversals(
+      { EntryTransactionId: entry._id },
+      { transactionDate, adminId, session }
+    );
+    await this.applyBalances(entry, -1, session);
+  }
+
+  static async reserveVoucherCode(voucherDate, adminId) {
+    const reserved = await VoucherMasterService.generateVoucherNumber(
+      JOURNAL_VOUCHER_MODULE,
+      JOURNAL_VOUCHER_TYPE,
+      { voucherDate, adminId }
+    );
+    return { voucherCode: reserved.voucherNumber, voucherType: reserved.voucherType };
+  }
+
+  static async createJournalVoucher(data, adminId) {
+    const journalLines = await this.validateLines(data.journalLines);
+    const voucherDate = data.voucherDate ? new Date(data.voucherDate) : new Date();
+
+    const voucher = data.voucherCode
+      ? { voucherCode: data.voucherCode.trim(), voucherType: data.voucherType }
+      : await this.reserveVoucherCode(voucherDate, adminId);
+
+    const entry = new Entry({
+      type: JOURNAL_VOUCHER_TYPE,
+      voucherId: data.voucherId || undefined,
+      voucherCode: voucher.voucherCode,
+      voucherDate,
+      invoiceReference: data.invoiceReference?.trim() || null,
+      remarks: data.remarks,
+      journalLines,
+      template: data.template || null,
+      enteredBy: adminId,
+      status: data.status === "draft" ? "draft" : "approved",
+    });
+
+    // The voucher, its Registry rows and the balances commit together
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await entry.save({ session });
+        await VoucherSequenceService.markUsed(
+          entry.voucherCode,
+          { documentModel: "Entry", documentId: entry._id },
+          session
+        );
+
+        if (entry.status === "approved") {
+          await this.post(entry, adminId, session);
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+    return this.getJournalVoucherById(entry._id);
+  }
+
+  static async findJournalVoucher(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid journal voucher ID", 400, "INVALID_ID");
+    }
+    const entry = await Entry.findOne({ _id: id, type: JOURNAL_VOUCHER_TYPE });
+    if (!entry) {
+      throw createAppError("Journal voucher not found", 404, "NOT_FOUND");
+    }
+    return entry;
+  }
+
+  // Posted vouchers are reversed on their own date and posted again, so the
+  // Registry keeps the old lines, their reversal and the new lines.
+  static async updateJournalVoucher(id, data, adminId) {
+    const entry = await this.findJournalVoucher(id);
+    if (entry.status === "cancelled") {
+      throw createAppError("Cancelled journal vouchers cannot be edited", 409, "JOURNAL_VOUCHER_CANCELLED");
+    }
+
+    const journalLines = data.journalLines
+      ? await this.validateLines(data.journalLines)
+      : entry.journalLines;
+
+    // Reversed as it was posted, before the edit
+    const original = entry.toObject();
+    Object.assign(entry, {
+      journalLines,
+      ...(data.voucherDate && { voucherDate: new Date(data.voucherDate) }),
+      ...(data.remarks !== undefined && { remarks: data.remarks }),
+      ...(data.invoiceReference !== undefined && {
+        invoiceReference: data.invoiceReference?.trim() || null,
+      }),
+      ...(data.status && { status: data.status === "draft" ? "draft" : "approved" }),
+    });
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (original.status === "approved") {
+          await this.unpost(original, adminId, original.voucherDate, session);
+        }
+        await entry.save({ session });
+
+        if (entry.status === "approved") {
+          await this.post(entry, adminId, session);
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+    return this.getJournalVoucherById(entry._id);
+  }
+
+  static async cancelJournalVoucher(id, { reason, cancelDate } = {}, adminId) {
+    if (!reason || !String(reason).trim()) {
+      throw createAppError("A cancellation reason is required", 400, "CANCEL_REASON_REQUIRED");
+    }
+    const entry = await this.findJournalVoucher(id);
+    if (entry.status === "cancelled") {
+      throw createAppError("Journal voucher is already cancelled", 409, "JOURNAL_VOUCHER_CANCELLED");
+    }
+
+    const wasPosted = entry.status === "approved";
+    entry.status = "cancelled";
+    entry.cancelReason = String(reason).trim();
+    entry.cancelledAt = new Date();
+    entry.cancelledBy = adminId;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (wasPosted) {
+          await this.unpost(entry, adminId, cancelDate ? new Date(cancelDate) : new Date(), session);
+        }
+        await entry.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return this.getJournalVoucherById(entry._id);
+  }
+
+  // Only drafts are deleted; posted vouchers are cancelled instead
+  static async deleteJournalVoucher(id, adminId) {
+    const entry = await this.findJournalVoucher(id);
+    if (entry.status !== "draft") {
+      throw createAppError(
+        "Only draft journal vouchers can be deleted; cancel posted ones instead",
+        409,
+        "JOURNAL_VOUCHER_POSTED"
+      );
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await entry.deleteOne({ session });
+        await VoucherSequenceService.voidNumber(
+          entry.voucherCode,
+          { reason: "Journal voucher deleted", adminId },
+          session
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    return { message: "Journal voucher deleted successfully" };
+  }
+
+  static async getJournalVoucherById(id) {
+    const entry = await Entry.findOne({ _id: id, type: JOURNAL_VOUCHER_TYPE })
+      .populate("journalLines.account", "accountCode customerName")
+      .populate("journalLines.currency", "currencyCode")
+      .populate("template", "name frequency")
+      .populate("enteredBy", "name email")
+      .populate("cancelledBy", "name email")
+      .lean();
+    if (!entry) {
+      throw createAppError("Journal voucher not found", 404, "NOT_FOUND");
+    }
+    return entry;
+  }
+
+  static async getJournalVouchers(page = 1, limit = 50, filters = {}) {
+    const query = { type: JOURNAL_VOUCHER_TYPE };
+    if (filters.status) query.status = filters.status;
+    if (filters.template) query.template = filters.template;
+    if (filters.account) query["journalLines.account"] = filters.account;
+    if (filters.costCenter) query["journalLines.costCenter"] = filters.costCenter.toUpperCase();
+    if (filters.startDate || filters.endDate) {
+      query.voucherDate = {};
+      if (filters.startDate) query.voucherDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.voucherDate.$lte = new Date(filters.endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [vouchers, total] = await Promise.all([
+      Entry.find(query)
+        .sort({ voucherDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("journalLines.account", "accountCode customerName")
+        .populate("journalLines.currency", "currencyCode")
+        .lean(),
+      Entry.countDocuments(query),
+    ]);
+
+    return {
+      vouchers,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Recurring templates
+  // ---------------------------------------------------------------------
+  static getNextRunDate(date, frequency, runDay = null) {
+    const months = { monthly: 1, quarterly: 3, yearly: 12 }[frequency] || 1;
+    const next = new Date(date);
+    const day = runDay || next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+    return next;
+  }
+
+  static async createTemplate(data, adminId) {
+    const journalLines = await this.validateLines(data.journalLines);
+    if (data.frequency && !TEMPLATE_FREQUENCIES.includes(data.frequency)) {
+      throw createAppError(
+        `Frequency must be one of: ${TEMPLATE_FREQUENCIES.join(", ")}`,
+        400,
+        "INVALID_FREQUENCY"
+      );
+    }
+    if (!data.nextRunDate) {
+      throw createAppError("Next run date is required", 400, "REQUIRED_FIELD_MISSING");
+    }
+
+    const template = await JournalTemplate.create({
+      name: data.name,
+      remarks: data.remarks || null,
+      journalLines,
+      frequency: data.frequency || "monthly",
+      nextRunDate: new Date(data.nextRunDate),
+      runDay: new Date(data.nextRunDate).getUTCDate(),
+      endDate: data.endDate ? new Date(data.endDate) : null,
+      autoPost: data.autoPost !== undefined ? Boolean(data.autoPost) : true,
+      createdBy: adminId,
+    });
+    return template.toObject();
+  }
+
+  static async getTemplates(filters = {}) {
+    const query = {};
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+    return JournalTemplate.find(query)
+      .sort({ nextRunDate: 1 })
+      .populate("journalLines.account", "accountCode customerName")
+      .populate("lastEntry", "voucherCode voucherDate status")
+      .lean();
+  }
+
+  static async getTemplateById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid template ID", 400, "INVALID_ID");
+    }
+    const template = await JournalTemplate.findById(id)
+      .populate("journalLines.account", "accountCode customerName")
+      .populate("lastEntry", "voucherCode voucherDate status")
+      .lean();
+    if (!template) {
+      throw createAppError("Journal template not found", 404, "NOT_FOUND");
+    }
+    return template;
+  }
+
+  static async updateTemplate(id, data, adminId) {
+    const template = await JournalTemplate.findById(id);
+    if (!template) {
+      throw createAppError("Journal template not found", 404, "NOT_FOUND");
+    }
+    if (data.frequency && !TEMPLATE_FREQUENCIES.includes(data.frequency)) {
+      throw createAppError(
+        `Frequency must be one of: ${TEMPLATE_FREQUENCIES.join(", ")}`,
+        400,
+        "INVALID_FREQUENCY"
+      );
+    }
+
+    if (data.journalLines) template.journalLines = await this.validateLines(data.journalLines);
+    if (data.name !== undefined) template.name = data.name;
+    if (data.remarks !== undefined) template.remarks = data.remarks;
+    if (data.frequency) template.frequency = data.frequency;
+    if (data.nextRunDate) {
+      template.nextRunDate = new Date(data.nextRunDate);
+      template.runDay = template.nextRunDate.getUTCDate();
+    }
+    if (data.endDate !== undefined) template.endDate = data.endDate ? new Date(data.endDate) : null;
+    if (data.autoPost !== undefined) template.autoPost = Boolean(data.autoPost);
+    if (data.isActive !== undefined) template.isActive = Boolean(data.isActive);
+    template.updatedBy = adminId;
+    await template.save();
+
+    return this.getTemplateById(id);
+  }
+
+  static async deleteTemplate(id, adminId) {
+    const template = await JournalTemplate.findByIdAndUpdate(
+      id,
+      { isActive: false, updatedBy: adminId },
+      { new: true }
+    );
+    if (!template) {
+      throw createAppError("Journal template not found", 404, "NOT_FOUND");
+    }
+    return { message: "Journal template deactivated successfully" };
+  }
+
+  /**
+   * Post a journal voucher for every template run due on or before asOf.
+   * Each run is claimed by moving nextRunDate on first, so two overlapping
+   * calls never post the same run twice. Missed runs are caught up in order.
+   */
+  static async runDueTemplates({ asOf = new Date(), adminId = null } = {}) {
+    const results = { posted: [], errors: [] };
+    const templates = await JournalTemplate.find({
+      isActive: true,
+      nextRunDate: { $lte: asOf },
+    });
+
+    for (const template of templates) {
+      let runDate = template.nextRunDate;
+
+      while (runDate <= asOf && (!template.endDate || runDate <= template.endDate)) {
+        const claimed = await JournalTemplate.findOneAndUpdate(
+          { _id: template._id, nextRunDate: runDate, isActive: true },
+          {
+            $set: {
+              nextRunDate: this.getNextRunDate(runDate, template.frequency, template.runDay),
+            },
+          },
+          { new: true }
+        );
+        if (!claimed) break;
+
+        try {
+          await PeriodLockService.assertPeriodOpen([runDate], {
+            action: "journal template run",
+            documentModel: "JournalTemplate",
+            documentId: template._id,
+          });
+
+          const entry = await this.createJournalVoucher(
+            {
+              voucherDate: runDate,
+              remarks: template.remarks || template.name,
+              journalLines: template.journalLines.map((line) => line.toObject()),
+              template: template._id,
+              status: template.autoPost ? "approved" : "draft",
+            },
+            adminId || template.createdBy
+          );
+
+          await JournalTemplate.updateOne(
+            { _id: template._id },
+            {
+              $set: { lastRunAt: new Date(), lastEntry: entry._id, lastError: null },
+              $inc: { runCount: 1 },
+            }
+          );
+          results.posted.push({ template: template._id, entry: entry._id, voucherDate: runDate });
+        } catch (error) {
+          // Hand the run back so it is retried next time
+          await JournalTemplate.updateOne(
+            { _id: template._id, nextRunDate: claimed.nextRunDate },
+            { $set: { nextRunDate: runDate, lastError: error.message } }
+          );
+          results.errors.push({ template: template._id, voucherDate: runDate, error: error.message });
+          break;
+        }
+
+        runDate = claimed.nextRunDate;
+      }
+
+      if (template.endDate && runDate > template.endDate) {
+        await JournalTemplate.updateOne({ _id: template._id }, { $set: { isActive: false } });
+      }
+    }
+
+    return results;
+  }
+}
+
+export default JournalVoucherService;
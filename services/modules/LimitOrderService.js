@@ -0,0 +1,515 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import LimitOrder from "../../models/modules/LimitOrder.js";
+import LimitOrderLock from "../../models/modules/LimitOrderLock.js";
+import Account from "../../models/modules/AccountType.js";
+import Commodity from "../../models/modules/Commodity.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import Admin from "../../models/core/adminModel.js";
+import PriceFeedService from "./PriceFeedService.js";
+import FixingAllocationService from "./FixingAllocationService.js";
+import NotificationService from "./NotificationService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import { TransactionFixingService } from "./TransactionFixingService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const GRAMS_PER_OUNCE = 31.1035;
+const BASE_CURRENCY = "AED";
+const WEIGHT_TOLERANCE = 0.0001;
+const OPEN_STATUSES = ["working", "triggered"];
+
+const FIXING_MODULES = { PURCHASE: "purchase-fixing", SALE: "sales-fixing" };
+const LOT_SIDES = { PURCHASE: "purchase", SALE: "sale" };
+
+// We buy the price on our bid and sell it on our ask. A limit fills once
+// that quote reaches the trigger in the party's favour, a stop once it
+// moves through the trigger against them.
+const QUOTES = { PURCHASE: "bid", SALE: "ask" };
+
+const round = (value, digits = 4) => Number((Number(value) || 0).toFixed(digits));
+
+/**
+ * Standing fix orders. Each price tick is checked against the working
+ * orders for its symbol; an order that triggers is filled by creating a
+ * fixing through TransactionFixingService, exactly as a dealer would.
+ */
+class LimitOrderService {
+  static unsubscribe = null;
+  static processing = false;
+  static pending = new Map();
+
+  static start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = PriceFeedService.subscribe((tick) => this.onTick(tick));
+  }
+
+  static stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  // Ticks arriving while orders are being filled are coalesced: only the
+  // latest per symbol is checked next
+  static async onTick(tick) {
+    if (tick.kind !== "metal") return;
+    if (this.processing) {
+      this.pending.set(tick.symbol, tick);
+      return;
+    }
+
+    this.processing = true;
+    try {
+      let next = tick;
+      while (next) {
+        await this.processTick(next).catch((error) =>
+          console.error("[Limit Orders] Tick processing failed:", error.message)
+        );
+        next = this.pending.values().next().value;
+        if (next) this.pending.delete(next.symbol);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  static isTriggered(order, tick) {
+    const price = tick[QUOTES[order.type]];
+    if (!(price > 0)) return false;
+    const favourable = order.type === "PURCHASE" ? price >= order.triggerPrice : price <= order.triggerPrice;
+    const adverse = order.type === "PURCHASE" ? price <= order.triggerPrice : price >= order.triggerPrice;
+    return order.orderType === "stop" ? adverse : favourable;
+  }
+
+  static triggeredQuery(tick) {
+    return {
+      status: "working",
+      symbol: tick.symbol,
+      $and: [
+        {
+          $or: [
+            { type: "PURCHASE", orderType: "limit", triggerPrice: { $lte: tick.bid } },
+            { type: "PURCHASE", orderType: "stop", triggerPrice: { $gte: tick.bid } },
+            { type: "SALE", orderType: "limit", triggerPrice: { $gte: tick.ask } },
+            { type: "SALE", orderType: "stop", triggerPrice: { $lte: tick.ask } },
+          ],
+        },
+        { $or: [{ goodTill: null }, { goodTill: { $gt: new Date() } }] },
+      ],
+    };
+  }
+
+  static async processTick(tick) {
+    if (mongoose.connection.readyState !== 1) return [];
+
+    const orders = await LimitOrder.find(this.triggeredQuery(tick)).sort({ createdAt: 1 });
+    const results = [];
+    for (const order of orders) {
+      results.push(await this.execute(order, tick));
+    }
+    return results.filter(Boolean);
+  }
+
+  // ---------------------------------------------------------------------
+  // Execution
+  // ---------------------------------------------------------------------
+
+  // Fixings need an admin: whoever placed the order, else the configured
+  // or first active super admin for portal orders
+  static async getExecutionAdmin(order) {
+    if (order.createdBy) return order.createdBy;
+    if (process.env.LIMIT_ORDER_ADMIN_ID) return process.env.LIMIT_ORDER_ADMIN_ID;
+
+    const admin = await Admin.findOne({ type: "super_admin", status: "active", isActive: true })
+      .sort({ createdAt: 1 })
+      .select("_id")
+      .lean();
+    if (!admin) {
+      throw createAppError("No admin is available to post the fixing", 500, "NO_EXECUTION_ADMIN");
+    }
+    return admin._id;
+  }
+
+  // Base currency per US dollar, from the feed or the currency master
+  static async getUsdRate() {
+    const rate = await PriceFeedService.getCurrencyRate("USD");
+    if (!rate) {
+      throw createAppError("No USD rate is available to price the fixing", 500, "MISSING_USD_RATE");
+    }
+    return rate;
+  }
+
+  static async buildFixing(order, price, adminId, creditOverrideToken = null) {
+    const baseCurrency = await CurrencyMaster.findOne({ currencyCode: BASE_CURRENCY }).select("_id").lean();
+    if (!baseCurrency) {
+      throw createAppError(`Currency ${BASE_CURRENCY} is not set up`, 500, "MISSING_BASE_CURRENCY");
+    }
+
+    const usdRate = await this.getUsdRate();
+    const oneGramRate = round((price * usdRate) / GRAMS_PER_OUNCE, 6);
+    const amount = round(oneGramRate * order.pureWeight, 2);
+    const voucher = await VoucherMasterService.generateVoucherNumber(
+      FIXING_MODULES[order.type],
+      order.type,
+      { adminId }
+    );
+
+    return {
+      partyId: String(order.party),
+      type: order.type,
+      referenceNumber: order.orderNumber,
+      voucherNumber: voucher.voucherNumber,
+      voucherType: voucher.voucherType,
+      voucherDate: new Date(),
+      salesman: "N/A",
+      notes: `Auto-fixed by ${order.orderType} order ${order.orderNumber} at ${price}`,
+      creditOverrideToken,
+      orders: [
+        {
+          commodity: order.commodity,
+          grossWeight: order.pureWeight,
+          oneGramRate,
+          ozWeight: round(order.pureWeight / GRAMS_PER_OUNCE),
+          currentBidValue: price,
+          bidValue: price,
+          pureWeight: order.pureWeight,
+          purity: 1,
+          price: amount,
+          metalType: order.metalType,
+          selectedCurrencyId: baseCurrency._id,
+          currencyCode: BASE_CURRENCY,
+          currencyRate: 1,
+          itemCurrencyRate: 1,
+          remarks: `Limit order ${order.orderNumber}`,
+          forexValue: { marketValue: amount, givenValue: amount, fxGain: 0, fxLoss: 0 },
+        },
+      ],
+    };
+  }
+
+  static async execute(order, tick) {
+    const price = tick[QUOTES[order.type]];
+    const claimed = await LimitOrder.findOneAndUpdate(
+      { _id: order._id, status: "working" },
+      {
+        $set: { status: "triggered" },
+        $push: { history: { status: "triggered", note: `${tick.symbol} ${QUOTES[order.type]} ${price}` } },
+      },
+      { new: true }
+    );
+    // Cancelled, expired or picked up by another tick meanwhile
+    if (!claimed) return null;
+
+    let fixing;
+    try {
+      const adminId = await this.getExecutionAdmin(claimed);
+      const { creditOverrideToken } = await LimitOrder.findById(claimed._id)
+        .select("+creditOverrideToken")
+        .lean();
+      fixing = await TransactionFixingService.createTransaction(
+        await this.buildFixing(claimed, price, adminId, creditOverrideToken),
+        adminId
+      );
+    } catch (error) {
+      return this.reject(claimed, price, error);
+    }
+
+    claimed.status = "filled";
+    claimed.fill = {
+      price,
+      bid: tick.bid,
+      ask: tick.ask,
+      at: new Date(),
+      fixing: fixing._id,
+      voucherNumber: fixing.voucherNumber,
+    };
+    claimed.history.push({ status: "filled", note: `Fixing ${fixing.voucherNumber}` });
+    await claimed.save();
+    await this.notify(
+      claimed,
+      "filled",
+      `Order ${claimed.orderNumber} filled`,
+      `${claimed.pureWeight}g fixed at ${price} (fixing ${fixing.voucherNumber})`
+    );
+    return claimed;
+  }
+
+  // A fill that fails, e.g. on a Fixed credit limit without an override,
+  // rejects the order rather than failing the tick
+  static async reject(order, price, error) {
+    const reason =
+      error.errorCode === "CREDIT_LIMIT_EXCEEDED"
+        ? `${error.message} Place the order again with a credit override token.`
+        : error.message;
+
+    try {
+      const rejected = await LimitOrder.findOneAndUpdate(
+        { _id: order._id, status: "triggered" },
+        {
+          $set: { status: "rejected", rejectionReason: reason },
+          $push: { history: { status: "rejected", note: reason } },
+        },
+        { new: true }
+      );
+      if (!rejected) return order;
+
+      await this.notify(
+        rejected,
+        "rejected",
+        `Order ${rejected.orderNumber} could not be filled`,
+        `The market reached ${price} but the fixing failed: ${reason}`
+      );
+      return rejected;
+    } catch (rejectError) {
+      console.error(`[Limit Orders] Could not reject order ${order.orderNumber}:`, rejectError.message);
+      return order;
+    }
+  }
+
+  static async notify(order, event, title, message) {
+    const base = {
+      type: `limit_order.${event}`,
+      title,
+      message,
+      documentModel: "LimitOrder",
+      documentId: order._id,
+    };
+    await NotificationService.notify([
+      { ...base, recipientModel: "Account", recipient: order.party },
+      { ...base, recipientModel: "Admin", recipient: order.createdBy },
+    ]);
+  }
+
+  // ---------------------------------------------------------------------
+  // Orders
+  // ---------------------------------------------------------------------
+
+  // Unfixed weight the party has open on that side, less what working
+  // orders already cover
+  static async getAvailableWeight(party, type, session = null) {
+    const lots = await FixingAllocationService.getOpenLots(party, LOT_SIDES[type], session);
+    const working = await LimitOrder.find({ party, type, status: { $in: OPEN_STATUSES } })
+      .select("pureWeight")
+      .session(session)
+      .lean();
+    const open = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const committed = working.reduce((sum, order) => sum + order.pureWeight, 0);
+    return round(open - committed);
+  }
+
+  static async createOrder(data, { adminId = null, partyId = null } = {}) {
+    const party = partyId || data.party;
+    if (!mongoose.Types.ObjectId.isValid(party)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_PARTY_ID");
+    }
+    const account = await Account.findById(party).select("isActive").lean();
+    if (!account?.isActive) {
+      throw createAppError("Party not found or inactive", 404, "PARTY_NOT_FOUND");
+    }
+
+    const type = String(data.type || "").toUpperCase();
+    if (!QUOTES[type]) {
+      throw createAppError("Type must be 'PURCHASE' or 'SALE'", 400, "INVALID_TYPE");
+    }
+    const orderType = data.orderType || "limit";
+    if (!["limit", "stop"].includes(orderType)) {
+      throw createAppError("Order type must be 'limit' or 'stop'", 400, "INVALID_ORDER_TYPE");
+    }
+    const triggerPrice = Number(data.triggerPrice);
+    const quantity = Number(data.quantity);
+    const unit = data.unit || "g";
+    if (!(triggerPrice > 0)) {
+      throw createAppError("Trigger price must be positive", 400, "INVALID_TRIGGER_PRICE");
+    }
+    if (!(quantity > 0) || !["g", "oz"].includes(unit)) {
+      throw createAppError("Quantity must be positive, in 'g' or 'oz'", 400, "INVALID_QUANTITY");
+    }
+
+    let goodTill = null;
+    if (data.goodTill) {
+      goodTill = new Date(data.goodTill);
+      if (Number.isNaN(goodTill.getTime()) || goodTill <= new Date()) {
+        throw createAppError("Good-till date must be in the future", 400, "INVALID_GOOD_TILL");
+      }
+    }
+
+    const commodity = mongoose.Types.ObjectId.isValid(data.commodity)
+      ? await Commodity.findById(data.commodity).select("defaultRateType").lean()
+      : null;
+    if (!commodity) {
+      throw createAppError("Commodity not found", 404, "COMMODITY_NOT_FOUND");
+    }
+    const metalType = data.metalType || commodity.defaultRateType;
+    if (!mongoose.Types.ObjectId.isValid(metalType)) {
+      throw createAppError("Invalid metalType ID", 400, "INVALID_METAL_TYPE");
+    }
+
+    const pureWeight = round(unit === "oz" ? quantity * GRAMS_PER_OUNCE : quantity);
+    const source = partyId ? "portal" : "admin";
+
+    // Placements for the same party and side bump one lock document, so two
+    // of them cannot both commit against the same unfixed weight
+    const session = await mongoose.startSession();
+    let order;
+    try {
+      await session.withTransaction(async () => {
+        await LimitOrderLock.updateOne({ party, type }, { $inc: { version: 1 } }, { upsert: true, session });
+
+        const available = await this.getAvailableWeight(party, type, session);
+        if (pureWeight > available + WEIGHT_TOLERANCE) {
+          throw createAppError(
+            `Only ${Math.max(0, available)}g of unfixed ${LOT_SIDES[type]} weight is left to fix`,
+            422,
+            "INSUFFICIENT_UNFIXED_WEIGHT"
+          );
+        }
+
+        [order] = await LimitOrder.create(
+          [
+            {
+              orderNumber: `LFO-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+              party,
+              type,
+              orderType,
+              symbol: data.symbol || "XAU",
+              triggerPrice,
+              quantity,
+              unit,
+              pureWeight,
+              commodity: commodity._id,
+              metalType,
+              goodTill,
+              source,
+              notes: data.notes,
+              // Overrides are issued by supervisors, so only admin orders carry one
+              creditOverrideToken: source === "admin" ? data.creditOverrideToken || null : null,
+              history: [{ status: "working", note: source === "portal" ? "Placed from the portal" : null }],
+              createdBy: adminId,
+              updatedBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    order.creditOverrideToken = undefined;
+
+    // Already marketable: fill on the current quote instead of waiting
+    const tick = PriceFeedService.latest.get(order.symbol);
+    if (PriceFeedService.isFresh(tick) && this.isTriggered(order, tick)) {
+      return (await this.execute(order, tick)) || order;
+    }
+    return order;
+  }
+
+  static async cancelOrder(id, { adminId = null, partyId = null, reason = null } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid order ID", 400, "INVALID_ID");
+    }
+
+    const query = { _id: id };
+    if (partyId) query.party = partyId;
+    const order = await LimitOrder.findOneAndUpdate(
+      { ...query, status: "working" },
+      {
+        $set: { status: "cancelled", cancelledAt: new Date(), cancelReason: reason, updatedBy: adminId },
+        $push: { history: { status: "cancelled", note: reason } },
+      },
+      { new: true }
+    );
+    if (!order) {
+      const existing = await LimitOrder.findOne(query).select("status").lean();
+      if (!existing) throw createAppError("Limit order not found", 404, "NOT_FOUND");
+      throw createAppError(`Order is already ${existing.status}`, 409, "ORDER_NOT_WORKING");
+    }
+
+    await this.notify(
+      order,
+      "cancelled",
+      `Order ${order.orderNumber} cancelled`,
+      reason || `Order to fix ${order.pureWeight}g at ${order.triggerPrice} was cancelled`
+    );
+    return order;
+  }
+
+  static async expireOrders() {
+    const due = await LimitOrder.find({ status: "working", goodTill: { $ne: null, $lte: new Date() } })
+      .select("_id")
+      .lean();
+
+    let expired = 0;
+    for (const { _id } of due) {
+      const order = await LimitOrder.findOneAndUpdate(
+        { _id, status: "working" },
+        { $set: { status: "expired" }, $push: { history: { status: "expired" } } },
+        { new: true }
+      );
+      if (!order) continue;
+      expired += 1;
+      await this.notify(
+        order,
+        "expired",
+        `Order ${order.orderNumber} expired`,
+        `Order to fix ${order.pureWeight}g at ${order.triggerPrice} reached its good-till date unfilled`
+      );
+    }
+    return { expired };
+  }
+
+  static async getOrders({ party, status, type, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (party) {
+      if (!mongoose.Types.ObjectId.isValid(party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      query.party = party;
+    }
+    if (status) query.status = status;
+    if (type) query.type = String(type).toUpperCase();
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [orders, total] = await Promise.all([
+      LimitOrder.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("commodity", "code description")
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      LimitOrder.countDocuments(query),
+    ]);
+
+    return {
+      orders,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+
+  static async getOrderById(id, { partyId = null } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid order ID", 400, "INVALID_ID");
+    }
+
+    const query = { _id: id };
+    if (partyId) query.party = partyId;
+    const order = await LimitOrder.findOne(query)
+      .populate("party", "accountCode customerName")
+      .populate("commodity", "code description")
+      .populate("fill.fixing", "voucherNumber transactionId")
+      .populate("createdBy", "name email")
+      .lean();
+    if (!order) {
+      throw createAppError("Limit order not found", 404, "NOT_FOUND");
+    }
+    return order;
+  }
+}
+
+export default LimitOrderService;
@@ -0,0 +1,349 @@
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import MetalPosition from "../../models/modules/MetalPosition.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import MarginCall from "../../models/modules/MarginCall.js";
+import MetalPositionService from "./MetalPositionService.js";
+import CreditLimitService from "./CreditLimitService.js";
+import PriceFeedService from "./PriceFeedService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const DEFAULT_CALL_LEVEL = 100;
+const DEFAULT_STOP_OUT_LEVEL = 50;
+const WEIGHT_TOLERANCE = 0.0001;
+
+const round = (value, digits = 2) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const STATUS_ORDER = { stop_out: 0, margin_call: 1, healthy: 2, unlimited: 3 };
+
+/**
+ * Margin monitoring. Each party's cash balances, converted to the base
+ * currency, and metal balance marked to the current rate give equity; required margin is the party's Margin % of its
+ * open unfixed gold. Equity as a percentage of required margin is checked
+ * against MARGIN_CALL_LEVEL and MARGIN_STOP_OUT_LEVEL.
+ */
+class MarginService {
+  static getThresholds() {
+    const callLevel = Number(process.env.MARGIN_CALL_LEVEL) || DEFAULT_CALL_LEVEL;
+    const stopOutLevel = Number(process.env.MARGIN_STOP_OUT_LEVEL) || DEFAULT_STOP_OUT_LEVEL;
+    return { callLevel, stopOutLevel: Math.min(stopOutLevel, callLevel) };
+  }
+
+  // Party limits are a list; the first entry carries the margin terms
+  static getMarginTerms(account) {
+    const limits = account.limitsMargins?.[0];
+    return {
+      limitType: limits?.limitType || null,
+      marginPercent: Number(limits?.Margin) || 0,
+    };
+  }
+
+  // Per-gram rates for every division the parties hold unfixed metal in, plus
+  // the default rate used for metal balances, which carry no division
+  static async getRates(positions) {
+    const defaultRate = await MetalRateMaster.findOne({ isActive: true })
+      .sort({ isDefault: -1, createdAt: 1 })
+      .select("metal")
+      .lean();
+
+    const divisionIds = [
+      ...new Set([...positions.map((p) => idOf(p.division)), idOf(defaultRate?.metal)].filter(Boolean)),
+    ];
+    const rates = await MetalPositionService.getValuationRates(divisionIds);
+    return { rates, defaultRate: rates.get(idOf(defaultRate?.metal)) || null };
+  }
+
+  // Base-currency rate for every currency the parties hold cash in, keyed by
+  // the balance's currency id or code
+  static async getCurrencyRates(accounts) {
+    const currencies = accounts.flatMap((account) =>
+      (account.balances?.cashBalance || []).map((balance) => balance.currency || balance.code)
+    );
+    const codeOf = await CreditLimitService.resolveCurrencyCodes(currencies);
+
+    const byCode = new Map();
+    const rates = new Map();
+    for (const currency of new Set(currencies.map(idOf))) {
+      const code = codeOf(currency);
+      if (!byCode.has(code)) byCode.set(code, await PriceFeedService.getCurrencyRate(code));
+      if (!byCode.get(code)) {
+        throw createAppError(`No exchange rate for ${code}`, 422, "CURRENCY_RATE_MISSING");
+      }
+      rates.set(currency, byCode.get(code));
+    }
+    return rates;
+  }
+
+  static classify(marginLevel, { callLevel, stopOutLevel }) {
+    if (marginLevel === null) return "healthy";
+    if (marginLevel < stopOutLevel) return "stop_out";
+    if (marginLevel < callLevel) return "margin_call";
+    return "healthy";
+  }
+
+  static evaluateParty(account, positions, { rates, defaultRate, currencyRates }, thresholds) {
+    const { limitType, marginPercent } = this.getMarginTerms(account);
+
+    // Unfixed purchases leave the party long the price, unfixed sales short
+    let unfixedGold = 0;
+    let exposure = 0;
+    for (const position of positions) {
+      const grams = (position.unfixedPurchases || 0) - (position.unfixedSales || 0);
+      if (Math.abs(grams) < WEIGHT_TOLERANCE) continue;
+      const rate = rates.get(idOf(position.division)) || defaultRate;
+      unfixedGold += grams;
+      exposure += Math.abs(grams) * (rate?.ratePerGram || 0);
+    }
+
+    const ratePerGram = defaultRate?.ratePerGram || 0;
+    const cashBalance = (account.balances?.cashBalance || []).reduce(
+      (sum, balance) =>
+        sum + (Number(balance.amount) || 0) * (currencyRates.get(idOf(balance.currency || balance.code)) || 0),
+      0
+    );
+    const goldGrams = Number(account.balances?.goldBalance?.totalGrams) || 0;
+    const goldValue = goldGrams * ratePerGram;
+
+    const equity = cashBalance + goldValue;
+    const requiredMargin = (exposure * marginPercent) / 100;
+    const marginLevel = requiredMargin > 0 ? round((equity / requiredMargin) * 100) : null;
+    const status =
+      limitType === "Unlimited" ? "unlimited" : this.classify(marginLevel, thresholds);
+
+    return {
+      party: {
+        _id: account._id,
+        accountCode: account.accountCode,
+        customerName: account.customerName,
+      },
+      limitType,
+      marginPercent,
+      cashBalance: round(cashBalance),
+      goldBalance: round(goldGrams, 4),
+      goldValue: round(goldValue),
+      ratePerGram,
+      unfixedGold: round(unfixedGold, 4),
+      exposure: round(exposure),
+      equity: round(equity),
+      requiredMargin: round(requiredMargin),
+      freeMargin: round(equity - requiredMargin),
+      marginLevel,
+      callLevel: thresholds.callLevel,
+      stopOutLevel: thresholds.stopOutLevel,
+      // Equity the party must add to get back to the call level
+      shortfall: requiredMargin > 0
+        ? round(Math.max(0, (requiredMargin * thresholds.callLevel) / 100 - equity))
+        : 0,
+      status,
+    };
+  }
+
+  static async evaluate(partyIds = null) {
+    const query = { isActive: true, "limitsMargins.0": { $exists: true } };
+    if (partyIds) query._id = { $in: partyIds };
+
+    const accounts = await Account.find(query)
+      .select("accountCode customerName limitsMargins balances.cashBalance balances.goldBalance")
+      .lean();
+    if (accounts.length === 0) return [];
+
+    const positions = await MetalPosition.find({ party: { $in: accounts.map((a) => a._id) } })
+      .select("party division unfixedPurchases unfixedSales")
+      .lean();
+    const byParty = new Map();
+    for (const position of positions) {
+      const key = idOf(position.party);
+      if (!byParty.has(key)) byParty.set(key, []);
+      byParty.get(key).push(position);
+    }
+
+    const rateInfo = {
+      ...(await this.getRates(positions)),
+      currencyRates: await this.getCurrencyRates(accounts),
+    };
+    const thresholds = this.getThresholds();
+    return accounts.map((account) =>
+      this.evaluateParty(account, byParty.get(idOf(account._id)) || [], rateInfo, thresholds)
+    );
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  static async getDashboard({ status, search } = {}) {
+    let parties = await this.evaluate();
+
+    const summary = {
+      parties: parties.length,
+      healthy: 0,
+      margin_call: 0,
+      stop_out: 0,
+      unlimited: 0,
+      totalExposure: 0,
+      totalRequiredMargin: 0,
+      totalShortfall: 0,
+    };
+    for (const party of parties) {
+      summary[party.status] += 1;
+      summary.totalExposure = round(summary.totalExposure + party.exposure);
+      summary.totalRequiredMargin = round(summary.totalRequiredMargin + party.requiredMargin);
+      summary.totalShortfall = round(summary.totalShortfall + party.shortfall);
+    }
+
+    if (status) parties = parties.filter((party) => party.status === status);
+    if (search) {
+      const term = String(search).toLowerCase();
+      parties = parties.filter((party) =>
+        [party.party.accountCode, party.party.customerName].some((v) => v?.toLowerCase().includes(term))
+      );
+    }
+
+    // Worst first: by status, then by margin level
+    parties.sort(
+      (a, b) =>
+        STATUS_ORDER[a.status] - STATUS_ORDER[b.status] ||
+        (a.marginLevel ?? Infinity) - (b.marginLevel ?? Infinity)
+    );
+
+    return { summary, parties, ...this.getThresholds(), asOf: new Date() };
+  }
+
+  static async getPartyMargin(partyId) {
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_ID");
+    }
+
+    const [margin] = await this.evaluate([partyId]);
+    if (!margin) {
+      throw createAppError("No margin terms are set up for this party", 404, "MARGIN_NOT_CONFIGURED");
+    }
+
+    const openCall = await MarginCall.findOne({ party: partyId, status: "open" })
+      .select("-__v")
+      .lean();
+    return { ...margin, openCall, asOf: new Date() };
+  }
+
+  static async getMarginCalls({ party, status, level, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (party) {
+      if (!mongoose.Types.ObjectId.isValid(party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      query.party = party;
+    }
+    if (status) query.status = status;
+    if (level) query.level = level;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [calls, total] = await Promise.all([
+      MarginCall.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("acknowledgedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      MarginCall.countDocuments(query),
+    ]);
+
+    return {
+      calls,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Margin calls
+  // ---------------------------------------------------------------------
+
+  static snapshot(margin, level = margin.status) {
+    return {
+      level,
+      equity: margin.equity,
+      requiredMargin: margin.requiredMargin,
+      marginLevel: margin.marginLevel,
+      unfixedGold: margin.unfixedGold,
+      ratePerGram: margin.ratePerGram,
+      at: new Date(),
+    };
+  }
+
+  // Opens, escalates and resolves margin calls to match current margins
+  static async runMarginCheck() {
+    const margins = await this.evaluate();
+    const openCalls = await MarginCall.find({ status: "open" });
+    const callsByParty = new Map(openCalls.map((call) => [idOf(call.party), call]));
+
+    const results = { evaluated: margins.length, opened: [], escalated: [], resolved: [] };
+    for (const margin of margins) {
+      const partyId = idOf(margin.party._id);
+      const call = callsByParty.get(partyId);
+      const underMargin = ["margin_call", "stop_out"].includes(margin.status);
+
+      if (!call && underMargin) {
+        await MarginCall.create({
+          party: partyId,
+          level: margin.status,
+          marginPercent: margin.marginPercent,
+          triggered: this.snapshot(margin),
+          history: [this.snapshot(margin)],
+        });
+        results.opened.push({ party: margin.party.accountCode, level: margin.status });
+      } else if (call && underMargin && call.level !== margin.status) {
+        call.level = margin.status;
+        call.history.push(this.snapshot(margin));
+        await call.save();
+        results.escalated.push({ party: margin.party.accountCode, level: margin.status });
+      } else if (call && !underMargin) {
+        call.status = "resolved";
+        call.resolvedAt = new Date();
+        call.history.push(this.snapshot(margin, "healthy"));
+        await call.save();
+        results.resolved.push({ party: margin.party.accountCode });
+      }
+      callsByParty.delete(partyId);
+    }
+
+    // Parties whose margin terms were removed no longer have a call to answer
+    for (const call of callsByParty.values()) {
+      call.status = "resolved";
+      call.resolvedAt = new Date();
+      call.notes = call.notes || "Margin terms removed";
+      await call.save();
+      results.resolved.push({ party: idOf(call.party) });
+    }
+
+    return results;
+  }
+
+  static async acknowledgeMarginCall(id, adminId, notes = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid margin call ID", 400, "INVALID_ID");
+    }
+
+    const call = await MarginCall.findById(id);
+    if (!call) {
+      throw createAppError("Margin call not found", 404, "NOT_FOUND");
+    }
+    if (call.status !== "open") {
+      throw createAppError("Only open margin calls can be acknowledged", 409, "MARGIN_CALL_RESOLVED");
+    }
+
+    call.acknowledgedBy = adminId;
+    call.acknowledgedAt = new Date();
+    if (notes) call.notes = notes;
+    await call.save();
+    return call;
+  }
+}
+
+export default MarginService;
@@ -0,0 +1,536 @@
+import mongoose from "mongoose";
+import MetalPosition, { POSITION_COMPONENTS } from "../../models/modules/MetalPosition.js";
+import MetalPositionMovement from "../../models/modules/MetalPositionMovement.js";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES } from "../../models/modules/MetalTransaction.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import DivisionMaster from "../../models/modules/DivisionMaster.js";
+import KaratMaster from "../../models/modules/KaratMaster.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Commodity from "../../models/modules/Commodity.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import DealStrategy from "../../models/modules/DealStrategy.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const WEIGHT_TOLERANCE = 0.0001;
+
+const INBOUND_TYPES = [
+  "purchase",
+  "importPurchase",
+  "saleReturn",
+  "exportSaleReturn",
+  "hedgeMetalReceipt",
+  "hedgeMetalReciept",
+];
+
+// Unfixed bucket and sign for each metal transaction type. Hedge metal
+// payments and receipts only move physical stock, which is read from the
+// stock logs rather than posted from vouchers.
+const UNFIXED_BUCKETS = {
+  purchase: ["unfixedPurchases", 1],
+  importPurchase: ["unfixedPurchases", 1],
+  purchaseReturn: ["unfixedPurchases", -1],
+  importPurchaseReturn: ["unfixedPurchases", -1],
+  sale: ["unfixedSales", 1],
+  exportSale: ["unfixedSales", 1],
+  saleReturn: ["unfixedSales", -1],
+  exportSaleReturn: ["unfixedSales", -1],
+};
+
+// Unfixed sales are kept as a positive quantity and come off the net
+const netSign = (component) => (component === "unfixedSales" ? -1 : 1);
+
+const round = (value) => Number((Number(value) || 0).toFixed(4));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const bucketKey = ({ division, karat, party, component }) =>
+  [idOf(division), idOf(karat), idOf(party), component].join("|");
+
+const lineKey = (division, karat) => `${idOf(division)}|${idOf(karat)}`;
+
+// Stock log purity may be held as a fraction, a percentage or fineness
+const PURITY_FRACTION = {
+  $let: {
+    vars: { purity: { $ifNull: ["$purity", 0] } },
+    in: {
+      $switch: {
+        branches: [
+          { case: { $gt: ["$$purity", 100] }, then: { $divide: ["$$purity", 1000] } },
+          { case: { $gt: ["$$purity", 1] }, then: { $divide: ["$$purity", 100] } },
+        ],
+        default: "$$purity",
+      },
+    },
+  },
+};
+
+// Signed pure grams a stock log moves
+const LOG_PURE_WEIGHT = {
+  $multiply: [
+    { $ifNull: ["$grossWeight", 0] },
+    PURITY_FRACTION,
+    { $cond: [{ $eq: ["$action", "remove"] }, -1, { $cond: [{ $eq: ["$action", "add"] }, 1, 0] }] },
+  ],
+};
+
+const orderWeight = (order) =>
+  Number(order.pureWeight ?? order.quantityGm ?? order.grossWeight) || 0;
+
+class MetalPositionService {
+  // ---------------------------------------------------------------------
+  // Movements a document implies while it stands
+  // ---------------------------------------------------------------------
+  static async getTransactionMovements(transaction, session = null) {
+    if (!transaction?.isActive || !POSTED_TRANSACTION_STATUSES.includes(transaction.status)) return [];
+
+    const items = transaction.stockItems || [];
+    const stockIds = items.map((item) => idOf(item.stockCode)).filter(Boolean);
+    const stocks = await MetalStock.find({ _id: { $in: stockIds } })
+      .select("metalType karat")
+      .session(session)
+      .lean();
+    const stockById = new Map(stocks.map((s) => [String(s._id), s]));
+
+    const type = transaction.transactionType;
+    const direction = INBOUND_TYPES.includes(type) ? 1 : -1;
+    const unfixed = transaction.unfix && !transaction.fixed && UNFIXED_BUCKETS[type];
+
+    const movements = [];
+    for (const item of items) {
+      const pureWeight = Number(item.pureWeight) || 0;
+      const stock = stockById.get(idOf(item.stockCode));
+      if (!pureWeight || !stock) continue;
+
+      const bucket = { division: stock.metalType || null, karat: stock.karat || null };
+      if (unfixed) {
+        const [component, sign] = unfixed;
+        movements.push({ ...bucket, party: transaction.partyCode, component, pureWeight: sign * pureWeight });
+      }
+      // The hedge fixing a hedged voucher raises offsets its metal
+      if (transaction.hedge) {
+        movements.push({ ...bucket, party: transaction.partyCode, component: "hedges", pureWeight: -direction * pureWeight });
+      }
+    }
+    return movements;
+  }
+
+  static async getFixingMovements(fixing, session = null) {
+    if (!fixing?.isActive || fixing.status !== "active") return [];
+
+    const type = String(fixing.type || "").toUpperCase();
+    const isHedge = type.includes("HEDGE");
+    let sign = type.startsWith("PURCHASE") ? 1 : -1;
+    if (isHedge && type.includes("RETURN")) sign = -sign;
+
+    const orders = fixing.orders || [];
+    const commodityIds = orders.map((o) => idOf(o.commodity)).filter(Boolean);
+    const rateIds = orders.map((o) => idOf(o.metalType)).filter(Boolean);
+    const [commodities, rates] = await Promise.all([
+      Commodity.find({ _id: { $in: commodityIds } }).select("division karatSelect").session(session).lean(),
+      MetalRateMaster.find({ _id: { $in: rateIds } }).select("metal").session(session).lean(),
+    ]);
+    const commodityById = new Map(commodities.map((c) => [String(c._id), c]));
+    const rateById = new Map(rates.map((r) => [String(r._id), r]));
+
+    const movements = [];
+    for (const order of orders) {
+      const pureWeight = orderWeight(order);
+      if (!pureWeight) continue;
+      const commodity = commodityById.get(idOf(order.commodity));
+      movements.push({
+        division: commodity?.division || rateById.get(idOf(order.metalType))?.metal || null,
+        karat: commodity?.karatSelect || null,
+        party: fixing.partyId,
+        component: isHedge ? "hedges" : "fixings",
+        pureWeight: sign * pureWeight,
+      });
+    }
+    return movements;
+  }
+
+  // ---------------------------------------------------------------------
+  // Incremental posting
+  // ---------------------------------------------------------------------
+
+  // Bring the movements recorded for a scope in line with what it implies
+  // now, posting only the difference
+  static async syncScope(scope, scopeModel, desired, { reference = null, session = null } = {}) {
+    const recorded = await MetalPositionMovement.aggregate([
+      { $match: { scope: new mongoose.Types.ObjectId(String(scope)) } },
+      {
+        $group: {
+          _id: { division: "$division", karat: "$karat", party: "$party", component: "$component" },
+          pureWeight: { $sum: "$pureWeight" },
+        },
+      },
+    ]).session(session);
+
+    const deltas = new Map();
+    for (const movement of desired) {
+      const key = bucketKey(movement);
+      const current = deltas.get(key) || { ...movement, pureWeight: 0 };
+      current.pureWeight += movement.pureWeight;
+      deltas.set(key, current);
+    }
+    for (const { _id, pureWeight } of recorded) {
+      const key = bucketKey(_id);
+      const current = deltas.get(key) || { ..._id, pureWeight: 0 };
+      current.pureWeight -= pureWeight;
+      deltas.set(key, current);
+    }
+
+    const movements = [...deltas.values()]
+      .map((d) => ({ ...d, pureWeight: round(d.pureWeight) }))
+      .filter((d) => Math.abs(d.pureWeight) >= WEIGHT_TOLERANCE)
+      .map((d) => ({
+        scope,
+        scopeModel,
+        reference,
+        division: d.division || null,
+        karat: d.karat || null,
+        party: d.party || null,
+        component: d.component,
+        pureWeight: d.pureWeight,
+        netChange: round(netSign(d.component) * d.pureWeight),
+      }));
+    if (movements.length === 0) return [];
+
+    await MetalPositionMovement.insertMany(movements, { session });
+    for (const movement of movements) {
+      await MetalPosition.updateOne(
+        { division: movement.division, karat: movement.karat, party: movement.party },
+        {
+          $inc: { [movement.component]: movement.pureWeight, net: movement.netChange },
+          $set: { lastMovementAt: new Date() },
+        },
+        { upsert: true, session }
+      );
+    }
+    return movements;
+  }
+
+  // Hedge fixings raised by a metal transaction are posted from the
+  // transaction itself, since they are written outside its session
+  static async syncMetalTransaction(transactionId, session = null) {
+    const transaction = await MetalTransaction.findById(transactionId).session(session).lean();
+    const desired = await this.getTransactionMovements(transaction, session);
+    return this.syncScope(transactionId, "MetalTransaction", desired, {
+      reference: transaction?.voucherNumber || null,
+      session,
+    });
+  }
+
+  static async syncFixing(fixingId, { metalTransactionId = null, session = null } = {}) {
+    const fixing = await TransactionFixing.findById(fixingId).session(session).lean();
+    const parent = fixing?.metalTransactionId || metalTransactionId;
+    if (parent) return this.syncMetalTransaction(parent, session);
+
+    const desired = await this.getFixingMovements(fixing, session);
+    return this.syncScope(fixingId, "TransactionFixing", desired, {
+      reference: fixing?.voucherNumber || fixing?.transactionId || null,
+      session,
+    });
+  }
+
+  // Resync every voucher, e.g. after first deploying the engine
+  static async rebuild() {
+    const results = { transactions: 0, fixings: 0, movements: 0 };
+
+    const transactions = MetalTransaction.find({}).select("_id").lean().cursor();
+    for await (const { _id } of transactions) {
+      results.movements += (await this.syncMetalTransaction(_id)).length;
+      results.transactions += 1;
+    }
+
+    const fixings = TransactionFixing.find({ metalTransactionId: null }).select("_id").lean().cursor();
+    for await (const { _id } of fixings) {
+      results.movements += (await this.syncFixing(_id)).length;
+      results.fixings += 1;
+    }
+    return results;
+  }
+
+  // ---------------------------------------------------------------------
+  // Physical stock
+  // ---------------------------------------------------------------------
+
+  // Stock logs record every movement of house stock (vouchers, entries,
+  // adjustments, counts, transfer differences), so the physical part of the
+  // position is read from them. Location moves net to nothing and are left out.
+  static physicalPipeline(filter = {}, { since = null } = {}) {
+    const match = {
+      isDraft: { $ne: true },
+      isPurityDifferenceEntry: { $ne: true },
+      isLocationTransfer: { $ne: true },
+    };
+    if (since) match.createdAt = { $gte: since };
+
+    const stockMatch = {};
+    if (filter.division) stockMatch["stock.metalType"] = new mongoose.Types.ObjectId(String(filter.division));
+    if (filter.karat) stockMatch["stock.karat"] = new mongoose.Types.ObjectId(String(filter.karat));
+
+    return [
+      { $match: match },
+      { $lookup: { from: "metalstocks", localField: "stockCode", foreignField: "_id", as: "stock" } },
+      { $unwind: "$stock" },
+      ...(Object.keys(stockMatch).length > 0 ? [{ $match: stockMatch }] : []),
+    ];
+  }
+
+  // Pure grams on hand per metal and karat
+  static async getPhysicalStock(filter = {}) {
+    const rows = await InventoryLog.aggregate([
+      ...this.physicalPipeline(filter),
+      {
+        $group: {
+          _id: { division: "$stock.metalType", karat: "$stock.karat" },
+          pureWeight: { $sum: LOG_PURE_WEIGHT },
+        },
+      },
+    ]);
+    return new Map(rows.map(({ _id, pureWeight }) => [lineKey(_id.division, _id.karat), { ..._id, pureWeight }]));
+  }
+
+  // ---------------------------------------------------------------------
+  // Valuation
+  // ---------------------------------------------------------------------
+
+  // Rate per gram for each division: the division's default metal rate,
+  // adjusted by the latest deal strategy's local premium or discount
+  static async getValuationRates(divisionIds) {
+    const [rates, strategy] = await Promise.all([
+      MetalRateMaster.find({ metal: { $in: divisionIds }, isActive: true })
+        .sort({ isDefault: -1 })
+        .lean(),
+      DealStrategy.findOne({ date: { $lte: new Date() } }).sort({ date: -1 }).lean(),
+    ]);
+
+    const adjustment = strategy?.local
+      ? (strategy.local.type === "discount" ? -1 : 1) * (Number(strategy.local.value) || 0)
+      : 0;
+
+    const byDivision = new Map();
+    for (const rate of rates) {
+      const key = String(rate.metal);
+      if (byDivision.has(key) || !rate.convFactGms) continue;
+      byDivision.set(key, {
+        metalRate: rate._id,
+        rateType: rate.rateType,
+        rate: rate.convertrate,
+        strategyAdjustment: adjustment,
+        strategyDate: strategy?.date || null,
+        ratePerGram: Number(((rate.convertrate + adjustment) / rate.convFactGms).toFixed(6)),
+      });
+    }
+    return byDivision;
+  }
+
+  static buildFilter({ division, karat } = {}) {
+    const filter = {};
+    for (const [field, value] of Object.entries({ division, karat })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+      }
+      filter[field] = value;
+    }
+    return filter;
+  }
+
+  static emptyTotals() {
+    return Object.fromEntries([...POSITION_COMPONENTS, "net"].map((field) => [field, 0]));
+  }
+
+  static addTotals(totals, position) {
+    for (const field of [...POSITION_COMPONENTS, "net"]) {
+      totals[field] = round(totals[field] + (position[field] || 0));
+    }
+    return totals;
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  // Net open position per metal and karat across all parties, valued
+  static async getCurrentPosition(filters = {}) {
+    const filter = this.buildFilter(filters);
+    const [positions, physical] = await Promise.all([
+      MetalPosition.find(filter)
+        .populate("division", "code description")
+        .populate("karat", "karatCode standardPurity")
+        .lean(),
+      this.getPhysicalStock(filter),
+    ]);
+
+    const lines = new Map();
+    for (const position of positions) {
+      const key = lineKey(position.division, position.karat);
+      if (!lines.has(key)) {
+        lines.set(key, {
+          division: position.division,
+          karat: position.karat,
+          ...this.emptyTotals(),
+          lastMovementAt: null,
+        });
+      }
+      const line = lines.get(key);
+      // Physical comes from the stock logs below, not from posted movements
+      this.addTotals(line, { ...position, physical: 0, net: (position.net || 0) - (position.physical || 0) });
+      if (position.lastMovementAt > line.lastMovementAt) line.lastMovementAt = position.lastMovementAt;
+    }
+
+    const missing = [...physical.entries()].filter(([key]) => !lines.has(key)).map(([, stock]) => stock);
+    const [divisions, karats] = await Promise.all([
+      DivisionMaster.find({ _id: { $in: missing.map((m) => m.division).filter(Boolean) } }).select("code description").lean(),
+      KaratMaster.find({ _id: { $in: missing.map((m) => m.karat).filter(Boolean) } }).select("karatCode standardPurity").lean(),
+    ]);
+    for (const stock of missing) {
+      lines.set(lineKey(stock.division, stock.karat), {
+        division: divisions.find((d) => idOf(d) === idOf(stock.division)) || stock.division,
+        karat: karats.find((k) => idOf(k) === idOf(stock.karat)) || stock.karat,
+        ...this.emptyTotals(),
+        lastMovementAt: null,
+      });
+    }
+    for (const [key, stock] of physical) {
+      this.addTotals(lines.get(key), { physical: stock.pureWeight, net: stock.pureWeight });
+    }
+
+    const divisionIds = [...new Set([...lines.values()].map((line) => idOf(line.division)).filter(Boolean))];
+    const rates = await this.getValuationRates(divisionIds);
+
+    const totals = { ...this.emptyTotals(), value: 0 };
+    const result = [...lines.values()].map((line) => {
+      const valuation = rates.get(idOf(line.division)) || null;
+      const value = valuation ? round(line.net * valuation.ratePerGram) : null;
+      this.addTotals(totals, line);
+      totals.value = round(totals.value + (value || 0));
+      return { ...line, position: line.net >= 0 ? "long" : "short", valuation, value };
+    });
+
+    return { positions: result, totals, asOf: new Date() };
+  }
+
+  // Party-held parts of the position: unfixed metal, hedges and fixings
+  static async getPositionByParty(filters = {}) {
+    const query = { ...this.buildFilter(filters), party: { $ne: null } };
+    if (filters.party) {
+      if (!mongoose.Types.ObjectId.isValid(filters.party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      query.party = filters.party;
+    }
+
+    const positions = await MetalPosition.find(query)
+      .populate("party", "accountCode customerName")
+      .populate("division", "code description")
+      .populate("karat", "karatCode standardPurity")
+      .lean();
+
+    const parties = new Map();
+    for (const position of positions) {
+      if (Math.abs(position.net) < WEIGHT_TOLERANCE && !POSITION_COMPONENTS.some((f) => Math.abs(position[f]) >= WEIGHT_TOLERANCE)) {
+        continue;
+      }
+      const key = idOf(position.party);
+      if (!parties.has(key)) {
+        parties.set(key, { party: position.party, positions: [], totals: this.emptyTotals() });
+      }
+      const entry = parties.get(key);
+      entry.positions.push({
+        division: position.division,
+        karat: position.karat,
+        ...Object.fromEntries([...POSITION_COMPONENTS, "net"].map((f) => [f, round(position[f])])),
+        lastMovementAt: position.lastMovementAt,
+      });
+      this.addTotals(entry.totals, position);
+    }
+
+    return [...parties.values()].sort((a, b) => Math.abs(b.totals.net) - Math.abs(a.totals.net));
+  }
+
+  // Movements over a window with the net position running alongside. The
+  // opening figure is worked back from the live position.
+  static async getPositionHistory(filters = {}) {
+    const from = filters.from ? new Date(filters.from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = filters.to ? new Date(filters.to) : new Date();
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      throw createAppError("Invalid history window", 400, "INVALID_DATE_RANGE");
+    }
+
+    const match = this.buildFilter(filters);
+    const [current, physical, posted, logged] = await Promise.all([
+      MetalPosition.aggregate([
+        { $match: this.castFilter(match) },
+        { $group: { _id: null, net: { $sum: { $subtract: ["$net", { $ifNull: ["$physical", 0] }] } } } },
+      ]),
+      this.getPhysicalStock(match),
+      // Physical movements are read from the stock logs instead
+      MetalPositionMovement.find({ ...match, component: { $ne: "physical" }, createdAt: { $gte: from } })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate("party", "accountCode customerName")
+        .lean(),
+      InventoryLog.aggregate([
+        ...this.physicalPipeline(match, { since: from }),
+        {
+          $project: {
+            createdAt: 1,
+            reference: "$voucherCode",
+            scope: "$_id",
+            division: "$stock.metalType",
+            karat: "$stock.karat",
+            pureWeight: LOG_PURE_WEIGHT,
+          },
+        },
+      ]),
+    ]);
+
+    const movements = [
+      ...posted,
+      ...logged.map((log) => ({
+        ...log,
+        scopeModel: "InventoryLog",
+        party: null,
+        component: "physical",
+        pureWeight: round(log.pureWeight),
+        netChange: round(log.pureWeight),
+      })),
+    ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const onHand = [...physical.values()].reduce((sum, stock) => sum + stock.pureWeight, 0);
+    const changeSinceFrom = movements.reduce((sum, m) => sum + m.netChange, 0);
+    const opening = round((current[0]?.net || 0) + onHand - changeSinceFrom);
+
+    let running = opening;
+    const history = [];
+    for (const movement of movements) {
+      if (movement.createdAt > to) break;
+      running = round(running + movement.netChange);
+      history.push({
+        at: movement.createdAt,
+        reference: movement.reference,
+        scopeModel: movement.scopeModel,
+        scope: movement.scope,
+        party: movement.party,
+        division: movement.division,
+        karat: movement.karat,
+        component: movement.component,
+        pureWeight: movement.pureWeight,
+        netChange: movement.netChange,
+        net: running,
+      });
+    }
+
+    return { from, to, opening, closing: running, movements: history };
+  }
+
+  static castFilter(filter) {
+    return Object.fromEntries(
+      Object.entries(filter).map(([field, value]) => [field, new mongoose.Types.ObjectId(String(value))])
+    );
+  }
+}
+
+export default MetalPositionService;
@@ -1,7 +1,7 @@
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 
-import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES } from "../../models/modules/MetalTransaction.js";
 import Registry from "../../models/modules/Registry.js";
 import Account from "../../models/modules/AccountType.js";
 import { createAppError } from "../../utils/errorHandler.js";
@@ -14,6 +14,18 @@ import { generateHedgeVoucherNumber } from "../../utils/hedgeVoucher.js";
 import TransactionFixing from "../../models/modules/TransactionFixing.js";
 import DealOrderService from "./dealOrderService.js";
 import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import PostingRuleService from "./PostingRuleService.js";
+import RegistryService from "./RegistryService.js";
+import MetalPositionService from "./MetalPositionService.js";
+import PriceFeedService from "./PriceFeedService.js";
+import PricingService from "./PricingService.js";
+import BarService from "./BarService.js";
+import InventoryCostingService from "./InventoryCostingService.js";
+import CreditLimitService from "./CreditLimitService.js";
+import FixingAllocationService from "./FixingAllocationService.js";
 
 dotenv.config();
 const generateUniqueTransactionId = async (prefix) => {
@@ -26,6 +38,11 @@ const generateUniqueTransactionId = async (prefix) => {
   return id;
 }
 
+// Posted vouchers are voided and reissued rather than edited in place
+const POSTED_STATUSES = POSTED_TRANSACTION_STATUSES;
+// Fields a posted voucher can change without touching what it posted
+const NON_POSTING_FIELDS = ["status", "notes", "salesman", "enteredBy"];
+
 class MetalTransactionService {
   // Helper function to extract currency code from partyCurrency
   // partyCurrency can be an ObjectId string, ObjectId, or a populated currency object
@@ -82,36 +99,55 @@ class MetalTransactionService {
     try {
       await session.withTransaction(async () => {
         this.validateTransactionData(transactionData);
+        await PriceFeedService.assertTransactionRates(transactionData);
 
         const [party, metalTransaction] = await Promise.all([
           this.validateParty(transactionData.partyCode, session),
           this.createTransaction(transactionData, adminId),
         ]);
+        const posted = this.isPosted(metalTransaction);
+        if (posted) {
+          await CreditLimitService.assertCreditAvailable(
+            party._id,
+            CreditLimitService.getTradeExposure(metalTransaction),
+            {
+              overrideToken: transactionData.creditOverrideToken,
+              adminId,
+              documentModel: "MetalTransaction",
+              reference: metalTransaction.voucherNumber,
+              session,
+            }
+          );
+        }
 
+        await PricingService.reviewTransaction(metalTransaction);
         await metalTransaction.save({ session });
         createdTransaction = metalTransaction;
+        await VoucherSequenceService.claimNumber(
+          metalTransaction.voucherNumber,
+          { documentModel: "MetalTransaction", documentId: metalTransaction._id },
+          session
+        );
+        // Drafts post when they are confirmed
+        if (!posted) return metalTransaction;
+
         await Promise.all([
           this.createRegistryEntries(metalTransaction, party, adminId, session),
           this.updateAccountBalances(party, metalTransaction, session),
         ]);
-
-        // Update deal order status if dealOrderId is provided
-        if (transactionData.dealOrderId) {
-          try {
-            await DealOrderService.updateOrderStatus(
-              transactionData.dealOrderId,
-              {
-                status: "completed",
-                stage: "completed",
-                note: `Order completed via ${transactionData.transactionType} transaction`,
-              },
-              { id: adminId }
-            );
-          } catch (error) {
-            console.error("Failed to update deal order status:", error);
-            // Don't throw - transaction should still succeed
-          }
-        }
+        // Stock moves, and is costed, with the postings: a sale refused for
+        // reserved stock leaves nothing posted
+        await this.applyInventory(metalTransaction, adminId, session);
+        await MetalPositionService.syncMetalTransaction(metalTransaction._id, session);
+        await BarService.syncMetalTransaction(metalTransaction._id, { adminId, session });
+        await InventoryCostingService.syncVoucher(metalTransaction.voucherNumber, { adminId, session });
+        await FixingAllocationService.allocatePending(metalTransaction, { adminId, session });
+
+        await DealOrderService.syncFulfilment(metalTransaction.dealOrderId, {
+          adminId,
+          session,
+          note: `${metalTransaction.voucherNumber} posted`,
+        });
 
         return metalTransaction;
       });
@@ -162,9 +198,36 @@ class MetalTransactionService {
     );
     if (!entries || entries.length === 0) return [];
 
+    RegistryIntegrityService.assertBalanced(entries);
+
     return await Registry.insertMany(entries, { session, ordered: false });
   }
 
+  // Registry entries a transaction would post, without writing anything.
+  // Previews a saved transaction by id or an unsaved create payload.
+  static async previewRegistryEntries(transactionData, adminId) {
+    let transaction;
+    if (transactionData.metalTransactionId) {
+      transaction = await MetalTransaction.findById(transactionData.metalTransactionId);
+      if (!transaction) {
+        throw createAppError("Metal transaction not found", 404, "NOT_FOUND");
+      }
+    } else {
+      this.validateTransactionData(transactionData);
+      transaction = this.createTransaction(transactionData, adminId);
+    }
+
+    const party = await this.validateParty(transaction.partyCode, null);
+    const entries = await this.buildRegistryEntries(transaction, party, adminId, {
+      dryRun: true,
+    });
+
+    const balance = RegistryIntegrityService.summarize(entries);
+    delete balance.byType;
+
+    return { entries, balance };
+  }
+
   static async deleteRegistryEntry(metalTransaction, session = null) {
     try {
       const query = Registry.deleteMany({
@@ -563,7 +626,7 @@ class MetalTransactionService {
     return aggregatedEntries;
   }
 
-  static async buildRegistryEntries(metalTransaction, party, adminId) {
+  static async buildRegistryEntries(metalTransaction, party, adminId, { dryRun = false } = {}) {
     let transaction = metalTransaction;
 
     // Ensure we have a real Mongoose document
@@ -595,6 +658,11 @@ class MetalTransactionService {
     const partyCurrencyCode = await this.getCurrencyCodeFromPartyCurrency(partyCurrency, "AED");
     let hedgeVoucherNo = transaction.hedgeVoucherNumber;
 
+    // A dry run must not reserve a hedge voucher or save the transaction
+    if (dryRun && hedge && !hedgeVoucherNo) {
+      hedgeVoucherNo = "HEDGE-PREVIEW";
+    }
+
     // Generate ONLY if hedge=true and not already generated
     if (hedge && !hedgeVoucherNo) {
       // For hedgeMetalPayment and hedgeMetalReceipt, use the same voucher as the transaction
@@ -606,13 +674,22 @@ class MetalTransactionService {
         console.log(`Using transaction voucher for hedge: ${hedgeVoucherNo}`);
       } else {
         // For other transaction types, generate a separate hedge voucher
-        hedgeVoucherNo = await generateHedgeVoucherNumber(transactionType);
+        hedgeVoucherNo = await generateHedgeVoucherNumber(transactionType, {
+          voucherDate,
+          adminId,
+        });
       }
 
       // Save it immediately — 100% guaranteed
       transaction.hedgeVoucherNumber = hedgeVoucherNo;
       transaction.hedge = true;
       await transaction.save();
+      if (hedgeVoucherNo !== transaction.voucherNumber) {
+        await VoucherSequenceService.markUsed(hedgeVoucherNo, {
+          documentModel: "MetalTransaction",
+          documentId: transaction._id,
+        });
+      }
 
       console.log(`Hedge Voucher Created: ${hedgeVoucherNo}`); // optional
     }
@@ -950,13 +1027,22 @@ class MetalTransactionService {
           console.log(`Using transaction voucher for hedge: ${hedgeVoucherNo}`);
         } else {
           // For other transaction types, generate a separate hedge voucher
-          hedgeVoucherNo = await generateHedgeVoucherNumber(transactionType);
+          hedgeVoucherNo = await generateHedgeVoucherNumber(transactionType, {
+            voucherDate,
+            adminId,
+          });
         }
 
         // Save it immediately
         transaction.hedgeVoucherNumber = hedgeVoucherNo;
         transaction.hedge = true;
         await transaction.save();
+        if (hedgeVoucherNo !== transaction.voucherNumber) {
+          await VoucherSequenceService.markUsed(hedgeVoucherNo, {
+            documentModel: "MetalTransaction",
+            documentId: transaction._id,
+          });
+        }
 
         console.log(`Hedge Voucher Created (in hedge section): ${hedgeVoucherNo}`);
       }
@@ -975,7 +1061,7 @@ class MetalTransactionService {
       // Create HedgeFixingEntry ONCE with summed totals
       // Pass both display format (for hedge type logic) and original transactionType (for voucher counting)
       await this.createHedgeFixingEntry({
-        hedge,
+        hedge: hedge && !dryRun,
         hedgeVoucherNo,
         voucherNumber,
         party,
@@ -1080,12 +1166,17 @@ class MetalTransactionService {
 
     // If there are any PARTY entries in the final array, aggregate them
     // This ensures that even if some PARTY entries slipped through earlier, they get aggregated now
+    let finalEntries = entries.filter(Boolean);
     if (finalPartyEntries.length > 0) {
       const finalAggregatedPartyEntries = this.aggregatePartyEntries(finalPartyEntries);
-      return [...finalNonPartyEntries, ...finalAggregatedPartyEntries].filter(Boolean);
+      finalEntries = [...finalNonPartyEntries, ...finalAggregatedPartyEntries].filter(Boolean);
     }
 
-    return entries.filter(Boolean);
+    // Company-side accounts and Registry types come from the posting rules
+    return PostingRuleService.applyRules(finalEntries, {
+      transactionType,
+      branchId: await PostingRuleService.getVoucherBranch(stockItems),
+    });
   }
 
   // New method to create hedge registry entries with summed totals
@@ -8641,7 +8732,7 @@ class MetalTransactionService {
     }
 
     // =====================================================
-    // 8) GOLD PURE (INVENTORY) RETURN
+    // 8) GOLD PURE (INVENTORY)
     // =====================================================
     if (totals.pureWeightStd > 0) {
       entries.push(
@@ -8651,13 +8742,12 @@ class MetalTransactionService {
           metalTransactionId,
           "005",
           "GOLD",
-          `Gold inventory - Export Sale Unfix return for ${partyName}`,
+          `Gold inventory - Export Sale Unfix to ${partyName}`,
           null,
           true,
           totals.pureWeightStd,
-          0,
+          totals.pureWeightStd,
           {
-            debit: totals.pureWeightStd,
             goldCredit: totals.grossWeight,
             cashDebit: totals.goldValue,
             grossWeight: totals.grossWeight,
@@ -8726,13 +8816,12 @@ class MetalTransactionService {
           metalTransactionId,
           "005",
           "GOLD_STOCK",
-          `Gold stock - Export Sale Unfix return for ${partyName}`,
+          `Gold stock - Export Sale Unfix to ${partyName}`,
           null,
           true,
           totals.pureWeightStd,
-          0,
+          totals.pureWeightStd,
           {
-            debit: totals.pureWeightStd,
             goldCredit: totals.grossWeight,
             cashDebit: totals.goldValue,
             grossWeight: totals.grossWeight,
@@ -13501,10 +13590,8 @@ class MetalTransactionService {
   }
   static async getUnfixedTransactions(page = 1, limit = 50, filters = {}) {
     const skip = (page - 1) * limit;
-    const query = {
-      isActive: true,
-      unfix: true, // Show only transactions where unfix is true
-    };
+    // Unfixed purchases and sales with pure weight still waiting for a fixing
+    const query = FixingAllocationService.openLotFilter();
 
     // Apply filters
     if (filters.transactionType) {
@@ -13538,6 +13625,16 @@ class MetalTransactionService {
       .limit(limit);
 
     const total = await MetalTransaction.countDocuments(query);
+    const [weights] = await MetalTransaction.aggregate([
+      { $match: MetalTransaction.find(query).cast() },
+      {
+        $group: {
+          _id: null,
+          fixedPureWeight: { $sum: "$fixedPureWeight" },
+          unfixedPureWeight: { $sum: "$unfixedPureWeight" },
+        },
+      },
+    ]);
 
     // Extract unique party data with only required fields
     const partyDataMap = new Map();
@@ -13590,6 +13687,8 @@ class MetalTransactionService {
         totalSales: transactions.filter((t) => t.transactionType === "sale")
           .length,
         totalParties: uniquePartyData.length,
+        totalFixedPureWeight: weights?.fixedPureWeight || 0,
+        totalUnfixedPureWeight: weights?.unfixedPureWeight || 0,
       },
     };
   }
@@ -13601,10 +13700,7 @@ class MetalTransactionService {
     filters = {}
   ) {
     const skip = (page - 1) * limit;
-    const matchStage = {
-      isActive: true,
-      isFixed: false, // Assuming you have an isFixed field
-    };
+    const matchStage = FixingAllocationService.openLotFilter();
 
     // Apply filters to match stage
     if (filters.transactionType) {
@@ -13688,6 +13784,8 @@ class MetalTransactionService {
           voucherNumber: 1,
           status: 1,
           isFixed: 1,
+          fixedPureWeight: 1,
+          unfixedPureWeight: 1,
           stockItems: 1,
           totalSummary: 1,
           createdAt: 1,
@@ -13787,6 +13885,9 @@ class MetalTransactionService {
         $facet: {
           data: [{ $skip: skip }, { $limit: limit }],
           totalCount: [{ $count: "count" }],
+          totals: [
+            { $group: { _id: null, unfixedPureWeight: { $sum: "$unfixedPureWeight" } } },
+          ],
         },
       },
     ];
@@ -13797,6 +13898,7 @@ class MetalTransactionService {
 
     return {
       transactions,
+      totalUnfixedPureWeight: result[0].totals[0]?.unfixedPureWeight || 0,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(totalCount / limit),
@@ -13808,7 +13910,21 @@ class MetalTransactionService {
   }
 
   // Update metal transaction
-  static async updateMetalTransaction(transactionId, updateData, adminId) {
+  static async updateMetalTransaction(transactionId, updateData, adminId, options = {}) {
+    if (mongoose.isValidObjectId(transactionId)) {
+      const current = await MetalTransaction.findById(transactionId);
+      if (current?.isActive && current.status === "cancelled") {
+        throw createAppError(
+          "Voided transactions cannot be edited",
+          409,
+          "TRANSACTION_VOIDED"
+        );
+      }
+      if (current?.isActive && this.isPosted(current)) {
+        return this.updatePostedTransaction(current, updateData, adminId, options);
+      }
+    }
+
     const session = await mongoose.startSession();
     let transaction;
 
@@ -13818,6 +13934,7 @@ class MetalTransactionService {
 
       // Validate inputs
       this.validateUpdateInputs(transactionId, updateData, adminId);
+      await PriceFeedService.assertTransactionRates(updateData);
 
       // Fetch the existing transaction
       transaction = await MetalTransaction.findById(transactionId).session(
@@ -13835,6 +13952,7 @@ class MetalTransactionService {
         ...transaction.toObject(),
         partyCode: transaction.partyCode.toString(),
       };
+      const wasPosted = await this.hasPostings(transaction._id, session);
 
       // Check if party is changing
       const isPartyChanged =
@@ -13851,9 +13969,26 @@ class MetalTransactionService {
 
       // Apply updates to transaction
       this.applyTransactionUpdates(transaction, updateData);
+      if (this.isPosted(transaction)) {
+        await CreditLimitService.assertCreditAvailable(
+          transaction.partyCode,
+          CreditLimitService.getExposureChange(
+            isPartyChanged || !wasPosted ? null : originalData,
+            transaction
+          ),
+          {
+            overrideToken: updateData.creditOverrideToken,
+            adminId,
+            documentModel: "MetalTransaction",
+            reference: transaction.voucherNumber,
+            session,
+          }
+        );
+      }
 
       // Save updated transaction
       transaction.updatedBy = adminId;
+      await PricingService.reviewTransaction(transaction);
       await transaction.save({ session });
 
       // Handle registry and balance updates
@@ -13865,27 +14000,20 @@ class MetalTransactionService {
         adminId,
         session,
         isPartyChanged,
-        updateData
+        updateData,
+        wasPosted
       );
 
-      // Update deal order status if dealOrderId is provided (only on create, not update)
-      // Note: For updates, we check if dealOrderId is in updateData
-      const dealOrderIdToUpdate = updateData.dealOrderId || transaction.dealOrderId;
-      if (dealOrderIdToUpdate) {
-        try {
-          await DealOrderService.updateOrderStatus(
-            dealOrderIdToUpdate,
-            {
-              status: "completed",
-              stage: "completed",
-              note: `Order completed via ${updateData.transactionType || transaction.transactionType} transaction`,
-            },
-            { id: adminId }
-          );
-        } catch (error) {
-          console.error("Failed to update deal order status:", error);
-          // Don't throw - transaction should still succeed
-        }
+      // Both the deal it delivered before and the one it delivers now
+      const dealOrderIds = new Set(
+        [originalData.dealOrderId, transaction.dealOrderId].filter(Boolean).map(String)
+      );
+      for (const dealOrderId of dealOrderIds) {
+        await DealOrderService.syncFulfilment(dealOrderId, {
+          adminId,
+          session,
+          note: `${transaction.voucherNumber} updated`,
+        });
       }
 
       // Commit transaction
@@ -14057,7 +14185,8 @@ class MetalTransactionService {
     adminId,
     session,
     isPartyChanged,
-    updateData
+    updateData,
+    wasPosted = true
   ) {
     if (transaction.stockItems.length === 0) {
       throw createAppError(
@@ -14075,7 +14204,9 @@ class MetalTransactionService {
     ]);
 
     // 🔥 Reverse full balances using clean reversal logic
-    await this.reverseBalances(oldParty, originalData, session);
+    if (wasPosted) {
+      await this.reverseBalances(oldParty, originalData, session);
+    }
 
     // 🔄 Ensure transaction is properly refreshed with all updated fields
     // Reload from database to ensure stockItems, totalSummary, and all fields are current
@@ -14088,6 +14219,12 @@ class MetalTransactionService {
       );
     }
 
+    // A draft keeps nothing on the ledger; derived records are cleared below
+    if (!this.isPosted(refreshedTransaction)) {
+      await this.syncDerivedRecords(refreshedTransaction, adminId, session);
+      return;
+    }
+
     // 🆕 Insert new registry entries using refreshed transaction
     // This ensures all updated values (stockItems, totals, etc.) are correctly used
     // buildRegistryEntries will properly aggregate PARTY entries and keep PURITY_DIFFERENCE per-item
@@ -14109,6 +14246,7 @@ class MetalTransactionService {
     }
 
     if (newRegistryEntries.length > 0) {
+      RegistryIntegrityService.assertBalanced(newRegistryEntries);
       await Registry.insertMany(newRegistryEntries, {
         session,
         ordered: false,
@@ -14120,39 +14258,15 @@ class MetalTransactionService {
     await this.updateAccountBalances(newParty, refreshedTransaction, session);
 
     // 🔥 INVENTORY - Use refreshedTransaction to ensure all updated values are used
-    switch (refreshedTransaction.transactionType) {
-      case "purchase":
-      case "saleReturn":
-      case "importPurchase":
-      case "exportSaleReturn":
-      case "hedgeMetalReceipt":
-      case "hedgeMetalReciept": // Support both spellings
-        await InventoryService.updateInventory(
-          refreshedTransaction,
-          false,
-          adminId,
-          session
-        );
-        break;
-      case "sale":
-      case "purchaseReturn":
-      case "importPurchaseReturn":
-      case "exportSale":
-      case "hedgeMetalPayment":
-        await InventoryService.updateInventory(
-          refreshedTransaction,
-          true,
-          adminId,
-          session
-        );
-        break;
-      default:
-        throw createAppError(
-          "Invalid transaction type",
-          400,
-          "INVALID_TRANSACTION_TYPE"
-        );
-    }
+    await this.applyInventory(refreshedTransaction, adminId, session);
+    await this.syncDerivedRecords(refreshedTransaction, adminId, session);
+  }
+
+  static async syncDerivedRecords(transaction, adminId, session) {
+    await MetalPositionService.syncMetalTransaction(transaction._id, session);
+    await BarService.syncMetalTransaction(transaction._id, { adminId, session });
+    await InventoryCostingService.syncVoucher(transaction.voucherNumber, { adminId, session });
+    await FixingAllocationService.resyncTransaction(transaction._id, { adminId, session });
   }
 
   static async updateReverseAccountBalances(party, originalData, session) {
@@ -14374,6 +14488,325 @@ class MetalTransactionService {
     }
   }
 
+  static isPosted(transaction) {
+    return POSTED_STATUSES.includes(transaction?.status);
+  }
+
+  // Judged by the ledger rather than the status, so drafts saved before
+  // drafts were kept off the ledger are still reversed
+  static async hasPostings(transactionId, session = null) {
+    return Boolean(await Registry.exists({ metalTransactionId: transactionId }).session(session));
+  }
+
+  // Stock item edits rewrite postings in place, so only drafts may use them
+  static assertEditable(transaction) {
+    if (transaction.status === "cancelled") {
+      throw createAppError(
+        "Voided transactions cannot be edited",
+        409,
+        "TRANSACTION_VOIDED"
+      );
+    }
+    if (this.isPosted(transaction)) {
+      throw createAppError(
+        "Posted transactions cannot be edited in place; void and reissue them instead",
+        409,
+        "TRANSACTION_POSTED"
+      );
+    }
+  }
+
+  static async applyInventory(transaction, adminId, session) {
+    switch (transaction.transactionType) {
+      case "purchase":
+      case "saleReturn":
+      case "importPurchase":
+      case "exportSaleReturn":
+      case "hedgeMetalReceipt":
+      case "hedgeMetalReciept": // Support both spellings
+        await InventoryService.updateInventory(
+          transaction,
+          false,
+          adminId,
+          session
+        );
+        break;
+      case "sale":
+      case "purchaseReturn":
+      case "importPurchaseReturn":
+      case "exportSale":
+      case "hedgeMetalPayment":
+        await InventoryService.updateInventory(
+          transaction,
+          true,
+          adminId,
+          session
+        );
+        break;
+      default:
+        throw createAppError(
+          "Invalid transaction type",
+          400,
+          "INVALID_TRANSACTION_TYPE"
+        );
+    }
+  }
+
+  // Undo what the voucher posted without removing any of it: mirror Registry
+  // rows and stock logs, reverse party balances and cancel its hedge fixings.
+  // Fixings allocated to its lines move on to the party's next open lots
+  // unless reallocate is false.
+  static async voidWithinSession(
+    transaction,
+    { reason, voidDate, reallocate = true },
+    adminId,
+    session
+  ) {
+    if (!reason || !String(reason).trim()) {
+      throw createAppError("A void reason is required", 400, "VOID_REASON_REQUIRED");
+    }
+    if (!transaction || !transaction.isActive) {
+      throw createAppError(
+        "Metal transaction not found or inactive",
+        404,
+        "TRANSACTION_NOT_FOUND"
+      );
+    }
+    if (transaction.status === "cancelled") {
+      throw createAppError(
+        "Transaction has already been voided",
+        409,
+        "TRANSACTION_ALREADY_VOIDED"
+      );
+    }
+
+    const party = await Account.findById(transaction.partyCode).session(session);
+    if (!party) throw createAppError("Party not found", 404, "PARTY_NOT_FOUND");
+
+    const date = voidDate ? new Date(voidDate) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      throw createAppError("Invalid void date", 400, "INVALID_VOID_DATE");
+    }
+
+    if (await this.hasPostings(transaction._id, session)) {
+      await this.reverseBalances(party, transaction, session);
+      await InventoryService.reverseVoucherInventory(
+        transaction.voucherNumber,
+        { voidDate: date, adminId, note: `Voided: ${reason}` },
+        session
+      );
+      await this.createReversalRegistryEntries(transaction, adminId, session, {
+        voidDate: date,
+      });
+    }
+
+    await Promise.all([
+      TransactionFixing.updateMany(
+        { metalTransactionId: transaction._id },
+        { $set: { status: "cancelled", isActive: false, updatedBy: adminId } },
+        { session }
+      ),
+      FixingPrice.updateMany(
+        { transaction: transaction._id },
+        { $set: { status: "cancelled" } },
+        { session }
+      ),
+    ]);
+
+    transaction.status = "cancelled";
+    transaction.voidReason = String(reason).trim();
+    transaction.voidDate = date;
+    transaction.voidedAt = new Date();
+    transaction.voidedBy = adminId;
+    transaction.updatedBy = adminId;
+    await transaction.save({ session });
+    await MetalPositionService.syncMetalTransaction(transaction._id, session);
+    await BarService.syncMetalTransaction(transaction._id, { adminId, session });
+    await InventoryCostingService.syncVoucher(transaction.voucherNumber, { adminId, session });
+    await DealOrderService.syncFulfilment(transaction.dealOrderId, {
+      adminId,
+      session,
+      note: `${transaction.voucherNumber} voided`,
+    });
+
+    const fixingIds = await FixingAllocationService.releaseTransaction(transaction._id, {
+      adminId,
+      reason: `Transaction voided: ${transaction.voidReason}`,
+      session,
+    });
+    if (reallocate) {
+      await FixingAllocationService.reallocateFixings(fixingIds, { adminId, session });
+    }
+
+    return transaction;
+  }
+
+  static async voidMetalTransaction(transactionId, { reason, voidDate } = {}, adminId) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const transaction = await MetalTransaction.findById(transactionId).session(session);
+      await this.voidWithinSession(transaction, { reason, voidDate }, adminId, session);
+
+      await session.commitTransaction();
+      return await this.getMetalTransactionById(transactionId);
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Void a posted voucher and post its corrected copy under a new voucher
+  // number, linking the two. Without a number given, the copy takes the next
+  // one in the original's voucher series.
+  static async reissueMetalTransaction(transactionId, updateData, adminId, { reason, voidDate } = {}) {
+    const current = await MetalTransaction.findById(transactionId)
+      .select("voucherNumber voucherType voucherDate transactionType isActive")
+      .lean();
+    if (updateData.voucherNumber && updateData.voucherNumber === current?.voucherNumber) {
+      throw createAppError(
+        "A new voucher number is required to reissue a posted transaction",
+        400,
+        "REISSUE_VOUCHER_REQUIRED"
+      );
+    }
+    if (current?.isActive && !updateData.voucherNumber) {
+      const reserved = await VoucherMasterService.generateVoucherNumberForType(
+        updateData.voucherType || current.voucherType,
+        current.transactionType,
+        { voucherDate: updateData.voucherDate || current.voucherDate, adminId }
+      );
+      updateData = { ...updateData, voucherNumber: reserved.voucherNumber };
+    }
+
+    const session = await mongoose.startSession();
+    let reissued;
+    try {
+      session.startTransaction();
+
+      const original = await MetalTransaction.findById(transactionId).session(session);
+      if (!original || !original.isActive) {
+        throw createAppError(
+          "Metal transaction not found or inactive",
+          404,
+          "TRANSACTION_NOT_FOUND"
+        );
+      }
+
+      const voucherNumber = updateData.voucherNumber;
+
+      const originalStatus = original.status;
+      // Fixings settled against the original go to its corrected copy first
+      const fixingIds = await FixingAllocationService.getTransactionFixingIds(original._id, session);
+      await this.voidWithinSession(
+        original,
+        { reason: reason || `Reissued as ${voucherNumber}`, voidDate, reallocate: false },
+        adminId,
+        session
+      );
+
+      const {
+        _id,
+        __v,
+        createdAt,
+        updatedAt,
+        hedgeVoucherNumber,
+        voidReason,
+        voidDate: _voidDate,
+        voidedAt,
+        voidedBy,
+        replacedBy,
+        replaces,
+        fixedPureWeight,
+        unfixedPureWeight,
+        isFixed,
+        ...fields
+      } = original.toObject({ virtuals: false });
+
+      const data = {
+        ...fields,
+        stockItems: fields.stockItems.map(({ fixedPureWeight: _fixed, ...item }) => item),
+      };
+      this.applyTransactionUpdates(data, updateData);
+      data.status = this.isPosted(updateData) ? updateData.status : originalStatus;
+      data.replaces = original._id;
+      this.validateTransactionData(data);
+      await PriceFeedService.assertTransactionRates(updateData);
+
+      reissued = this.createTransaction(data, adminId);
+      await PricingService.reviewTransaction(reissued);
+      await reissued.save({ session });
+      await VoucherSequenceService.claimNumber(
+        reissued.voucherNumber,
+        { documentModel: "MetalTransaction", documentId: reissued._id },
+        session
+      );
+
+      const party = await this.validateParty(reissued.partyCode, session);
+      // The void has already taken the original off the party's balances
+      await CreditLimitService.assertCreditAvailable(
+        party._id,
+        CreditLimitService.getTradeExposure(reissued),
+        {
+          overrideToken: updateData.creditOverrideToken,
+          adminId,
+          documentModel: "MetalTransaction",
+          reference: reissued.voucherNumber,
+          session,
+        }
+      );
+      await this.createRegistryEntries(reissued, party, adminId, session);
+      await this.updateAccountBalances(party, reissued, session);
+      await this.applyInventory(reissued, adminId, session);
+      await MetalPositionService.syncMetalTransaction(reissued._id, session);
+      await BarService.syncMetalTransaction(reissued._id, { adminId, session });
+      await InventoryCostingService.syncVoucher(reissued.voucherNumber, { adminId, session });
+      await FixingAllocationService.reallocateFixings(fixingIds, { adminId, session });
+      await DealOrderService.syncFulfilment(reissued.dealOrderId, {
+        adminId,
+        session,
+        note: `${reissued.voucherNumber} reissued`,
+      });
+
+      original.replacedBy = reissued._id;
+      await original.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return await this.getMetalTransactionById(reissued._id);
+  }
+
+  // Posted vouchers only take changes that post nothing; anything else is
+  // voided and reissued
+  static async updatePostedTransaction(transaction, updateData, adminId, options = {}) {
+    const changed = Object.keys(updateData).filter((key) => updateData[key] !== undefined);
+    if (!changed.every((key) => NON_POSTING_FIELDS.includes(key))) {
+      return this.reissueMetalTransaction(transaction._id, updateData, adminId, options);
+    }
+
+    if (updateData.status && !this.isPosted(updateData)) {
+      throw createAppError(
+        `Posted transactions can only move between ${POSTED_STATUSES.join(" and ")}; void it instead`,
+        409,
+        "TRANSACTION_POSTED"
+      );
+    }
+
+    for (const key of changed) transaction[key] = updateData[key];
+    transaction.updatedBy = adminId;
+    await transaction.save();
+    return this.getMetalTransactionById(transaction._id);
+  }
+
   static async deleteMetalTransaction(transactionId, adminId) {
     const session = await mongoose.startSession();
     try {
@@ -14391,6 +14824,13 @@ class MetalTransactionService {
           "TRANSACTION_NOT_FOUND"
         );
       }
+      if (this.isPosted(transaction) || transaction.status === "cancelled") {
+        throw createAppError(
+          "Posted and voided transactions cannot be deleted; void them instead",
+          409,
+          "TRANSACTION_POSTED"
+        );
+      }
 
       // 2️⃣ Load party
       const party = await Account.findById(transaction.partyCode).session(
@@ -14400,15 +14840,16 @@ class MetalTransactionService {
         throw createAppError("Party not found", 404, "PARTY_NOT_FOUND");
 
       // 3️⃣ Reverse everything (gold + cash + VAT + premium + discount)
-      await this.reverseBalances(party, transaction, session);
-
       // 4️⃣ Reverse inventory (add back or subtract based on type)
-      await InventoryService.updateInventory(
-        transaction,
-        true,
-        adminId,
-        session
-      );
+      if (await this.hasPostings(transaction._id, session)) {
+        await this.reverseBalances(party, transaction, session);
+        await InventoryService.updateInventory(
+          transaction,
+          true,
+          adminId,
+          session
+        );
+      }
 
       // 5️⃣ Remove all registry entries
       await this.deleteRegistryEntry(transaction, session);
@@ -14421,6 +14862,30 @@ class MetalTransactionService {
 
       // 8️⃣ Hard delete the metal transaction itself
       await MetalTransaction.deleteOne({ _id: transactionId }).session(session);
+      await MetalPositionService.syncMetalTransaction(transaction._id, session);
+      await BarService.syncMetalTransaction(transaction._id, { adminId, session });
+      await InventoryCostingService.syncVoucher(transaction.voucherNumber, { adminId, session });
+      await DealOrderService.syncFulfilment(transaction.dealOrderId, {
+        adminId,
+        session,
+        note: `${transaction.voucherNumber} deleted`,
+      });
+      const fixingIds = await FixingAllocationService.releaseTransaction(transaction._id, {
+        adminId,
+        reason: "Transaction deleted",
+        session,
+      });
+      await FixingAllocationService.reallocateFixings(fixingIds, { adminId, session });
+
+      // 9️⃣ Void the voucher numbers so the gap is accounted for
+      const voidOptions = { reason: "Metal transaction deleted", adminId };
+      await VoucherSequenceService.voidNumber(transaction.voucherNumber, voidOptions, session);
+      if (
+        transaction.hedgeVoucherNumber &&
+        transaction.hedgeVoucherNumber !== transaction.voucherNumber
+      ) {
+        await VoucherSequenceService.voidNumber(transaction.hedgeVoucherNumber, voidOptions, session);
+      }
 
       await session.commitTransaction();
       return { message: "Metal transaction deleted successfully" };
@@ -14448,30 +14913,19 @@ class MetalTransactionService {
           "TRANSACTION_NOT_FOUND"
         );
       }
+      this.assertEditable(transaction);
 
       transaction.addStockItem(stockItemData);
       transaction.calculateSessionTotals();
       transaction.updatedBy = adminId;
       await transaction.save({ session });
 
-      const party = await Account.findById(transaction.partyCode).session(
-        session
-      );
-      const tempTransaction = {
-        ...transaction.toObject(),
-        stockItems: [stockItemData],
-      };
-      await this.createCompleteRegistryEntries(
-        tempTransaction,
-        party,
-        adminId,
-        session
-      );
-      await this.updateTradeDebtorsBalances(
-        party._id,
-        tempTransaction,
-        session
-      );
+      // Only drafts take stock item edits, and drafts post nothing
+      await MetalPositionService.syncMetalTransaction(transaction._id, session);
+      await BarService.syncMetalTransaction(transaction._id, { adminId, session });
+      await InventoryCostingService.syncVoucher(transaction.voucherNumber, { adminId, session });
+      await FixingAllocationService.resyncTransaction(transaction._id, { adminId, session });
+      await DealOrderService.syncFulfilment(transaction.dealOrderId, { adminId, session });
 
       await session.commitTransaction();
       return await this.getMetalTransactionById(transactionId);
@@ -14504,6 +14958,7 @@ class MetalTransactionService {
           "TRANSACTION_NOT_FOUND"
         );
       }
+      this.assertEditable(transaction);
 
       const stockItem = transaction.getStockItem(stockItemId);
       if (!stockItem) {
@@ -14519,15 +14974,11 @@ class MetalTransactionService {
       transaction.updatedBy = adminId;
       await transaction.save({ session });
 
-      const party = await Account.findById(transaction.partyCode).session(
-        session
-      );
-      await this.createCompleteRegistryEntries(
-        transaction,
-        party,
-        adminId,
-        session
-      );
+      await MetalPositionService.syncMetalTransaction(transaction._id, session);
+      await BarService.syncMetalTransaction(transaction._id, { adminId, session });
+      await InventoryCostingService.syncVoucher(transaction.voucherNumber, { adminId, session });
+      await FixingAllocationService.resyncTransaction(transaction._id, { adminId, session });
+      await DealOrderService.syncFulfilment(transaction.dealOrderId, { adminId, session });
 
       await session.commitTransaction();
       return await this.getMetalTransactionById(transactionId);
@@ -14555,6 +15006,7 @@ class MetalTransactionService {
           "TRANSACTION_NOT_FOUND"
         );
       }
+      this.assertEditable(transaction);
 
       transaction.removeStockItem(stockItemId);
       if (transaction.stockItems.length === 0) {
@@ -14568,6 +15020,11 @@ class MetalTransactionService {
       transaction.calculateSessionTotals();
       transaction.updatedBy = adminId;
       await transaction.save({ session });
+      await MetalPositionService.syncMetalTransaction(transaction._id, session);
+      await BarService.syncMetalTransaction(transaction._id, { adminId, session });
+      await InventoryCostingService.syncVoucher(transaction.voucherNumber, { adminId, session });
+      await FixingAllocationService.resyncTransaction(transaction._id, { adminId, session });
+      await DealOrderService.syncFulfilment(transaction.dealOrderId, { adminId, session });
 
       await session.commitTransaction();
       return await this.getMetalTransactionById(transactionId);
@@ -15086,35 +15543,18 @@ class MetalTransactionService {
       await Registry.insertMany(registryEntries, { session });
     }
   }
+  // Mirror the rows the voucher posted, dated on the void date. They keep the
+  // voucher's metalTransactionId so the voucher nets to zero in the ledger.
   static async createReversalRegistryEntries(
     transaction,
-    party,
     adminId,
-    session
+    session,
+    { voidDate = new Date() } = {}
   ) {
-    // Use buildRegistryEntries to get the original entries
-    const originalEntries = this.buildRegistryEntries(
-      transaction,
-      party,
-      adminId
+    return RegistryService.postReversals(
+      { metalTransactionId: transaction._id },
+      { transactionDate: voidDate, adminId, session }
     );
-
-    // Reverse the entries by swapping debit and credit
-    const reversalEntries = originalEntries.map((entry) => ({
-      ...entry,
-      transactionId: `${entry.transactionId}-REV`,
-      description: `REVERSAL - ${entry.description}`,
-      debit: entry.credit, // Swap debit and credit
-      credit: entry.debit,
-      transactionDate: new Date(), // Use current date for reversal
-      reference: `REV-${entry.reference}`,
-      createdAt: new Date(),
-    }));
-
-    // Insert reversal entries
-    if (reversalEntries.length > 0) {
-      await Registry.insertMany(reversalEntries, { session, ordered: false });
-    }
   }
 
   /** 🔹 Used for reversal updates (undoing old balances) */
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import Notification from "../../models/modules/Notification.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+class NotificationService {
+  // A failed notification never fails the action that raised it
+  static async notify(notifications) {
+    const list = (Array.isArray(notifications) ? notifications : [notifications]).filter(
+      (n) => n?.recipient
+    );
+    if (list.length === 0) return [];
+    try {
+      return await Notification.insertMany(list);
+    } catch (error) {
+      console.error("[Notifications] Failed to store notification:", error.message);
+      return [];
+    }
+  }
+
+  static async getNotifications(recipientModel, recipient, { unread, page = 1, limit = 20 } = {}) {
+    const query = { recipientModel, recipient };
+    if (unread === true || unread === "true") query.readAt = null;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)).lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipientModel, recipient, readAt: null }),
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+
+  static async markRead(id, recipientModel, recipient) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid notification ID", 400, "INVALID_ID");
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, recipientModel, recipient },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      throw createAppError("Notification not found", 404, "NOT_FOUND");
+    }
+    return notification;
+  }
+
+  static async markAllRead(recipientModel, recipient) {
+    const result = await Notification.updateMany(
+      { recipientModel, recipient, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return { updated: result.modifiedCount };
+  }
+}
+
+export default NotificationService;
@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import OpeningBalance from "../../models/modules/OpeningBalance.js";
+import OpeningBalance, { CARRY_FORWARD_VOUCHER_TYPE } from "../../models/modules/OpeningBalance.js";
 import Registry from "../../models/modules/Registry.js";
 import { updatePartyOpeningBalance } from "../../utils/updatePartyOpeningBalance.js";
 import { createAppError } from "../../utils/errorHandler.js";
@@ -12,11 +12,17 @@ class openingBalanceService {
         description,
         entries,
         adminId,
+        // A year-end close carries balances the party accounts already hold
+        applyPartyBalances = true,
+        // A year-end carry forward is already in the closed year's rows
+        carryForwardOf = null,
+        // Posts inside the caller's transaction when given
+        session: outerSession = null,
     }) {
-        const session = await mongoose.startSession();
+        const session = outerSession || await mongoose.startSession();
 
         try {
-            session.startTransaction();
+            if (!outerSession) session.startTransaction();
 
             // 1️⃣ Create Opening Balance Voucher (ONE DOCUMENT)
             const [openingBalance] = await OpeningBalance.create(
@@ -51,14 +57,18 @@ class openingBalanceService {
                         : Math.abs(value);
 
                 // 🔁 Update party opening balance
-                await updatePartyOpeningBalance({
-                    partyId,
-                    assetType,
-                    assetCode,
-                    value: signedValue,
-                    reverse: false,
-                    session,
-                });
+                if (applyPartyBalances) {
+                    await updatePartyOpeningBalance({
+                        partyId,
+                        assetType,
+                        assetCode,
+                        value: signedValue,
+                        reverse: false,
+                        session,
+                    });
+                }
+
+                if (carryForwardOf) continue;
 
                 // 🧾 Registry entry
                 const isGold = assetType === "GOLD";
@@ -98,16 +108,16 @@ class openingBalanceService {
                 );
             }
 
-            await session.commitTransaction();
+            if (!outerSession) await session.commitTransaction();
             return openingBalance;
 
         } catch (err) {
-            if (session.inTransaction()) {
+            if (!outerSession && session.inTransaction()) {
                 await session.abortTransaction();
             }
             throw err;
         } finally {
-            session.endSession();
+            if (!outerSession) session.endSession();
         }
     }
 
@@ -178,6 +188,14 @@ class openingBalanceService {
                 throw createAppError("Opening balance voucher not found", 404);
             }
 
+            if (existing.voucherType === CARRY_FORWARD_VOUCHER_TYPE) {
+                throw createAppError(
+                    "Year-end carry forward vouchers cannot be edited",
+                    400,
+                    "CARRY_FORWARD_LOCKED"
+                );
+            }
+
             /* 2️⃣ Reverse OLD balances */
             for (const oldEntry of existing.entries) {
                 const signed =
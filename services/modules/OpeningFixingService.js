@@ -1,15 +1,17 @@
 import mongoose from "mongoose";
 import OpeningFixing from "../../models/modules/OpeningFixing.js";
+import { CARRY_FORWARD_VOUCHER_TYPE } from "../../models/modules/OpeningBalance.js";
 import MetalRate from "../../models/modules/MetalRateMaster.js";
 import { createAppError } from "../../utils/errorHandler.js";
 import Registry from "../../models/modules/Registry.js";
 
 class OpeningFixingService {
-    static async createOpeningFixing(body, adminId) {
+    static async createOpeningFixing(body, adminId, { carryForwardOf = null, session: outerSession = null } = {}) {
         console.log(body)
         console.log('---------------------------------------')
-        const session = await mongoose.startSession();
-        session.startTransaction();
+        // Posts inside the caller's transaction when given
+        const session = outerSession || await mongoose.startSession();
+        if (!outerSession) session.startTransaction();
         try {
             const {
                 voucherNumber,
@@ -109,60 +111,67 @@ class OpeningFixingService {
             );
 
 
-            const registryEntry = await Registry.create(
-                [
-                    {
-                        transactionId: fixing[0]._id,
-                        transactionType: "opening",
+            // A year-end carry forward is already in the closed year's rows
+            if (!carryForwardOf) {
+                await Registry.create(
+                    [
+                        {
+                            transactionId: fixing[0]._id,
+                            transactionType: "opening",
 
-                        assetType: "XAU",
-                        currencyRate: 1,
+                            assetType: "XAU",
+                            currencyRate: 1,
 
-                        costCenter: "INVENTORY",
-                        type: "OPENING_FIXING_POSITION",
-                        description: "OPENING FIXING POSITION",
+                            costCenter: "INVENTORY",
+                            type: "OPENING_FIXING_POSITION",
+                            description: "OPENING FIXING POSITION",
 
-                        party: null,
-                        isBullion: true,
+                            party: null,
+                            isBullion: true,
 
-                        // 💰 CASH LEDGER
-                        cashDebit,
-                        cashCredit,
+                            // 💰 CASH LEDGER
+                            cashDebit,
+                            cashCredit,
 
-                        // 🪙 GOLD LEDGER
-                        goldDebit,
-                        goldCredit,
+                            // 🪙 GOLD LEDGER
+                            goldDebit,
+                            goldCredit,
 
-                        // VALUE SNAPSHOT
-                        value: metalValue,
-                        goldBidValue: null,
+                            // VALUE SNAPSHOT
+                            value: metalValue,
+                            goldBidValue: null,
 
-                        debit: cashDebit,
-                        credit: cashCredit,
+                            debit: cashDebit,
+                            credit: cashCredit,
 
-                        reference: voucherNumber,
-                        hedgeReference: null,
+                            reference: voucherNumber,
+                            hedgeReference: null,
 
-                        status: "completed",
-                        isActive: true,
-                        isDraft: false,
+                            status: "completed",
+                            isActive: true,
+                            isDraft: false,
 
-                        createdBy: adminId,
-                        transactionDate: voucherDate,
-                    },
-                ],
-                { session, ordered: true }
-            );
+                            createdBy: adminId,
+                            transactionDate: voucherDate,
+                        },
+                    ],
+                    { session, ordered: true }
+                );
+            }
 
 
 
-            await session.commitTransaction();
-            session.endSession();
+            if (!outerSession) {
+                await session.commitTransaction();
+                session.endSession();
+            }
 
             return fixing[0];
         } catch (err) {
-            await session.abortTransaction();
-            session.endSession();
+            if (!outerSession) {
+                await session.abortTransaction();
+                session.endSession();
+            }
             throw err;
         }
     }
@@ -208,6 +217,14 @@ class OpeningFixingService {
                 throw createAppError("Opening fixing not found", 404);
             }
 
+            if (existing.voucherType === CARRY_FORWARD_VOUCHER_TYPE) {
+                throw createAppError(
+                    "Year-end carry forward positions cannot be changed",
+                    400,
+                    "CARRY_FORWARD_LOCKED"
+                );
+            }
+
             const {
                 voucherDate,
                 divisionId,
@@ -343,6 +360,14 @@ class OpeningFixingService {
                 throw createAppError("Opening fixing not found", 404);
             }
 
+            if (fixing.voucherType === CARRY_FORWARD_VOUCHER_TYPE) {
+                throw createAppError(
+                    "Year-end carry forward positions cannot be changed",
+                    400,
+                    "CARRY_FORWARD_LOCKED"
+                );
+            }
+
             // 1️⃣ Delete registry entries (ledger)
             await Registry.deleteMany(
                 {
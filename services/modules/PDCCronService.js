@@ -3,15 +3,11 @@ import EntryService from "./EntryService.js";
 /**
  * PDC Cron Service
  * 
- * This service should be called by a cron job (e.g., daily at midnight)
- * to process matured PDCs and post them to bank accounts.
+ * Processes matured PDCs and posts them to bank accounts.
  * 
- * Usage:
- * - Set up a cron job to call processMaturedPDCs() daily
- * - Example with node-cron:
- *   cron.schedule('0 0 * * *', async () => {
- *     await PDCCronService.processMaturedPDCs();
- *   });
+ * Runs daily as the "pdc-maturity" job of JobSchedulerService (see
+ * scheduledJobs.js); it can also be triggered from /api/v1/jobs or
+ * POST /api/v1/pdc/process-matured.
  */
 class PDCCronService {
   /**
@@ -0,0 +1,206 @@
+import PeriodLock from "../../models/modules/PeriodLock.js";
+import PeriodLockOverride from "../../models/modules/PeriodLockOverride.js";
+import FinancialYear from "../../models/modules/FinancialYearMaster.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// Financial year dates are stored at UTC midnight; a lock covers the whole
+// last day
+const endOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 23, 59, 59, 999));
+};
+
+class PeriodLockService {
+  // Resolve the date range and label for a month or financial year
+  static async resolvePeriod({ periodType, financialYearId, year, month }) {
+    if (periodType === "year") {
+      if (!financialYearId) {
+        throw createAppError("Financial year is required", 400, "REQUIRED_FIELD_MISSING");
+      }
+      const financialYear = await FinancialYear.findById(financialYearId).lean();
+      if (!financialYear) {
+        throw createAppError("Financial year not found", 404, "FINANCIAL_YEAR_NOT_FOUND");
+      }
+      return {
+        periodType,
+        financialYear: financialYear._id,
+        label: financialYear.code,
+        startDate: financialYear.startDate,
+        endDate: endOfDay(financialYear.endDate),
+      };
+    }
+
+    if (periodType === "month") {
+      const y = Number(year);
+      const m = Number(month);
+      if (!Number.isInteger(y) || !Number.isInteger(m) || m < 1 || m > 12) {
+        throw createAppError("A valid year and month (1-12) are required", 400, "INVALID_PERIOD");
+      }
+      const startDate = new Date(Date.UTC(y, m - 1, 1));
+      const financialYear = await FinancialYear.findOne({
+        status: true,
+        startDate: { $lte: startDate },
+        endDate: { $gte: startDate },
+      })
+        .select("_id")
+        .lean();
+
+      return {
+        periodType,
+        financialYear: financialYear?._id || null,
+        label: `${MONTHS[m - 1]}-${y}`,
+        startDate,
+        endDate: new Date(Date.UTC(y, m, 1) - 1),
+      };
+    }
+
+    throw createAppError("Period type must be month or year", 400, "INVALID_PERIOD");
+  }
+
+  static async lockPeriod(data, adminId, session = null) {
+    const period = await this.resolvePeriod(data);
+
+    return PeriodLock.findOneAndUpdate(
+      { periodType: period.periodType, startDate: period.startDate },
+      {
+        $set: {
+          ...period,
+          isLocked: true,
+          lockedBy: adminId,
+          lockedAt: new Date(),
+          unlockedBy: null,
+          unlockedAt: null,
+          remarks: data.remarks || null,
+        },
+      },
+      { new: true, upsert: true, runValidators: true, session }
+    );
+  }
+
+  static async unlockPeriod(id, adminId, remarks = null) {
+    const lock = await PeriodLock.findById(id);
+    if (!lock) {
+      throw createAppError("Period lock not found", 404, "PERIOD_LOCK_NOT_FOUND");
+    }
+
+    if (lock.periodType === "year" && lock.financialYear) {
+      const closed = await FinancialYear.exists({ _id: lock.financialYear, isClosed: true });
+      if (closed) {
+        throw createAppError(
+          `Financial year ${lock.label} is closed and cannot be unlocked`,
+          400,
+          "FINANCIAL_YEAR_CLOSED"
+        );
+      }
+    }
+
+    lock.isLocked = false;
+    lock.unlockedBy = adminId;
+    lock.unlockedAt = new Date();
+    if (remarks) lock.remarks = remarks;
+    await lock.save();
+
+    return lock;
+  }
+
+  static async getLocks(filters = {}) {
+    const query = {};
+    if (filters.periodType) query.periodType = filters.periodType;
+    if (filters.financialYearId) query.financialYear = filters.financialYearId;
+    if (filters.isLocked !== undefined) query.isLocked = filters.isLocked;
+
+    return PeriodLock.find(query)
+      .sort({ startDate: -1, periodType: 1 })
+      .populate("financialYear", "code")
+      .populate("lockedBy", "name email")
+      .populate("unlockedBy", "name email")
+      .lean();
+  }
+
+  // Locked period covering a date; year locks win over month locks
+  static async findLock(date) {
+    const locks = await PeriodLock.find({
+      isLocked: true,
+      startDate: { $lte: date },
+      endDate: { $gte: date },
+    })
+      .sort({ periodType: -1 })
+      .lean();
+    return locks[0] || null;
+  }
+
+  // Earliest locked period ending on or after a date: a rewrite of
+  // everything from that date on would reach into it
+  static async findLockFrom(date) {
+    return PeriodLock.findOne({ isLocked: true, endDate: { $gte: date } })
+      .sort({ startDate: 1 })
+      .lean();
+  }
+
+  static async findLastLock() {
+    return PeriodLock.findOne({ isLocked: true }).sort({ endDate: -1 }).lean();
+  }
+
+  // Refuse a write touching any date inside a locked period. A super admin
+  // can push it through by giving a reason; every such write is logged.
+  static async assertPeriodOpen(dates, { admin = null, overrideReason = null, action, documentModel = null, documentId = null } = {}) {
+    for (const value of dates) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw createAppError("Invalid voucher date", 400, "INVALID_VOUCHER_DATE");
+      }
+
+      const lock = await this.findLock(date);
+      if (!lock) continue;
+
+      const reason = overrideReason?.trim();
+      if (admin?.type !== "super_admin" || !reason) {
+        throw createAppError(
+          `Period ${lock.label} is locked; vouchers dated ${date.toISOString().slice(0, 10)} cannot be changed`,
+          423,
+          "PERIOD_LOCKED"
+        );
+      }
+
+      await PeriodLockOverride.create({
+        periodLock: lock._id,
+        admin: admin.id,
+        action,
+        documentModel,
+        documentId,
+        transactionDate: date,
+        reason,
+      });
+    }
+  }
+
+  static async getOverrideLog(page = 1, limit = 50, filters = {}) {
+    const query = {};
+    if (filters.periodLockId) query.periodLock = filters.periodLockId;
+    if (filters.documentModel) query.documentModel = filters.documentModel;
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [overrides, total] = await Promise.all([
+      PeriodLockOverride.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("periodLock", "periodType label startDate endDate")
+        .populate("admin", "name email")
+        .lean(),
+      PeriodLockOverride.countDocuments(query),
+    ]);
+
+    return { overrides, total, page, limit };
+  }
+}
+
+export default PeriodLockService;
@@ -0,0 +1,228 @@
+import mongoose from "mongoose";
+import PostingRule, {
+  POSTING_COMPONENTS,
+  POSTING_TRANSACTION_TYPES,
+} from "../../models/modules/PostingRule.js";
+import Account from "../../models/modules/AccountType.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+// Registry types the builders post for the company side of each component.
+// The first type is the one a rule's registryType has to behave like.
+const COMPONENT_TYPES = {
+  gold: ["GOLD_STOCK"],
+  making: ["MAKING_CHARGES"],
+  premiumDiscount: ["PREMIUM", "DISCOUNT"],
+  vat: ["VAT_AMOUNT"],
+  otherCharges: ["OTHER-CHARGE", "OTHER_CHARGES"],
+  purityDifference: ["PURITY_DIFFERENCE"],
+  fx: ["FX_EXCHANGE"],
+};
+
+const normalizeTransactionType = (transactionType) =>
+  transactionType === "hedgeMetalReciept" ? "hedgeMetalReceipt" : transactionType;
+
+class PostingRuleService {
+  static getComponent(type) {
+    return (
+      Object.keys(COMPONENT_TYPES).find((component) =>
+        COMPONENT_TYPES[component].includes(type)
+      ) || null
+    );
+  }
+
+  static resolveBranchId(branchId = null) {
+    return branchId || process.env.DEFAULT_BRANCH_ID || null;
+  }
+
+  // Metal vouchers carry no branch of their own and post under the branch
+  // their stock is held in
+  static async getVoucherBranch(stockItems = []) {
+    const stockIds = stockItems
+      .map((item) => item?.stockCode?._id || item?.stockCode)
+      .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+    if (stockIds.length === 0) return null;
+
+    const stock = await MetalStock.findOne({ _id: { $in: stockIds }, branch: { $ne: null } })
+      .select("branch")
+      .lean();
+    return stock?.branch || null;
+  }
+
+  // Active rules for a transaction type keyed by component. A branch's own
+  // rule wins over the shared one.
+  static async getRuleMap(transactionType, branchId = null) {
+    const branch = this.resolveBranchId(branchId);
+    const branches = [null];
+    if (branch && mongoose.Types.ObjectId.isValid(branch)) branches.push(branch);
+
+    const rules = await PostingRule.find({
+      transactionType: normalizeTransactionType(transactionType),
+      status: true,
+      branch: { $in: branches },
+    }).lean();
+
+    const map = {};
+    for (const rule of rules) {
+      if (!map[rule.component] || rule.branch) map[rule.component] = rule;
+    }
+    return map;
+  }
+
+  // Point each company-side row at the account, and Registry type, its rule
+  // names. Party rows and rows without a rule are left as the builder made them.
+  static async applyRules(entries = [], { transactionType, branchId = null } = {}) {
+    const rules = await this.getRuleMap(transactionType, branchId);
+    if (Object.keys(rules).length === 0) return entries;
+
+    for (const entry of entries) {
+      if (!entry) continue;
+      const rule = rules[this.getComponent(entry.type)];
+      if (!rule) continue;
+
+      entry.ledgerAccount = rule.account;
+      entry.postingRule = rule._id;
+      if (rule.registryType) entry.type = rule.registryType;
+    }
+    return entries;
+  }
+
+  // A replacement Registry type must post to the same leg as the default one,
+  // otherwise the voucher would no longer balance
+  static validateRegistryType(component, registryType) {
+    if (!registryType) return null;
+
+    const type = registryType.trim().toUpperCase();
+    const [defaultType] = COMPONENT_TYPES[component];
+    const expected = RegistryIntegrityService.getLegMode({ type: defaultType });
+    if (RegistryIntegrityService.getLegMode({ type }) !== expected) {
+      throw createAppError(
+        `Registry type ${type} does not post like ${defaultType} and cannot be used for ${component}`,
+        400,
+        "INVALID_REGISTRY_TYPE"
+      );
+    }
+    return type;
+  }
+
+  static async validateRule(data, excludeId = null) {
+    const { branch = null, transactionType, component, account } = data;
+
+    if (!POSTING_TRANSACTION_TYPES.includes(transactionType)) {
+      throw createAppError(
+        `Transaction type must be one of: ${POSTING_TRANSACTION_TYPES.join(", ")}`,
+        400,
+        "INVALID_TRANSACTION_TYPE"
+      );
+    }
+    if (!POSTING_COMPONENTS.includes(component)) {
+      throw createAppError(
+        `Component must be one of: ${POSTING_COMPONENTS.join(", ")}`,
+        400,
+        "INVALID_COMPONENT"
+      );
+    }
+    if (!account || !mongoose.Types.ObjectId.isValid(account)) {
+      throw createAppError("A valid account is required", 400, "REQUIRED_FIELD_MISSING");
+    }
+    if (!(await Account.exists({ _id: account }))) {
+      throw createAppError("Account not found", 404, "ACCOUNT_NOT_FOUND");
+    }
+
+    const query = { branch: branch || null, transactionType, component };
+    if (excludeId) query._id = { $ne: excludeId };
+    if (await PostingRule.exists(query)) {
+      throw createAppError(
+        `A posting rule for ${transactionType} ${component} already exists for this branch`,
+        409,
+        "DUPLICATE_POSTING_RULE"
+      );
+    }
+  }
+
+  static async createRule(data, adminId) {
+    await this.validateRule(data);
+
+    const rule = await PostingRule.create({
+      branch: data.branch || null,
+      transactionType: data.transactionType,
+      component: data.component,
+      account: data.account,
+      registryType: this.validateRegistryType(data.component, data.registryType),
+      description: data.description || null,
+      createdBy: adminId,
+    });
+
+    return this.getRuleById(rule._id);
+  }
+
+  static async getRules(filters = {}) {
+    const query = {};
+    if (filters.branch) query.branch = filters.branch === "default" ? null : filters.branch;
+    if (filters.transactionType) query.transactionType = filters.transactionType;
+    if (filters.component) query.component = filters.component;
+    if (filters.status !== undefined) query.status = filters.status;
+
+    return PostingRule.find(query)
+      .sort({ branch: 1, transactionType: 1, component: 1 })
+      .populate("branch", "code name")
+      .populate("account", "accountCode customerName")
+      .lean();
+  }
+
+  static async getRuleById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid posting rule ID", 400, "INVALID_ID");
+    }
+
+    const rule = await PostingRule.findById(id)
+      .populate("branch", "code name")
+      .populate("account", "accountCode customerName")
+      .populate("createdBy", "name email")
+      .populate("updatedBy", "name email")
+      .lean();
+    if (!rule) {
+      throw createAppError("Posting rule not found", 404, "NOT_FOUND");
+    }
+    return rule;
+  }
+
+  static async updateRule(id, data, adminId) {
+    const existing = await PostingRule.findById(id);
+    if (!existing) {
+      throw createAppError("Posting rule not found", 404, "NOT_FOUND");
+    }
+
+    const merged = {
+      branch: data.branch !== undefined ? data.branch || null : existing.branch,
+      transactionType: data.transactionType || existing.transactionType,
+      component: data.component || existing.component,
+      account: data.account || existing.account,
+    };
+    await this.validateRule(merged, id);
+
+    const registryType =
+      data.registryType !== undefined ? data.registryType : existing.registryType;
+
+    Object.assign(existing, merged, {
+      registryType: this.validateRegistryType(merged.component, registryType),
+      ...(data.description !== undefined && { description: data.description }),
+      ...(data.status !== undefined && { status: data.status }),
+      updatedBy: adminId,
+    });
+    await existing.save();
+
+    return this.getRuleById(id);
+  }
+
+  static async deleteRule(id) {
+    const rule = await PostingRule.findByIdAndDelete(id);
+    if (!rule) {
+      throw createAppError("Posting rule not found", 404, "NOT_FOUND");
+    }
+    return { message: "Posting rule deleted successfully" };
+  }
+}
+
+export default PostingRuleService;
@@ -0,0 +1,300 @@
+import { EventEmitter } from "events";
+import mongoose from "mongoose";
+import PriceTick from "../../models/modules/PriceTick.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import { PRICE_FEED_PROVIDERS } from "./priceFeedProviders.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+export const GOLD_SYMBOL = "XAU";
+
+const METAL_SYMBOLS = ["XAU", "XAG", "XPT", "XPD"];
+const BASE_CURRENCY = "AED";
+const DEFAULT_GOLD_PRICE = 2500;
+const DEFAULT_MAX_AGE_SECONDS = 300;
+const GRAMS_PER_OUNCE = 31.1035;
+// How far from a date a stored quote may be to stand for it
+const HISTORY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const envNumber = (name, fallback = null) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && !isNaN(value) ? value : fallback;
+};
+
+/**
+ * Live market prices. A provider (http, websocket or simulator, chosen with
+ * PRICE_FEED_PROVIDER) pushes quotes in; the latest quote per symbol is kept
+ * in memory, every quote is stored as a PriceTick and broadcast to
+ * server-sent event subscribers.
+ */
+class PriceFeedService {
+  static provider = null;
+  static providerName = null;
+  static latest = new Map();
+  static events = new EventEmitter().setMaxListeners(0);
+
+  static async start({ provider = process.env.PRICE_FEED_PROVIDER } = {}) {
+    if (!provider || provider === "none" || this.provider) return;
+    const Provider = PRICE_FEED_PROVIDERS[provider];
+    if (!Provider) {
+      throw new Error(`Unknown price feed provider "${provider}"`);
+    }
+
+    await this.loadLatest();
+    const options = {
+      url: process.env.PRICE_FEED_URL,
+      apiKey: process.env.PRICE_FEED_API_KEY || null,
+      pollSeconds: envNumber("PRICE_FEED_POLL_SECONDS", 5),
+      intervalSeconds: envNumber("PRICE_FEED_SIM_INTERVAL_SECONDS", 2),
+      replayFile: process.env.PRICE_FEED_REPLAY_FILE || null,
+      seeds: provider === "simulator" ? await this.getSimulatorSeeds() : {},
+    };
+
+    this.provider = new Provider(options);
+    this.providerName = provider;
+    await this.provider.start((ticks) =>
+      this.ingest(ticks, provider).catch((error) =>
+        console.error("[Price Feed] Ingest failed:", error.message)
+      )
+    );
+    console.log(`[Price Feed] Started ${provider} provider`);
+  }
+
+  static stop() {
+    this.provider?.stop();
+    this.provider = null;
+    this.providerName = null;
+  }
+
+  // Pick up where the last run left off so the latest prices survive restarts
+  static async loadLatest() {
+    const ticks = await PriceTick.aggregate([
+      { $sort: { symbol: 1, receivedAt: -1 } },
+      { $group: { _id: "$symbol", tick: { $first: "$$ROOT" } } },
+    ]);
+    for (const { tick } of ticks) {
+      if (!this.latest.has(tick.symbol)) this.latest.set(tick.symbol, tick);
+    }
+  }
+
+  static async getSimulatorSeeds() {
+    const currencies = await CurrencyMaster.find({
+      isActive: true,
+      currencyCode: { $ne: BASE_CURRENCY },
+    })
+      .select("currencyCode conversionRate")
+      .lean();
+
+    const seeds = {
+      [GOLD_SYMBOL]:
+        this.latest.get(GOLD_SYMBOL)?.mid || envNumber("PRICE_FEED_SIM_GOLD", DEFAULT_GOLD_PRICE),
+    };
+    for (const currency of currencies) {
+      seeds[currency.currencyCode] = this.latest.get(currency.currencyCode)?.mid || currency.conversionRate;
+    }
+    return seeds;
+  }
+
+  static normalizeTick(raw, source) {
+    const symbol = String(raw?.symbol || "").trim().toUpperCase();
+    const bid = Number(raw?.bid);
+    const ask = Number(raw?.ask ?? raw?.bid);
+    if (!symbol || !(bid > 0) || !(ask > 0) || ask < bid) return null;
+
+    return {
+      symbol,
+      kind: METAL_SYMBOLS.includes(symbol) ? "metal" : "fx",
+      bid: Number(bid.toFixed(6)),
+      ask: Number(ask.toFixed(6)),
+      mid: Number(((bid + ask) / 2).toFixed(6)),
+      source,
+      receivedAt: raw.receivedAt ? new Date(raw.receivedAt) : new Date(),
+    };
+  }
+
+  static async ingest(rawTicks = [], source = null) {
+    const ticks = rawTicks.map((raw) => this.normalizeTick(raw, source)).filter(Boolean);
+    if (ticks.length === 0) return [];
+
+    for (const tick of ticks) {
+      this.latest.set(tick.symbol, tick);
+      this.events.emit("tick", tick);
+    }
+    if (mongoose.connection.readyState === 1) {
+      await PriceTick.insertMany(ticks, { ordered: false });
+    }
+    return ticks;
+  }
+
+  // Returns a function that unsubscribes the listener
+  static subscribe(listener) {
+    this.events.on("tick", listener);
+    return () => this.events.off("tick", listener);
+  }
+
+  static isFresh(tick) {
+    const maxAge = envNumber("PRICE_FEED_MAX_AGE_SECONDS", DEFAULT_MAX_AGE_SECONDS);
+    return Boolean(tick) && Date.now() - new Date(tick.receivedAt).getTime() <= maxAge * 1000;
+  }
+
+  static getLatest() {
+    const ticks = [...this.latest.values()].map((tick) => ({ ...tick, isStale: !this.isFresh(tick) }));
+    return {
+      provider: this.providerName,
+      gold: ticks.find((tick) => tick.symbol === GOLD_SYMBOL) || null,
+      metals: ticks.filter((tick) => tick.kind === "metal"),
+      fx: ticks.filter((tick) => tick.kind === "fx").sort((a, b) => a.symbol.localeCompare(b.symbol)),
+      asOf: new Date(),
+    };
+  }
+
+  // Base currency per unit of a currency: the fresh quote, else the currency master
+  static async getCurrencyRate(code) {
+    if (code === BASE_CURRENCY) return 1;
+    const tick = this.latest.get(code);
+    if (this.isFresh(tick)) return tick.mid;
+
+    const currency = await CurrencyMaster.findOne({ currencyCode: code }).select("conversionRate").lean();
+    return currency?.conversionRate > 0 ? currency.conversionRate : null;
+  }
+
+  // Base currency per gram of fine gold at the fresh gold quote, null without one
+  static async getGoldRatePerGram() {
+    const gold = this.latest.get(GOLD_SYMBOL);
+    if (!this.isFresh(gold)) return null;
+
+    const usdRate = await this.getCurrencyRate("USD");
+    return usdRate ? (gold.mid * usdRate) / GRAMS_PER_OUNCE : null;
+  }
+
+  // Mid of the stored quote closest to a date, within a day of it
+  static async getRateAt(symbol, date) {
+    const at = new Date(date);
+    const [before, after] = await Promise.all([
+      PriceTick.findOne({ symbol, receivedAt: { $lte: at, $gte: new Date(at.getTime() - HISTORY_WINDOW_MS) } })
+        .sort({ receivedAt: -1 })
+        .select("mid receivedAt")
+        .lean(),
+      PriceTick.findOne({ symbol, receivedAt: { $gt: at, $lte: new Date(at.getTime() + HISTORY_WINDOW_MS) } })
+        .sort({ receivedAt: 1 })
+        .select("mid receivedAt")
+        .lean(),
+    ]);
+    const distance = (tick) => Math.abs(new Date(tick.receivedAt).getTime() - at.getTime());
+    const nearest = [before, after].filter(Boolean).sort((a, b) => distance(a) - distance(b))[0];
+    return nearest ? nearest.mid : null;
+  }
+
+  // Base currency per unit of a currency on a date: the stored quote closest
+  // to it, else the currency master
+  static async getCurrencyRateAt(code, date) {
+    if (code === BASE_CURRENCY) return 1;
+    const rate = await this.getRateAt(code, date);
+    if (rate > 0) return rate;
+
+    const currency = await CurrencyMaster.findOne({ currencyCode: code }).select("conversionRate").lean();
+    return currency?.conversionRate > 0 ? currency.conversionRate : null;
+  }
+
+  // Base currency per gram of fine gold at the stored quotes closest to a
+  // date, null without a gold quote near it
+  static async getGoldRatePerGramAt(date) {
+    const gold = await this.getRateAt(GOLD_SYMBOL, date);
+    if (!gold) return null;
+
+    const usdRate = await this.getCurrencyRateAt("USD", date);
+    return usdRate ? (gold * usdRate) / GRAMS_PER_OUNCE : null;
+  }
+
+  static async getHistory({ symbol = GOLD_SYMBOL, from, to, limit = 500 } = {}) {
+    const query = { symbol: String(symbol).toUpperCase() };
+    if (from || to) {
+      query.receivedAt = {};
+      if (from) query.receivedAt.$gte = new Date(from);
+      if (to) query.receivedAt.$lte = new Date(to);
+    }
+
+    // Most recent first, then returned oldest first for charting
+    const ticks = await PriceTick.find(query)
+      .sort({ receivedAt: -1 })
+      .limit(Math.min(Number(limit) || 500, 5000))
+      .select("-__v")
+      .lean();
+    return ticks.reverse();
+  }
+
+  // ---------------------------------------------------------------------
+  // Posting checks
+  // ---------------------------------------------------------------------
+
+  // Refuse rates further than PRICE_FEED_TOLERANCE_PERCENT from the feed.
+  // Without a tolerance, or without a fresh quote, nothing is checked.
+  static assertWithinTolerance(checks = []) {
+    const tolerance = envNumber("PRICE_FEED_TOLERANCE_PERCENT");
+    if (!tolerance) return;
+
+    for (const { symbol, value, label } of checks) {
+      const rate = Number(value);
+      const tick = this.latest.get(symbol);
+      if (!(rate > 0) || !this.isFresh(tick)) continue;
+
+      const deviation = (Math.abs(rate - tick.mid) / tick.mid) * 100;
+      if (deviation > tolerance) {
+        throw createAppError(
+          `${label} ${rate} is ${deviation.toFixed(2)}% away from the market ${symbol} rate ${tick.mid} (tolerance ${tolerance}%)`,
+          422,
+          "RATE_OUT_OF_TOLERANCE"
+        );
+      }
+    }
+  }
+
+  static async getCurrencyCodes(ids) {
+    const valid = ids.filter((id) => id && mongoose.Types.ObjectId.isValid(String(id?._id || id)));
+    if (valid.length === 0) return new Map();
+    const currencies = await CurrencyMaster.find({ _id: { $in: valid } })
+      .select("currencyCode")
+      .lean();
+    return new Map(currencies.map((c) => [String(c._id), c.currencyCode]));
+  }
+
+  static fxCheck(codes, currency, rate, label) {
+    const code = codes.get(String(currency?._id || currency));
+    if (!code || code === BASE_CURRENCY) return null;
+    return { symbol: code, value: rate, label };
+  }
+
+  // Gold and party-currency rates sent with a metal transaction
+  static async assertTransactionRates(transactionData = {}) {
+    if (!envNumber("PRICE_FEED_TOLERANCE_PERCENT")) return;
+
+    const checks = (transactionData.stockItems || []).map((item, index) => ({
+      symbol: GOLD_SYMBOL,
+      value: item.metalRateRequirements?.currentBidValue ?? item.metalRateRequirements?.bidValue,
+      label: `Bid value on stock item ${index + 1}`,
+    }));
+
+    const codes = await this.getCurrencyCodes([transactionData.partyCurrency]);
+    checks.push(
+      this.fxCheck(codes, transactionData.partyCurrency, transactionData.partyCurrencyRate, "Party currency rate")
+    );
+    this.assertWithinTolerance(checks.filter(Boolean));
+  }
+
+  // Gold and currency rates on fixing orders
+  static async assertFixingRates(orders = []) {
+    if (!envNumber("PRICE_FEED_TOLERANCE_PERCENT")) return;
+
+    const codes = await this.getCurrencyCodes(orders.map((order) => order.selectedCurrencyId));
+    const checks = orders.flatMap((order, index) => [
+      {
+        symbol: GOLD_SYMBOL,
+        value: order.currentBidValue ?? order.bidValue,
+        label: `Bid value on order ${index + 1}`,
+      },
+      this.fxCheck(codes, order.selectedCurrencyId, order.currencyRate, `Currency rate on order ${index + 1}`),
+    ]);
+    this.assertWithinTolerance(checks.filter(Boolean));
+  }
+}
+
+export default PriceFeedService;
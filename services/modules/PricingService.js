@@ -0,0 +1,327 @@
+import mongoose from "mongoose";
+import DealStrategy from "../../models/modules/DealStrategy.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Commodity from "../../models/modules/Commodity.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import Classification from "../../models/modules/Classification.js";
+import Account from "../../models/modules/AccountType.js";
+import PriceFeedService from "./PriceFeedService.js";
+import RealizedPnlService, { BUY_TYPES, SELL_TYPES } from "./RealizedPnlService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const SIDES = ["PURCHASE", "SALE"];
+const PREMIUM_BASES = ["lbma", "uaegd", "local"];
+const RATE_TOLERANCE = 0.0001;
+
+const round = (value, digits = 2) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Proposed pricing for a party, commodity and date. The rate per pure gram
+ * is the market rate plus (sales) or minus (purchases) the metal rate's
+ * add-on, kept inside its POS margin band; the premium or discount is the
+ * day's deal strategy component for the party's classification; the making
+ * charge comes from the stock. Rate master figures are per rateType unit in
+ * the rate's currency and are converted to base currency per gram.
+ */
+class PricingService {
+  static resolveSide({ side, transactionType } = {}) {
+    if (side) {
+      const normalized = String(side).toUpperCase();
+      if (!SIDES.includes(normalized)) {
+        throw createAppError(`side must be one of ${SIDES.join(", ")}`, 400, "INVALID_SIDE");
+      }
+      return normalized;
+    }
+    if (BUY_TYPES.includes(transactionType)) return "PURCHASE";
+    if (SELL_TYPES.includes(transactionType)) return "SALE";
+    throw createAppError("side or a purchase/sale transactionType is required", 400, "INVALID_SIDE");
+  }
+
+  // Party and the strategy premium its classification is quoted
+  static async getParty(partyId) {
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_ID");
+    }
+    const party = await Account.findById(partyId).select("accountCode customerName classification").lean();
+    if (!party) {
+      throw createAppError("Party not found", 404, "PARTY_NOT_FOUND");
+    }
+
+    const name = party.classification?.trim();
+    const classification = name
+      ? await Classification.findOne({
+          status: true,
+          $or: [{ name: new RegExp(`^${escapeRegex(name)}$`, "i") }, { code: name.toUpperCase() }],
+        })
+          .select("code name premiumBasis")
+          .lean()
+      : null;
+    return {
+      _id: party._id,
+      accountCode: party.accountCode,
+      customerName: party.customerName,
+      classification: classification?.name || name || null,
+      premiumBasis: PREMIUM_BASES.includes(classification?.premiumBasis) ? classification.premiumBasis : "local",
+    };
+  }
+
+  // The strategy in force on a date: that day's, else the last one before it
+  static async getStrategy(date) {
+    return DealStrategy.findOne({ date: { $lte: date } }).sort({ date: -1 }).lean();
+  }
+
+  // Historical contexts price from the stored quotes closest to the date
+  // rather than the live feed, e.g. to review a posted voucher
+  static async getContext({ party, date, side, transactionType, historical = false } = {}) {
+    const quoteDate = date ? new Date(date) : new Date();
+    if (isNaN(quoteDate.getTime())) {
+      throw createAppError("Invalid date", 400, "INVALID_DATE");
+    }
+    return {
+      date: quoteDate,
+      historical,
+      side: this.resolveSide({ side, transactionType }),
+      party: await this.getParty(party),
+      strategy: await this.getStrategy(quoteDate),
+      marketRate: historical
+        ? await PriceFeedService.getGoldRatePerGramAt(quoteDate)
+        : await PriceFeedService.getGoldRatePerGram(),
+      commodityIndex: await RealizedPnlService.getCommodityIndex(),
+      currencyRates: new Map(),
+    };
+  }
+
+  // Base currency per unit of the rate master's currency
+  static async getCurrencyRate(context, currencyId) {
+    const key = idOf(currencyId);
+    if (!context.currencyRates.has(key)) {
+      const currency = await CurrencyMaster.findById(currencyId).select("currencyCode").lean();
+      let rate = null;
+      if (currency?.currencyCode) {
+        rate = context.historical
+          ? await PriceFeedService.getCurrencyRateAt(currency.currencyCode, context.date)
+          : await PriceFeedService.getCurrencyRate(currency.currencyCode);
+      }
+      context.currencyRates.set(key, rate || 1);
+    }
+    return context.currencyRates.get(key);
+  }
+
+  // Stock, commodity and metal rate a line is priced from
+  static async resolveItem(context, { stockCode, commodity } = {}) {
+    let stock = null;
+    let commodityId = commodity || null;
+    if (stockCode) {
+      if (!mongoose.Types.ObjectId.isValid(stockCode)) {
+        throw createAppError("Invalid stock ID", 400, "INVALID_ID");
+      }
+      stock = await MetalStock.findById(stockCode)
+        .select("code description metalType karat makingCharge MakingUnit")
+        .lean();
+      if (!stock) {
+        throw createAppError("Stock not found", 404, "STOCK_NOT_FOUND");
+      }
+      commodityId =
+        commodityId || context.commodityIndex.get(`${idOf(stock.metalType)}|${idOf(stock.karat)}`) || null;
+    }
+    if (!commodityId) {
+      throw createAppError("stockCode or commodity is required", 400, "VALIDATION_ERROR");
+    }
+    if (!mongoose.Types.ObjectId.isValid(commodityId)) {
+      throw createAppError("Invalid commodity ID", 400, "INVALID_ID");
+    }
+
+    const item = await Commodity.findById(commodityId)
+      .select("code description division rateType defaultRateType")
+      .lean();
+    if (!item) {
+      throw createAppError("Commodity not found", 404, "COMMODITY_NOT_FOUND");
+    }
+
+    const rateId = item.defaultRateType || item.rateType;
+    const metalRate = rateId
+      ? await MetalRateMaster.findOne({ _id: rateId, isActive: true }).lean()
+      : await MetalRateMaster.findOne({ metal: item.division, isActive: true }).sort({ isDefault: -1 }).lean();
+    if (!metalRate?.convFactGms) {
+      throw createAppError(`No active metal rate is set up for ${item.code}`, 422, "MISSING_METAL_RATE");
+    }
+    return { stock, commodity: item, metalRate };
+  }
+
+  static priceItem(context, item, currencyRate, { pureWeight, grossWeight, pieces } = {}) {
+    const { stock, commodity, metalRate } = item;
+    const perGram = (value) => ((Number(value) || 0) * currencyRate) / metalRate.convFactGms;
+
+    const marketRate = context.marketRate ?? perGram(metalRate.convertrate);
+    const minMargin = perGram(metalRate.posMarginMin);
+    const maxMargin = perGram(metalRate.posMarginMax);
+    const margin = Math.min(Math.max(perGram(metalRate.addOnRate), minMargin), maxMargin);
+    const sign = context.side === "SALE" ? 1 : -1;
+    const band =
+      sign > 0
+        ? { minRate: marketRate + minMargin, maxRate: marketRate + maxMargin }
+        : { minRate: marketRate - maxMargin, maxRate: marketRate - minMargin };
+    const rateInGram = marketRate + sign * margin;
+
+    const component = context.strategy?.[context.party.premiumBasis];
+    const premiumType = component?.type === "discount" ? "discount" : "premium";
+    const premiumRate = perGram(component?.value);
+
+    const pure = Number(pureWeight) || 0;
+    const metalAmount = rateInGram * pure;
+    const makingRate = Number(stock?.makingCharge) || 0;
+    const makingUnit = stock?.MakingUnit || "grams";
+    const makingBase = {
+      grams: Number(grossWeight) || pure,
+      pieces: Number(pieces) || 0,
+      percentage: metalAmount / 100,
+    }[makingUnit];
+    const makingAmount = makingRate * (makingBase || 0);
+    const premiumAmount = (premiumType === "discount" ? -1 : 1) * premiumRate * pure;
+
+    return {
+      stock: stock ? { _id: stock._id, code: stock.code, description: stock.description } : null,
+      commodity: { _id: commodity._id, code: commodity.code, description: commodity.description },
+      metalRate: { _id: metalRate._id, rateType: metalRate.rateType, convFactGms: metalRate.convFactGms },
+      marketRate: round(marketRate, 4),
+      marketSource: context.marketRate != null ? "feed" : "rateMaster",
+      rateInGram: round(rateInGram, 4),
+      margin: round(sign * margin, 4),
+      minRate: round(band.minRate, 4),
+      maxRate: round(band.maxRate, 4),
+      premiumDiscount: {
+        basis: context.party.premiumBasis,
+        type: premiumType,
+        rate: round(premiumRate, 4),
+        amount: round(premiumAmount),
+      },
+      makingUnit: { unit: makingUnit, makingRate, makingAmount: round(makingAmount) },
+      pureWeight: pure,
+      metalAmount: round(metalAmount),
+      total: round(metalAmount + premiumAmount + makingAmount),
+    };
+  }
+
+  static async getQuote({ party, commodity, stockCode, date, side, transactionType, ...weights } = {}) {
+    if (!party) {
+      throw createAppError("party is required", 400, "VALIDATION_ERROR");
+    }
+    const context = await this.getContext({ party, date, side, transactionType });
+    const item = await this.resolveItem(context, { stockCode, commodity });
+    const currencyRate = await this.getCurrencyRate(context, item.metalRate.currencyId);
+
+    return {
+      party: context.party,
+      side: context.side,
+      date: context.date,
+      strategy: context.strategy
+        ? { _id: context.strategy._id, date: context.strategy.date, ...context.strategy[context.party.premiumBasis] }
+        : null,
+      ...this.priceItem(context, item, currencyRate, weights),
+    };
+  }
+
+  // Flag fixed purchase and sale lines posted outside the quoted margin band.
+  // Lines that cannot be quoted, for want of a rate or commodity, are skipped.
+  static async reviewTransaction(transaction) {
+    const review = { isFlagged: false, checkedAt: new Date(), lines: [] };
+    const type = transaction.transactionType;
+    if (!transaction.fixed || transaction.hedge || ![...BUY_TYPES, ...SELL_TYPES].includes(type)) {
+      transaction.pricingReview = review;
+      return review;
+    }
+
+    const context = await this.getContext({
+      party: idOf(transaction.partyCode),
+      date: transaction.voucherDate || new Date(),
+      transactionType: type,
+      historical: true,
+    });
+    const quotes = new Map();
+    for (const line of transaction.stockItems || []) {
+      const pureWeight = Number(line.pureWeight) || 0;
+      const gold = RealizedPnlService.lineValues(line).gold;
+      if (pureWeight <= RATE_TOLERANCE || gold <= 0 || !line.stockCode) continue;
+
+      const key = idOf(line.stockCode);
+      if (!quotes.has(key)) {
+        try {
+          const item = await this.resolveItem(context, { stockCode: key });
+          const currencyRate = await this.getCurrencyRate(context, item.metalRate.currencyId);
+          quotes.set(key, this.priceItem(context, item, currencyRate));
+        } catch (error) {
+          if (!error.isOperational) throw error;
+          quotes.set(key, null);
+        }
+      }
+      const quote = quotes.get(key);
+      if (!quote) continue;
+
+      const postedRate = gold / pureWeight;
+      let deviation = 0;
+      if (postedRate < quote.minRate) deviation = postedRate - quote.minRate;
+      if (postedRate > quote.maxRate) deviation = postedRate - quote.maxRate;
+      if (Math.abs(deviation) <= RATE_TOLERANCE) continue;
+
+      review.lines.push({
+        stockItem: line._id,
+        stockCode: line.stockCode,
+        proposedRate: quote.rateInGram,
+        postedRate: round(postedRate, 4),
+        minRate: quote.minRate,
+        maxRate: quote.maxRate,
+        deviation: round(deviation, 4),
+      });
+    }
+    review.isFlagged = review.lines.length > 0;
+    transaction.pricingReview = review;
+    return review;
+  }
+
+  static async getOverrides({ page = 1, limit = 50, startDate, endDate, party } = {}) {
+    const filter = { "pricingReview.isFlagged": true, isActive: true, status: { $ne: "cancelled" } };
+    if (party) {
+      if (!mongoose.Types.ObjectId.isValid(party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_ID");
+      }
+      filter.partyCode = party;
+    }
+    if (startDate || endDate) {
+      filter.voucherDate = {};
+      if (startDate) filter.voucherDate.$gte = new Date(startDate);
+      if (endDate) filter.voucherDate.$lte = new Date(endDate);
+    }
+
+    const pageNumber = Math.max(Number(page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 500);
+    const [transactions, total] = await Promise.all([
+      MetalTransaction.find(filter)
+        .select("voucherNumber voucherDate transactionType partyCode pricingReview createdBy")
+        .populate("partyCode", "accountCode customerName")
+        .populate("createdBy", "name email")
+        .sort({ voucherDate: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      MetalTransaction.countDocuments(filter),
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+}
+
+export default PricingService;
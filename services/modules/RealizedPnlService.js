@@ -0,0 +1,703 @@
+import mongoose from "mongoose";
+import RealizedPnlMatch, { PNL_METHODS } from "../../models/modules/RealizedPnlMatch.js";
+import PnlLotDesignation from "../../models/modules/PnlLotDesignation.js";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES } from "../../models/modules/MetalTransaction.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import FixingAllocation from "../../models/modules/FixingAllocation.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Commodity from "../../models/modules/Commodity.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import Account from "../../models/modules/AccountType.js";
+import Salesman from "../../models/modules/SalesMan.js";
+import DivisionMaster from "../../models/modules/DivisionMaster.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const GRAMS_PER_OUNCE = 31.1035;
+const WEIGHT_TOLERANCE = 0.0001;
+
+// Fixed vouchers that take metal in are buys, those that send it out sells
+export const BUY_TYPES = ["purchase", "importPurchase", "saleReturn", "exportSaleReturn"];
+export const SELL_TYPES = ["sale", "exportSale", "purchaseReturn", "importPurchaseReturn"];
+
+// Fixing a purchase buys the metal's price, fixing a sale sells it. Hedge
+// fixings and hedged vouchers offset each other at one price and carry no gain.
+const FIXING_SIDES = { PURCHASE: "buy", SALE: "sell" };
+
+const GROUP_KEYS = {
+  day: { $dateToString: { format: "%Y-%m-%d", date: "$realizedAt" } },
+  party: "$party",
+  salesman: "$salesman",
+  division: "$division",
+  commodity: "$commodity",
+};
+
+const GAIN_FIELDS = ["goldGain", "makingGain", "premiumGain", "fxGain", "totalGain"];
+
+const round = (value, digits = 2) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const lotKey = (document, line) => `${idOf(document)}:${idOf(line)}`;
+
+const perGram = (amount, pureWeight) => (pureWeight ? (Number(amount) || 0) / pureWeight : 0);
+
+/**
+ * Realized trading P&L. Every fixed purchase and sale line, and every
+ * fixing order, is a lot of pure metal at a base-currency price. Lots are
+ * matched buy against sell within each division by FIFO, weighted average
+ * or specific identification, and each match records the gold, making,
+ * premium/discount and FX gain it realized. Matches are rebuilt per method
+ * and reported from the stored rows.
+ */
+class RealizedPnlService {
+  static getDefaultMethod() {
+    const method = String(process.env.PNL_MATCHING_METHOD || "fifo").toLowerCase();
+    return PNL_METHODS.includes(method) ? method : "fifo";
+  }
+
+  static resolveMethod(method) {
+    if (!method) return this.getDefaultMethod();
+    if (!PNL_METHODS.includes(method)) {
+      throw createAppError(
+        `Matching method must be one of ${PNL_METHODS.join(", ")}`,
+        400,
+        "INVALID_PNL_METHOD"
+      );
+    }
+    return method;
+  }
+
+  // ---------------------------------------------------------------------
+  // Lots
+  // ---------------------------------------------------------------------
+
+  // Commodity for each division and karat, for lines that only carry a stock
+  static async getCommodityIndex() {
+    const commodities = await Commodity.find({}).select("division karatSelect").lean();
+    return new Map(commodities.map((c) => [`${idOf(c.division)}|${idOf(c.karatSelect)}`, c._id]));
+  }
+
+  // Base-currency values of a stock line
+  static lineValues(item) {
+    const rate = Number(item.currencyRate) || 1;
+    return {
+      gold: (item.itemTotal?.baseAmount || 0) * rate,
+      making: (item.itemTotal?.makingChargesTotal || 0) * rate,
+      premium: (item.itemTotal?.premiumTotal || 0) * rate,
+      fx: (item.FXGain || 0) - (item.FXLoss || 0),
+    };
+  }
+
+  static async loadTransactionLots(commodityIndex) {
+    const transactions = await MetalTransaction.find({
+      isActive: true,
+      status: { $in: POSTED_TRANSACTION_STATUSES },
+      fixed: true,
+      hedge: { $ne: true },
+      transactionType: { $in: [...BUY_TYPES, ...SELL_TYPES] },
+    })
+      .select("transactionType voucherNumber voucherDate createdAt partyCode salesman stockItems")
+      .lean();
+
+    const stockIds = [
+      ...new Set(transactions.flatMap((t) => t.stockItems.map((item) => idOf(item.stockCode)))),
+    ];
+    const stocks = await MetalStock.find({ _id: { $in: stockIds } }).select("metalType karat").lean();
+    const stockById = new Map(stocks.map((s) => [idOf(s._id), s]));
+
+    const lots = [];
+    for (const transaction of transactions) {
+      const side = BUY_TYPES.includes(transaction.transactionType) ? "buy" : "sell";
+      transaction.stockItems.forEach((item, index) => {
+        const pureWeight = Number(item.pureWeight) || 0;
+        if (pureWeight <= WEIGHT_TOLERANCE) return;
+
+        const stock = stockById.get(idOf(item.stockCode));
+        const values = this.lineValues(item);
+        lots.push({
+          key: lotKey(transaction._id, item._id),
+          side,
+          source: "MetalTransaction",
+          document: transaction._id,
+          line: item._id,
+          voucherNumber: transaction.voucherNumber,
+          transactionType: transaction.transactionType,
+          date: transaction.voucherDate || transaction.createdAt,
+          sequence: [transaction.createdAt, index],
+          party: transaction.partyCode,
+          salesman: transaction.salesman || null,
+          division: stock?.metalType || null,
+          commodity: commodityIndex.get(`${idOf(stock?.metalType)}|${idOf(stock?.karat)}`) || null,
+          pureWeight,
+          goldPerGram: perGram(values.gold, pureWeight),
+          makingPerGram: perGram(values.making, pureWeight),
+          premiumPerGram: perGram(values.premium, pureWeight),
+          fxPerGram: perGram(values.fx, pureWeight),
+        });
+      });
+    }
+    return lots;
+  }
+
+  // A fixing order takes its price from the fixing and its making, premium
+  // and salesman from the unfixed lines it was allocated to
+  static async loadFixingLots() {
+    const fixings = await TransactionFixing.find({
+      isActive: true,
+      status: "active",
+      type: { $in: Object.keys(FIXING_SIDES) },
+    })
+      .select("type voucherNumber transactionType transactionDate createdAt partyId orders")
+      .lean();
+    if (fixings.length === 0) return [];
+
+    const allocations = await FixingAllocation.find({
+      fixing: { $in: fixings.map((f) => f._id) },
+      status: "active",
+    })
+      .select("order metalTransaction stockItem pureWeight")
+      .lean();
+    const allocatedTransactions = await MetalTransaction.find({
+      _id: { $in: [...new Set(allocations.map((a) => idOf(a.metalTransaction)))] },
+    })
+      .select("salesman stockItems")
+      .lean();
+    const lineById = new Map();
+    for (const transaction of allocatedTransactions) {
+      for (const item of transaction.stockItems) {
+        lineById.set(idOf(item._id), { item, salesman: transaction.salesman || null });
+      }
+    }
+    const allocationsByOrder = new Map();
+    for (const allocation of allocations) {
+      const key = idOf(allocation.order);
+      if (!allocationsByOrder.has(key)) allocationsByOrder.set(key, []);
+      allocationsByOrder.get(key).push(allocation);
+    }
+
+    const orders = fixings.flatMap((f) => f.orders);
+    const [commodities, rates] = await Promise.all([
+      Commodity.find({ _id: { $in: orders.map((o) => o.commodity).filter(Boolean) } })
+        .select("division")
+        .lean(),
+      MetalRateMaster.find({ _id: { $in: orders.map((o) => o.metalType).filter(Boolean) } })
+        .select("metal")
+        .lean(),
+    ]);
+    const commodityById = new Map(commodities.map((c) => [idOf(c._id), c]));
+    const rateById = new Map(rates.map((r) => [idOf(r._id), r]));
+
+    const lots = [];
+    for (const fixing of fixings) {
+      const side = FIXING_SIDES[fixing.type];
+      fixing.orders.forEach((order, index) => {
+        const pureWeight = Number(order.pureWeight) || 0;
+        if (pureWeight <= WEIGHT_TOLERANCE) return;
+
+        let making = 0;
+        let premium = 0;
+        let salesman = null;
+        for (const allocation of allocationsByOrder.get(idOf(order._id)) || []) {
+          const line = lineById.get(idOf(allocation.stockItem));
+          if (!line?.item.pureWeight) continue;
+          const share = allocation.pureWeight / line.item.pureWeight;
+          const values = this.lineValues(line.item);
+          making += values.making * share;
+          premium += values.premium * share;
+          salesman = salesman || line.salesman;
+        }
+
+        const currencyRate = Number(order.currencyRate ?? order.itemCurrencyRate ?? 1) || 1;
+        const fx = (order.forexValue?.fxGain || 0) - (order.forexValue?.fxLoss || 0);
+        lots.push({
+          key: lotKey(fixing._id, order._id),
+          side,
+          source: "TransactionFixing",
+          document: fixing._id,
+          line: order._id,
+          voucherNumber: fixing.voucherNumber,
+          transactionType: fixing.transactionType || fixing.type.toLowerCase(),
+          date: fixing.transactionDate || fixing.createdAt,
+          sequence: [fixing.createdAt, index],
+          party: fixing.partyId,
+          salesman,
+          division:
+            commodityById.get(idOf(order.commodity))?.division ||
+            rateById.get(idOf(order.metalType))?.metal ||
+            null,
+          commodity: order.commodity || null,
+          pureWeight,
+          goldPerGram: perGram((Number(order.price) || 0) * currencyRate, pureWeight),
+          makingPerGram: perGram(making, pureWeight),
+          premiumPerGram: perGram(premium, pureWeight),
+          fxPerGram: perGram(fx, pureWeight),
+        });
+      });
+    }
+    return lots;
+  }
+
+  static async loadLots() {
+    const commodityIndex = await this.getCommodityIndex();
+    const lots = [
+      ...(await this.loadTransactionLots(commodityIndex)),
+      ...(await this.loadFixingLots()),
+    ];
+
+    const time = (value) => new Date(value || 0).getTime();
+    return lots.sort(
+      (a, b) =>
+        time(a.date) - time(b.date) ||
+        time(a.sequence[0]) - time(b.sequence[0]) ||
+        a.sequence[1] - b.sequence[1]
+    );
+  }
+
+  // ---------------------------------------------------------------------
+  // Matching
+  // ---------------------------------------------------------------------
+
+  static buildMatch(open, closing, pureWeight, method) {
+    const [buy, sell] = closing.side === "sell" ? [open, closing] : [closing, open];
+    const ounces = pureWeight / GRAMS_PER_OUNCE;
+    const gains = {
+      goldGain: (sell.goldPerGram - buy.goldPerGram) * pureWeight,
+      makingGain: (sell.makingPerGram - buy.makingPerGram) * pureWeight,
+      premiumGain: (sell.premiumPerGram - buy.premiumPerGram) * pureWeight,
+      // FX differences booked on either lot are gains of the trade
+      fxGain: (sell.fxPerGram + buy.fxPerGram) * pureWeight,
+    };
+    gains.totalGain = GAIN_FIELDS.slice(0, 4).reduce((sum, field) => sum + gains[field], 0);
+
+    const lotOf = (lot) => ({
+      source: lot.source,
+      document: lot.document,
+      line: lot.line,
+      voucherNumber: lot.voucherNumber,
+      transactionType: lot.transactionType,
+      date: lot.date,
+      party: lot.party,
+      ratePerGram: round(lot.goldPerGram, 4),
+    });
+
+    return {
+      method,
+      closingSide: closing.side,
+      realizedAt: closing.date,
+      party: closing.party,
+      salesman: closing.salesman,
+      division: closing.division,
+      commodity: closing.commodity,
+      buy: lotOf(buy),
+      sell: lotOf(sell),
+      pureWeight: round(pureWeight, 4),
+      ounces: round(ounces, 4),
+      ...Object.fromEntries(GAIN_FIELDS.map((field) => [field, round(gains[field])])),
+      goldGainPerOunce: round((sell.goldPerGram - buy.goldPerGram) * GRAMS_PER_OUNCE),
+    };
+  }
+
+  // Weight to take from each open lot to close `need` grams of `closing`.
+  // Takes the weight off the open lots and any designations it uses.
+  static planClose(openLots, closing, need, method, designations) {
+    const plan = [];
+    const take = (open, weight) => {
+      if (weight <= WEIGHT_TOLERANCE) return;
+      plan.push({ open, pureWeight: weight });
+      open.remaining -= weight;
+      need -= weight;
+    };
+
+    if (method === "specific") {
+      for (const designation of designations.get(closing.key) || []) {
+        const open = openLots.find((lot) => lot.key === designation.counterpart && lot.remaining > WEIGHT_TOLERANCE);
+        if (!open) continue;
+        const weight = Math.min(designation.shared.remaining, open.remaining, need);
+        designation.shared.remaining -= weight;
+        take(open, weight);
+      }
+    }
+
+    if (method === "average") {
+      // Every open lot gives up the same share, so the cost is the pool's
+      // weighted average
+      const total = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+      const ratio = Math.min(1, need / total);
+      for (const open of openLots) take(open, open.remaining * ratio);
+      return plan;
+    }
+
+    for (const open of openLots) {
+      if (need <= WEIGHT_TOLERANCE) break;
+      take(open, Math.min(open.remaining, need));
+    }
+    return plan;
+  }
+
+  // Runs the lots through one pool per division. A lot on the same side as
+  // the pool's open lots joins them; one on the other side closes them.
+  static matchLots(lots, method, designationRows = []) {
+    // Designations apply whichever of the two lots comes later
+    const designations = new Map();
+    for (const row of designationRows) {
+      const shared = { remaining: row.pureWeight };
+      const sellKey = lotKey(row.sell.document, row.sell.line);
+      const buyKey = lotKey(row.buy.document, row.buy.line);
+      for (const [key, counterpart] of [[sellKey, buyKey], [buyKey, sellKey]]) {
+        if (!designations.has(key)) designations.set(key, []);
+        designations.get(key).push({ counterpart, shared });
+      }
+    }
+
+    const pools = new Map();
+    const matches = [];
+    for (const lot of lots) {
+      const poolKey = idOf(lot.division) || "none";
+      let openLots = pools.get(poolKey) || [];
+      let need = lot.pureWeight;
+
+      if (openLots.length > 0 && openLots[0].side !== lot.side) {
+        for (const { open, pureWeight } of this.planClose(openLots, lot, need, method, designations)) {
+          matches.push(this.buildMatch(open, lot, pureWeight, method));
+          need -= pureWeight;
+        }
+        openLots = openLots.filter((open) => open.remaining > WEIGHT_TOLERANCE);
+      }
+      // Whatever is left over opens (or flips) the position
+      if (need > WEIGHT_TOLERANCE) openLots.push({ ...lot, remaining: need });
+      pools.set(poolKey, openLots);
+    }
+
+    return { matches, open: [...pools.values()].flat() };
+  }
+
+  static async rebuild(method) {
+    method = this.resolveMethod(method);
+
+    const lots = await this.loadLots();
+    const designations = method === "specific" ? await PnlLotDesignation.find({}).lean() : [];
+    const { matches, open } = this.matchLots(lots, method, designations);
+
+    // Readers see either the old matches or the new ones, never a part
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await RealizedPnlMatch.deleteMany({ method }, { session });
+        for (let i = 0; i < matches.length; i += 500) {
+          await RealizedPnlMatch.insertMany(matches.slice(i, i + 500), { session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return {
+      method,
+      lots: lots.length,
+      matches: matches.length,
+      totalGain: round(matches.reduce((sum, match) => sum + match.totalGain, 0)),
+      openLots: open.length,
+      openLong: round(open.filter((l) => l.side === "buy").reduce((s, l) => s + l.remaining, 0), 4),
+      openShort: round(open.filter((l) => l.side === "sell").reduce((s, l) => s + l.remaining, 0), 4),
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Reports
+  // ---------------------------------------------------------------------
+
+  static buildFilter({ method, startDate, endDate, party, salesman, division, commodity } = {}) {
+    const filter = { method: this.resolveMethod(method) };
+    for (const [field, value] of Object.entries({ party, salesman, division, commodity })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+      }
+      filter[field] = new mongoose.Types.ObjectId(value);
+    }
+    if (startDate || endDate) {
+      filter.realizedAt = {};
+      if (startDate) filter.realizedAt.$gte = new Date(startDate);
+      if (endDate) filter.realizedAt.$lte = new Date(endDate);
+    }
+    return filter;
+  }
+
+  static withOunceFigures(row) {
+    const ounces = row.pureWeight / GRAMS_PER_OUNCE;
+    return {
+      ...row,
+      pureWeight: round(row.pureWeight, 4),
+      ounces: round(ounces, 4),
+      ...Object.fromEntries(GAIN_FIELDS.map((field) => [field, round(row[field])])),
+      goldGainPerOunce: ounces ? round(row.goldGain / ounces) : 0,
+      totalGainPerOunce: ounces ? round(row.totalGain / ounces) : 0,
+    };
+  }
+
+  static async getAsOf(method) {
+    const latest = await RealizedPnlMatch.findOne({ method })
+      .sort({ createdAt: -1 })
+      .select("createdAt")
+      .lean();
+    return latest?.createdAt || null;
+  }
+
+  // Labels for the grouped ids of a report
+  static async getGroupLabels(groupBy, ids) {
+    const lookups = {
+      party: [Account, "accountCode customerName"],
+      salesman: [Salesman, "code name"],
+      division: [DivisionMaster, "code description"],
+      commodity: [Commodity, "code description"],
+    };
+    if (!lookups[groupBy]) return new Map();
+
+    const [Model, fields] = lookups[groupBy];
+    const docs = await Model.find({ _id: { $in: ids.filter(Boolean) } }).select(fields).lean();
+    return new Map(docs.map((doc) => [idOf(doc._id), doc]));
+  }
+
+  static async getReport({ groupBy = "day", ...filters } = {}) {
+    if (!GROUP_KEYS[groupBy]) {
+      throw createAppError(
+        `groupBy must be one of ${Object.keys(GROUP_KEYS).join(", ")}`,
+        400,
+        "INVALID_GROUP_BY"
+      );
+    }
+
+    const filter = this.buildFilter(filters);
+    const sums = Object.fromEntries(
+      ["pureWeight", ...GAIN_FIELDS].map((field) => [field, { $sum: `$${field}` }])
+    );
+    const groups = await RealizedPnlMatch.aggregate([
+      { $match: filter },
+      { $group: { _id: GROUP_KEYS[groupBy], ...sums, matches: { $sum: 1 } } },
+      { $sort: groupBy === "day" ? { _id: 1 } : { totalGain: -1 } },
+    ]);
+
+    const labels = await this.getGroupLabels(groupBy, groups.map((g) => g._id));
+    const rows = groups.map(({ _id, ...row }) =>
+      this.withOunceFigures({
+        [groupBy]: groupBy === "day" ? _id : labels.get(idOf(_id)) || _id,
+        ...row,
+      })
+    );
+
+    const totals = this.withOunceFigures(
+      rows.reduce(
+        (acc, row) => {
+          for (const field of ["pureWeight", ...GAIN_FIELDS, "matches"]) acc[field] += row[field];
+          return acc;
+        },
+        { pureWeight: 0, goldGain: 0, makingGain: 0, premiumGain: 0, fxGain: 0, totalGain: 0, matches: 0 }
+      )
+    );
+
+    return {
+      method: filter.method,
+      groupBy,
+      rows,
+      totals,
+      asOf: await this.getAsOf(filter.method),
+    };
+  }
+
+  static async getMatches({ page = 1, limit = 50, ...filters } = {}) {
+    const filter = this.buildFilter(filters);
+    const skip = (Number(page) - 1) * Number(limit);
+    const [matches, total] = await Promise.all([
+      RealizedPnlMatch.find(filter)
+        .populate("party", "accountCode customerName")
+        .populate("salesman", "code name")
+        .sort({ realizedAt: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      RealizedPnlMatch.countDocuments(filter),
+    ]);
+
+    return {
+      matches,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+
+  // Drill-down of one voucher: for each of its lines, the lots on the other
+  // side it was matched against, e.g. the purchase lots that funded a sale
+  static async getLotDrillDown(documentId, { method } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      throw createAppError("Invalid document ID", 400, "INVALID_ID");
+    }
+    method = this.resolveMethod(method);
+
+    const matches = await RealizedPnlMatch.find({
+      method,
+      $or: [{ "sell.document": documentId }, { "buy.document": documentId }],
+    })
+      .sort({ realizedAt: 1, createdAt: 1 })
+      .lean();
+
+    const lines = new Map();
+    for (const match of matches) {
+      const side = idOf(match.sell.document) === idOf(documentId) ? "sell" : "buy";
+      const own = match[side];
+      const counterpart = match[side === "sell" ? "buy" : "sell"];
+      const key = idOf(own.line);
+      if (!lines.has(key)) {
+        lines.set(key, {
+          line: own.line,
+          side,
+          voucherNumber: own.voucherNumber,
+          ratePerGram: own.ratePerGram,
+          pureWeight: 0,
+          ...Object.fromEntries(GAIN_FIELDS.map((field) => [field, 0])),
+          matchedWith: [],
+        });
+      }
+
+      const line = lines.get(key);
+      line.pureWeight += match.pureWeight;
+      for (const field of GAIN_FIELDS) line[field] += match[field];
+      line.matchedWith.push({
+        ...counterpart,
+        pureWeight: match.pureWeight,
+        realizedAt: match.realizedAt,
+        ...Object.fromEntries(GAIN_FIELDS.map((field) => [field, match[field]])),
+        goldGainPerOunce: match.goldGainPerOunce,
+      });
+    }
+
+    return {
+      document: documentId,
+      method,
+      lines: [...lines.values()].map((line) => this.withOunceFigures(line)),
+      asOf: await this.getAsOf(method),
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Specific identification
+  // ---------------------------------------------------------------------
+
+  // The lot a designation refers to, with its side and weight
+  static async findLot(ref, label) {
+    if (
+      !ref ||
+      !["MetalTransaction", "TransactionFixing"].includes(ref.source) ||
+      !mongoose.Types.ObjectId.isValid(ref.document) ||
+      !mongoose.Types.ObjectId.isValid(ref.line)
+    ) {
+      throw createAppError(
+        `${label} lot needs a source (MetalTransaction or TransactionFixing), document and line`,
+        400,
+        "INVALID_LOT"
+      );
+    }
+
+    if (ref.source === "MetalTransaction") {
+      const transaction = await MetalTransaction.findOne({
+        _id: ref.document,
+        isActive: true,
+        status: { $in: POSTED_TRANSACTION_STATUSES },
+        fixed: true,
+        hedge: { $ne: true },
+      })
+        .select("transactionType stockItems")
+        .lean();
+      const item = transaction?.stockItems.find((line) => idOf(line._id) === idOf(ref.line));
+      const side = BUY_TYPES.includes(transaction?.transactionType)
+        ? "buy"
+        : SELL_TYPES.includes(transaction?.transactionType) ? "sell" : null;
+      if (item && side) return { side, pureWeight: item.pureWeight };
+    } else {
+      const fixing = await TransactionFixing.findOne({ _id: ref.document, isActive: true, status: "active" })
+        .select("type orders")
+        .lean();
+      const order = fixing?.orders.find((o) => idOf(o._id) === idOf(ref.line));
+      const side = FIXING_SIDES[fixing?.type];
+      if (order && side) return { side, pureWeight: order.pureWeight };
+    }
+
+    throw createAppError(`${label} lot not found among fixed lots`, 404, "LOT_NOT_FOUND");
+  }
+
+  static async createDesignation({ sell, buy, pureWeight, notes }, adminId) {
+    const sellLot = await this.findLot(sell, "Sale");
+    const buyLot = await this.findLot(buy, "Purchase");
+    if (sellLot.side !== "sell" || buyLot.side !== "buy") {
+      throw createAppError("Designations pair a sale lot with a purchase lot", 400, "INVALID_LOT");
+    }
+
+    const weight = round(pureWeight, 4);
+    if (!(weight > 0)) {
+      throw createAppError("Designated weight must be positive", 400, "INVALID_WEIGHT");
+    }
+
+    const existing = await PnlLotDesignation.find({
+      $or: [
+        { "sell.document": sell.document, "sell.line": sell.line },
+        { "buy.document": buy.document, "buy.line": buy.line },
+      ],
+    }).lean();
+    const designated = (ref, side) =>
+      existing
+        .filter((d) => lotKey(d[side].document, d[side].line) === lotKey(ref.document, ref.line))
+        .reduce((sum, d) => sum + d.pureWeight, 0);
+
+    for (const [lot, ref, side, label] of [
+      [sellLot, sell, "sell", "sale"],
+      [buyLot, buy, "buy", "purchase"],
+    ]) {
+      const available = round(lot.pureWeight - designated(ref, side), 4);
+      if (weight > available + WEIGHT_TOLERANCE) {
+        throw createAppError(
+          `Only ${available}g of the ${label} lot is left to designate`,
+          400,
+          "DESIGNATION_EXCEEDS_LOT"
+        );
+      }
+    }
+
+    return PnlLotDesignation.create({
+      sell: { source: sell.source, document: sell.document, line: sell.line },
+      buy: { source: buy.source, document: buy.document, line: buy.line },
+      pureWeight: weight,
+      notes,
+      createdBy: adminId,
+    });
+  }
+
+  static async getDesignations({ document } = {}) {
+    const filter = {};
+    if (document) {
+      if (!mongoose.Types.ObjectId.isValid(document)) {
+        throw createAppError("Invalid document ID", 400, "INVALID_ID");
+      }
+      filter.$or = [{ "sell.document": document }, { "buy.document": document }];
+    }
+    return PnlLotDesignation.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  static async deleteDesignation(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid designation ID", 400, "INVALID_ID");
+    }
+    const designation = await PnlLotDesignation.findByIdAndDelete(id);
+    if (!designation) {
+      throw createAppError("Designation not found", 404, "NOT_FOUND");
+    }
+    return designation;
+  }
+}
+
+export default RealizedPnlService;
@@ -0,0 +1,477 @@
+import Registry from "../../models/modules/Registry.js";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import Entry from "../../models/modules/EntryModel.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import FundTransfer from "../../models/modules/FundTransfer.js";
+import Drafting from "../../models/modules/Drafting.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import FxRevaluation from "../../models/modules/FxRevaluation.js";
+import CostMovement from "../../models/modules/CostMovement.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const CASH_TOLERANCE = 0.01;
+const GOLD_TOLERANCE = 0.001;
+
+// How each Registry type contributes to a voucher's cash and gold legs. These
+// follow the type rules the voucher prints use; anything not listed (GOLD
+// inventory mirrors, PARTY_HEDGE_ENTRY, FX_EXCHANGE, CARD_CHARGE, ...) is a
+// memo line and is left out of the balance.
+const LEG_RULES = {
+  cash: [
+    "PARTY_CASH_BALANCE",
+    "PARTY_MAKING_CHARGES",
+    "PARTY_PREMIUM",
+    "PARTY_DISCOUNT",
+    "PARTY_VAT_AMOUNT",
+    "PARTY_ROUND_OFF_ADJUSTMENT",
+    "OTHER-CHARGE",
+    "DISCOUNT",
+    "PREMIUM",
+    "VAT_AMOUNT",
+    "MAKING_CHARGES",
+    "DISCOUNT_ON_SALES/PURCHASE",
+    "BULLION_ENTRY",
+    "PDC_ENTRY",
+    "PDC_MATURITY",
+    "FX_REVALUATION",
+    "UNREALIZED_FX",
+    "COST_OF_SALES",
+    "INVENTORY_COST",
+  ],
+  gold: ["PARTY_GOLD_BALANCE", "GOLD_STOCK", "PURITY_DIFFERENCE", "HEDGE_ENTRY"],
+  // Fixing rows carry both legs in the dedicated cash/gold columns
+  combined: ["purchase-fixing", "sales-fixing"],
+  // Stock adjustment difference records the net movement of the adjustment
+  // (cash in debit/credit, gold in gold columns); it balances on the other side
+  difference: ["STOCK_ADJUSTMENT"],
+};
+
+// Cash entries record VAT as a memo line next to the received/paid amount
+const ENTRY_MEMO_TYPES = ["VAT_AMOUNT"];
+
+// Metal entries post GOLD_STOCK at gross weight; its pure leg is pureWeight
+const ENTRY_PURE_TYPES = ["GOLD_STOCK"];
+
+// Opening stock and opening balances are one-sided by nature
+const isExemptTransactionType = (transactionType) =>
+  /^opening/i.test(transactionType || "");
+
+// Registry fields that link a row to the document that posted it
+const SOURCE_LINKS = [
+  { field: "metalTransactionId", model: MetalTransaction },
+  { field: "EntryTransactionId", model: Entry },
+  { field: "fixingTransactionId", model: TransactionFixing },
+  { field: "TransferTransactionId", model: FundTransfer },
+  { field: "draftId", model: Drafting },
+  { field: "fxRevaluationId", model: FxRevaluation },
+  { field: "costMovementId", model: CostMovement },
+  { field: "InventoryLogID", model: InventoryLog },
+];
+
+const round = (value, precision) => Number(value.toFixed(precision));
+
+class RegistryIntegrityService {
+  // Registry types posted against one leg mode (cash, gold, combined, split)
+  static getLedgerTypes(mode) {
+    return [...(LEG_RULES[mode] || [])];
+  }
+
+  static getLegMode(entry) {
+    if (entry.EntryTransactionId && ENTRY_MEMO_TYPES.includes(entry.type)) {
+      return null;
+    }
+    if (entry.EntryTransactionId && ENTRY_PURE_TYPES.includes(entry.type)) {
+      return "entryPure";
+    }
+    for (const [mode, types] of Object.entries(LEG_RULES)) {
+      if (types.includes(entry.type)) return mode;
+    }
+    return null;
+  }
+
+  // Cash and gold debit/credit a single row contributes to its voucher. With
+  // includeMemo, memo rows report their raw debit/credit and gold columns so
+  // ledger reports can still show them.
+  static getLegs(entry, { includeMemo = false } = {}) {
+    const legs = { cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 };
+    const amount = (value) => Number(value) || 0;
+    const mode = this.getLegMode(entry) || (includeMemo ? "split" : null);
+
+    switch (mode) {
+      case "cash":
+        legs.cashDebit = amount(entry.debit);
+        legs.cashCredit = amount(entry.credit);
+        break;
+      case "gold":
+        legs.goldDebit = amount(entry.debit);
+        legs.goldCredit = amount(entry.credit);
+        break;
+      case "entryPure":
+        legs.goldDebit = amount(entry.debit) ? amount(entry.pureWeight) : 0;
+        legs.goldCredit = amount(entry.credit) ? amount(entry.pureWeight) : 0;
+        break;
+      case "combined":
+        legs.cashDebit = amount(entry.cashDebit);
+        legs.cashCredit = amount(entry.cashCredit);
+        legs.goldDebit = amount(entry.goldDebit);
+        legs.goldCredit = amount(entry.goldCredit);
+        break;
+      case "split":
+        legs.cashDebit = amount(entry.debit);
+        legs.cashCredit = amount(entry.credit);
+        legs.goldDebit = amount(entry.goldDebit);
+        legs.goldCredit = amount(entry.goldCredit);
+        break;
+      case "difference":
+        legs.cashDebit = amount(entry.credit);
+        legs.cashCredit = amount(entry.debit);
+        legs.goldDebit = amount(entry.goldCredit);
+        legs.goldCredit = amount(entry.goldDebit);
+        break;
+      default:
+        break;
+    }
+
+    return legs;
+  }
+
+  // Aggregation expressions matching getLegs(entry, { includeMemo })
+  static buildLegExpressions({ includeMemo = true } = {}) {
+    const entryRow = { $gt: ["$EntryTransactionId", null] };
+    const mode = {
+      $switch: {
+        branches: [
+          {
+            case: { $and: [{ $in: ["$type", ENTRY_MEMO_TYPES] }, entryRow] },
+            then: includeMemo ? "split" : "memo",
+          },
+          {
+            case: { $and: [{ $in: ["$type", ENTRY_PURE_TYPES] }, entryRow] },
+            then: "entryPure",
+          },
+          ...Object.entries(LEG_RULES).map(([legMode, types]) => ({
+            case: { $in: ["$type", types] },
+            then: legMode,
+          })),
+        ],
+        default: includeMemo ? "split" : "memo",
+      },
+    };
+    const field = (name) => ({ $ifNull: [`$${name}`, 0] });
+    const pureIf = (name) => ({ $cond: [{ $gt: [field(name), 0] }, field("pureWeight"), 0] });
+    const byMode = (perMode) => ({
+      $switch: {
+        branches: Object.entries(perMode).map(([legMode, then]) => ({
+          case: { $eq: [mode, legMode] },
+          then,
+        })),
+        default: 0,
+      },
+    });
+
+    return {
+      cashDebit: byMode({
+        cash: field("debit"),
+        combined: field("cashDebit"),
+        split: field("debit"),
+        difference: field("credit"),
+      }),
+      cashCredit: byMode({
+        cash: field("credit"),
+        combined: field("cashCredit"),
+        split: field("credit"),
+        difference: field("debit"),
+      }),
+      goldDebit: byMode({
+        gold: field("debit"),
+        entryPure: pureIf("debit"),
+        combined: field("goldDebit"),
+        split: field("goldDebit"),
+        difference: field("goldCredit"),
+      }),
+      goldCredit: byMode({
+        gold: field("credit"),
+        entryPure: pureIf("credit"),
+        combined: field("goldCredit"),
+        split: field("goldCredit"),
+        difference: field("goldDebit"),
+      }),
+    };
+  }
+
+  // Aggregation expression matching getVoucherKey
+  static buildVoucherKeyExpression() {
+    return {
+      $switch: {
+        branches: SOURCE_LINKS.filter(({ field }) => field !== "InventoryLogID").map(({ field }) => ({
+          case: { $gt: [`$${field}`, null] },
+          then: { $concat: [`${field}:`, { $toString: `$${field}` }] },
+        })),
+        default: {
+          $cond: [{ $in: [{ $ifNull: ["$reference", ""] }, [""]] }, "$transactionId", "$reference"],
+        },
+      },
+    };
+  }
+
+  static summarize(entries = []) {
+    const totals = { cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 };
+    const byType = {};
+
+    for (const entry of entries) {
+      if (!entry) continue;
+      const legs = this.getLegs(entry);
+      const typeTotals = (byType[entry.type] ||= {
+        cashDebit: 0,
+        cashCredit: 0,
+        goldDebit: 0,
+        goldCredit: 0,
+      });
+      for (const key of Object.keys(totals)) {
+        totals[key] += legs[key];
+        typeTotals[key] += legs[key];
+      }
+    }
+
+    const cashDifference = round(totals.cashDebit - totals.cashCredit, 2);
+    const goldDifference = round(totals.goldDebit - totals.goldCredit, 3);
+
+    return {
+      cashDebit: round(totals.cashDebit, 2),
+      cashCredit: round(totals.cashCredit, 2),
+      goldDebit: round(totals.goldDebit, 3),
+      goldCredit: round(totals.goldCredit, 3),
+      cashDifference,
+      goldDifference,
+      balanced:
+        Math.abs(cashDifference) <= CASH_TOLERANCE &&
+        Math.abs(goldDifference) <= GOLD_TOLERANCE,
+      byType,
+    };
+  }
+
+  static isExempt(entries = []) {
+    return entries.every((entry) => !entry || isExemptTransactionType(entry.transactionType));
+  }
+
+  static formatImbalance(summary) {
+    const lines = [];
+    if (Math.abs(summary.cashDifference) > CASH_TOLERANCE) {
+      lines.push(
+        `cash debit ${summary.cashDebit} vs credit ${summary.cashCredit} (difference ${summary.cashDifference})`
+      );
+    }
+    if (Math.abs(summary.goldDifference) > GOLD_TOLERANCE) {
+      lines.push(
+        `gold debit ${summary.goldDebit} vs credit ${summary.goldCredit} (difference ${summary.goldDifference})`
+      );
+    }
+
+    const typeLines = Object.entries(summary.byType)
+      .map(([type, t]) => {
+        const parts = [];
+        if (t.cashDebit || t.cashCredit) parts.push(`cash ${round(t.cashDebit, 2)}/${round(t.cashCredit, 2)}`);
+        if (t.goldDebit || t.goldCredit) parts.push(`gold ${round(t.goldDebit, 3)}/${round(t.goldCredit, 3)}`);
+        return parts.length ? `${type} ${parts.join(", ")}` : null;
+      })
+      .filter(Boolean);
+
+    return `${lines.join("; ")}${typeLines.length ? ` [${typeLines.join("; ")}]` : ""}`;
+  }
+
+  // Rows are grouped by the document that posted them: entry vouchers give
+  // every row its own transactionId and hedge rows carry their own voucher
+  // number, so neither field alone identifies a posting
+  static getVoucherKey(entry) {
+    const link = SOURCE_LINKS.find(({ field }) => field !== "InventoryLogID" && entry[field]);
+    if (link) return `${link.field}:${entry[link.field]}`;
+    return entry.reference || entry.transactionId;
+  }
+
+  static groupByVoucher(entries = []) {
+    const vouchers = new Map();
+    for (const entry of entries) {
+      if (!entry) continue;
+      const key = this.getVoucherKey(entry);
+      if (!vouchers.has(key)) vouchers.set(key, []);
+      vouchers.get(key).push(entry);
+    }
+    return vouchers;
+  }
+
+  // Throw before an unbalanced set of rows is written
+  static assertBalanced(entries = []) {
+    for (const rows of this.groupByVoucher(entries).values()) {
+      if (this.isExempt(rows)) continue;
+
+      const summary = this.summarize(rows);
+      if (summary.balanced) continue;
+
+      const references = [...new Set(rows.map((r) => r.reference || r.transactionId))];
+      throw createAppError(
+        `Unbalanced registry entries for voucher ${references.join(", ")}: ${this.formatImbalance(summary)}`,
+        422,
+        "UNBALANCED_REGISTRY_ENTRIES"
+      );
+    }
+  }
+
+  // Same check against rows already written inside the caller's session
+  static async assertStoredBalanced(filter, session = null) {
+    const entries = await Registry.find(filter).session(session).lean();
+    this.assertBalanced(entries);
+  }
+
+  // Scan a date range for vouchers whose legs don't net to zero and for rows
+  // whose source document no longer exists. Both lists are aggregated in the
+  // database and paged.
+  static async getIntegrityReport({
+    startDate,
+    endDate,
+    includeDrafts = false,
+    page = 1,
+    limit = 50,
+  } = {}) {
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const skip = (page - 1) * limit;
+
+    const query = { isActive: { $ne: false } };
+    if (!includeDrafts) query.isDraft = { $ne: true };
+    if (startDate || endDate) {
+      query.transactionDate = {};
+      if (startDate) query.transactionDate.$gte = new Date(startDate);
+      if (endDate) query.transactionDate.$lte = new Date(endDate);
+    }
+
+    const roundedDifference = (debit, credit, precision) => ({
+      $round: [
+        { $subtract: [{ $round: [`$${debit}`, precision] }, { $round: [`$${credit}`, precision] }] },
+        precision,
+      ],
+    });
+    const unbalancedMatch = {
+      $match: {
+        exempt: false,
+        $or: [
+          { $expr: { $gt: [{ $abs: "$cashDifference" }, CASH_TOLERANCE] } },
+          { $expr: { $gt: [{ $abs: "$goldDifference" }, GOLD_TOLERANCE] } },
+        ],
+      },
+    };
+
+    const [voucherResult] = await Registry.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          ...this.buildLegExpressions({ includeMemo: false }),
+          voucherKey: this.buildVoucherKeyExpression(),
+          exempt: {
+            $regexMatch: { input: { $ifNull: ["$transactionType", ""] }, regex: /^opening/i },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$voucherKey",
+          cashDebit: { $sum: "$cashDebit" },
+          cashCredit: { $sum: "$cashCredit" },
+          goldDebit: { $sum: "$goldDebit" },
+          goldCredit: { $sum: "$goldCredit" },
+          rows: { $sum: 1 },
+          references: { $addToSet: "$reference" },
+          transactionIds: { $addToSet: "$transactionId" },
+          transactionTypes: { $addToSet: "$transactionType" },
+          transactionDate: { $min: "$transactionDate" },
+          // Exempt only when every row is an opening posting
+          exempt: { $min: "$exempt" },
+        },
+      },
+      {
+        $addFields: {
+          cashDifference: roundedDifference("cashDebit", "cashCredit", 2),
+          goldDifference: roundedDifference("goldDebit", "goldCredit", 3),
+        },
+      },
+      {
+        $facet: {
+          vouchers: [{ $count: "count" }],
+          total: [unbalancedMatch, { $count: "count" }],
+          items: [unbalancedMatch, { $sort: { transactionDate: 1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+        },
+      },
+    ]).allowDiskUse(true);
+
+    const unbalanced = (voucherResult?.items || []).map(({ _id, exempt, ...voucher }) => ({
+      key: _id,
+      ...voucher,
+      references: voucher.references.filter(Boolean),
+      cashDebit: round(voucher.cashDebit, 2),
+      cashCredit: round(voucher.cashCredit, 2),
+      goldDebit: round(voucher.goldDebit, 3),
+      goldCredit: round(voucher.goldCredit, 3),
+      balanced: false,
+    }));
+    const totalUnbalanced = voucherResult?.total[0]?.count || 0;
+
+    // One branch per source link, unioned so the orphans page as one list
+    const orphanBranch = ({ field, model }) => [
+      { $match: { ...query, [field]: { $ne: null } } },
+      {
+        $lookup: {
+          from: model.collection.name,
+          let: { sourceId: `$${field}` },
+          pipeline: [{ $match: { $expr: { $eq: ["$_id", "$$sourceId"] } } }, { $project: { _id: 1 } }],
+          as: "source",
+        },
+      },
+      { $match: { source: { $size: 0 } } },
+      {
+        $project: {
+          transactionId: 1,
+          reference: 1,
+          type: 1,
+          transactionType: 1,
+          transactionDate: 1,
+          missing: { field: { $literal: field }, model: { $literal: model.modelName }, id: `$${field}` },
+        },
+      },
+    ];
+    const [firstLink, ...otherLinks] = SOURCE_LINKS;
+
+    const [orphanResult] = await Registry.aggregate([
+      ...orphanBranch(firstLink),
+      ...otherLinks.map((link) => ({
+        $unionWith: { coll: Registry.collection.name, pipeline: orphanBranch(link) },
+      })),
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          items: [{ $sort: { transactionDate: 1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+        },
+      },
+    ]).allowDiskUse(true);
+    const totalOrphaned = orphanResult?.total[0]?.count || 0;
+
+    const totalPages = Math.ceil(Math.max(totalUnbalanced, totalOrphaned) / limit);
+
+    return {
+      range: { startDate: startDate || null, endDate: endDate || null },
+      scannedRows: await Registry.countDocuments(query),
+      scannedVouchers: voucherResult?.vouchers[0]?.count || 0,
+      totalUnbalanced,
+      totalOrphaned,
+      unbalanced,
+      orphaned: orphanResult?.items || [],
+      pagination: {
+        currentPage: page,
+        totalPages,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    };
+  }
+}
+
+export default RegistryIntegrityService;
@@ -1,5 +1,5 @@
 import { createAppError } from "../../utils/errorHandler.js";
-import Registry from "../../models/modules/Registry.js";
+import Registry, { BALANCE_ROW_FILTER } from "../../models/modules/Registry.js";
 import mongoose from "mongoose";
 
 class RegistryService {
@@ -992,6 +992,43 @@ class RegistryService {
     }
   }
 
+  // Post a mirror of every live row matching the query, dated on
+  // transactionDate. The originals are kept, so the voucher nets to zero.
+  static async postReversals(query, { transactionDate = new Date(), adminId, session = null } = {}) {
+    const originals = await Registry.find({
+      ...query,
+      isReversal: { $ne: true },
+      isDraft: { $ne: true },
+    })
+      .session(session)
+      .lean();
+
+    const reversals = originals.map(
+      ({ _id, createdAt, updatedAt, __v, ...entry }) => ({
+        ...entry,
+        transactionId: `${entry.transactionId}-REV`,
+        description: `REVERSAL - ${entry.description}`.slice(0, 500),
+        debit: entry.credit, // Swap debit and credit
+        credit: entry.debit,
+        cashDebit: entry.cashCredit,
+        cashCredit: entry.cashDebit,
+        goldDebit: entry.goldCredit,
+        goldCredit: entry.goldDebit,
+        transactionDate,
+        reference: entry.reference ? `REV-${entry.reference}`.slice(0, 100) : entry.reference,
+        isReversal: true,
+        reversalOf: _id,
+        createdBy: adminId,
+        updatedBy: null,
+      })
+    );
+
+    // Not re-checked for balance: an exact mirror offsets whatever was posted,
+    // including vouchers posted before postings were balance-checked
+    if (reversals.length === 0) return [];
+    return await Registry.insertMany(reversals, { session, ordered: false });
+  }
+
   // Get registries by type with debit/credit summary
   static async getRegistriesByType(page, limit, filters, sort) {
     try {
@@ -1510,12 +1547,8 @@ class RegistryService {
 
       // Fetch all transactions before today (up to yesterday end of day) - exclude drafts
       const previousTransactions = await Registry.find({
+        ...BALANCE_ROW_FILTER,
         party: partyId,
-        isActive: true,
-        $or: [
-          { isDraft: { $ne: true } }, // Not a draft
-          { isDraft: { $exists: false } }, // Old entries without isDraft field
-        ],
         transactionDate: { $lt: today }, // All transactions before today
       }).sort({ transactionDate: 1, createdAt: 1 }); // Sort chronologically
 
@@ -1843,6 +1876,64 @@ class RegistryService {
     };
   }
 
+  // Every row a journal voucher posted, including reversals from edits and
+  // cancellation, in posting order with who posted it
+  static async generateJournalVoucherAuditTrail(entryTransactionId) {
+    if (!mongoose.Types.ObjectId.isValid(entryTransactionId)) return null;
+
+    const registries = await Registry.find({
+      EntryTransactionId: new mongoose.Types.ObjectId(entryTransactionId),
+      transactionType: "journal-voucher",
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate("party", "customerName accountCode")
+      .populate("createdBy", "name email")
+      .lean();
+
+    if (!registries.length) return null;
+
+    const totals = { cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 };
+    const entries = registries.map((reg) => {
+      const isGold = reg.type === "PARTY_GOLD_BALANCE";
+      const line = {
+        registryId: reg._id,
+        transactionId: reg.transactionId,
+        accCode: reg.party?.accountCode || null,
+        description: reg.party?.customerName || reg.description,
+        remarks: reg.description,
+        costCenter: reg.costCenter,
+        currency: isGold ? null : reg.assetType,
+        currencyRate: reg.currencyRate,
+        cashDebit: isGold ? 0 : Number((reg.debit || 0).toFixed(2)),
+        cashCredit: isGold ? 0 : Number((reg.credit || 0).toFixed(2)),
+        goldDebit: isGold ? Number((reg.debit || 0).toFixed(3)) : 0,
+        goldCredit: isGold ? Number((reg.credit || 0).toFixed(3)) : 0,
+        date: reg.transactionDate,
+        isReversal: Boolean(reg.isReversal),
+        reversalOf: reg.reversalOf || null,
+        postedAt: reg.createdAt,
+        postedBy: reg.createdBy,
+      };
+      for (const key of Object.keys(totals)) totals[key] += line[key];
+      return line;
+    });
+
+    const [first] = registries;
+    return {
+      entryTransactionId,
+      reference: first.reference,
+      date: first.transactionDate,
+      transactionType: first.transactionType,
+      entries,
+      totals: {
+        cashDebit: Number(totals.cashDebit.toFixed(2)),
+        cashCredit: Number(totals.cashCredit.toFixed(2)),
+        goldDebit: Number(totals.goldDebit.toFixed(3)),
+        goldCredit: Number(totals.goldCredit.toFixed(3)),
+      },
+    };
+  }
+
   static async generateStockAdjustmentAuditTrail(stockTransactionId) {
     if (!mongoose.Types.ObjectId.isValid(stockTransactionId)) return null;
 
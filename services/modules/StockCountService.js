@@ -0,0 +1,566 @@
+import mongoose from "mongoose";
+import StockCount from "../../models/modules/StockCount.js";
+import StockAdjustment from "../../models/modules/StockAdjustment.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Inventory from "../../models/modules/inventory.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import Bar from "../../models/modules/Bar.js";
+import { StockAdjustmentService } from "./stockAdjustmentService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import BarService from "./BarService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const STOCK_ADJUSTMENT_MODULE = "stock-adjustment";
+const WEIGHT_TOLERANCE = 0.0001;
+
+// Bars still physically held
+const HELD_BAR_STATUSES = ["active", "reserved", "damaged"];
+
+const round = (value, digits = 4) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const normalizeSerial = (value) => String(value || "").trim().toUpperCase();
+
+// Stock purity may be held as a fraction, a percentage or fineness
+const toFraction = (purity) => {
+  const value = Number(purity) || 0;
+  if (value > 100) return value / 1000;
+  return value > 1 ? value / 100 : value;
+};
+
+const toObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+class StockCountService {
+  static async getCount(id, session = null) {
+    const count = await StockCount.findById(toObjectId(id, "stock count")).session(session);
+    if (!count) throw createAppError("Stock count not found", 404, "STOCK_COUNT_NOT_FOUND");
+    return count;
+  }
+
+  static assertStatus(count, statuses, action) {
+    if (!statuses.includes(count.status)) {
+      throw createAppError(
+        `Cannot ${action} a stock count that is ${count.status}`,
+        409,
+        "INVALID_STOCK_COUNT_STATUS"
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Snapshot
+  // ---------------------------------------------------------------------
+
+  // Expected pcs and weights of every active stock in scope, frozen now
+  static async buildLines({ division, branch, stockCodes, includeBars }) {
+    const query = { metalType: division, isActive: true };
+    if (branch) query.branch = branch;
+    if (stockCodes?.length) query._id = { $in: stockCodes };
+
+    const stocks = await MetalStock.find(query).select("code standardPurity").sort({ code: 1 }).lean();
+    if (stocks.length === 0) {
+      throw createAppError("No stock codes to count for this selection", 400, "NO_STOCK_TO_COUNT");
+    }
+
+    const stockIds = stocks.map((s) => s._id);
+    const [inventories, lotStocks] = await Promise.all([
+      Inventory.find({ metal: { $in: stockIds }, isDraft: { $ne: true } })
+        .select("metal pcsCount grossWeight pureWeight purity")
+        .lean(),
+      includeBars ? BarService.getLotStocks(stockIds) : new Map(),
+    ]);
+    const inventoryByStock = new Map(inventories.map((i) => [idOf(i.metal), i]));
+
+    const barsByStock = new Map();
+    if (lotStocks.size > 0) {
+      const bars = await Bar.find({
+        stockCode: { $in: [...lotStocks.keys()] },
+        status: { $in: HELD_BAR_STATUSES },
+      })
+        .select("stockCode serialNumber refiner grossWeight")
+        .sort({ serialNumber: 1 })
+        .lean();
+      for (const bar of bars) {
+        const key = idOf(bar.stockCode);
+        if (!barsByStock.has(key)) barsByStock.set(key, []);
+        barsByStock.get(key).push({
+          bar: bar._id,
+          serialNumber: bar.serialNumber,
+          refiner: bar.refiner,
+          grossWeight: bar.grossWeight,
+        });
+      }
+    }
+
+    return stocks.map((stock) => {
+      const inventory = inventoryByStock.get(idOf(stock._id));
+      const grossWeight = Number(inventory?.grossWeight) || 0;
+      const pureWeight = Number(inventory?.pureWeight) || 0;
+      // Mixed receipts leave the balance at a blended purity
+      const purity =
+        grossWeight > 0 && pureWeight > 0
+          ? round(pureWeight / grossWeight, 6)
+          : toFraction(inventory?.purity ?? stock.standardPurity);
+      return {
+        stockCode: stock._id,
+        code: stock.code,
+        purity,
+        expected: {
+          pcs: Number(inventory?.pcsCount) || 0,
+          grossWeight: round(grossWeight),
+          pureWeight: round(grossWeight * purity),
+        },
+        bars: barsByStock.get(idOf(stock._id)) || [],
+        counts: [],
+      };
+    });
+  }
+
+  static async createCount(data = {}, adminId) {
+    if (!data.division) {
+      throw createAppError("division is required", 400, "VALIDATION_ERROR");
+    }
+    const division = toObjectId(data.division, "division");
+    const branch = data.branch ? toObjectId(data.branch, "branch") : null;
+    const stockCodes = (data.stockCodes || []).map((id) => toObjectId(id, "stock"));
+    const counters = (data.counters || []).map((id) => toObjectId(id, "counter"));
+    const countDate = data.countDate ? new Date(data.countDate) : new Date();
+    if (isNaN(countDate.getTime())) {
+      throw createAppError("Invalid count date", 400, "INVALID_DATE");
+    }
+
+    const lines = await this.buildLines({
+      division,
+      branch,
+      stockCodes,
+      includeBars: Boolean(data.includeBars),
+    });
+
+    const day = countDate.toISOString().slice(0, 10).replace(/-/g, "");
+    const runs = await StockCount.countDocuments({ reference: new RegExp(`^SC-${day}`) });
+
+    const count = await StockCount.create({
+      reference: `SC-${day}${runs ? `-${runs + 1}` : ""}`,
+      countDate,
+      snapshotAt: new Date(),
+      division,
+      branch,
+      isBlind: Boolean(data.isBlind),
+      includeBars: Boolean(data.includeBars),
+      counters,
+      lines,
+      remarks: data.remarks || null,
+      createdBy: adminId,
+    });
+
+    return this.getCountById(count._id, { reveal: true });
+  }
+
+  // ---------------------------------------------------------------------
+  // Counting
+  // ---------------------------------------------------------------------
+
+  // Each entry replaces the counter's earlier tally for that line
+  static async enterCounts(id, entries = [], adminId) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw createAppError("At least one count line is required", 400, "VALIDATION_ERROR");
+    }
+
+    const count = await this.getCount(id);
+    this.assertStatus(count, ["open"], "enter counts on");
+    if (count.counters.length > 0 && !count.counters.some((c) => idOf(c) === idOf(adminId))) {
+      throw createAppError("You are not a counter on this stock count", 403, "NOT_A_COUNTER");
+    }
+
+    for (const entry of entries) {
+      const line = count.lines.find(
+        (l) => idOf(l._id) === idOf(entry.line) || idOf(l.stockCode) === idOf(entry.stockCode)
+      );
+      if (!line) {
+        throw createAppError(
+          `Stock ${entry.stockCode || entry.line} is not part of this count`,
+          400,
+          "STOCK_NOT_IN_COUNT"
+        );
+      }
+
+      const pcs = Number(entry.pcs ?? entry.pieces) || 0;
+      const grossWeight = Number(entry.grossWeight) || 0;
+      if (pcs < 0 || grossWeight < 0) {
+        throw createAppError("Counted quantities cannot be negative", 400, "INVALID_COUNT");
+      }
+
+      line.counts = line.counts.filter((c) => idOf(c.counter) !== idOf(adminId));
+      line.counts.push({
+        counter: adminId,
+        pcs,
+        grossWeight,
+        serials: [...new Set((entry.serials || []).map(normalizeSerial).filter(Boolean))],
+        note: entry.note || null,
+        countedAt: new Date(),
+      });
+    }
+
+    await count.save();
+    return this.getCountById(count._id, { adminId });
+  }
+
+  // Settles lines whose tallies disagree; the figure replaces the counters'
+  static async reconcileLines(id, entries = [], adminId) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw createAppError("At least one count line is required", 400, "VALIDATION_ERROR");
+    }
+
+    const count = await this.getCount(id);
+    this.assertStatus(count, ["closed"], "reconcile");
+
+    for (const entry of entries) {
+      const line = count.lines.find(
+        (l) => idOf(l._id) === idOf(entry.line) || idOf(l.stockCode) === idOf(entry.stockCode)
+      );
+      if (!line) {
+        throw createAppError(
+          `Stock ${entry.stockCode || entry.line} is not part of this count`,
+          400,
+          "STOCK_NOT_IN_COUNT"
+        );
+      }
+
+      const pcs = Number(entry.pcs ?? entry.pieces) || 0;
+      const grossWeight = Number(entry.grossWeight) || 0;
+      if (pcs < 0 || grossWeight < 0) {
+        throw createAppError("Counted quantities cannot be negative", 400, "INVALID_COUNT");
+      }
+
+      line.reconciled = {
+        pcs,
+        grossWeight,
+        serials: [...new Set((entry.serials || []).map(normalizeSerial).filter(Boolean))],
+        note: entry.note || null,
+        reconciledBy: adminId,
+        reconciledAt: new Date(),
+      };
+    }
+
+    await count.save();
+    return this.getVariance(count._id);
+  }
+
+  static async closeCount(id, adminId) {
+    const count = await this.getCount(id);
+    this.assertStatus(count, ["open"], "close");
+    if (!count.lines.some((line) => line.counts.length > 0)) {
+      throw createAppError("Nothing has been counted yet", 400, "NOTHING_COUNTED");
+    }
+
+    count.status = "closed";
+    count.closedBy = adminId;
+    count.closedAt = new Date();
+    await count.save();
+    return this.getCountById(count._id, { reveal: true });
+  }
+
+  static async reopenCount(id) {
+    const count = await this.getCount(id);
+    this.assertStatus(count, ["closed"], "reopen");
+    // Recounting starts over from the counters' tallies
+    for (const line of count.lines) line.reconciled = undefined;
+    count.status = "open";
+    count.closedBy = null;
+    count.closedAt = null;
+    await count.save();
+    return this.getCountById(count._id, { reveal: true });
+  }
+
+  static async cancelCount(id, adminId) {
+    const count = await this.getCount(id);
+    this.assertStatus(count, ["open", "closed"], "cancel");
+    count.status = "cancelled";
+    count.cancelledBy = adminId;
+    count.cancelledAt = new Date();
+    await count.save();
+    return this.getCountById(count._id, { reveal: true });
+  }
+
+  // ---------------------------------------------------------------------
+  // Variance
+  // ---------------------------------------------------------------------
+
+  // Stock codes that moved after the snapshot; their expected figures are stale
+  static async getMovedStocks(count, session = null) {
+    const moved = await InventoryLog.distinct("stockCode", {
+      stockCode: { $in: count.lines.map((line) => line.stockCode) },
+      isDraft: { $ne: true },
+      isPurityDifferenceEntry: { $ne: true },
+      isLocationTransfer: { $ne: true },
+      createdAt: { $gt: count.snapshotAt },
+      ...(count.adjustmentVoucher ? { voucherCode: { $ne: count.adjustmentVoucher } } : {}),
+    }).session(session);
+    return new Set(moved.map(idOf));
+  }
+
+  // The line's counted figure: the reconciled one when set, otherwise the
+  // counters' tallies when they all agree. Disagreeing tallies leave the line
+  // disputed, showing the latest tally until an admin reconciles it.
+  static settleCount(line) {
+    if (line.reconciled?.reconciledAt) {
+      return { tally: line.reconciled, isDisputed: false, isReconciled: true };
+    }
+    if (line.counts.length === 0) {
+      return { tally: { pcs: 0, grossWeight: 0, serials: [] }, isDisputed: false, isReconciled: false };
+    }
+
+    const serialKey = (c) => [...(c.serials || [])].sort().join("|");
+    const [first] = line.counts;
+    const agree = line.counts.every(
+      (c) =>
+        c.pcs === first.pcs &&
+        Math.abs(c.grossWeight - first.grossWeight) <= WEIGHT_TOLERANCE &&
+        serialKey(c) === serialKey(first)
+    );
+    const latest = line.counts.reduce((a, b) => (new Date(b.countedAt) > new Date(a.countedAt) ? b : a));
+    return { tally: agree ? first : latest, isDisputed: !agree, isReconciled: false };
+  }
+
+  static lineVariance(line, moved) {
+    const { tally, isDisputed, isReconciled } = this.settleCount(line);
+    const counted = {
+      pcs: Number(tally.pcs) || 0,
+      grossWeight: Number(tally.grossWeight) || 0,
+    };
+    counted.pureWeight = counted.grossWeight * line.purity;
+
+    const seen = new Set(tally.serials || []);
+    const expectedSerials = new Set(line.bars.map((b) => b.serialNumber));
+
+    return {
+      line: line._id,
+      stockCode: line.stockCode,
+      code: line.code,
+      purity: line.purity,
+      counters: line.counts.length,
+      isCounted: line.counts.length > 0 || isReconciled,
+      isDisputed,
+      isReconciled,
+      movedSinceSnapshot: moved.has(idOf(line.stockCode)),
+      expected: line.expected,
+      counted: {
+        pcs: counted.pcs,
+        grossWeight: round(counted.grossWeight),
+        pureWeight: round(counted.pureWeight),
+      },
+      variance: {
+        pcs: counted.pcs - line.expected.pcs,
+        grossWeight: round(counted.grossWeight - line.expected.grossWeight),
+        pureWeight: round(counted.pureWeight - line.expected.pureWeight),
+      },
+      missingBars: line.bars.filter((b) => !seen.has(b.serialNumber)),
+      unexpectedSerials: [...seen].filter((serial) => !expectedSerials.has(serial)),
+    };
+  }
+
+  static async getVariance(id, session = null) {
+    const count = await this.getCount(id, session);
+    const moved = await this.getMovedStocks(count, session);
+    const lines = count.lines.map((line) => this.lineVariance(line, moved));
+
+    const sum = (pick) => round(lines.reduce((total, line) => total + pick(line), 0));
+    return {
+      _id: count._id,
+      reference: count.reference,
+      status: count.status,
+      countDate: count.countDate,
+      snapshotAt: count.snapshotAt,
+      adjustmentVoucher: count.adjustmentVoucher,
+      lines,
+      totals: {
+        expectedGrossWeight: sum((l) => l.expected.grossWeight),
+        countedGrossWeight: sum((l) => l.counted.grossWeight),
+        grossVariance: sum((l) => l.variance.grossWeight),
+        pureVariance: sum((l) => l.variance.pureWeight),
+        pcsVariance: lines.reduce((total, l) => total + l.variance.pcs, 0),
+        uncounted: lines.filter((l) => !l.isCounted).length,
+        disputed: lines.filter((l) => l.isDisputed).length,
+        withVariance: lines.filter(
+          (l) => l.variance.pcs !== 0 || Math.abs(l.variance.grossWeight) > WEIGHT_TOLERANCE
+        ).length,
+        movedSinceSnapshot: lines.filter((l) => l.movedSinceSnapshot).length,
+        missingBars: lines.reduce((total, l) => total + l.missingBars.length, 0),
+        unexpectedSerials: lines.reduce((total, l) => total + l.unexpectedSerials.length, 0),
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Approval
+  // ---------------------------------------------------------------------
+
+  // A shortage leaves the stock code, a surplus comes into it. Uncounted
+  // lines are left alone rather than written off.
+  static buildAdjustments(lines) {
+    return lines
+      .filter(
+        (l) => l.isCounted && (l.variance.pcs !== 0 || Math.abs(l.variance.grossWeight) > WEIGHT_TOLERANCE)
+      )
+      .map((l) => {
+        const side = (grossWeight, pieces) => ({
+          stockId: l.stockCode,
+          stockCode: l.code,
+          grossWeight: round(grossWeight),
+          purity: l.purity,
+          pureWeight: round(grossWeight * l.purity),
+          pieces,
+          avgMakingRate: 0,
+          avgMakingAmount: 0,
+        });
+        const shortage = side(Math.max(-l.variance.grossWeight, 0), Math.max(-l.variance.pcs, 0));
+        const surplus = side(Math.max(l.variance.grossWeight, 0), Math.max(l.variance.pcs, 0));
+        return { from: shortage, to: surplus };
+      });
+  }
+
+  // The status check, the adjustment voucher and the approval commit together
+  static async approveCount(id, { allowMovedStock = false } = {}, adminId) {
+    const count = await this.getCount(id);
+    this.assertStatus(count, ["closed"], "approve");
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const claimed = await StockCount.findOneAndUpdate(
+          { _id: count._id, status: "closed" },
+          { $set: { status: "approved", approvedBy: adminId, approvedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw createAppError("Stock count is no longer closed", 409, "INVALID_STOCK_COUNT_STATUS");
+        }
+
+        const variance = await this.getVariance(count._id, session);
+        if (variance.totals.disputed > 0) {
+          const codes = variance.lines.filter((l) => l.isDisputed).map((l) => l.code);
+          throw createAppError(
+            `Counters disagree on ${codes.join(", ")}; reconcile these lines before approving`,
+            409,
+            "COUNTS_DISAGREE"
+          );
+        }
+        if (variance.totals.movedSinceSnapshot > 0 && !allowMovedStock) {
+          const codes = variance.lines.filter((l) => l.movedSinceSnapshot).map((l) => l.code);
+          throw createAppError(
+            `Stock moved after the count was frozen: ${codes.join(", ")}`,
+            409,
+            "STOCK_MOVED_SINCE_SNAPSHOT"
+          );
+        }
+
+        let adjustment = null;
+        const adjustments = this.buildAdjustments(variance.lines);
+        if (adjustments.length > 0) {
+          const reserved = await VoucherMasterService.generateVoucherNumber(STOCK_ADJUSTMENT_MODULE, null, {
+            voucherDate: count.countDate,
+            adminId,
+          });
+          adjustment = await StockAdjustmentService.addStockAdjustmentBatch(
+            {
+              voucher: {
+                voucherNo: reserved.voucherNumber,
+                voucherType: reserved.voucherType,
+                voucherDate: count.countDate,
+                division: count.division,
+                stockCount: count._id,
+              },
+              adjustments,
+            },
+            adminId,
+            { session }
+          );
+        }
+
+        await StockCount.updateOne(
+          { _id: count._id },
+          {
+            $set: {
+              adjustment: adjustment?._id || null,
+              adjustmentVoucher: adjustment?.voucherNumber || null,
+            },
+          },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return this.getVariance(count._id);
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  // Blind counts hide expected figures, and other counters' tallies, until
+  // counting closes
+  static present(count, { reveal = false, adminId = null } = {}) {
+    const hidden = count.isBlind && count.status === "open" && !reveal;
+    if (!hidden) return count;
+    return {
+      ...count,
+      lines: count.lines.map(({ expected, bars, counts, ...line }) => ({
+        ...line,
+        counts: counts.filter((c) => idOf(c.counter) === idOf(adminId)),
+      })),
+    };
+  }
+
+  static async getCountById(id, options = {}) {
+    const count = await StockCount.findById(toObjectId(id, "stock count"))
+      .populate("division", "code description")
+      .populate("createdBy", "name email")
+      .populate("adjustment", "voucherNumber voucherDate status")
+      .lean();
+    if (!count) throw createAppError("Stock count not found", 404, "STOCK_COUNT_NOT_FOUND");
+    return this.present(count, options);
+  }
+
+  static async getCounts({ page = 1, limit = 20, status, division, startDate, endDate } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (division) query.division = toObjectId(division, "division");
+    if (startDate || endDate) {
+      query.countDate = {};
+      if (startDate) query.countDate.$gte = new Date(startDate);
+      if (endDate) query.countDate.$lte = new Date(endDate);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [counts, total] = await Promise.all([
+      StockCount.find(query)
+        .select("-lines")
+        .populate("division", "code description")
+        .sort({ countDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      StockCount.countDocuments(query),
+    ]);
+
+    return {
+      counts,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+}
+
+export default StockCountService;
@@ -0,0 +1,586 @@
+import mongoose from "mongoose";
+import StockReservation from "../../models/modules/StockReservation.js";
+import StockLock from "../../models/modules/StockLock.js";
+import Inventory from "../../models/modules/inventory.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Bar from "../../models/modules/Bar.js";
+import BarService from "./BarService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const WEIGHT_TOLERANCE = 0.001;
+// Deal types that take stock out, and so hold it once approved
+const RESERVING_TYPES = ["sale", "exportSale"];
+// Hold used when the deal gives neither an expiry nor a future delivery date
+const DEFAULT_HOLD_DAYS = 7;
+// Inventory statuses the reservation subsystem manages
+const MANAGED_INVENTORY_STATUSES = ["active", "reserved"];
+
+const round = (value, digits = 4) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const toObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Quantity still held: reserved less delivered, while the reservation is active
+const openQuantity = (reservation) => {
+  if (reservation.status !== "active") return { pcs: 0, grossWeight: 0, pureWeight: 0 };
+  return {
+    pcs: Math.max(0, (reservation.pcs || 0) - (reservation.consumed?.pcs || 0)),
+    grossWeight: Math.max(0, round((reservation.grossWeight || 0) - (reservation.consumed?.grossWeight || 0))),
+    pureWeight: Math.max(0, round((reservation.pureWeight || 0) - (reservation.consumed?.pureWeight || 0))),
+  };
+};
+
+// Gross weight asked for per stock code
+const sumByStock = (items) => {
+  const required = new Map();
+  for (const item of items) {
+    const key = idOf(item.stockCode);
+    if (!key) continue;
+    required.set(key, (required.get(key) || 0) + (Number(item.grossWeight) || 0));
+  }
+  return required;
+};
+
+// Runs the work inside the caller's transaction when given, else in its own
+const inTransaction = async (outerSession, work) => {
+  if (outerSession) return work(outerSession);
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Aggregation sum of a quantity still held by active reservations
+const openSum = (field) => ({
+  $sum: {
+    $cond: [
+      { $eq: ["$status", "active"] },
+      { $max: [0, { $subtract: [`$${field}`, { $ifNull: [`$consumed.${field}`, 0] }] }] },
+      0,
+    ],
+  },
+});
+
+class StockReservationService {
+  static isReserving(dealOrder) {
+    return RESERVING_TYPES.includes(dealOrder.transactionSubType || dealOrder.transactionType);
+  }
+
+  static getExpiry(dealOrder, reserveUntil, now = new Date()) {
+    if (reserveUntil) {
+      const date = new Date(reserveUntil);
+      if (isNaN(date.getTime()) || date <= now) {
+        throw createAppError("Reservation expiry must be a future date", 400, "INVALID_DATE");
+      }
+      return date;
+    }
+    if (dealOrder.deliveryDate) {
+      const endOfDelivery = new Date(dealOrder.deliveryDate);
+      endOfDelivery.setUTCHours(23, 59, 59, 999);
+      if (endOfDelivery > now) return endOfDelivery;
+    }
+    return new Date(now.getTime() + DEFAULT_HOLD_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // ---------------------------------------------------------------------
+  // Available to promise
+  // ---------------------------------------------------------------------
+
+  // Quantity held for live reservations per stock code. Reservations past
+  // their expiry no longer hold stock, even before the expiry job runs.
+  static async getReservedStock(stockIds, { excludeDealOrder = null, session = null } = {}) {
+    const match = {
+      status: "active",
+      expiresAt: { $gt: new Date() },
+    };
+    if (stockIds) match.stockCode = { $in: stockIds.map((id) => new mongoose.Types.ObjectId(idOf(id))) };
+    if (excludeDealOrder) match.dealOrder = { $ne: new mongoose.Types.ObjectId(idOf(excludeDealOrder)) };
+
+    const rows = await StockReservation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$stockCode",
+          pcs: openSum("pcs"),
+          grossWeight: openSum("grossWeight"),
+          pureWeight: openSum("pureWeight"),
+          reservations: { $sum: 1 },
+        },
+      },
+    ]).session(session);
+
+    return new Map(rows.map(({ _id, ...quantity }) => [String(_id), quantity]));
+  }
+
+  static computeAvailable(onHand = {}, reserved = {}) {
+    return {
+      pcs: (onHand.pcsCount || 0) - (reserved.pcs || 0),
+      grossWeight: round((onHand.grossWeight || 0) - (reserved.grossWeight || 0)),
+      pureWeight: round((onHand.pureWeight || 0) - (reserved.pureWeight || 0)),
+    };
+  }
+
+  // On-hand stock, live reservations and what is left to promise per stock
+  static async getAvailableToPromise({ stockCode, excludeDealOrder = null, session = null } = {}) {
+    const stockIds = stockCode
+      ? [].concat(stockCode).map((id) => toObjectId(id, "stock"))
+      : null;
+
+    const inventoryQuery = { isDraft: { $ne: true } };
+    if (stockIds) inventoryQuery.metal = { $in: stockIds };
+    const [inventories, reserved] = await Promise.all([
+      Inventory.find(inventoryQuery).select("metal pcsCount grossWeight pureWeight status").session(session).lean(),
+      this.getReservedStock(stockIds, { excludeDealOrder, session }),
+    ]);
+
+    const onHand = new Map();
+    for (const inventory of inventories) {
+      const key = String(inventory.metal);
+      const total = onHand.get(key) || { pcsCount: 0, grossWeight: 0, pureWeight: 0, status: inventory.status };
+      total.pcsCount += inventory.pcsCount || 0;
+      total.grossWeight += inventory.grossWeight || 0;
+      total.pureWeight += inventory.pureWeight || 0;
+      onHand.set(key, total);
+    }
+
+    const keys = stockIds ? stockIds.map(String) : [...new Set([...onHand.keys(), ...reserved.keys()])];
+    const stocks = await MetalStock.find({ _id: { $in: keys } })
+      .select("code description")
+      .session(session)
+      .lean();
+    const stockById = new Map(stocks.map((stock) => [String(stock._id), stock]));
+
+    return keys.map((key) => {
+      const held = onHand.get(key) || { pcsCount: 0, grossWeight: 0, pureWeight: 0, status: null };
+      const hold = reserved.get(key) || { pcs: 0, grossWeight: 0, pureWeight: 0, reservations: 0 };
+      return {
+        stockCode: key,
+        code: stockById.get(key)?.code || "",
+        description: stockById.get(key)?.description || "",
+        inventoryStatus: held.status,
+        onHand: {
+          pcs: held.pcsCount,
+          grossWeight: round(held.grossWeight),
+          pureWeight: round(held.pureWeight),
+        },
+        reserved: {
+          pcs: hold.pcs,
+          grossWeight: round(hold.grossWeight),
+          pureWeight: round(hold.pureWeight),
+          reservations: hold.reservations,
+        },
+        available: this.computeAvailable(held, hold),
+      };
+    });
+  }
+
+  // Bump the lock of each stock code so concurrent checks on the same stock
+  // conflict, and the one that retries sees what the other took
+  static async lockStocks(stockIds, session) {
+    const ids = [...new Set(stockIds.map(idOf).filter(Boolean))].sort();
+    for (const id of ids) {
+      await StockLock.updateOne({ stockCode: id }, { $inc: { version: 1 } }, { upsert: true, session });
+    }
+  }
+
+  // Lock the stock codes of the items and fail when their gross weights
+  // exceed what is left to promise. With allowShort, stock nobody holds may
+  // still go short (branches can allow negative stock); reserved stock may not.
+  static async assertAvailable(items, { label, excludeDealOrder = null, allowShort = false, session = null } = {}) {
+    const required = sumByStock(items);
+    const stockIds = [...required.keys()];
+    if (stockIds.length === 0) return [];
+    await this.lockStocks(stockIds, session);
+
+    const available = await this.getAvailableToPromise({ stockCode: stockIds, excludeDealOrder, session });
+    for (const row of available) {
+      const needed = round(required.get(row.stockCode));
+      if (needed <= row.available.grossWeight + WEIGHT_TOLERANCE) continue;
+      if (allowShort && row.reserved.grossWeight <= WEIGHT_TOLERANCE) continue;
+      throw createAppError(
+        `Only ${Math.max(0, row.available.grossWeight)}g of ${row.code || "stock"} is available to promise; ` +
+          `${label} needs ${needed}g`,
+        409,
+        "STOCK_NOT_AVAILABLE"
+      );
+    }
+    return available;
+  }
+
+  // Inventory is "reserved" while stock is on hand but all of it is
+  // promised. Sold and damaged inventory is left alone.
+  static async syncInventoryStatus(stockIds, session = null) {
+    const ids = [...new Set(stockIds.map(idOf).filter(Boolean))];
+    if (ids.length === 0) return;
+
+    const rows = await this.getAvailableToPromise({ stockCode: ids, session });
+    for (const row of rows) {
+      const status =
+        row.onHand.grossWeight > WEIGHT_TOLERANCE && row.available.grossWeight <= WEIGHT_TOLERANCE
+          ? "reserved"
+          : "active";
+      await Inventory.updateMany(
+        {
+          metal: row.stockCode,
+          isDraft: { $ne: true },
+          status: { $in: MANAGED_INVENTORY_STATUSES, $ne: status },
+        },
+        { $set: { status } },
+        { session }
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Deal lifecycle
+  // ---------------------------------------------------------------------
+
+  // Assign requested bars to the deal's lines of the same stock. A bar
+  // already reserved for the deal's party may be reserved again.
+  static async assignBars(dealOrder, barIds, session = null) {
+    const byLine = new Map();
+    if (!Array.isArray(barIds) || barIds.length === 0) return byLine;
+
+    const bars = await Bar.find({ _id: { $in: barIds.map((id) => toObjectId(id, "bar")) } })
+      .select("serialNumber stockCode status party")
+      .session(session)
+      .lean();
+    for (const id of barIds) {
+      const bar = bars.find((entry) => idOf(entry) === idOf(id));
+      if (!bar) throw createAppError(`Bar ${id} not found`, 404, "BAR_NOT_FOUND");
+
+      const line = dealOrder.stockItems.find((item) => idOf(item.stockCode) === idOf(bar.stockCode));
+      if (!line) {
+        throw createAppError(
+          `Bar ${bar.serialNumber} is not of any stock on deal order ${dealOrder.orderNumber}`,
+          422,
+          "BAR_STOCK_MISMATCH"
+        );
+      }
+      const heldForParty = bar.status === "reserved" && idOf(bar.party) === idOf(dealOrder.partyCode);
+      if (bar.status !== "active" && !heldForParty) {
+        throw createAppError(`Bar ${bar.serialNumber} is not available (${bar.status})`, 409, "BAR_NOT_AVAILABLE");
+      }
+
+      const key = idOf(line._id);
+      byLine.set(key, [...(byLine.get(key) || []), bar]);
+    }
+    return byLine;
+  }
+
+  // Hold the undelivered quantity of each line of an approved sale deal.
+  // Fails when the deal asks for more than is left to promise.
+  static async reserveDeal(dealOrder, { reserveUntil = null, bars = [], adminId = null, session = null } = {}) {
+    if (!this.isReserving(dealOrder)) return [];
+
+    const expiresAt = this.getExpiry(dealOrder, reserveUntil);
+    const lines = (dealOrder.stockItems || [])
+      .map((line) => {
+        const ordered = Number(line.pureWeight) || 0;
+        const open = Math.max(0, ordered - (Number(line.deliveredPureWeight) || 0));
+        const ratio = ordered > 0 ? open / ordered : 1;
+        return {
+          line,
+          pcs: Math.round((Number(line.pieces) || 0) * ratio),
+          grossWeight: round((Number(line.grossWeight) || 0) * ratio),
+          pureWeight: round(open),
+        };
+      })
+      .filter((entry) => entry.line.stockCode && entry.grossWeight > WEIGHT_TOLERANCE);
+    if (lines.length === 0) return [];
+
+    const items = lines.map(({ line, grossWeight }) => ({ stockCode: line.stockCode, grossWeight }));
+
+    return inTransaction(session, async (session) => {
+      const existing = await StockReservation.find({ dealOrder: dealOrder._id, status: "active" })
+        .session(session)
+        .lean();
+      if (existing.length > 0) return existing;
+
+      const available = await this.assertAvailable(items, {
+        label: `deal order ${dealOrder.orderNumber}`,
+        excludeDealOrder: dealOrder._id,
+        session,
+      });
+      const codeOf = new Map(available.map((row) => [row.stockCode, row.code]));
+      const barsByLine = await this.assignBars(dealOrder, bars, session);
+
+      const reservations = await StockReservation.insertMany(
+        lines.map(({ line, ...quantity }) => ({
+          dealOrder: dealOrder._id,
+          orderNumber: dealOrder.orderNumber,
+          line: line._id,
+          party: idOf(dealOrder.partyCode),
+          stockCode: idOf(line.stockCode),
+          code: codeOf.get(idOf(line.stockCode)) || "",
+          ...quantity,
+          bars: (barsByLine.get(idOf(line._id)) || []).map((bar) => bar._id),
+          expiresAt,
+          createdBy: adminId,
+        })),
+        { session }
+      );
+
+      for (const bar of [...barsByLine.values()].flat()) {
+        if (bar.status === "reserved") continue;
+        await BarService.transition(
+          bar._id,
+          "reserved",
+          { party: idOf(dealOrder.partyCode), note: `Reserved for deal order ${dealOrder.orderNumber}`, session },
+          adminId
+        );
+      }
+      await this.syncInventoryStatus(items.map((item) => item.stockCode), session);
+      return reservations;
+    });
+  }
+
+  // Bars still held for the reservation's party go back to stock
+  static async releaseBars(reservation, note, adminId = null, session = null) {
+    if (!reservation.bars?.length) return;
+    const held = await Bar.find({
+      _id: { $in: reservation.bars },
+      status: "reserved",
+      party: reservation.party,
+    })
+      .select("_id")
+      .session(session)
+      .lean();
+    for (const bar of held) {
+      await BarService.transition(bar._id, "released", { note, session }, adminId);
+    }
+  }
+
+  static async release(reservation, { status = "released", reason = null, adminId = null, session = null } = {}) {
+    const released = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: "active" },
+      {
+        $set: {
+          status,
+          releaseReason: reason,
+          releasedAt: new Date(),
+          releasedBy: adminId,
+        },
+      },
+      { new: true, session }
+    );
+    if (!released) return null;
+    await this.releaseBars(released, reason || `Reservation ${status}`, adminId, session);
+    return released;
+  }
+
+  // Let go of everything a deal still holds, e.g. when it is cancelled or
+  // sent back for approval
+  static async releaseDeal(dealOrderId, { reason = null, adminId = null, session = null } = {}) {
+    return inTransaction(session, async (session) => {
+      const reservations = await StockReservation.find({ dealOrder: dealOrderId, status: "active" })
+        .session(session)
+        .lean();
+      const released = [];
+      for (const reservation of reservations) {
+        const result = await this.release(reservation, { reason, adminId, session });
+        if (result) released.push(result);
+      }
+      await this.syncInventoryStatus(reservations.map((reservation) => reservation.stockCode), session);
+      return released;
+    });
+  }
+
+  // Mirror the deal's delivered weights onto its reservations. A reservation
+  // delivered in full is consumed; one whose deliveries were reversed is
+  // active again.
+  static async consumeDeal(dealOrder, { session = null } = {}) {
+    const reservations = await StockReservation.find({
+      dealOrder: dealOrder._id,
+      status: { $in: ["active", "consumed"] },
+    }).session(session);
+    if (reservations.length === 0) return [];
+
+    for (const reservation of reservations) {
+      const line = dealOrder.stockItems.find((item) => idOf(item._id) === idOf(reservation.line));
+      const deliveredPure = Number(line?.deliveredPureWeight) || 0;
+      const deliveredGross = Number(line?.deliveredGrossWeight) || 0;
+      const ordered = Number(line?.pureWeight) || 0;
+
+      // Only deliveries beyond what was already delivered at approval count
+      const before = Math.max(0, ordered - reservation.pureWeight);
+      const pure = Math.min(reservation.pureWeight, Math.max(0, deliveredPure - before));
+      const gross = reservation.pureWeight > 0
+        ? Math.min(reservation.grossWeight, (pure / reservation.pureWeight) * reservation.grossWeight)
+        : Math.min(reservation.grossWeight, deliveredGross);
+
+      reservation.consumed = {
+        pcs: reservation.pureWeight > 0 ? Math.round((pure / reservation.pureWeight) * reservation.pcs) : 0,
+        grossWeight: round(gross),
+        pureWeight: round(pure),
+      };
+      reservation.status = reservation.pureWeight - pure <= WEIGHT_TOLERANCE ? "consumed" : "active";
+      await reservation.save({ session });
+    }
+    await this.syncInventoryStatus(
+      reservations.map((reservation) => reservation.stockCode),
+      session
+    );
+    return reservations;
+  }
+
+  static async expireDue({ adminId = null } = {}) {
+    const due = await StockReservation.find({ status: "active", expiresAt: { $lte: new Date() } }).lean();
+
+    // Each reservation lapses in its own transaction, with its stock's status
+    let expired = 0;
+    for (const reservation of due) {
+      const result = await inTransaction(null, async (session) => {
+        const released = await this.release(reservation, {
+          status: "expired",
+          reason: `Reservation for deal order ${reservation.orderNumber} expired`,
+          adminId,
+          session,
+        });
+        if (released) await this.syncInventoryStatus([reservation.stockCode], session);
+        return released;
+      });
+      if (result) expired += 1;
+    }
+    return { expired };
+  }
+
+  static async releaseReservation(id, { reason } = {}, adminId = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid reservation ID", 400, "INVALID_ID");
+    }
+    const reservation = await StockReservation.findById(id).lean();
+    if (!reservation) {
+      throw createAppError("Reservation not found", 404, "RESERVATION_NOT_FOUND");
+    }
+    if (reservation.status !== "active") {
+      throw createAppError(
+        `Only active reservations can be released; this one is ${reservation.status}`,
+        409,
+        "RESERVATION_NOT_ACTIVE"
+      );
+    }
+
+    return inTransaction(null, async (session) => {
+      const released = await this.release(reservation, {
+        reason: reason || "Released manually",
+        adminId,
+        session,
+      });
+      if (!released) {
+        throw createAppError("Reservation was changed by someone else; reload and try again", 409, "RESERVATION_CHANGED");
+      }
+      await this.syncInventoryStatus([reservation.stockCode], session);
+      return released;
+    });
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  static async getReservationById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid reservation ID", 400, "INVALID_ID");
+    }
+    const reservation = await StockReservation.findById(id)
+      .populate("party", "accountCode customerName")
+      .populate("stockCode", "code description")
+      .populate("dealOrder", "orderNumber status progress.currentStage deliveryDate")
+      .populate("bars", "serialNumber refiner grossWeight status")
+      .lean();
+    if (!reservation) {
+      throw createAppError("Reservation not found", 404, "RESERVATION_NOT_FOUND");
+    }
+    return { ...reservation, open: openQuantity(reservation) };
+  }
+
+  // Reservations with their open quantity, and totals per party and stock
+  static async getReservations({ page = 1, limit = 20, party, stockCode, dealOrder, status } = {}) {
+    const query = {};
+    if (party) query.party = toObjectId(party, "party");
+    if (stockCode) query.stockCode = toObjectId(stockCode, "stock");
+    if (dealOrder) query.dealOrder = toObjectId(dealOrder, "deal order");
+    if (status) query.status = status;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [reservations, total, summary] = await Promise.all([
+      StockReservation.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("stockCode", "code description")
+        .populate("bars", "serialNumber refiner grossWeight status")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      StockReservation.countDocuments(query),
+      StockReservation.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: { party: "$party", stockCode: "$stockCode" },
+            code: { $first: "$code" },
+            reservations: { $sum: 1 },
+            grossWeight: { $sum: "$grossWeight" },
+            pureWeight: { $sum: "$pureWeight" },
+            consumedGrossWeight: { $sum: { $ifNull: ["$consumed.grossWeight", 0] } },
+            consumedPureWeight: { $sum: { $ifNull: ["$consumed.pureWeight", 0] } },
+            openGrossWeight: openSum("grossWeight"),
+            openPureWeight: openSum("pureWeight"),
+          },
+        },
+        { $lookup: { from: "accounts", localField: "_id.party", foreignField: "_id", as: "party" } },
+        { $unwind: { path: "$party", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            party: { _id: "$_id.party", accountCode: "$party.accountCode", customerName: "$party.customerName" },
+            stockCode: "$_id.stockCode",
+            code: 1,
+            reservations: 1,
+            grossWeight: 1,
+            pureWeight: 1,
+            consumedGrossWeight: 1,
+            consumedPureWeight: 1,
+            openGrossWeight: 1,
+            openPureWeight: 1,
+          },
+        },
+        { $sort: { "party.accountCode": 1, code: 1 } },
+      ]),
+    ]);
+
+    return {
+      reservations: reservations.map((reservation) => ({ ...reservation, open: openQuantity(reservation) })),
+      summary: summary.map((row) => ({
+        ...row,
+        grossWeight: round(row.grossWeight),
+        pureWeight: round(row.pureWeight),
+        consumedGrossWeight: round(row.consumedGrossWeight),
+        consumedPureWeight: round(row.consumedPureWeight),
+        openGrossWeight: round(row.openGrossWeight),
+        openPureWeight: round(row.openPureWeight),
+      })),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+}
+
+export default StockReservationService;
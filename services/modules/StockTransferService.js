@@ -0,0 +1,665 @@
+import mongoose from "mongoose";
+import StockTransfer from "../../models/modules/StockTransfer.js";
+import InventoryLog, { DEFAULT_LOCATION } from "../../models/modules/InventoryLog.js";
+import Inventory from "../../models/modules/inventory.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import BranchMaster from "../../models/modules/BranchMaster.js";
+import Registry from "../../models/modules/Registry.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
+import InventoryService from "./inventoryService.js";
+import InventoryCostingService from "./InventoryCostingService.js";
+import StockReservationService from "./StockReservationService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const STOCK_TRANSFER_MODULE = "stock-transfer";
+const TRANSACTION_TYPE = "stock-transfer";
+const WEIGHT_TOLERANCE = 0.001;
+
+const round = (value, digits = 4) => Number((Number(value) || 0).toFixed(digits));
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+const locationOf = (value) => String(value || DEFAULT_LOCATION).trim().toUpperCase();
+
+const placeOf = (side) => ({ branch: side.branch, location: side.location });
+
+// Stock purity may be held as a fraction, a percentage or fineness
+const toFraction = (purity) => {
+  const value = Number(purity) || 0;
+  if (value > 100) return value / 1000;
+  return value > 1 ? value / 100 : value;
+};
+
+const toObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createAppError(`Invalid ${field} ID`, 400, "INVALID_ID");
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const toDate = (value, field) => {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime())) {
+    throw createAppError(`Invalid ${field}`, 400, "INVALID_DATE");
+  }
+  return date;
+};
+
+class StockTransferService {
+  // ---------------------------------------------------------------------
+  // Location balances
+  // ---------------------------------------------------------------------
+
+  // Gross weight held per stock code at one branch location. Logs without a
+  // branch count at the stock's own branch, without a location at MAIN.
+  static async getLocationStock(stockIds, { branch, location }, session = null) {
+    const rows = await InventoryLog.aggregate([
+      {
+        $match: {
+          stockCode: { $in: stockIds },
+          isDraft: { $ne: true },
+          isPurityDifferenceEntry: { $ne: true },
+          inTransit: { $ne: true },
+        },
+      },
+      { $lookup: { from: "metalstocks", localField: "stockCode", foreignField: "_id", as: "stock" } },
+      { $unwind: { path: "$stock", preserveNullAndEmptyArrays: true } },
+      {
+        $match: {
+          $expr: {
+            $and: [
+              { $eq: [{ $ifNull: ["$branch", "$stock.branch"] }, branch] },
+              { $eq: [{ $ifNull: ["$location", DEFAULT_LOCATION] }, location] },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$stockCode",
+          grossWeight: {
+            $sum: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$action", "add"] }, then: { $ifNull: ["$grossWeight", 0] } },
+                  { case: { $eq: ["$action", "remove"] }, then: { $multiply: [{ $ifNull: ["$grossWeight", 0] }, -1] } },
+                ],
+                default: 0,
+              },
+            },
+          },
+        },
+      },
+    ]).session(session);
+
+    return new Map(rows.map((row) => [idOf(row._id), row.grossWeight]));
+  }
+
+  // Stock on hand and in transit per branch location
+  static async getLocationBalances({ branch, location, stockCode, asOf } = {}) {
+    const match = {
+      isDraft: { $ne: true },
+      isPurityDifferenceEntry: { $ne: true },
+    };
+    if (stockCode) match.stockCode = toObjectId(stockCode, "stock");
+    if (asOf) match.voucherDate = { $lte: toDate(asOf, "date") };
+
+    const locationMatch = {};
+    if (branch) locationMatch.branch = toObjectId(branch, "branch");
+    if (location) locationMatch.location = locationOf(location);
+
+    const signed = (field) => ({
+      $switch: {
+        branches: [
+          { case: { $eq: ["$action", "add"] }, then: { $ifNull: [field, 0] } },
+          { case: { $eq: ["$action", "remove"] }, then: { $multiply: [{ $ifNull: [field, 0] }, -1] } },
+        ],
+        default: 0,
+      },
+    });
+
+    const rows = await InventoryLog.aggregate([
+      { $match: match },
+      { $lookup: { from: "metalstocks", localField: "stockCode", foreignField: "_id", as: "stock" } },
+      { $unwind: { path: "$stock", preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          branch: { $ifNull: ["$branch", "$stock.branch"] },
+          location: { $ifNull: ["$location", DEFAULT_LOCATION] },
+          inTransit: { $ifNull: ["$inTransit", false] },
+          // Older logs may hold purity as a percentage
+          pureWeight: {
+            $multiply: [
+              { $ifNull: ["$grossWeight", 0] },
+              { $cond: [{ $gt: ["$purity", 1] }, { $divide: ["$purity", 100] }, { $ifNull: ["$purity", 0] }] },
+            ],
+          },
+        },
+      },
+      { $match: locationMatch },
+      {
+        $group: {
+          _id: { stockCode: "$stockCode", branch: "$branch", location: "$location", inTransit: "$inTransit" },
+          code: { $first: "$stock.code" },
+          description: { $first: "$stock.description" },
+          grossWeight: { $sum: signed("$grossWeight") },
+          pureWeight: { $sum: signed("$pureWeight") },
+        },
+      },
+      { $match: { $or: [{ grossWeight: { $gt: WEIGHT_TOLERANCE } }, { grossWeight: { $lt: -WEIGHT_TOLERANCE } }] } },
+      { $lookup: { from: "branchmasters", localField: "_id.branch", foreignField: "_id", as: "branchInfo" } },
+      { $unwind: { path: "$branchInfo", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          stockCode: "$_id.stockCode",
+          code: 1,
+          description: 1,
+          branch: "$_id.branch",
+          branchCode: { $ifNull: ["$branchInfo.code", null] },
+          branchName: { $ifNull: ["$branchInfo.name", null] },
+          location: "$_id.location",
+          inTransit: "$_id.inTransit",
+          grossWeight: { $round: ["$grossWeight", 4] },
+          pureWeight: { $round: ["$pureWeight", 4] },
+        },
+      },
+      { $sort: { branchCode: 1, location: 1, inTransit: 1, code: 1 } },
+    ]);
+
+    const totals = rows.reduce(
+      (sum, row) => {
+        const key = row.inTransit ? "inTransit" : "onHand";
+        sum[key].grossWeight += row.grossWeight;
+        sum[key].pureWeight += row.pureWeight;
+        return sum;
+      },
+      { onHand: { grossWeight: 0, pureWeight: 0 }, inTransit: { grossWeight: 0, pureWeight: 0 } }
+    );
+    for (const key of Object.keys(totals)) {
+      totals[key].grossWeight = round(totals[key].grossWeight);
+      totals[key].pureWeight = round(totals[key].pureWeight);
+    }
+
+    return { rows, totals };
+  }
+
+  // ---------------------------------------------------------------------
+  // Dispatch
+  // ---------------------------------------------------------------------
+
+  static async resolveLocation(value = {}, side) {
+    if (!value.branch) {
+      throw createAppError(`${side} branch is required`, 400, "VALIDATION_ERROR");
+    }
+    const branch = toObjectId(value.branch, `${side} branch`);
+    const exists = await BranchMaster.exists({ _id: branch });
+    if (!exists) {
+      throw createAppError(`${side} branch not found`, 404, "BRANCH_NOT_FOUND");
+    }
+    return { branch, location: locationOf(value.location) };
+  }
+
+  static async buildLines(items, session = null) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createAppError("At least one transfer line is required", 400, "VALIDATION_ERROR");
+    }
+
+    const stockIds = items.map((item) => toObjectId(item.stockCode || item.stockId, "stock"));
+    const stocks = await MetalStock.find({ _id: { $in: stockIds } })
+      .select("code standardPurity")
+      .session(session)
+      .lean();
+    const stockById = new Map(stocks.map((s) => [idOf(s._id), s]));
+
+    return items.map((item, index) => {
+      const stock = stockById.get(idOf(stockIds[index]));
+      if (!stock) {
+        throw createAppError(`Stock ${stockIds[index]} not found`, 404, "STOCK_NOT_FOUND");
+      }
+
+      const grossWeight = Number(item.grossWeight) || 0;
+      const pcs = Number(item.pcs ?? item.pieces) || 0;
+      if (grossWeight <= 0 || pcs < 0) {
+        throw createAppError(`Line ${index + 1}: gross weight must be positive`, 400, "INVALID_TRANSFER_LINE");
+      }
+
+      const purity = toFraction(item.purity ?? stock.standardPurity);
+      return {
+        stockCode: stock._id,
+        code: stock.code,
+        purity,
+        pcs,
+        grossWeight: round(grossWeight),
+        pureWeight: round(grossWeight * purity),
+      };
+    });
+  }
+
+  static locationLog(transfer, line, { action, branch, location, inTransit = false, voucherDate, adminId, note }) {
+    return {
+      stockCode: line.stockCode,
+      code: line.code,
+      voucherCode: transfer.voucherNumber,
+      voucherType: transfer.voucherType,
+      voucherDate,
+      grossWeight: line.grossWeight,
+      purity: line.purity,
+      action,
+      transactionType: "transfer",
+      branch,
+      location,
+      inTransit,
+      stockTransfer: transfer._id,
+      isLocationTransfer: true,
+      createdBy: adminId,
+      note,
+    };
+  }
+
+  // The source location must hold what leaves it
+  static async assertLocationStock(lines, from, session) {
+    const needed = new Map();
+    for (const line of lines) {
+      const key = idOf(line.stockCode);
+      needed.set(key, (needed.get(key) || 0) + line.grossWeight);
+    }
+    const available = await this.getLocationStock(
+      lines.map((line) => line.stockCode),
+      from,
+      session
+    );
+    for (const line of lines) {
+      const key = idOf(line.stockCode);
+      const onHand = available.get(key) || 0;
+      if (needed.get(key) - onHand > WEIGHT_TOLERANCE) {
+        throw createAppError(
+          `Insufficient stock for ${line.code} at ${from.location}: ${round(onHand)} g on hand, ${round(needed.get(key))} g to dispatch`,
+          400,
+          "INSUFFICIENT_STOCK"
+        );
+      }
+    }
+  }
+
+  static async dispatchTransfer(data = {}, adminId) {
+    const from = await this.resolveLocation(data.from, "Source");
+    const to = await this.resolveLocation(data.to, "Destination");
+    if (idOf(from.branch) === idOf(to.branch) && from.location === to.location) {
+      throw createAppError("Source and destination are the same location", 400, "SAME_LOCATION");
+    }
+
+    const voucherDate = toDate(data.voucherDate, "voucher date");
+    const lines = await this.buildLines(data.lines);
+
+    let { voucherNumber, voucherType } = data;
+    if (!voucherNumber) {
+      const reserved = await VoucherMasterService.generateVoucherNumber(STOCK_TRANSFER_MODULE, null, {
+        voucherDate,
+        adminId,
+      });
+      voucherNumber = reserved.voucherNumber;
+      voucherType = reserved.voucherType;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let transfer;
+      await session.withTransaction(async () => {
+        // Stock held for deals stays where it is. This also locks the stock
+        // codes, so concurrent dispatches see each other's removals.
+        await StockReservationService.assertAvailable(lines, {
+          label: `transfer ${voucherNumber}`,
+          allowShort: true,
+          session,
+        });
+        await this.assertLocationStock(lines, from, session);
+
+        [transfer] = await StockTransfer.create(
+          [
+            {
+              voucherNumber,
+              voucherType: voucherType || "",
+              voucherDate,
+              from,
+              to,
+              lines,
+              remarks: data.remarks || null,
+              createdBy: adminId,
+            },
+          ],
+          { session }
+        );
+
+        await VoucherSequenceService.markUsed(
+          transfer.voucherNumber,
+          { documentModel: "StockTransfer", documentId: transfer._id },
+          session
+        );
+
+        const logs = transfer.lines.flatMap((line) => [
+          this.locationLog(transfer, line, {
+            action: "remove",
+            ...from,
+            voucherDate,
+            adminId,
+            note: `Dispatched to ${to.location}`,
+          }),
+          this.locationLog(transfer, line, {
+            action: "add",
+            ...to,
+            inTransit: true,
+            voucherDate,
+            adminId,
+            note: `In transit from ${from.location}`,
+          }),
+        ]);
+        await InventoryLog.insertMany(logs, { session });
+      });
+
+      return this.getTransferById(transfer._id);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Receipt
+  // ---------------------------------------------------------------------
+
+  // Received quantities per line; lines left out arrived as dispatched
+  static applyReceipt(lines, received = []) {
+    const byKey = new Map();
+    for (const entry of received) {
+      byKey.set(idOf(entry.line) || idOf(entry.stockCode), entry);
+    }
+
+    return lines.map((line) => {
+      const entry = byKey.get(idOf(line._id)) || byKey.get(idOf(line.stockCode));
+      const grossWeight = entry ? Number(entry.grossWeight) : line.grossWeight;
+      const pcs = entry && entry.pcs !== undefined ? Number(entry.pcs) : line.pcs;
+      if (!(grossWeight >= 0) || !(pcs >= 0)) {
+        throw createAppError(`Invalid received quantity for ${line.code}`, 400, "INVALID_RECEIPT");
+      }
+
+      const discrepancy = round(grossWeight - line.grossWeight);
+      return {
+        line,
+        received: {
+          pcs,
+          grossWeight: round(grossWeight),
+          pureWeight: round(grossWeight * line.purity),
+        },
+        discrepancy: {
+          pcs: pcs - line.pcs,
+          grossWeight: Math.abs(discrepancy) > WEIGHT_TOLERANCE ? discrepancy : 0,
+          pureWeight: Math.abs(discrepancy) > WEIGHT_TOLERANCE ? round(discrepancy * line.purity) : 0,
+        },
+      };
+    });
+  }
+
+  static async postDiscrepancy(transfer, { line, discrepancy }, { receiptDate, adminId, session }) {
+    const gain = discrepancy.grossWeight > 0;
+    const grossWeight = Math.abs(discrepancy.grossWeight);
+    const pureWeight = Math.abs(discrepancy.pureWeight);
+
+    const [log] = await InventoryLog.insertMany(
+      [
+        {
+          stockCode: line.stockCode,
+          code: line.code,
+          voucherCode: transfer.voucherNumber,
+          voucherType: transfer.voucherType,
+          voucherDate: receiptDate,
+          grossWeight,
+          purity: line.purity,
+          action: gain ? "add" : "remove",
+          transactionType: "transfer",
+          branch: transfer.to.branch,
+          location: transfer.to.location,
+          stockTransfer: transfer._id,
+          createdBy: adminId,
+          note: `Transfer weight ${gain ? "gain" : "loss"}`,
+        },
+      ],
+      { session }
+    );
+
+    const inventory = await Inventory.findOne({ metal: line.stockCode }).session(session);
+    if (!inventory) {
+      throw createAppError(`Inventory not found for metal: ${line.code}`, 404, "INVENTORY_NOT_FOUND");
+    }
+    inventory.grossWeight += gain ? grossWeight : -grossWeight;
+    inventory.pureWeight += gain ? pureWeight : -pureWeight;
+    await inventory.save({ session });
+
+    // GOLD_STOCK moves by the difference, STOCK_ADJUSTMENT carries the other side
+    const common = {
+      transactionType: TRANSACTION_TYPE,
+      transactionId: transfer._id.toString(),
+      InventoryLogID: log._id,
+      reference: transfer.voucherNumber,
+      transactionDate: receiptDate,
+      costCenter: "INVENTORY",
+      assetType: "XAU",
+      purity: line.purity,
+      grossWeight,
+      pureWeight,
+      status: "completed",
+      createdBy: adminId,
+      description: `Stock transfer ${gain ? "gain" : "loss"} ${line.code}`,
+    };
+    const rows = [
+      {
+        ...common,
+        type: "GOLD_STOCK",
+        debit: gain ? pureWeight : 0,
+        credit: gain ? 0 : pureWeight,
+        goldDebit: gain ? pureWeight : 0,
+        goldCredit: gain ? 0 : pureWeight,
+      },
+      {
+        ...common,
+        type: "STOCK_ADJUSTMENT",
+        goldDebit: gain ? 0 : pureWeight,
+        goldCredit: gain ? pureWeight : 0,
+      },
+    ];
+    // Saved one by one so the running balance picks up each row
+    for (const row of rows) {
+      await new Registry(row).save({ session });
+    }
+  }
+
+  static async receiveTransfer(id, data = {}, adminId) {
+    const transfer = await StockTransfer.findById(toObjectId(id, "stock transfer"));
+    if (!transfer) throw createAppError("Stock transfer not found", 404, "STOCK_TRANSFER_NOT_FOUND");
+    if (transfer.status !== "dispatched") {
+      throw createAppError(`Cannot receive a stock transfer that is ${transfer.status}`, 409, "INVALID_TRANSFER_STATUS");
+    }
+
+    const receiptDate = toDate(data.receiptDate, "receipt date");
+    if (receiptDate < transfer.voucherDate) {
+      throw createAppError("Receipt date cannot be before the dispatch date", 400, "INVALID_DATE");
+    }
+
+    const receipts = this.applyReceipt(transfer.lines, data.lines);
+    const differing = receipts.filter((r) => r.discrepancy.grossWeight !== 0 || r.discrepancy.pcs !== 0);
+    const acceptDiscrepancy = data.acceptDiscrepancy === true || data.acceptDiscrepancy === "true";
+    if (differing.length > 0 && !acceptDiscrepancy) {
+      const detail = differing
+        .map((r) => `${r.line.code} ${r.discrepancy.grossWeight > 0 ? "+" : ""}${r.discrepancy.grossWeight} g`)
+        .join(", ");
+      throw createAppError(
+        `Received weight differs from dispatch: ${detail}. Accept the discrepancy to receive`,
+        409,
+        "TRANSFER_WEIGHT_DISCREPANCY"
+      );
+    }
+    if (differing.length > 0 && !data.discrepancyNote?.trim()) {
+      throw createAppError("A note is required to accept a discrepancy", 400, "DISCREPANCY_NOTE_REQUIRED");
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Claim the transfer first so a concurrent receipt or cancel loses
+        const claimed = await StockTransfer.findOneAndUpdate(
+          { _id: transfer._id, status: "dispatched" },
+          {
+            $set: {
+              status: "received",
+              receiptDate,
+              hasDiscrepancy: differing.length > 0,
+              discrepancyNote: data.discrepancyNote?.trim() || null,
+              receivedBy: adminId,
+              receivedAt: new Date(),
+              ...Object.fromEntries(
+                receipts.flatMap((receipt, index) => [
+                  [`lines.${index}.received`, receipt.received],
+                  [`lines.${index}.discrepancy`, receipt.discrepancy],
+                ])
+              ),
+            },
+          },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw createAppError("Stock transfer was received or cancelled meanwhile", 409, "INVALID_TRANSFER_STATUS");
+        }
+
+        const logs = transfer.lines.flatMap((line) => [
+          this.locationLog(transfer, line, {
+            action: "remove",
+            ...placeOf(transfer.to),
+            inTransit: true,
+            voucherDate: receiptDate,
+            adminId,
+            note: `Received from ${transfer.from.location}`,
+          }),
+          this.locationLog(transfer, line, {
+            action: "add",
+            ...placeOf(transfer.to),
+            voucherDate: receiptDate,
+            adminId,
+            note: `Received from ${transfer.from.location}`,
+          }),
+        ]);
+        await InventoryLog.insertMany(logs, { session });
+
+        for (const receipt of receipts) {
+          if (receipt.discrepancy.grossWeight !== 0) {
+            await this.postDiscrepancy(transfer, receipt, { receiptDate, adminId, session });
+          }
+        }
+
+        await RegistryIntegrityService.assertStoredBalanced(
+          { transactionType: TRANSACTION_TYPE, transactionId: transfer._id.toString().toUpperCase() },
+          session
+        );
+
+        await InventoryCostingService.syncVoucher(transfer.voucherNumber, { adminId, session });
+      });
+
+      return this.getTransferById(transfer._id);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Only stock still in transit can be called back
+  static async cancelTransfer(id, adminId) {
+    const transfer = await StockTransfer.findById(toObjectId(id, "stock transfer"));
+    if (!transfer) throw createAppError("Stock transfer not found", 404, "STOCK_TRANSFER_NOT_FOUND");
+    if (transfer.status !== "dispatched") {
+      throw createAppError(`Cannot cancel a stock transfer that is ${transfer.status}`, 409, "INVALID_TRANSFER_STATUS");
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const claimed = await StockTransfer.findOneAndUpdate(
+          { _id: transfer._id, status: "dispatched" },
+          { $set: { status: "cancelled", cancelledBy: adminId, cancelledAt: new Date() } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw createAppError("Stock transfer was received or cancelled meanwhile", 409, "INVALID_TRANSFER_STATUS");
+        }
+
+        await InventoryService.reverseVoucherInventory(
+          transfer.voucherNumber,
+          { adminId, note: `Transfer ${transfer.voucherNumber} cancelled` },
+          session
+        );
+
+        await VoucherSequenceService.voidNumber(
+          transfer.voucherNumber,
+          { reason: "Stock transfer cancelled", adminId },
+          session
+        );
+      });
+
+      return this.getTransferById(transfer._id);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------
+
+  static async getTransferById(id) {
+    const transfer = await StockTransfer.findById(toObjectId(id, "stock transfer"))
+      .populate("from.branch", "code name")
+      .populate("to.branch", "code name")
+      .populate("createdBy", "name email")
+      .populate("receivedBy", "name email")
+      .lean();
+    if (!transfer) throw createAppError("Stock transfer not found", 404, "STOCK_TRANSFER_NOT_FOUND");
+    return transfer;
+  }
+
+  static async getTransfers({ page = 1, limit = 20, status, branch, stockCode, startDate, endDate } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (branch) {
+      const id = toObjectId(branch, "branch");
+      query.$or = [{ "from.branch": id }, { "to.branch": id }];
+    }
+    if (stockCode) query["lines.stockCode"] = toObjectId(stockCode, "stock");
+    if (startDate || endDate) {
+      query.voucherDate = {};
+      if (startDate) query.voucherDate.$gte = new Date(startDate);
+      if (endDate) query.voucherDate.$lte = new Date(endDate);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .populate("from.branch", "code name")
+        .populate("to.branch", "code name")
+        .sort({ voucherDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      StockTransfer.countDocuments(query),
+    ]);
+
+    return {
+      transfers,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+      },
+    };
+  }
+}
+
+export default StockTransferService;
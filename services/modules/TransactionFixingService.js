@@ -3,6 +3,11 @@ import TransactionFixing from "../../models/modules/TransactionFixing.js";
 import Registry from "../../models/modules/Registry.js";
 import Account from "../../models/modules/AccountType.js";
 import FixingPrice from "../../models/modules/FixingPrice.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
+import MetalPositionService from "./MetalPositionService.js";
+import PriceFeedService from "./PriceFeedService.js";
+import CreditLimitService from "./CreditLimitService.js";
+import FixingAllocationService from "./FixingAllocationService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 import mongoose from "mongoose";
 
@@ -249,6 +254,14 @@ const computeCashDeltas = (orders, type) => {
   return deltas;
 };
 
+// What the fixing does to the party's cash and metal, for the credit check.
+// Cash stays per order currency; the check converts it to the limit currency.
+const computeCreditExposure = (orders, type) => ({
+  cashChange: 0,
+  cash: Object.entries(computeCashDeltas(orders, type)).map(([currency, amount]) => ({ currency, amount })),
+  goldChange: computeGoldDelta(orders, type),
+});
+
 const applyCashDeltasToAccount = (account, cashDeltas) => {
   if (!account.balances) account.balances = {};
   if (!Array.isArray(account.balances.cashBalance)) {
@@ -373,6 +386,7 @@ export const TransactionFixingService = {
         // Ensure weight exists and is numeric (will throw if invalid)
         resolveOrderWeight(order);
       });
+      await PriceFeedService.assertFixingRates(transactionData.orders);
 
       // ----- ACCOUNT & CURRENCY SETUP -----
       const account = await Account.findById(transactionData.partyId).session(
@@ -381,6 +395,18 @@ export const TransactionFixingService = {
       if (!account)
         throw createAppError("Account not found", 404, "ACCOUNT_NOT_FOUND");
 
+      await CreditLimitService.assertCreditAvailable(
+        account._id,
+        computeCreditExposure(transactionData.orders, type),
+        {
+          overrideToken: transactionData.creditOverrideToken,
+          adminId,
+          documentModel: "TransactionFixing",
+          reference: transactionData.voucherNumber,
+          session,
+        }
+      );
+
       // ensure every selected currency exists in cashBalance
       if (!account.balances) account.balances = {};
       if (!Array.isArray(account.balances.cashBalance))
@@ -412,6 +438,11 @@ export const TransactionFixingService = {
         createdBy: adminId,
       });
       await transaction.save({ session });
+      await VoucherSequenceService.markUsed(
+        transaction.voucherNumber,
+        { documentModel: "TransactionFixing", documentId: transaction._id },
+        session
+      );
 
       // ----- BULK PREP -----
       const registryEntries = [];
@@ -566,6 +597,14 @@ export const TransactionFixingService = {
       account.balances.lastBalanceUpdate = new Date();
       await account.save({ session });
 
+      await MetalPositionService.syncFixing(transaction._id, { session });
+      await FixingAllocationService.allocateFixing(transaction._id, {
+        method: transactionData.allocationMethod,
+        selections: transactionData.allocations,
+        adminId,
+        session,
+      });
+
       await session.commitTransaction();
 
       return await TransactionFixing.findById(transaction._id)
@@ -673,6 +712,34 @@ export const TransactionFixingService = {
         order.currencyRate =
           Number(order.currencyRate || order.itemCurrencyRate) || 1;
       });
+      if (updateData.orders?.length) {
+        await PriceFeedService.assertFixingRates(newOrders);
+      }
+
+      // Only the change is checked; the party's balances still hold the original
+      const sameParty = String(account._id) === String(existing.partyId);
+      const newExposure = computeCreditExposure(newOrders, newType);
+      const oldExposure = sameParty
+        ? computeCreditExposure(origOrders, origType)
+        : { cashChange: 0, cash: [], goldChange: 0 };
+      await CreditLimitService.assertCreditAvailable(
+        account._id,
+        {
+          cashChange: 0,
+          cash: [
+            ...newExposure.cash,
+            ...oldExposure.cash.map((c) => ({ ...c, amount: -c.amount })),
+          ],
+          goldChange: newExposure.goldChange - oldExposure.goldChange,
+        },
+        {
+          overrideToken: updateData.creditOverrideToken,
+          adminId,
+          documentModel: "TransactionFixing",
+          reference: existing.voucherNumber,
+          session,
+        }
+      );
 
       const registryEntries = [];
       const fixingPriceEntries = [];
@@ -832,6 +899,18 @@ export const TransactionFixingService = {
         .populate("createdBy", "name email")
         .populate("updatedBy", "name email")
         .populate("orders.selectedCurrencyId", "code symbol");
+      await MetalPositionService.syncFixing(id, { session });
+      await FixingAllocationService.reverseFixing(id, {
+        adminId,
+        reason: "Fixing updated",
+        session,
+      });
+      await FixingAllocationService.allocateFixing(id, {
+        method: updateData.allocationMethod,
+        selections: updateData.allocations,
+        adminId,
+        session,
+      });
 
       await session.commitTransaction();
       return updated;
@@ -1002,7 +1081,21 @@ export const TransactionFixingService = {
       // Delete related records
       await Registry.deleteMany({ fixingTransactionId: id }).session(session);
       await FixingPrice.deleteMany({ transactionFix: id }).session(session);
+      await FixingAllocationService.reverseFixing(id, {
+        adminId,
+        reason: "Fixing deleted",
+        session,
+      });
       await TransactionFixing.deleteOne({ _id: id }).session(session);
+      await MetalPositionService.syncFixing(id, {
+        metalTransactionId: transaction.metalTransactionId,
+        session,
+      });
+      await VoucherSequenceService.voidNumber(
+        transaction.voucherNumber,
+        { reason: "Fixing transaction deleted", adminId },
+        session
+      );
 
       await session.commitTransaction();
       return { success: true, message: "Transaction deleted successfully" };
@@ -1018,26 +1111,38 @@ export const TransactionFixingService = {
   // CANCEL (soft)
   // -----------------------------------------------------------------
   cancelTransaction: async (id, adminId) => {
+    const session = await mongoose.startSession();
     try {
-      const transaction = await TransactionFixing.findById(id);
+      session.startTransaction();
+      const transaction = await TransactionFixing.findById(id).session(session);
       if (!transaction)
         throw createAppError("Transaction not found", 404, "NOT_FOUND");
 
       const cancelled = await TransactionFixing.findByIdAndUpdate(
         id,
         { status: "cancelled", updatedBy: adminId },
-        { new: true }
+        { new: true, session }
       )
         .populate("partyId", "name code customerName accountCode")
         .populate("createdBy", "name email")
         .populate("updatedBy", "name email")
         .populate("orders.selectedCurrencyId", "code symbol");
+      await MetalPositionService.syncFixing(id, { session });
+      await FixingAllocationService.reverseFixing(id, {
+        adminId,
+        reason: "Fixing cancelled",
+        session,
+      });
 
+      await session.commitTransaction();
       return cancelled;
     } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
       if (err.name === "CastError")
         throw createAppError("Invalid Transaction ID", 400, "INVALID_ID");
       throw err;
+    } finally {
+      session.endSession();
     }
   },
 
@@ -1045,17 +1150,32 @@ export const TransactionFixingService = {
   // PERMANENT DELETE
   // -----------------------------------------------------------------
   permanentDeleteTransaction: async (id) => {
+    const session = await mongoose.startSession();
     try {
-      const transaction = await TransactionFixing.findById(id);
+      session.startTransaction();
+      const transaction = await TransactionFixing.findById(id).session(session);
       if (!transaction)
         throw createAppError("Transaction not found", 404, "NOT_FOUND");
 
-      await TransactionFixing.findByIdAndDelete(id);
+      await FixingAllocationService.reverseFixing(id, {
+        reason: "Fixing permanently deleted",
+        session,
+      });
+      await TransactionFixing.findByIdAndDelete(id, { session });
+      await MetalPositionService.syncFixing(id, {
+        metalTransactionId: transaction.metalTransactionId,
+        session,
+      });
+
+      await session.commitTransaction();
       return { message: "Transaction permanently deleted" };
     } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
       if (err.name === "CastError")
         throw createAppError("Invalid Transaction ID", 400, "INVALID_ID");
       throw err;
+    } finally {
+      session.endSession();
     }
   },
 
@@ -1077,6 +1197,8 @@ export const TransactionFixingService = {
         .populate("createdBy", "name email")
         .populate("updatedBy", "name email")
         .populate("orders.selectedCurrencyId", "code symbol");
+      await MetalPositionService.syncFixing(id);
+      await FixingAllocationService.allocateFixing(id, { adminId });
 
       return restored;
     } catch (err) {
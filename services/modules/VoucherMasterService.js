@@ -8,9 +8,11 @@ import MetalStock from "../../models/modules/MetalStock.js";
 import Registry from "../../models/modules/Registry.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 import StockAdjustment from "../../models/modules/StockAdjustment.js";
+import StockTransfer from "../../models/modules/StockTransfer.js";
 import OpeningBalance from "../../models/modules/OpeningBalance.js";
 import OpeningFixing from "../../models/modules/OpeningFixing.js";
 import accountFixing from "../../models/modules/accountFixing.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
 
 class VoucherMasterService {
   // Cache for voucher configurations to reduce DB queries
@@ -72,7 +74,7 @@ class VoucherMasterService {
 
     try {
       // Entry-based modules
-      const entryModules = ["metal-payment", "metal-receipt", "currency-payment", "currency-receipt", "entry"];
+      const entryModules = ["metal-payment", "metal-receipt", "currency-payment", "currency-receipt", "entry", "journal-voucher"];
       if (entryModules.includes(moduleLC)) {
         console.log(`[getTransactionCount] Using model: Entry`);
 
@@ -213,6 +215,14 @@ class VoucherMasterService {
         return count;
       }
 
+      if (moduleLC === "stock-transfer") {
+        console.log(`[getTransactionCount] Using model: StockTransfer`);
+
+        const count = await StockTransfer.countDocuments();
+        console.log(`[getTransactionCount] StockTransfer Count:`, count);
+        return count;
+      }
+
       // Metal Stock
       if (moduleLC === "metal-stock") {
         console.log(`[getTransactionCount] Using model: InventoryLog`);
@@ -384,19 +394,22 @@ class VoucherMasterService {
     }
   }
 
-  // Main voucher number generation method - optimized
-  static async generateVoucherNumber(module, transactionType = null) {
+  // Main voucher number generation method - reserves the number atomically
+  static async generateVoucherNumber(module, transactionType = null, options = {}) {
     if (!module) {
       throw createAppError("Module is required", 400, "MISSING_MODULE");
     }
+    const { voucherDate = new Date(), adminId = null } = options;
 
     // Get voucher configuration (with caching)
     const voucher = await this.getVoucherConfig(module);
-    // Get transaction count
-    const transactionCount = await this.getTransactionCount(module, transactionType);
-    // Generate next voucher number
-    const nextSequence = transactionCount + 1;
-    const voucherNumber = `${voucher.prefix}${nextSequence.toString().padStart(voucher.numberLength, "0")}`;
+    // Reserve the next number from the module sequence
+    const reserved = await VoucherSequenceService.reserveNumber(voucher, {
+      transactionType,
+      voucherDate,
+      adminId,
+      seedResolver: () => this.getTransactionCount(module, transactionType),
+    });
 
     // Format date
     const formattedDate = this.formatDate(voucher.dateFormat);
@@ -413,10 +426,12 @@ class VoucherMasterService {
       voucherType: voucher.voucherType,
       module: voucher.module,
       prefix: voucher.prefix,
-      voucherNumber,
-      sequence: nextSequence,
-      transactionCount: transactionCount,
+      voucherNumber: reserved.voucherNumber,
+      sequence: reserved.sequence,
+      transactionCount: reserved.sequence - 1,
       transactionType: transactionType,
+      periodKey: reserved.periodKey,
+      financialYear: reserved.financialYear,
       date: new Date().toISOString().split("T")[0],
       formattedDate,
       voucherConfig: {
@@ -428,22 +443,39 @@ class VoucherMasterService {
     };
   }
 
-  // Unified voucher info method
-  static async getVoucherInfo(module, transactionType = null) {
+  // Reserve the next number of the series a voucher type is issued from,
+  // e.g. for the corrected copy of a posted voucher
+  static async generateVoucherNumberForType(voucherType, transactionType = null, options = {}) {
+    const voucher = voucherType
+      ? await VoucherMaster.findOne({ voucherType, isActive: true, status: "active" }).select("module").lean()
+      : null;
+    if (!voucher) {
+      throw createAppError(
+        `No active voucher configuration found for voucher type: ${voucherType}`,
+        404,
+        "VOUCHER_CONFIG_NOT_FOUND"
+      );
+    }
+    return this.generateVoucherNumber(voucher.module, transactionType, options);
+  }
+
+  // Unified voucher info method - previews the next number without reserving it
+  static async getVoucherInfo(module, transactionType = null, voucherDate = new Date()) {
     try {
       const voucher = await this.getVoucherConfig(module);
-      const transactionCount = await this.getTransactionCount(module, transactionType);
-
-      const nextSequence = transactionCount + 1;
-      const nextVoucherNumber = `${voucher.prefix}${nextSequence.toString().padStart(voucher.numberLength, "0")}`;
+      const preview = await VoucherSequenceService.previewNumber(voucher, {
+        voucherDate,
+        seedResolver: () => this.getTransactionCount(module, transactionType),
+      });
 
       return {
         prefix: voucher.prefix,
-        currentCount: transactionCount,
-        nextSequence: nextSequence,
-        nextVoucherNumber: nextVoucherNumber,
+        currentCount: preview.currentValue,
+        nextSequence: preview.sequence,
+        nextVoucherNumber: preview.voucherNumber,
         numberLength: voucher.numberLength,
         transactionType: transactionType,
+        periodKey: preview.periodKey,
         voucherConfig: {
           id: voucher._id,
           description: voucher.description,
@@ -491,28 +523,16 @@ class VoucherMasterService {
       const entryTypes = ["metal-receipt", "metal-payment", "cash receipt", "cash payment"];
       const entryTypesInfo = {};
 
-      // Get counts for all entry types in parallel
-      const countPromises = entryTypes.map(async (type) => {
-        const count = await Entry.countDocuments({
-          type: { $regex: `^${type}$`, $options: "i" }
-        });
-
-        const nextSequence = count + 1;
-        const nextVoucherNumber = `${voucher.prefix}${nextSequence.toString().padStart(voucher.numberLength, "0")}`;
-
-        return {
-          type,
-          data: {
-            currentCount: count,
-            nextSequence: nextSequence,
-            nextVoucherNumber: nextVoucherNumber
-          }
-        };
+      // All entry types share the module sequence, so they share the next number
+      const preview = await VoucherSequenceService.previewNumber(voucher, {
+        seedResolver: () => this.getTransactionCount(module),
       });
-
-      const results = await Promise.all(countPromises);
-      results.forEach(({ type, data }) => {
-        entryTypesInfo[type] = data;
+      entryTypes.forEach((type) => {
+        entryTypesInfo[type] = {
+          currentCount: preview.currentValue,
+          nextSequence: preview.sequence,
+          nextVoucherNumber: preview.voucherNumber
+        };
       });
 
       return {
@@ -0,0 +1,264 @@
+import VoucherSequence from "../../models/modules/VoucherSequence.js";
+import VoucherNumberLog from "../../models/modules/VoucherNumberLog.js";
+import FinancialYear from "../../models/modules/FinancialYearMaster.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const GLOBAL_PERIOD = "GLOBAL";
+
+class VoucherSequenceService {
+  // Format a sequence value with the voucher prefix and padding. Years that
+  // restart numbering carry their code, so no two years issue the same number.
+  static formatNumber(voucher, sequence, periodKey = GLOBAL_PERIOD) {
+    const padded = sequence.toString().padStart(voucher.numberLength, "0");
+    return periodKey === GLOBAL_PERIOD
+      ? `${voucher.prefix}${padded}`
+      : `${voucher.prefix}${periodKey}-${padded}`;
+  }
+
+  // Resolve the numbering period for a voucher date. Financial years with
+  // voucherReset get their own sequence; everything else shares GLOBAL.
+  static async resolvePeriod(voucherDate = new Date()) {
+    const date = new Date(voucherDate);
+    if (isNaN(date.getTime())) {
+      throw createAppError("Invalid voucher date", 400, "INVALID_VOUCHER_DATE");
+    }
+
+    const financialYear = await FinancialYear.findOne({
+      status: true,
+      startDate: { $lte: date },
+      endDate: { $gte: date },
+    })
+      .select("_id code voucherReset")
+      .lean();
+
+    if (financialYear?.voucherReset) {
+      return { periodKey: financialYear.code, financialYear: financialYear._id };
+    }
+
+    return { periodKey: GLOBAL_PERIOD, financialYear: financialYear?._id || null };
+  }
+
+  // Create the counter for a module/period if it does not exist yet. The very
+  // first counter of a module is seeded from the legacy document count so
+  // numbering carries on from vouchers created before sequences existed.
+  static async ensureSequence(voucher, period, seedResolver = null) {
+    const module = voucher.module.toLowerCase();
+    const existing = await VoucherSequence.findOne({ module, periodKey: period.periodKey })
+      .select("_id")
+      .lean();
+    if (existing) return;
+
+    let seed = 0;
+    const hasAnySequence = await VoucherSequence.exists({ module });
+    if (!hasAnySequence && seedResolver) {
+      seed = Number(await seedResolver()) || 0;
+    }
+
+    try {
+      await VoucherSequence.updateOne(
+        { module, periodKey: period.periodKey },
+        {
+          $setOnInsert: {
+            financialYear: period.financialYear,
+            voucherMaster: voucher._id,
+            currentValue: seed,
+            seededFrom: seed,
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Atomically reserve the next number for a module and log it as issued
+  static async reserveNumber(voucher, { transactionType = null, voucherDate = new Date(), adminId = null, seedResolver = null } = {}) {
+    const period = await this.resolvePeriod(voucherDate);
+    await this.ensureSequence(voucher, period, seedResolver);
+
+    const sequence = await VoucherSequence.findOneAndUpdate(
+      { module: voucher.module.toLowerCase(), periodKey: period.periodKey },
+      { $inc: { currentValue: 1 }, $set: { lastIssuedAt: new Date() } },
+      { new: true }
+    );
+
+    const voucherNumber = this.formatNumber(voucher, sequence.currentValue, period.periodKey);
+
+    await VoucherNumberLog.create({
+      module: voucher.module,
+      periodKey: period.periodKey,
+      financialYear: period.financialYear,
+      voucherNumber,
+      sequence: sequence.currentValue,
+      transactionType,
+      issuedBy: adminId,
+    });
+
+    return {
+      voucherNumber,
+      sequence: sequence.currentValue,
+      periodKey: period.periodKey,
+      financialYear: period.financialYear,
+    };
+  }
+
+  // Next number for a module without reserving it
+  static async previewNumber(voucher, { voucherDate = new Date(), seedResolver = null } = {}) {
+    const period = await this.resolvePeriod(voucherDate);
+    const module = voucher.module.toLowerCase();
+
+    const sequence = await VoucherSequence.findOne({ module, periodKey: period.periodKey }).lean();
+    let currentValue = sequence?.currentValue;
+
+    if (currentValue === undefined) {
+      const hasAnySequence = await VoucherSequence.exists({ module });
+      currentValue = !hasAnySequence && seedResolver ? Number(await seedResolver()) || 0 : 0;
+    }
+
+    const nextSequence = currentValue + 1;
+    return {
+      voucherNumber: this.formatNumber(voucher, nextSequence, period.periodKey),
+      currentValue,
+      sequence: nextSequence,
+      periodKey: period.periodKey,
+      financialYear: period.financialYear,
+    };
+  }
+
+  // Mark the latest issued log entry for a number as used by a document.
+  // Numbers typed in by hand were never issued, so they are ignored.
+  static async markUsed(voucherNumber, { documentModel, documentId } = {}, session = null) {
+    if (!voucherNumber) return null;
+
+    return VoucherNumberLog.findOneAndUpdate(
+      { voucherNumber: voucherNumber.trim().toUpperCase(), status: "issued" },
+      {
+        $set: {
+          status: "used",
+          usedAt: new Date(),
+          documentModel: documentModel || null,
+          documentId: documentId || null,
+        },
+      },
+      { new: true, sort: { issuedAt: -1 }, session }
+    );
+  }
+
+  // Like markUsed, for documents that must carry a number reserved from a
+  // sequence: a number never issued, or already used, is refused
+  static async claimNumber(voucherNumber, { documentModel, documentId } = {}, session = null) {
+    const claimed = await this.markUsed(voucherNumber, { documentModel, documentId }, session);
+    if (!claimed) {
+      throw createAppError(
+        `Voucher number ${voucherNumber || ""} was not reserved or is already in use; generate a new number`,
+        409,
+        "VOUCHER_NUMBER_NOT_ISSUED"
+      );
+    }
+    return claimed;
+  }
+
+  // Void a number so auditors can see why it has no live document
+  static async voidNumber(voucherNumber, { reason = null, adminId = null } = {}, session = null) {
+    if (!voucherNumber) return null;
+
+    return VoucherNumberLog.findOneAndUpdate(
+      {
+        voucherNumber: voucherNumber.trim().toUpperCase(),
+        status: { $in: ["issued", "used"] },
+      },
+      {
+        $set: {
+          status: "voided",
+          voidedAt: new Date(),
+          voidedBy: adminId,
+          voidReason: reason,
+        },
+      },
+      { new: true, sort: { issuedAt: -1 }, session }
+    );
+  }
+
+  static async getNumberLog(page = 1, limit = 50, filters = {}) {
+    const { module, status, periodKey, search, startDate, endDate } = filters;
+    const query = {};
+
+    if (module) query.module = module.toLowerCase();
+    if (status) query.status = status;
+    if (periodKey) query.periodKey = periodKey.toUpperCase();
+    if (search) query.voucherNumber = { $regex: search, $options: "i" };
+    if (startDate || endDate) {
+      query.issuedAt = {};
+      if (startDate) query.issuedAt.$gte = new Date(startDate);
+      if (endDate) query.issuedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [logs, total] = await Promise.all([
+      VoucherNumberLog.find(query)
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("issuedBy", "name email")
+        .populate("voidedBy", "name email")
+        .lean(),
+      VoucherNumberLog.countDocuments(query),
+    ]);
+
+    return { logs, total, page, limit };
+  }
+
+  // Account for every number in a module's sequence: which were used, which
+  // were voided and which were issued but never saved against a document.
+  static async getSequenceAudit(module, periodKey = GLOBAL_PERIOD) {
+    if (!module) {
+      throw createAppError("Module is required", 400, "MISSING_MODULE");
+    }
+
+    const moduleLC = module.toLowerCase();
+    const period = periodKey.toUpperCase();
+    const sequence = await VoucherSequence.findOne({ module: moduleLC, periodKey: period }).lean();
+
+    if (!sequence) {
+      throw createAppError(
+        `No voucher sequence found for module ${module} in period ${period}`,
+        404,
+        "VOUCHER_SEQUENCE_NOT_FOUND"
+      );
+    }
+
+    const logs = await VoucherNumberLog.find({ module: moduleLC, periodKey: period })
+      .select("voucherNumber sequence status documentModel documentId issuedAt usedAt voidedAt voidReason")
+      .sort({ sequence: 1 })
+      .lean();
+
+    const summary = { issued: 0, used: 0, voided: 0 };
+    const logged = new Set();
+    for (const log of logs) {
+      summary[log.status] += 1;
+      logged.add(log.sequence);
+    }
+
+    // Numbers below the seed were issued before sequences existed
+    const untracked = [];
+    for (let n = sequence.seededFrom + 1; n <= sequence.currentValue; n++) {
+      if (!logged.has(n)) untracked.push(n);
+    }
+
+    return {
+      module: moduleLC,
+      periodKey: period,
+      financialYear: sequence.financialYear,
+      seededFrom: sequence.seededFrom,
+      lastSequence: sequence.currentValue,
+      summary,
+      unused: logs.filter((log) => log.status === "issued"),
+      voided: logs.filter((log) => log.status === "voided"),
+      untracked,
+    };
+  }
+}
+
+export default VoucherSequenceService;
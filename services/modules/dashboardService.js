@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import Registry from '../../models/modules/Registry.js';
+import Registry, { BALANCE_ROW_FILTER } from '../../models/modules/Registry.js';
 import Account from '../../models/modules/AccountType.js';
 import MetalStock from '../../models/modules/inventory.js';
 import MetalTransaction from '../../models/modules/MetalTransaction.js';
@@ -77,12 +77,8 @@ export class DashboardService {
       const goldPipeline = [
         {
           $match: {
-            isActive: true,
+            ...BALANCE_ROW_FILTER,
             type: 'PARTY_GOLD_BALANCE',
-            $or: [
-              { isDraft: { $ne: true } }, // Not a draft
-              { isDraft: { $exists: false } }, // Old entries without isDraft field
-            ],
           },
         },
         {
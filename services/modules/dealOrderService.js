@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
 import DealOrder from "../../models/modules/DealOrder.js";
+import MetalTransaction, { POSTED_TRANSACTION_STATUSES } from "../../models/modules/MetalTransaction.js";
+import CreditLimitService from "./CreditLimitService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import DealWorkflowService from "./DealWorkflowService.js";
+import StockReservationService from "./StockReservationService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 const sanitizeNumber = (val, fallback = 0) => {
@@ -9,6 +14,52 @@ const sanitizeNumber = (val, fallback = 0) => {
 
 const getAdminId = (admin) => admin?.id || admin?._id || null;
 
+// Fields that change what an order commits the party to
+const TRADE_FIELDS = ["partyCode", "transactionType", "fixed", "unfix", "stockItems", "totalSummary"];
+
+const DELIVERY_TOLERANCE = 0.001;
+// Stages from which a deal can be delivered
+const FULFILMENT_STAGES = ["approved", "inFulfilment"];
+// Statuses that stand for a stage, so setting one is a move under the workflow rules
+const STATUS_STAGES = {
+  onHold: "onHold",
+  cancelled: "cancelled",
+  inProgress: "inFulfilment",
+  completed: "completed",
+};
+
+// Voucher module and type of the metal transaction that delivers each deal type
+const DELIVERY_VOUCHERS = {
+  purchase: { module: "metal-purchase", voucherType: "METAL-PURCHASE" },
+  sale: { module: "metal-sale", voucherType: "METAL-SALE" },
+  purchaseReturn: { module: "purchase-return", voucherType: "PURCHASE-RETURN" },
+  saleReturn: { module: "sales-return", voucherType: "SALES-RETURN" },
+  importPurchase: { module: "importpurchase", voucherType: "IMPORT-PURCHASE" },
+  importPurchaseReturn: { module: "importpurchasereturn", voucherType: "IMPORT-PURCHASE-RETURN" },
+  exportSale: { module: "exportsale", voucherType: "EXPORT-SALE" },
+  exportSaleReturn: { module: "exportsalereturn", voucherType: "EXPORT-SALE-RETURN" },
+};
+
+// Header fields a delivery may set on the transaction it creates
+const DELIVERY_FIELDS = [
+  "voucherDate",
+  "voucherNumber",
+  "declarationNumber",
+  "importExportType",
+  "supplierInvoiceNo",
+  "supplierDate",
+  "division",
+  "status",
+  "notes",
+  "metalRateUnit",
+  "salesman",
+];
+
+const round = (value, digits = 4) => Number(sanitizeNumber(value).toFixed(digits));
+
+const remainingWeight = (line) =>
+  Math.max(0, round(sanitizeNumber(line.pureWeight) - sanitizeNumber(line.deliveredPureWeight)));
+
 class DealOrderService {
   static async generateOrderNumber() {
     let orderNumber;
@@ -42,7 +93,7 @@ class DealOrderService {
     return orderNumber;
   }
 
-  static async createDealOrder(payload, adminContext) {
+  static async createDealOrder({ creditOverrideToken, ...payload }, adminContext) {
     const adminId = getAdminId(adminContext);
     if (!adminId) {
       throw createAppError("Unauthorized", 401, "UNAUTHORIZED");
@@ -58,16 +109,38 @@ class DealOrderService {
       updatedBy: adminId,
     };
 
-    const dealOrder = await DealOrder.create({
-      ...payload,
-      orderNumber,
-      progress: {
-        currentStage: "created",
-        history: [historyEntry],
-      },
-      createdBy: adminId,
-      updatedBy: adminId,
-    });
+    // The credit check, its override and the order commit together
+    let dealOrder;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (payload.partyCode) {
+          await CreditLimitService.assertCreditAvailable(
+            payload.partyCode,
+            CreditLimitService.getTradeExposure(payload),
+            { overrideToken: creditOverrideToken, adminId, documentModel: "DealOrder", reference: orderNumber, session }
+          );
+        }
+
+        [dealOrder] = await DealOrder.create(
+          [
+            {
+              ...payload,
+              orderNumber,
+              progress: {
+                currentStage: "created",
+                history: [historyEntry],
+              },
+              createdBy: adminId,
+              updatedBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
 
     return await DealOrderService.getDealOrderById(dealOrder._id);
   }
@@ -194,7 +267,7 @@ class DealOrderService {
     return dealOrder;
   }
 
-  static async updateDealOrder(id, payload, adminContext) {
+  static async updateDealOrder(id, { creditOverrideToken, ...payload }, adminContext) {
     if (!mongoose.Types.ObjectId.isValid(id)) {
       throw createAppError("Invalid deal order id", 400, "INVALID_ID");
     }
@@ -204,11 +277,63 @@ class DealOrderService {
       throw createAppError("Unauthorized", 401, "UNAUTHORIZED");
     }
 
-    const dealOrder = await DealOrder.findOneAndUpdate(
-      { _id: id, isDeleted: false },
-      { ...payload, updatedBy: adminId },
-      { new: true }
-    )
+    // Stages only move through updateOrderStatus and deliveries
+    delete payload.progress;
+    delete payload.deliveredPureWeight;
+
+    // Orders are not posted yet, so a changed order is checked in full
+    const existing = TRADE_FIELDS.some((field) => payload[field] !== undefined)
+      ? await DealOrder.findOne({ _id: id, isDeleted: false }).lean()
+      : null;
+    const update = { ...payload, updatedBy: adminId };
+    if (existing) {
+      // An approval covers the terms it was given on
+      if (existing.progress?.currentStage === "approved") {
+        update["progress.currentStage"] = "awaitingApproval";
+        update.$push = {
+          "progress.history": {
+            stage: "awaitingApproval",
+            status: existing.status,
+            note: "Terms changed after approval",
+            updatedBy: adminId,
+            updatedAt: new Date(),
+          },
+        };
+      }
+    }
+
+    // The credit check, its override and the update commit together
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (existing) {
+          const order = { ...existing, ...payload };
+          await CreditLimitService.assertCreditAvailable(
+            order.partyCode,
+            CreditLimitService.getTradeExposure(order),
+            {
+              overrideToken: creditOverrideToken,
+              adminId,
+              documentModel: "DealOrder",
+              reference: existing.orderNumber,
+              session,
+            }
+          );
+        }
+        await DealOrder.updateOne({ _id: id, isDeleted: false }, update, { session });
+        if (update["progress.currentStage"] === "awaitingApproval") {
+          await StockReservationService.releaseDeal(id, {
+            reason: "Terms changed after approval",
+            adminId,
+            session,
+          });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const dealOrder = await DealOrder.findOne({ _id: id, isDeleted: false })
       .populate({
         path: "partyCode",
         select: "accountCode customerName"
@@ -221,7 +346,6 @@ class DealOrderService {
     if (!dealOrder) {
       throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
     }
-
     return dealOrder;
   }
 
@@ -235,35 +359,50 @@ class DealOrderService {
       throw createAppError("Unauthorized", 401, "UNAUTHORIZED");
     }
 
-    const dealOrder = await DealOrder.findOneAndUpdate(
-      { _id: id, isDeleted: false },
-      {
-        isDeleted: true,
-        status: "cancelled",
-        "progress.currentStage": "cancelled",
-        $push: {
-          "progress.history": {
-            stage: "cancelled",
+    const existing = await DealOrder.findOne({ _id: id, isDeleted: false }).lean();
+    if (!existing) {
+      throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
+    }
+    await DealWorkflowService.assertTransition(existing, "cancelled", adminId);
+
+    // The order and the stock it held are let go together
+    const session = await mongoose.startSession();
+    let dealOrder;
+    try {
+      await session.withTransaction(async () => {
+        dealOrder = await DealOrder.findOneAndUpdate(
+          { _id: id, isDeleted: false, "progress.currentStage": existing.progress?.currentStage },
+          {
+            isDeleted: true,
             status: "cancelled",
-            note: "Order deleted",
+            "progress.currentStage": "cancelled",
+            $push: {
+              "progress.history": {
+                stage: "cancelled",
+                status: "cancelled",
+                note: "Order deleted",
+                updatedBy: adminId,
+                updatedAt: new Date(),
+              },
+            },
             updatedBy: adminId,
-            updatedAt: new Date(),
           },
-        },
-        updatedBy: adminId,
-      },
-      { new: true }
-    )
-      .populate({
-        path: "partyCode",
-        select: "accountCode customerName"
-      })
-      .populate("salesmanId", "name code");
-
-    if (!dealOrder) {
-      throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
+          { new: true, session }
+        );
+        if (!dealOrder) {
+          throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
+        }
+        await StockReservationService.releaseDeal(dealOrder._id, { reason: "Order deleted", adminId, session });
+      });
+    } finally {
+      await session.endSession();
     }
 
+    await dealOrder.populate([
+      { path: "partyCode", select: "accountCode customerName" },
+      { path: "salesmanId", select: "name code" },
+    ]);
+
     return dealOrder;
   }
 
@@ -283,12 +422,28 @@ class DealOrderService {
       updatedAt: new Date(),
     };
 
-    if (payload.stage) {
-      if (!DealOrder.progressStages.includes(payload.stage)) {
-        throw createAppError("Invalid progress stage", 400, "INVALID_STAGE");
-      }
-      update["progress.currentStage"] = payload.stage;
-      historyEntry.stage = payload.stage;
+    const existing = await DealOrder.findOne({ _id: id, isDeleted: false }).lean();
+    if (!existing) {
+      throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
+    }
+
+    if (payload.status && !DealOrder.schema.path("status").enumValues.includes(payload.status)) {
+      throw createAppError("Invalid status", 400, "INVALID_STATUS");
+    }
+    const statusStage = STATUS_STAGES[payload.status];
+    if (payload.stage && statusStage && statusStage !== payload.stage) {
+      throw createAppError(
+        `A ${payload.status} deal order cannot be at the ${payload.stage} stage`,
+        400,
+        "INVALID_UPDATE"
+      );
+    }
+
+    const stage = payload.stage || statusStage;
+    if (stage) {
+      await DealWorkflowService.assertTransition(existing, stage, adminId);
+      update["progress.currentStage"] = stage;
+      historyEntry.stage = stage;
     }
 
     if (payload.status) {
@@ -313,24 +468,384 @@ class DealOrderService {
       );
     }
 
+    // History entries need a stage; status-only changes stay on the current one
+    historyEntry.stage = historyEntry.stage || existing.progress?.currentStage || "created";
     update.$push = { "progress.history": historyEntry };
 
-    const dealOrder = await DealOrder.findOneAndUpdate(
-      { _id: id, isDeleted: false },
-      update,
-      { new: true }
-    )
-      .populate({
-        path: "partyCode",
-        select: "accountCode customerName"
-      })
-      .populate("salesmanId", "name code");
+    // The stage change and the stock it holds or lets go commit together
+    const approving = stage === "approved" && existing.progress?.currentStage !== "approved";
+    const session = await mongoose.startSession();
+    let dealOrder;
+    try {
+      await session.withTransaction(async () => {
+        // Guard against the stage moving between the check and the write
+        dealOrder = await DealOrder.findOneAndUpdate(
+          { _id: id, isDeleted: false, "progress.currentStage": existing.progress?.currentStage },
+          update,
+          { new: true, session }
+        );
+        if (!dealOrder) {
+          throw createAppError(
+            "Deal order was changed by someone else; reload and try again",
+            409,
+            "DEAL_ORDER_CHANGED"
+          );
+        }
+
+        // Approving a sale holds its stock, and fails if the stock is promised elsewhere
+        if (approving) {
+          await StockReservationService.reserveDeal(existing, {
+            reserveUntil: payload.reserveUntil,
+            bars: payload.bars,
+            adminId,
+            session,
+          });
+        }
+
+        // Stock is only held while the deal is approved or being delivered
+        const currentStage = dealOrder.progress?.currentStage;
+        if (!FULFILMENT_STAGES.includes(currentStage) || dealOrder.status === "cancelled") {
+          await StockReservationService.releaseDeal(dealOrder._id, {
+            reason: historyEntry.note || `Deal order moved to ${currentStage}`,
+            adminId,
+            session,
+          });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
 
+    await dealOrder.populate([
+      { path: "partyCode", select: "accountCode customerName" },
+      { path: "salesmanId", select: "name code" },
+    ]);
+    return dealOrder;
+  }
+
+  // ---------------------------------------------------------------------
+  // Fulfilment
+  // ---------------------------------------------------------------------
+
+  static async getFulfilment(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid deal order id", 400, "INVALID_ID");
+    }
+
+    const dealOrder = await DealOrder.findOne({ _id: id, isDeleted: false })
+      .populate("stockItems.stockCode", "code description")
+      .lean();
     if (!dealOrder) {
       throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
     }
 
-    return dealOrder;
+    const transactions = await MetalTransaction.find({
+      dealOrderId: id,
+      isActive: true,
+      status: { $in: POSTED_TRANSACTION_STATUSES },
+    })
+      .select("voucherNumber voucherDate transactionType status stockItems.pureWeight totalSummary.totalAmount")
+      .sort({ voucherDate: 1, createdAt: 1 })
+      .lean();
+
+    const lines = dealOrder.stockItems.map((line) => ({
+      line: line._id,
+      stockCode: line.stockCode,
+      description: line.description,
+      grossWeight: sanitizeNumber(line.grossWeight),
+      pureWeight: sanitizeNumber(line.pureWeight),
+      deliveredGrossWeight: sanitizeNumber(line.deliveredGrossWeight),
+      deliveredPureWeight: sanitizeNumber(line.deliveredPureWeight),
+      remainingPureWeight: remainingWeight(line),
+    }));
+    const orderedPureWeight = round(lines.reduce((sum, line) => sum + line.pureWeight, 0));
+
+    return {
+      _id: dealOrder._id,
+      orderNumber: dealOrder.orderNumber,
+      currentStage: dealOrder.progress?.currentStage,
+      status: dealOrder.status,
+      orderedPureWeight,
+      deliveredPureWeight: sanitizeNumber(dealOrder.deliveredPureWeight),
+      remainingPureWeight: round(lines.reduce((sum, line) => sum + line.remainingPureWeight, 0)),
+      lines,
+      deliveries: transactions.map(({ stockItems, totalSummary, ...transaction }) => ({
+        ...transaction,
+        pureWeight: round(stockItems.reduce((sum, item) => sum + sanitizeNumber(item.pureWeight), 0)),
+        totalAmount: sanitizeNumber(totalSummary?.totalAmount),
+      })),
+    };
+  }
+
+  // Create payload for a metal transaction delivering the deal: every line's
+  // remaining weight, or the pure weight given per line in `lines`. Amounts
+  // are pro-rated by the share of the line delivered; other charges go on
+  // the first delivery.
+  static async buildFulfilment(id, { lines, ...overrides } = {}, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid deal order id", 400, "INVALID_ID");
+    }
+
+    const dealOrder = await DealOrder.findOne({ _id: id, isDeleted: false }).lean();
+    if (!dealOrder) {
+      throw createAppError("Deal order not found", 404, "DEAL_ORDER_NOT_FOUND");
+    }
+    const stage = dealOrder.progress?.currentStage;
+    if (dealOrder.status === "cancelled" || !FULFILMENT_STAGES.includes(stage)) {
+      throw createAppError(
+        `Only approved deal orders can be fulfilled; ${dealOrder.orderNumber} is ${stage}`,
+        409,
+        "DEAL_NOT_APPROVED"
+      );
+    }
+
+    let deliveries;
+    if (Array.isArray(lines) && lines.length > 0) {
+      deliveries = lines.map(({ line: lineId, pureWeight }) => {
+        const line = dealOrder.stockItems.find((item) => String(item._id) === String(lineId));
+        if (!line) {
+          throw createAppError(`Line ${lineId} is not on this deal order`, 400, "INVALID_DEAL_LINE");
+        }
+        const weight = round(pureWeight);
+        if (!(weight > 0)) {
+          throw createAppError("Delivered pure weight must be positive", 400, "INVALID_QUANTITY");
+        }
+        if (weight > remainingWeight(line) + DELIVERY_TOLERANCE) {
+          throw createAppError(
+            `Only ${remainingWeight(line)}g is left to deliver on ${line.description || "this line"}`,
+            422,
+            "DEAL_OVER_DELIVERY"
+          );
+        }
+        return { line, weight };
+      });
+    } else {
+      deliveries = dealOrder.stockItems
+        .map((line) => ({ line, weight: remainingWeight(line) }))
+        .filter(({ weight }) => weight > DELIVERY_TOLERANCE);
+    }
+    if (deliveries.length === 0) {
+      throw createAppError("Deal order has been fully delivered", 409, "DEAL_FULLY_DELIVERED");
+    }
+
+    const stockItems = deliveries.map(({ line, weight }) => {
+      const ratio = line.pureWeight > 0 ? weight / line.pureWeight : 1;
+      const part = (value, digits = 2) => round(sanitizeNumber(value) * ratio, digits);
+
+      return {
+        stockCode: line.stockCode,
+        description: line.description,
+        pieces: Math.round(sanitizeNumber(line.pieces) * ratio),
+        grossWeight: part(line.grossWeight, 4),
+        purity: line.purity,
+        purityStd: line.purityStd || undefined,
+        pureWeightStd: part(line.pureWeightStd ?? sanitizeNumber(line.grossWeight) * sanitizeNumber(line.purityStd), 4),
+        pureWeight: weight,
+        purityDifference: part(line.purityDifference, 4),
+        weightInOz: part(line.weightInOz, 4),
+        passPurityDiff: line.passPurityDiff,
+        vatOnMaking: line.vatOnMaking,
+        excludeVAT: line.excludeVAT,
+        currencyCode: line.currencyCode,
+        currencyRate: line.currencyRate,
+        metalRate: line.metalRate,
+        makingUnit: { ...line.makingUnit, makingAmount: part(line.makingUnit?.makingAmount) },
+        premiumDiscount: { ...line.premiumDiscount, amount: part(line.premiumDiscount?.amount) },
+        vat: { rate: line.vat?.percentage, amount: part(line.vat?.amount) },
+        itemTotal: Object.fromEntries(
+          Object.entries(line.itemTotal || {}).map(([key, value]) => [key, part(value)])
+        ),
+        forexGain: line.forexGain && {
+          bidAmountAED: part(line.forexGain.bidAmountAED),
+          userAmountAED: part(line.forexGain.userAmountAED),
+        },
+        remarks: line.remarks,
+        dealOrderLine: line._id,
+      };
+    });
+
+    const otherCharges = sanitizeNumber(dealOrder.deliveredPureWeight) > 0 ? [] : dealOrder.otherCharges || [];
+    const sum = (list, pick) => round(list.reduce((total, entry) => total + sanitizeNumber(pick(entry)), 0), 2);
+    const itemTotalAmount = sum(stockItems, (item) => item.itemTotal.itemTotalAmount);
+    const totalOtherCharges = sum(otherCharges, (charge) => charge.amount);
+    const totalOtherChargesVat = sum(otherCharges, (charge) => charge.vatDetails?.vatAmount);
+    const netAmount = round(itemTotalAmount + totalOtherCharges + totalOtherChargesVat, 2);
+
+    const transactionType = dealOrder.transactionSubType || dealOrder.transactionType;
+    const voucher = DELIVERY_VOUCHERS[transactionType];
+    const voucherDate = overrides.voucherDate ? new Date(overrides.voucherDate) : new Date();
+    const voucherNumber =
+      overrides.voucherNumber ||
+      (await VoucherMasterService.generateVoucherNumber(voucher.module, transactionType, { voucherDate, adminId }))
+        .voucherNumber;
+
+    const fields = Object.fromEntries(
+      DELIVERY_FIELDS.filter((field) => overrides[field] !== undefined).map((field) => [field, overrides[field]])
+    );
+
+    return {
+      transactionType,
+      fix: dealOrder.fixed,
+      unfix: dealOrder.unfix,
+      hedge: dealOrder.hedge,
+      partyCode: dealOrder.partyCode,
+      partyCurrency: dealOrder.partyCurrency,
+      partyCurrencyRate: dealOrder.partyCurrencyRate,
+      itemCurrency: dealOrder.itemCurrency,
+      itemCurrencyRate: dealOrder.itemCurrencyRate,
+      voucherType: voucher.voucherType,
+      supplierInvoiceNo: dealOrder.supplierInvoiceNumber,
+      supplierDate: dealOrder.supplierInvoiceDate,
+      remarks: dealOrder.remarks,
+      stockItems,
+      otherCharges,
+      totalSummary: {
+        itemSubTotal: sum(stockItems, (item) => item.itemTotal.subTotal),
+        itemTotalVat: sum(stockItems, (item) => item.itemTotal.vatAmount),
+        itemTotalAmount,
+        totalOtherCharges,
+        totalOtherChargesVat,
+        netAmount,
+        rounded: 0,
+        totalAmount: netAmount,
+      },
+      salesman: dealOrder.salesmanId,
+      enteredBy: adminId,
+      status: "confirmed",
+      notes: `Delivery against deal order ${dealOrder.orderNumber}`,
+      ...fields,
+      voucherDate,
+      voucherNumber,
+      dealOrderId: dealOrder._id,
+    };
+  }
+
+  // Recompute delivered weight per line from the deal's live metal
+  // transactions and move the deal through approved -> inFulfilment ->
+  // completed. Lines posted without a dealOrderLine link count against
+  // the deal's lines for the same stock code. Throws on over-delivery so
+  // the posting that caused it rolls back.
+  static async syncFulfilment(dealOrderId, { adminId = null, session = null, note = null } = {}) {
+    if (!dealOrderId || !mongoose.Types.ObjectId.isValid(dealOrderId)) return null;
+
+    const dealOrder = await DealOrder.findOne({ _id: dealOrderId, isDeleted: false })
+      .session(session)
+      .lean();
+    if (!dealOrder) return null;
+
+    const transactions = await MetalTransaction.find({
+      dealOrderId,
+      isActive: true,
+      status: { $in: POSTED_TRANSACTION_STATUSES },
+    })
+      .select("stockItems.dealOrderLine stockItems.stockCode stockItems.grossWeight stockItems.pureWeight")
+      .session(session)
+      .lean();
+
+    const lines = dealOrder.stockItems;
+    const delivered = new Map(lines.map((line) => [String(line._id), { gross: 0, pure: 0 }]));
+    const unlinked = [];
+    for (const item of transactions.flatMap((transaction) => transaction.stockItems)) {
+      const progress = item.dealOrderLine && delivered.get(String(item.dealOrderLine));
+      if (!progress) {
+        unlinked.push(item);
+        continue;
+      }
+      progress.gross += sanitizeNumber(item.grossWeight);
+      progress.pure += sanitizeNumber(item.pureWeight);
+    }
+
+    for (const item of unlinked) {
+      const candidates = lines.filter((line) => String(line.stockCode) === String(item.stockCode));
+      if (candidates.length === 0) continue;
+
+      let pure = sanitizeNumber(item.pureWeight);
+      const grossPerPure = pure > 0 ? sanitizeNumber(item.grossWeight) / pure : 0;
+      candidates.forEach((line, index) => {
+        const progress = delivered.get(String(line._id));
+        const last = index === candidates.length - 1;
+        const take = last ? pure : Math.min(pure, Math.max(0, sanitizeNumber(line.pureWeight) - progress.pure));
+        progress.pure += take;
+        progress.gross += take * grossPerPure;
+        pure -= take;
+      });
+    }
+
+    const overDelivered = lines.find(
+      (line) => delivered.get(String(line._id)).pure > sanitizeNumber(line.pureWeight) + DELIVERY_TOLERANCE
+    );
+    if (overDelivered) {
+      const progress = delivered.get(String(overDelivered._id));
+      throw createAppError(
+        `Deliveries of ${round(progress.pure)}g exceed the ${overDelivered.pureWeight}g ordered on ` +
+          `${overDelivered.description || "a line"} of deal order ${dealOrder.orderNumber}`,
+        422,
+        "DEAL_OVER_DELIVERY"
+      );
+    }
+
+    const orderedPure = round(lines.reduce((sum, line) => sum + sanitizeNumber(line.pureWeight), 0));
+    const deliveredPure = round([...delivered.values()].reduce((sum, progress) => sum + progress.pure, 0));
+    const complete = lines.every(
+      (line) => delivered.get(String(line._id)).pure >= sanitizeNumber(line.pureWeight) - DELIVERY_TOLERANCE
+    );
+
+    const update = { $set: { deliveredPureWeight: deliveredPure } };
+    lines.forEach((line, index) => {
+      const progress = delivered.get(String(line._id));
+      update.$set[`stockItems.${index}.deliveredGrossWeight`] = round(progress.gross);
+      update.$set[`stockItems.${index}.deliveredPureWeight`] = round(progress.pure);
+    });
+
+    let stage = dealOrder.progress?.currentStage;
+    let status = dealOrder.status;
+    let defaultNote = `Delivered ${deliveredPure}g of ${orderedPure}g`;
+    if (deliveredPure <= DELIVERY_TOLERANCE) {
+      if (["inFulfilment", "completed"].includes(stage)) {
+        stage = "approved";
+        status = "pending";
+        defaultNote = "Deliveries reversed";
+      }
+    } else if (complete) {
+      stage = "completed";
+      status = "completed";
+      defaultNote = `Fully delivered (${deliveredPure}g)`;
+    } else {
+      stage = "inFulfilment";
+      status = "inProgress";
+    }
+
+    // Every change in delivered weight is recorded, not just stage moves
+    if (
+      stage !== dealOrder.progress?.currentStage ||
+      Math.abs(deliveredPure - sanitizeNumber(dealOrder.deliveredPureWeight)) > DELIVERY_TOLERANCE
+    ) {
+      update.$set["progress.currentStage"] = stage;
+      update.$set.status = status;
+      update.$push = {
+        "progress.history": {
+          stage,
+          status,
+          note: note ? `${note}: ${defaultNote}` : defaultNote,
+          updatedBy: adminId,
+          updatedAt: new Date(),
+        },
+      };
+    }
+
+    await DealOrder.updateOne({ _id: dealOrder._id }, update, { session });
+    await StockReservationService.consumeDeal(
+      {
+        _id: dealOrder._id,
+        stockItems: lines.map((line) => ({
+          ...line,
+          deliveredGrossWeight: delivered.get(String(line._id)).gross,
+          deliveredPureWeight: delivered.get(String(line._id)).pure,
+        })),
+      },
+      { session }
+    );
+    return { orderedPureWeight: orderedPure, deliveredPureWeight: deliveredPure, stage, status };
   }
 }
 
@@ -4,6 +4,7 @@ import MetalStock from "../../models/modules/MetalStock.js";
 import Registry from "../../models/modules/Registry.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 import Inventory from "../../models/modules/inventory.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
 import mongoose from "mongoose";
 
 class DraftingService {
@@ -141,6 +142,12 @@ class DraftingService {
       if (!draft) {
         throw new Error("Failed to create draft: Unable to save after multiple attempts.");
       }
+
+      await VoucherSequenceService.markUsed(
+        draft.voucherCode,
+        { documentModel: "Drafting", documentId: draft._id },
+        session
+      );
     
       // Only create entries if status is "draft" and we have required data
       if (draft.status === "draft" && draftData.partyId && draftData.stockId && pureWeight > 0) {
@@ -888,6 +895,11 @@ class DraftingService {
 
       // Delete the draft document
       await Drafting.findByIdAndDelete(id).session(session);
+      await VoucherSequenceService.voidNumber(
+        draft.voucherCode,
+        { reason: "Draft deleted", adminId },
+        session
+      );
 
       await session.commitTransaction();
       console.log(`Successfully deleted draft ${id} with status ${draft.status}`);
@@ -4,6 +4,8 @@ import Registry from "../../models/modules/Registry.js";
 import { createAppError } from "../../utils/errorHandler.js";
 import MetalStock from "../../models/modules/MetalStock.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import StockReservationService from "./StockReservationService.js";
 import BranchMaster from "../../models/modules/BranchMaster.js";
 import OpeningBalance from "../../models/modules/OpeningBalance.js";
 import { updatePartyOpeningBalance } from "../../utils/updatePartyOpeningBalance.js";
@@ -311,6 +313,53 @@ class InventoryService {
       );
     }
   }
+  // Mirror every stock movement a voucher logged, dated on the void date, and
+  // take the quantities back out of (or put them back into) inventory.
+  static async reverseVoucherInventory(voucherCode, { voidDate = new Date(), adminId = null, note = "" } = {}, session = null) {
+    const logs = await InventoryLog.find({
+      voucherCode,
+      isDraft: { $ne: true },
+      isReversal: { $ne: true },
+    }).session(session);
+
+    const reversals = [];
+    for (const log of logs) {
+      const sign = log.action === "remove" ? 1 : -1;
+
+      if (!log.isPurityDifferenceEntry && (log.grossWeight || log.pcs)) {
+        const inventory = await Inventory.findOne({ metal: log.stockCode }).session(session);
+        if (!inventory) {
+          throw createAppError(
+            `Inventory not found for metal: ${log.code}`,
+            404,
+            "INVENTORY_NOT_FOUND"
+          );
+        }
+        inventory.pcsCount += sign * (log.pcs || 0);
+        inventory.grossWeight += sign * (log.grossWeight || 0);
+        inventory.pureWeight = inventory.grossWeight * (inventory.purity || 1);
+        await inventory.save({ session });
+      }
+
+      const { _id, createdAt, updatedAt, timestamp, __v, ...fields } = log.toObject();
+      reversals.push({
+        ...fields,
+        voucherDate: voidDate,
+        action: log.action === "remove" ? "add" : "remove",
+        purityDifference: -(log.purityDifference || 0),
+        isReversal: true,
+        reversalOf: log._id,
+        createdBy: adminId || log.createdBy,
+        note: note || `Reversal of ${log.action} on ${voucherCode}`,
+      });
+    }
+
+    if (reversals.length > 0) {
+      await InventoryLog.insertMany(reversals, { session });
+    }
+    return reversals.length;
+  }
+
   static async fetchInvLogs() {
     try {
       // Exclude purity difference entries (gain/loss) - these are only for reports
@@ -1159,6 +1208,17 @@ class InventoryService {
   }
 
   static async updateInventory(transaction, isSale, admin, session = null) {
+    // Outgoing stock may not eat into what is held for other deals. Checked
+    // outside the try so lock conflicts reach withTransaction and retry.
+    if (isSale) {
+      await StockReservationService.assertAvailable(transaction.stockItems || [], {
+        label: `voucher ${transaction.voucherNumber || transaction.voucherCode || transaction._id}`,
+        excludeDealOrder: transaction.dealOrderId || null,
+        allowShort: true,
+        session,
+      });
+    }
+
     try {
       const updated = [];
       // Cache branch negative stock control settings to avoid repeated queries
@@ -1351,6 +1411,11 @@ class InventoryService {
         await InventoryLog.create(logEntries, { session });
       }
 
+      await StockReservationService.syncInventoryStatus(
+        updated.map((inventory) => inventory.metal),
+        session
+      );
+
       console.log("✅ [updateInventory] Completed successfully");
       return updated;
     } catch (err) {
@@ -1415,8 +1480,12 @@ class InventoryService {
         pureWeight,
       });
 
+      // Each call posts a single row, so only one-sided opening stock passes
+      RegistryIntegrityService.assertBalanced([registryEntry]);
+
       return await registryEntry.save();
     } catch (error) {
+      if (error.errorCode === "UNBALANCED_REGISTRY_ENTRIES") throw error;
       console.error("Failed to create registry entry:", error);
       // Don't throw error to prevent inventory update from failing
       // Log the error for debugging purposes
@@ -9,16 +9,9 @@ import InventoryLog from "../../models/modules/InventoryLog.js";
 import Inventory from "../../models/modules/inventory.js";
 import MetalStock from "../../models/modules/MetalStock.js";
 import InventoryService from "./inventoryService.js";
+import PostingRuleService from "./PostingRuleService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
-/* ---------- HARD-CODED LEDGER ACCOUNTS ---------- */
-const LEDGER = {
-  PURCHASE_GOLD: "6903960655465750446c4a47", // PURCHASE GOLD
-  EXPENSE: "6904d457d45e7b24dcd05428", // EXPENSE (other charges)
-  MAKING_CHARGE: "6904d4c6d45e7b24dcd054b7", // MAKING CHARGE
-  PREMIUM_DISC: "6904d50bd45e7b24dcd05553", // PREMIUM / DISCOUNT
-  VAT: "690530d979dafb076afc6eb3", // VAT
-};
 
 class MetalTransactionService {
   /* -----------------------------------------------------------------
@@ -39,7 +32,7 @@ class MetalTransactionService {
         await metalTx.save({ session });
         createdTx = metalTx;
 
-        const registryEntries = this._buildRegistryEntries(
+        const registryEntries = await this._buildRegistryEntries(
           metalTx,
           party,
           adminId
@@ -204,7 +197,7 @@ class MetalTransactionService {
   /* -----------------------------------------------------------------
      REGISTRY BUILDER – CORE
   ----------------------------------------------------------------- */
-  static _buildRegistryEntries(tx, party, adminId) {
+  static async _buildRegistryEntries(tx, party, adminId) {
     const {
       transactionType,
       _id,
@@ -237,7 +230,10 @@ class MetalTransactionService {
         )
       );
     }
-    return entries.filter(Boolean);
+    return PostingRuleService.applyRules(entries.filter(Boolean), {
+      transactionType,
+      branchId: await PostingRuleService.getVoucherBranch(stockItems),
+    });
   }
 
   /** Choose the correct builder based on type / mode / hedged */
@@ -462,7 +458,7 @@ class MetalTransactionService {
       "008",
       "OTHER_CHARGES",
       `${item.otherCharges?.description ?? "Other"} – ${n}`,
-      LEDGER.EXPENSE,
+      null, // account comes from the posting rules
       false,
       t.otherChargesAmount,
       t.otherChargesAmount,
@@ -480,7 +476,7 @@ class MetalTransactionService {
       "009",
       "VAT_AMOUNT",
       `VAT – ${n}`,
-      LEDGER.VAT,
+      null, // account comes from the posting rules
       false,
       t.vatAmount,
       t.vatAmount,
@@ -498,7 +494,7 @@ class MetalTransactionService {
       "003",
       "PREMIUM",
       `Premium – ${n}`,
-      LEDGER.PREMIUM_DISC,
+      null, // account comes from the posting rules
       false,
       t.premium,
       t.premium,
@@ -516,7 +512,7 @@ class MetalTransactionService {
       "007",
       "DISCOUNT",
       `Discount – ${n}`,
-      LEDGER.PREMIUM_DISC,
+      null, // account comes from the posting rules
       false,
       t.discount,
       0,
@@ -656,7 +652,7 @@ class MetalTransactionService {
         )
       );
 
-    // 3. LEDGER ENTRIES (same as unfix but using the hard-coded accounts)
+    // 3. LEDGER ENTRIES (same as unfix; accounts come from the posting rules)
     this._pushIf(
       t.makingCharges,
       e,
@@ -665,7 +661,7 @@ class MetalTransactionService {
       "002",
       "MAKING_CHARGES",
       `Making – ${n}`,
-      LEDGER.MAKING_CHARGE,
+      null, // account comes from the posting rules
       false,
       t.makingCharges,
       t.makingCharges,
@@ -683,7 +679,7 @@ class MetalTransactionService {
       "008",
       "OTHER_CHARGES",
       `${item.otherCharges?.description ?? "Other"} – ${n}`,
-      LEDGER.EXPENSE,
+      null, // account comes from the posting rules
       false,
       t.otherChargesAmount,
       t.otherChargesAmount,
@@ -701,7 +697,7 @@ class MetalTransactionService {
       "009",
       "VAT_AMOUNT",
       `VAT – ${n}`,
-      LEDGER.VAT,
+      null, // account comes from the posting rules
       false,
       t.vatAmount,
       t.vatAmount,
@@ -719,7 +715,7 @@ class MetalTransactionService {
       "003",
       "PREMIUM",
       `Premium – ${n}`,
-      LEDGER.PREMIUM_DISC,
+      null, // account comes from the posting rules
       false,
       t.premium,
       t.premium,
@@ -737,7 +733,7 @@ class MetalTransactionService {
       "007",
       "DISCOUNT",
       `Discount – ${n}`,
-      LEDGER.PREMIUM_DISC,
+      null, // account comes from the posting rules
       false,
       t.discount,
       0,
@@ -883,7 +879,7 @@ class MetalTransactionService {
       "002",
       "MAKING_CHARGES",
       `Making – ${n}`,
-      LEDGER.MAKING_CHARGE,
+      null, // account comes from the posting rules
       false,
       t.makingCharges,
       0,
@@ -901,7 +897,7 @@ class MetalTransactionService {
       "008",
       "OTHER_CHARGES",
       `${item.otherCharges?.description ?? "Other"} – ${n}`,
-      LEDGER.EXPENSE,
+      null, // account comes from the posting rules
       false,
       t.otherChargesAmount,
       0,
@@ -919,7 +915,7 @@ class MetalTransactionService {
       "009",
       "VAT_AMOUNT",
       `VAT – ${n}`,
-      LEDGER.VAT,
+      null, // account comes from the posting rules
       false,
       t.vatAmount,
       0,
@@ -937,7 +933,7 @@ class MetalTransactionService {
       "003",
       "PREMIUM",
       `Premium – ${n}`,
-      LEDGER.PREMIUM_DISC,
+      null, // account comes from the posting rules
       false,
       t.premium,
       0,
@@ -955,7 +951,7 @@ class MetalTransactionService {
       "007",
       "DISCOUNT",
       `Discount – ${n}`,
-      LEDGER.PREMIUM_DISC,
+      null, // account comes from the posting rules
       false,
       t.discount,
       t.discount,
@@ -1239,7 +1235,7 @@ class MetalTransactionService {
     );
 
     // 3. create new registry
-    const freshEntries = this._buildRegistryEntries(tx, newParty, adminId);
+    const freshEntries = await this._buildRegistryEntries(tx, newParty, adminId);
     if (freshEntries.length)
       await Registry.insertMany(freshEntries, { session, ordered: false });
 
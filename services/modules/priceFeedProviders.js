@@ -0,0 +1,152 @@
+import fs from "fs/promises";
+
+// Price feed providers. Each one is constructed with its options, calls
+// onTicks(ticks) with raw { symbol, bid, ask } quotes as they arrive, and
+// stops on stop(). PriceFeedService normalizes and stores what they emit.
+
+// Feeds send either an array of quotes or { ticks: [...] }
+const unwrapTicks = (payload) => (Array.isArray(payload) ? payload : payload?.ticks || []);
+
+// Polls a JSON endpoint on an interval
+export class HttpPollingProvider {
+  constructor({ url, pollSeconds = 5, apiKey = null }) {
+    if (!url) throw new Error("PRICE_FEED_URL is required for the http provider");
+    this.url = url;
+    this.pollSeconds = pollSeconds;
+    this.apiKey = apiKey;
+    this.timer = null;
+  }
+
+  async poll(onTicks) {
+    try {
+      const response = await fetch(this.url, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        signal: AbortSignal.timeout(this.pollSeconds * 1000),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      onTicks(unwrapTicks(await response.json()));
+    } catch (error) {
+      console.error("[Price Feed] Poll failed:", error.message);
+    }
+  }
+
+  start(onTicks) {
+    this.poll(onTicks);
+    this.timer = setInterval(() => this.poll(onTicks), this.pollSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Streams JSON messages over a WebSocket, reconnecting with backoff. Uses the
+// runtime's WebSocket client (Node 22+).
+export class WebSocketProvider {
+  constructor({ url }) {
+    if (!url) throw new Error("PRICE_FEED_URL is required for the websocket provider");
+    if (typeof globalThis.WebSocket !== "function") {
+      throw new Error("The websocket provider needs a Node.js runtime with a global WebSocket");
+    }
+    this.url = url;
+    this.socket = null;
+    this.retryTimer = null;
+    this.retries = 0;
+    this.stopped = false;
+  }
+
+  start(onTicks) {
+    this.stopped = false;
+    this.socket = new globalThis.WebSocket(this.url);
+
+    this.socket.addEventListener("open", () => {
+      this.retries = 0;
+      console.log(`[Price Feed] Connected to ${this.url}`);
+    });
+    this.socket.addEventListener("message", (event) => {
+      try {
+        onTicks(unwrapTicks(JSON.parse(event.data)));
+      } catch (error) {
+        console.error("[Price Feed] Bad message:", error.message);
+      }
+    });
+    this.socket.addEventListener("close", () => {
+      if (this.stopped) return;
+      const delay = Math.min(60, 2 ** this.retries) * 1000;
+      this.retries += 1;
+      this.retryTimer = setTimeout(() => this.start(onTicks), delay);
+      this.retryTimer.unref();
+    });
+    this.socket.addEventListener("error", (event) => {
+      console.error("[Price Feed] Socket error:", event.message || "connection failed");
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.socket?.close();
+    this.socket = null;
+  }
+}
+
+// Offline feed. Replays a JSON-lines file of quotes in a loop when one is
+// given, otherwise random-walks from the seed prices.
+export class SimulatorProvider {
+  constructor({ intervalSeconds = 2, replayFile = null, seeds = {}, spread = 0.0005 }) {
+    this.intervalSeconds = intervalSeconds;
+    this.replayFile = replayFile;
+    this.prices = { ...seeds };
+    this.spread = spread;
+    this.timer = null;
+    this.frames = null;
+    this.position = 0;
+  }
+
+  async loadReplay() {
+    const content = await fs.readFile(this.replayFile, "utf8");
+    // Each line is one quote, or an array of quotes sent together
+    this.frames = content
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => unwrapTicks([].concat(JSON.parse(line))));
+    if (this.frames.length === 0) throw new Error(`Replay file ${this.replayFile} has no quotes`);
+  }
+
+  nextFrame() {
+    if (this.frames) {
+      const frame = this.frames[this.position % this.frames.length];
+      this.position += 1;
+      return frame;
+    }
+
+    return Object.entries(this.prices).map(([symbol, price]) => {
+      // Small random walk, roughly 2 basis points a step
+      const next = price * (1 + (Math.random() - 0.5) * 0.0004);
+      this.prices[symbol] = next;
+      const half = (next * this.spread) / 2;
+      return { symbol, bid: next - half, ask: next + half };
+    });
+  }
+
+  async start(onTicks) {
+    if (this.replayFile) await this.loadReplay();
+    onTicks(this.nextFrame());
+    this.timer = setInterval(() => onTicks(this.nextFrame()), this.intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export const PRICE_FEED_PROVIDERS = {
+  http: HttpPollingProvider,
+  websocket: WebSocketProvider,
+  simulator: SimulatorProvider,
+};
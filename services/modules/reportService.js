@@ -1,5 +1,5 @@
   import mongoose from "mongoose";
-import Registry from "../../models/modules/Registry.js";
+import Registry, { BALANCE_ROW_FILTER } from "../../models/modules/Registry.js";
 import MetalTransaction from "../../models/modules/MetalTransaction.js";
 import FixingPrice from "../../models/modules/FixingPrice.js";
 import TransactionFixing from "../../models/modules/TransactionFixing.js";
@@ -10,10 +10,11 @@ import { log } from "console";
 import util from "util";
 import Inventory from "../../models/modules/inventory.js";
 import Account from "../../models/modules/AccountType.js";
-import InventoryLog from "../../models/modules/InventoryLog.js";
+import InventoryLog, { DEFAULT_LOCATION } from "../../models/modules/InventoryLog.js";
 import AccountMode from "../../models/modules/AccountMode.js";
-import OpeningBalance from "../../models/modules/OpeningBalance.js";
+import OpeningBalance, { CARRY_FORWARD_VOUCHER_TYPE } from "../../models/modules/OpeningBalance.js";
 import MetalStock from "../../models/modules/MetalStock.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
 import { uaeDateToUTC, getPreviousDayEndInUTC, utcToUAEDate } from "../../utils/dateUtils.js";
 const { ObjectId } = mongoose.Types;
 // ReportService class to handle stock ledger and movement reports
@@ -156,7 +157,9 @@ export class ReportService {
           $match: {
             // Include all opening balances up to and including the end of previous day
             // If toDate is Dec 21, this gets all opening balances <= Dec 20 23:59:59.999
-            voucherDate: { $lte: previousDayEnd }
+            voucherDate: { $lte: previousDayEnd },
+            // Year-end carry forwards restate balances already in the registry
+            voucherType: { $ne: CARRY_FORWARD_VOUCHER_TYPE },
           }
         },
         {
@@ -332,7 +335,7 @@ export class ReportService {
     // Mixed types (PARTY_PURCHASE_FIX, PARTY_SALE_FIX, PARTY_HEDGE_ENTRY) must be included
     // as they contain both cash and gold components in a single transaction
     const matchConditions = {
-      isActive: true,
+      ...BALANCE_ROW_FILTER,
       $or: [
         { type: { $in: goldTypes } },
         { type: { $in: cashTypes } },
@@ -1005,6 +1008,9 @@ export class ReportService {
       // 9. Get Pure Weight Gold Jewelry from InventoryLog
       const pureWtGoldJew = await this.getOwnStockPureWtGoldJew(validatedFilters);
 
+      // 9.1. Stock held per branch / vault location
+      const locationData = await this.getOwnStockLocations(validatedFilters);
+
       // 9.5. Fetch branch settings for decimal rounding
       const branchSettings = await this.getBranchSettings(validatedFilters);
 
@@ -1018,6 +1024,7 @@ export class ReportService {
         receivablesPayables,
         inventoryData,
         pureWtGoldJew,
+        locationData,
         filters: {
           ...validatedFilters,
           excludeOpening: filters.excludeOpening, // Pass excludeOpening from original filters
@@ -1312,6 +1319,335 @@ export class ReportService {
   }
 
 
+  /**
+   * Trial balance grouped by Registry ledger (type) and party or GL account.
+   * Opening covers everything before fromDate, movement the selected period
+   * and closing is opening + movement, in both cash and gold.
+   * @param {Object} filters - fromDate, toDate, ledgers[], accountType[], costCenter, branchId
+   * @returns {Object} Ledgers with party breakdown and grand totals
+   */
+  async getTrialBalance(filters = {}) {
+    const validatedFilters = this.validateFilters(filters);
+    const ledgers = Array.isArray(filters.ledgers) ? filters.ledgers.filter(Boolean) : [];
+    const branchSettings = await this.getBranchSettings(filters);
+
+    const match = this.buildLedgerMatch(validatedFilters, ledgers);
+    if (validatedFilters.endDate) {
+      match.transactionDate = { $lte: validatedFilters.endDate };
+    }
+
+    const isOpening = validatedFilters.startDate
+      ? { $lt: ["$transactionDate", validatedFilters.startDate] }
+      : false;
+    const sumIf = (condition, field) => ({
+      $sum: { $cond: [condition, `$${field}`, 0] },
+    });
+
+    const rows = await Registry.aggregate([
+      { $match: match },
+      { $addFields: RegistryIntegrityService.buildLegExpressions() },
+      {
+        $group: {
+          // Company-side rows post to the account their posting rule names
+          _id: { ledger: "$type", party: { $ifNull: ["$ledgerAccount", "$party"] } },
+          openingCashDebit: sumIf(isOpening, "cashDebit"),
+          openingCashCredit: sumIf(isOpening, "cashCredit"),
+          openingGoldDebit: sumIf(isOpening, "goldDebit"),
+          openingGoldCredit: sumIf(isOpening, "goldCredit"),
+          movementCashDebit: sumIf({ $not: [isOpening] }, "cashDebit"),
+          movementCashCredit: sumIf({ $not: [isOpening] }, "cashCredit"),
+          movementGoldDebit: sumIf({ $not: [isOpening] }, "goldDebit"),
+          movementGoldCredit: sumIf({ $not: [isOpening] }, "goldCredit"),
+          entries: { $sum: 1 },
+        },
+      },
+      {
+        $lookup: {
+          from: "accounts",
+          localField: "_id.party",
+          foreignField: "_id",
+          as: "partyDetails",
+        },
+      },
+      { $unwind: { path: "$partyDetails", preserveNullAndEmptyArrays: true } },
+      { $sort: { "_id.ledger": 1, "partyDetails.customerName": 1 } },
+    ]);
+
+    return this.formatTrialBalance(rows, branchSettings, validatedFilters);
+  }
+
+  /**
+   * General ledger listing for one Registry ledger with running balances
+   * @param {Object} filters - ledger (required), fromDate, toDate, accountType[], costCenter, branchId, page, limit
+   * @returns {Object} Opening balance, balance brought forward to the page, its entries with running balance, closing balance and pagination
+   */
+  async getGeneralLedger(filters = {}) {
+    if (!filters.ledger) {
+      throw new Error("Ledger is required");
+    }
+
+    const validatedFilters = this.validateFilters(filters);
+    const { metalDecimal, amountDecimal } = await this.getBranchSettings(filters);
+    const legExpressions = RegistryIntegrityService.buildLegExpressions();
+    const match = this.buildLedgerMatch(validatedFilters, [filters.ledger]);
+
+    let opening = { cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 };
+    if (validatedFilters.startDate) {
+      const [openingRow] = await Registry.aggregate([
+        { $match: { ...match, transactionDate: { $lt: validatedFilters.startDate } } },
+        { $addFields: legExpressions },
+        {
+          $group: {
+            _id: null,
+            cashDebit: { $sum: "$cashDebit" },
+            cashCredit: { $sum: "$cashCredit" },
+            goldDebit: { $sum: "$goldDebit" },
+            goldCredit: { $sum: "$goldCredit" },
+          },
+        },
+      ]);
+      if (openingRow) opening = openingRow;
+    }
+
+    if (validatedFilters.startDate || validatedFilters.endDate) {
+      match.transactionDate = {};
+      if (validatedFilters.startDate) match.transactionDate.$gte = validatedFilters.startDate;
+      if (validatedFilters.endDate) match.transactionDate.$lte = validatedFilters.endDate;
+    }
+
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000);
+    const skip = (page - 1) * limit;
+    const sumLegs = {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        cashDebit: { $sum: "$cashDebit" },
+        cashCredit: { $sum: "$cashCredit" },
+        goldDebit: { $sum: "$goldDebit" },
+        goldCredit: { $sum: "$goldCredit" },
+      },
+    };
+
+    // Rows before this page carry into its running balance
+    const [result] = await Registry.aggregate([
+      { $match: match },
+      { $addFields: legExpressions },
+      { $sort: { transactionDate: 1, createdAt: 1, _id: 1 } },
+      {
+        $facet: {
+          movement: [sumLegs],
+          ...(skip > 0 && { previous: [{ $limit: skip }, sumLegs] }),
+          rows: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: "accounts",
+                localField: "party",
+                foreignField: "_id",
+                as: "partyDetails",
+              },
+            },
+            { $unwind: { path: "$partyDetails", preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                transactionId: 1,
+                transactionType: 1,
+                transactionDate: 1,
+                reference: 1,
+                description: 1,
+                costCenter: 1,
+                cashDebit: 1,
+                cashCredit: 1,
+                goldDebit: 1,
+                goldCredit: 1,
+                metalTransactionId: 1,
+                EntryTransactionId: 1,
+                fixingTransactionId: 1,
+                TransferTransactionId: 1,
+                ledgerAccount: 1,
+                party: {
+                  _id: "$partyDetails._id",
+                  name: "$partyDetails.customerName",
+                  code: "$partyDetails.accountCode",
+                },
+              },
+            },
+          ],
+        },
+      },
+    ]).allowDiskUse(true);
+
+    const zero = { count: 0, cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 };
+    const totals = result?.movement[0] || zero;
+    const previous = result?.previous?.[0] || zero;
+    const rows = result?.rows || [];
+    const totalRecords = totals.count;
+    const totalPages = Math.ceil(totalRecords / limit);
+
+    const movement = {};
+    const broughtForward = {};
+    const closing = {};
+    for (const key of ["cashDebit", "cashCredit", "goldDebit", "goldCredit"]) {
+      movement[key] = totals[key];
+      broughtForward[key] = opening[key] + previous[key];
+      closing[key] = opening[key] + totals[key];
+    }
+
+    let cashBalance = broughtForward.cashDebit - broughtForward.cashCredit;
+    let goldBalance = broughtForward.goldDebit - broughtForward.goldCredit;
+
+    const entries = rows.map((row) => {
+      cashBalance += row.cashDebit - row.cashCredit;
+      goldBalance += row.goldDebit - row.goldCredit;
+
+      return {
+        ...row,
+        party: row.party?._id ? row.party : null,
+        cashDebit: this.roundAmount(row.cashDebit, amountDecimal),
+        cashCredit: this.roundAmount(row.cashCredit, amountDecimal),
+        goldDebit: this.roundMetal(row.goldDebit, metalDecimal),
+        goldCredit: this.roundMetal(row.goldCredit, metalDecimal),
+        cashBalance: this.roundAmount(cashBalance, amountDecimal),
+        goldBalance: this.roundMetal(goldBalance, metalDecimal),
+      };
+    });
+
+    const format = (amounts) => this.formatLedgerAmounts(amounts, { metalDecimal, amountDecimal });
+
+    return {
+      success: true,
+      ledger: filters.ledger,
+      data: {
+        opening: format(opening),
+        broughtForward: format(broughtForward),
+        entries,
+        movement: format(movement),
+        closing: format(closing),
+      },
+      totalRecords,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+      filters: validatedFilters,
+    };
+  }
+
+  /**
+   * Shared Registry match for the trial balance and general ledger
+   */
+  buildLedgerMatch(filters, ledgers = []) {
+    const match = { ...BALANCE_ROW_FILTER };
+    if (ledgers.length > 0) match.type = { $in: ledgers };
+    if (filters.accountType?.length > 0) {
+      match.$or = [
+        { party: { $in: filters.accountType } },
+        { ledgerAccount: { $in: filters.accountType } },
+      ];
+    }
+    if (filters.costCenter) match.costCenter = filters.costCenter.toUpperCase();
+    return match;
+  }
+
+  /**
+   * Round a { cashDebit, cashCredit, goldDebit, goldCredit } set and add balances
+   */
+  formatLedgerAmounts(amounts, { metalDecimal, amountDecimal }) {
+    return {
+      cashDebit: this.roundAmount(amounts.cashDebit, amountDecimal),
+      cashCredit: this.roundAmount(amounts.cashCredit, amountDecimal),
+      cashBalance: this.roundAmount(amounts.cashDebit - amounts.cashCredit, amountDecimal),
+      goldDebit: this.roundMetal(amounts.goldDebit, metalDecimal),
+      goldCredit: this.roundMetal(amounts.goldCredit, metalDecimal),
+      goldBalance: this.roundMetal(amounts.goldDebit - amounts.goldCredit, metalDecimal),
+    };
+  }
+
+  /**
+   * Roll grouped ledger/party rows up into ledgers and grand totals
+   */
+  formatTrialBalance(rows, branchSettings, filters) {
+    const emptyAmounts = () => ({ cashDebit: 0, cashCredit: 0, goldDebit: 0, goldCredit: 0 });
+    const addTo = (target, source) => {
+      for (const key of Object.keys(target)) target[key] += source[key];
+    };
+    const ledgers = new Map();
+    const totals = { opening: emptyAmounts(), movement: emptyAmounts(), closing: emptyAmounts() };
+
+    for (const row of rows) {
+      const opening = {
+        cashDebit: row.openingCashDebit,
+        cashCredit: row.openingCashCredit,
+        goldDebit: row.openingGoldDebit,
+        goldCredit: row.openingGoldCredit,
+      };
+      const movement = {
+        cashDebit: row.movementCashDebit,
+        cashCredit: row.movementCashCredit,
+        goldDebit: row.movementGoldDebit,
+        goldCredit: row.movementGoldCredit,
+      };
+      const closing = emptyAmounts();
+      addTo(closing, opening);
+      addTo(closing, movement);
+
+      if (!ledgers.has(row._id.ledger)) {
+        ledgers.set(row._id.ledger, {
+          ledger: row._id.ledger,
+          opening: emptyAmounts(),
+          movement: emptyAmounts(),
+          closing: emptyAmounts(),
+          parties: [],
+        });
+      }
+      const ledger = ledgers.get(row._id.ledger);
+      addTo(ledger.opening, opening);
+      addTo(ledger.movement, movement);
+      addTo(ledger.closing, closing);
+      addTo(totals.opening, opening);
+      addTo(totals.movement, movement);
+      addTo(totals.closing, closing);
+
+      ledger.parties.push({
+        party: row.partyDetails
+          ? {
+              _id: row.partyDetails._id,
+              name: row.partyDetails.customerName,
+              code: row.partyDetails.accountCode,
+            }
+          : null,
+        entries: row.entries,
+        opening: this.formatLedgerAmounts(opening, branchSettings),
+        movement: this.formatLedgerAmounts(movement, branchSettings),
+        closing: this.formatLedgerAmounts(closing, branchSettings),
+      });
+    }
+
+    const data = [...ledgers.values()].map((ledger) => ({
+      ...ledger,
+      opening: this.formatLedgerAmounts(ledger.opening, branchSettings),
+      movement: this.formatLedgerAmounts(ledger.movement, branchSettings),
+      closing: this.formatLedgerAmounts(ledger.closing, branchSettings),
+    }));
+
+    return {
+      success: true,
+      data,
+      totals: {
+        opening: this.formatLedgerAmounts(totals.opening, branchSettings),
+        movement: this.formatLedgerAmounts(totals.movement, branchSettings),
+        closing: this.formatLedgerAmounts(totals.closing, branchSettings),
+      },
+      totalRecords: data.length,
+      filters,
+    };
+  }
+
   validateFilters(filters = {}, isStock = false) {
     // Provide default empty object if filters is undefined or null
     const {
@@ -1326,6 +1662,9 @@ export class ReportService {
       stock = [],
       karat = [],
       accountType = [],
+      branch = [],
+      location = [],
+      excludeInTransit = false,
       grossWeight = false,
       pureWeight = false,
       showPcs = false,
@@ -1391,6 +1730,9 @@ export class ReportService {
       stock: formatObjectIds(stock),
       karat: formatObjectIds(karat),
       accountType: formatObjectIds(accountType),
+      branch: formatObjectIds([].concat(branch)),
+      location: [].concat(location).filter(Boolean).map((code) => String(code).trim().toUpperCase()),
+      excludeInTransit: excludeInTransit === true || excludeInTransit === "true",
       groupBy,
       type,
       grossWeight,
@@ -1448,6 +1790,33 @@ export class ReportService {
     return result;
   }
 
+  // Branch and vault a stock log sits at. Logs without a branch sit at the
+  // stock's own branch, without a location at MAIN; needs the stock looked up
+  // at stockPath first.
+  buildLocationStages(filters, stockPath = "$stock") {
+    const stages = [
+      {
+        $addFields: {
+          locationBranch: { $ifNull: ["$branch", `${stockPath}.branch`] },
+          locationCode: { $ifNull: ["$location", DEFAULT_LOCATION] },
+          inTransit: { $ifNull: ["$inTransit", false] },
+        },
+      },
+    ];
+
+    const match = {};
+    if (filters.branch?.length) match.locationBranch = { $in: filters.branch };
+    if (filters.location?.length) match.locationCode = { $in: filters.location };
+    if (filters.excludeInTransit) match.inTransit = false;
+    if (Object.keys(match).length > 0) stages.push({ $match: match });
+
+    return stages;
+  }
+
+  hasLocationFilter(filters) {
+    return Boolean(filters.branch?.length || filters.location?.length || filters.excludeInTransit);
+  }
+
   saleValidateFilters(filters) {
 
     if (!filters.fromDate || !filters.toDate) {
@@ -1876,6 +2245,9 @@ export class ReportService {
       });
     }
 
+    // Step 4.1: Filter by branch / vault location
+    pipeline.push(...this.buildLocationStages(filters, "$stockDetails"));
+
     // Step 5: Filter by party (account)
     if (filters.accountType?.length > 0) {
       pipeline.push({
@@ -1885,6 +2257,23 @@ export class ReportService {
       });
     }
 
+    // Step 5.1: Lookup BranchMaster for the location's branch
+    pipeline.push({
+      $lookup: {
+        from: "branchmasters",
+        localField: "locationBranch",
+        foreignField: "_id",
+        as: "locationBranchDetails",
+      },
+    });
+
+    pipeline.push({
+      $unwind: {
+        path: "$locationBranchDetails",
+        preserveNullAndEmptyArrays: true,
+      },
+    });
+
     // Step 6: Lookup KaratMaster for karat details
     pipeline.push({
       $lookup: {
@@ -2330,6 +2719,12 @@ export class ReportService {
         purityDifferenceGain: 1,
         purityDifferenceLoss: 1,
         pcs: { $ifNull: ["$pcs", 0] },
+        branchId: "$locationBranch",
+        branchCode: { $ifNull: ["$locationBranchDetails.code", "N/A"] },
+        branchName: { $ifNull: ["$locationBranchDetails.name", "N/A"] },
+        location: "$locationCode",
+        inTransit: 1,
+        stockTransferId: "$stockTransfer",
         note: 1,
         timestamp: 1,
       },
@@ -2563,6 +2958,12 @@ export class ReportService {
         purityDifferenceGain: mergedPurityDifferenceGain, // Merged from purity difference entry if exists
         purityDifferenceLoss: mergedPurityDifferenceLoss, // Merged from purity difference entry if exists
         pcs: item.pcs,
+        branchId: item.branchId,
+        branchCode: item.branchCode,
+        branchName: item.branchName,
+        location: item.location,
+        inTransit: item.inTransit || false,
+        stockTransferId: item.stockTransferId || null,
         note: item.note || "",
         timestamp: item.timestamp ? moment(item.timestamp).format("DD/MM/YYYY HH:mm:ss") : "N/A",
       };
@@ -3978,6 +4379,9 @@ export class ReportService {
       });
     }
 
+    // Branch / vault location filter
+    pipeline.push(...this.buildLocationStages(filters, "$stock"));
+
     const normalizeGroupByKey = (key) => {
       if (key === "category") return "categoryCode";
       return key;
@@ -4002,6 +4406,11 @@ export class ReportService {
           { case: { $eq: ["$transactionType", "metalReceipt"] }, then: "$grossWeight" },
           { case: { $eq: ["$transactionType", "opening"] }, then: "$grossWeight" },
           { case: { $eq: ["$transactionType", "initial"] }, then: "$grossWeight" },
+          // Transfers move stock between locations, so the action gives the sign
+          {
+            case: { $eq: ["$transactionType", "transfer"] },
+            then: { $cond: [{ $eq: ["$action", "remove"] }, { $multiply: ["$grossWeight", -1] }, "$grossWeight"] },
+          },
         ],
         default: 0,
       },
@@ -4119,6 +4528,23 @@ export class ReportService {
       });
     }
 
+    if (dimensionsNeedingLookup.has("location")) {
+      pipeline.push({
+        $lookup: {
+          from: "branchmasters",
+          localField: "locationBranch",
+          foreignField: "_id",
+          as: "locationBranchDetails",
+        },
+      });
+      pipeline.push({
+        $unwind: {
+          path: "$locationBranchDetails",
+          preserveNullAndEmptyArrays: true,
+        },
+      });
+    }
+
     const groupId = {};
     const groupDimensionAcc = {};
     const groupDimensionProject = {};
@@ -4212,6 +4638,25 @@ export class ReportService {
           },
         };
         groupDimensionProject.brand = "$brandInfo";
+        return;
+      }
+
+      if (dim === "location") {
+        groupId.location = {
+          branch: "$locationBranch",
+          location: "$locationCode",
+          inTransit: "$inTransit",
+        };
+        groupDimensionAcc.locationInfo = {
+          $first: {
+            _id: "$locationBranch",
+            code: "$locationCode",
+            description: "$locationBranchDetails.name",
+            branchCode: "$locationBranchDetails.code",
+            inTransit: "$inTransit",
+          },
+        };
+        groupDimensionProject.location = "$locationInfo";
       }
     };
 
@@ -4286,6 +4731,7 @@ export class ReportService {
       size: "$sizeInfo",
       color: "$colorInfo",
       brand: "$brandInfo",
+      location: "$locationInfo",
     };
 
     const primaryInfoPath = primaryInfoPathByKey[primaryGroupKey] || "$stockCodeInfo";
@@ -5984,6 +6430,11 @@ export class ReportService {
       const matchConditions = {
         voucherDate: {},
       };
+      // Location moves net to nothing across the company, but do move metal
+      // in and out of the branches and locations filtered on
+      if (!this.hasLocationFilter(filters)) {
+        matchConditions.isLocationTransfer = { $ne: true };
+      }
 
       if (filters.startDate) {
         matchConditions.voucherDate.$gte = filters.startDate;
@@ -5996,13 +6447,22 @@ export class ReportService {
         {
           $match: matchConditions,
         },
+        ...this.buildOwnStockLocationStages(filters),
         {
           $group: {
             _id: {
               stockCode: "$stockCode",
               purity: "$purity",
             },
-            totalGrossWeight: { $sum: { $ifNull: ["$grossWeight", 0] } },
+            totalGrossWeight: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $eq: ["$isLocationTransfer", true] }, { $eq: ["$action", "remove"] }] },
+                  { $multiply: [{ $ifNull: ["$grossWeight", 0] }, -1] },
+                  { $ifNull: ["$grossWeight", 0] },
+                ],
+              },
+            },
             purity: { $first: "$purity" },
           },
         },
@@ -6037,6 +6497,95 @@ export class ReportService {
     }
   }
 
+  // Location filter for the own stock InventoryLog queries, which don't
+  // otherwise look up the stock
+  buildOwnStockLocationStages(filters) {
+    if (!this.hasLocationFilter(filters)) return [];
+    return [
+      {
+        $lookup: {
+          from: "metalstocks",
+          localField: "stockCode",
+          foreignField: "_id",
+          as: "stock",
+        },
+      },
+      { $unwind: { path: "$stock", preserveNullAndEmptyArrays: true } },
+      ...this.buildLocationStages(filters, "$stock"),
+    ];
+  }
+
+  // Pure weight held per branch / vault location, including metal in transit
+  async getOwnStockLocations(filters) {
+    try {
+      const matchConditions = { isDraft: false };
+      if (filters.endDate) {
+        matchConditions.voucherDate = { $lte: new Date(filters.endDate) };
+      }
+
+      const pipeline = [
+        { $match: matchConditions },
+        {
+          $lookup: {
+            from: "metalstocks",
+            localField: "stockCode",
+            foreignField: "_id",
+            as: "stock",
+          },
+        },
+        { $unwind: { path: "$stock", preserveNullAndEmptyArrays: true } },
+        ...this.buildLocationStages(filters, "$stock"),
+        {
+          $group: {
+            _id: { branch: "$locationBranch", location: "$locationCode", inTransit: "$inTransit" },
+            pureWeight: {
+              $sum: {
+                $multiply: [
+                  {
+                    $switch: {
+                      branches: [
+                        { case: { $eq: ["$action", "add"] }, then: { $ifNull: ["$grossWeight", 0] } },
+                        { case: { $eq: ["$action", "remove"] }, then: { $multiply: [{ $ifNull: ["$grossWeight", 0] }, -1] } },
+                      ],
+                      default: 0,
+                    },
+                  },
+                  { $ifNull: ["$stock.standardPurity", 0] },
+                ],
+              },
+            },
+          },
+        },
+        {
+          $lookup: {
+            from: "branchmasters",
+            localField: "_id.branch",
+            foreignField: "_id",
+            as: "branchInfo",
+          },
+        },
+        { $unwind: { path: "$branchInfo", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            branchId: "$_id.branch",
+            branchCode: { $ifNull: ["$branchInfo.code", "N/A"] },
+            branchName: { $ifNull: ["$branchInfo.name", "N/A"] },
+            location: "$_id.location",
+            inTransit: "$_id.inTransit",
+            pureWeight: 1,
+          },
+        },
+        { $sort: { branchCode: 1, location: 1, inTransit: 1 } },
+      ];
+
+      return await InventoryLog.aggregate(pipeline);
+    } catch (error) {
+      console.error("Error getting stock by location:", error);
+      return [];
+    }
+  }
+
   // Get Pure Weight Gold Jewelry from InventoryLog
   // Groups by stockCode, calculates pure weight (grossWeight * purity / 100), and sums all
   async getOwnStockPureWtGoldJew(filters) {
@@ -6060,6 +6609,7 @@ export class ReportService {
         {
           $match: matchConditions,
         },
+        ...this.buildOwnStockLocationStages(filters),
         {
           $group: {
             _id: "$stockCode",
@@ -6276,6 +6826,7 @@ export class ReportService {
       receivablesPayables,
       inventoryData,
       pureWtGoldJew = 0,
+      locationData = [],
       filters,
       branchSettings = null,
     } = data;
@@ -6550,11 +7101,25 @@ export class ReportService {
           gold: this.roundMetal(pureWtGoldJew || 0, settings.metalDecimal),
           value: 0, // Would need rate calculation
         },
+        // Part of pureWtGoldJew dispatched between locations and not yet received
+        pureWtInTransit: {
+          gold: this.roundMetal(
+            locationData.filter((row) => row.inTransit).reduce((sum, row) => sum + (row.pureWeight || 0), 0),
+            settings.metalDecimal
+          ),
+          value: 0,
+        },
         netPosition: {
           gold: this.roundMetal((receivablesPayables.receivables || 0) + (receivablesPayables.payables || 0) + (receivablesPayables.general || 0) + (receivablesPayables.bank || 0) + (pureWtGoldJew || 0), settings.metalDecimal),
           value: 0, // Would need rate calculation
         },
       },
+      locations: locationData
+        .filter((row) => Math.abs(row.pureWeight || 0) > 0)
+        .map((row) => ({
+          ...row,
+          pureWeight: this.roundMetal(row.pureWeight || 0, settings.metalDecimal),
+        })),
     };
 
     return response;
@@ -7560,6 +8125,7 @@ export class ReportService {
       hasDivisionFilter: filters.division.length > 0,
       hasVoucherFilter: filters.voucher.length > 0,
       hasAccountTypeFilter: filters.accountType.length > 0,
+      hasLocationFilter: this.hasLocationFilter(filters),
       showGrossWeight: filters.grossWeight,
       showPureWeight: filters.pureWeight,
       showPcs: filters.showPcs,
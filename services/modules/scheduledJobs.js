@@ -0,0 +1,89 @@
+import JobSchedulerService from "./JobSchedulerService.js";
+import PDCCronService from "./PDCCronService.js";
+import JournalVoucherService from "./JournalVoucherService.js";
+import FxRevaluationService from "./FxRevaluationService.js";
+import MarginService from "./MarginService.js";
+import RealizedPnlService from "./RealizedPnlService.js";
+import LimitOrderService from "./LimitOrderService.js";
+import StockReservationService from "./StockReservationService.js";
+
+// Jobs the scheduler runs out of the box. New jobs register a handler here;
+// their timing and retries are then managed under /api/v1/jobs.
+export const registerScheduledJobs = () => {
+  JobSchedulerService.registerHandler(
+    "pdc-maturity",
+    ({ adminId }) => PDCCronService.processMaturedPDCs(adminId),
+    {
+      description: "Post post-dated cheques that reached their maturity date",
+      dailyAt: "00:05",
+    }
+  );
+
+  JobSchedulerService.registerHandler(
+    "journal-templates",
+    async ({ adminId }) => {
+      const results = await JournalVoucherService.runDueTemplates({ adminId });
+      if (results.errors.length > 0 && results.posted.length === 0) {
+        throw new Error(results.errors.map((e) => e.error).join("; "));
+      }
+      return results;
+    },
+    {
+      description: "Post recurring journal vouchers that have fallen due",
+      dailyAt: "00:15",
+    }
+  );
+
+  JobSchedulerService.registerHandler(
+    "fx-revaluation-reversal",
+    async ({ adminId }) => {
+      const results = await FxRevaluationService.reverseDueRevaluations({ adminId });
+      if (results.errors.length > 0) {
+        throw new Error(results.errors.map((e) => `${e.reference}: ${e.error}`).join("; "));
+      }
+      return results;
+    },
+    {
+      description: "Reverse month-end FX revaluations on the first day of the next period",
+      dailyAt: "00:10",
+    }
+  );
+
+  JobSchedulerService.registerHandler(
+    "margin-monitor",
+    () => MarginService.runMarginCheck(),
+    {
+      description: "Mark party margins to the current rate and raise or resolve margin calls",
+      intervalMinutes: 15,
+    }
+  );
+
+  JobSchedulerService.registerHandler(
+    "realized-pnl",
+    ({ params }) => RealizedPnlService.rebuild(params.method),
+    {
+      description: "Rematch fixed purchases and sales for realized P&L under the configured method",
+      dailyAt: "01:00",
+    }
+  );
+
+  JobSchedulerService.registerHandler(
+    "limit-order-expiry",
+    () => LimitOrderService.expireOrders(),
+    {
+      description: "Expire limit fix orders past their good-till date",
+      intervalMinutes: 5,
+    }
+  );
+
+  JobSchedulerService.registerHandler(
+    "stock-reservation-expiry",
+    ({ adminId }) => StockReservationService.expireDue({ adminId }),
+    {
+      description: "Release stock held for deal orders past their reservation expiry",
+      intervalMinutes: 15,
+    }
+  );
+};
+
+export default registerScheduledJobs;
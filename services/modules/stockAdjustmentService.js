@@ -5,6 +5,9 @@ import { createAppError } from "../../utils/errorHandler.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 import Registry from "../../models/modules/Registry.js";
 import MetalStock from "../../models/modules/MetalStock.js";
+import VoucherSequenceService from "./VoucherSequenceService.js";
+import RegistryIntegrityService from "./RegistryIntegrityService.js";
+import InventoryCostingService from "./InventoryCostingService.js";
 
 export class StockAdjustmentService {
     static async addStockAdjustment(data, adminId) {
@@ -41,6 +44,7 @@ export class StockAdjustmentService {
                 status: "Completed",
                 voucherNumber: data.voucherCode,
                 voucherType: data.voucherType || "STOCK-ADJ",
+                voucherDate: data.voucherDate ? new Date(data.voucherDate) : new Date(),
                 division: data.division,
                 enteredBy: data.enteredBy || adminId,
             };
@@ -51,7 +55,13 @@ export class StockAdjustmentService {
             );
 
             const voucherNumber = adjustment[0].voucherNumber;
-            const voucherDate = new Date();
+            const voucherDate = adjustment[0].voucherDate;
+
+            await VoucherSequenceService.markUsed(
+                voucherNumber,
+                { documentModel: "StockAdjustment", documentId: adjustment[0]._id },
+                session
+            );
 
             // 3. Inventory Log — FROM (REMOVE)
             await InventoryLog.create(
@@ -108,6 +118,7 @@ export class StockAdjustmentService {
             // 5. registry entry - stock adjustment credit gold - means deducting gold from inventory  
             await this.createRegistryEntry({
                 transactionType: "adjustment",
+                session,
                 assetType: "XAU",
                 transactionId: adjustment[0]._id,
                 metalId: data.fromData.stockId,
@@ -130,6 +141,7 @@ export class StockAdjustmentService {
             // 5. registry entry - stock adjustment debit gold 
             await this.createRegistryEntry({
                 transactionType: "adjustment",
+                session,
                 assetType: "XAU",
                 transactionId: adjustment[0]._id,
                 metalId: data.toStock.stockId,
@@ -177,6 +189,7 @@ export class StockAdjustmentService {
 
             await this.createRegistryEntry({
                 transactionType: "adjustment",
+                session,
                 assetType: "stock",
                 transactionId: adjustment[0]._id,
                 metalId: data.fromData.stockId,
@@ -205,6 +218,7 @@ export class StockAdjustmentService {
             // 5. registry entry - stock adjustment making credit -- from the from stock
             await this.createRegistryEntry({
                 transactionType: "adjustment",
+                session,
                 assetType: "AED",
                 transactionId: adjustment[0]._id,
                 metalId: data.fromData.stockId,
@@ -227,6 +241,7 @@ export class StockAdjustmentService {
             // 5. registry entry - stock adjustment making debit 
             await this.createRegistryEntry({
                 transactionType: "adjustment",
+                session,
                 assetType: "AED",
                 transactionId: adjustment[0]._id,
                 metalId: data.fromData.stockId,
@@ -244,8 +259,13 @@ export class StockAdjustmentService {
                 createdBy: adminId,
             })
 
+            await RegistryIntegrityService.assertStoredBalanced(
+                { transactionType: "adjustment", transactionId: adjustment[0]._id },
+                session
+            );
 
             // 5. Commit
+            await InventoryCostingService.syncVoucher(voucherNumber, { adminId, session });
             await session.commitTransaction();
             session.endSession();
 
@@ -257,9 +277,10 @@ export class StockAdjustmentService {
         }
     }
 
-    static async addStockAdjustmentBatch(payload, adminId) {
-        const session = await mongoose.startSession();
-        session.startTransaction();
+    static async addStockAdjustmentBatch(payload, adminId, { session: outerSession = null } = {}) {
+        // Posts inside the caller's transaction when given
+        const session = outerSession || await mongoose.startSession();
+        if (!outerSession) session.startTransaction();
 
         try {
             const { voucher, adjustments } = payload;
@@ -292,6 +313,7 @@ export class StockAdjustmentService {
                         grossWeight: from.grossWeight,
                         purity: from.purity,
                         pureWeight: from.pureWeight,
+                        pieces: from.pieces ?? 0,
                         avgMakingRate: from.avgMakingRate ?? 0,
                         avgMakingAmount: from.avgMakingAmount ?? 0,
                     },
@@ -301,6 +323,7 @@ export class StockAdjustmentService {
                         grossWeight: to.grossWeight,
                         purity: to.purity,
                         pureWeight: to.pureWeight,
+                        pieces: to.pieces ?? 0,
                         avgMakingRate: to.avgMakingRate ?? 0,
                         avgMakingAmount: to.avgMakingAmount ?? 0,
                     },
@@ -317,6 +340,7 @@ export class StockAdjustmentService {
                     division: voucher.division,
                     enteredBy: voucher.enteredBy || adminId,
                     status: "Completed",
+                    stockCount: voucher.stockCount || null,
                     items,
                 }],
                 { session }
@@ -324,6 +348,12 @@ export class StockAdjustmentService {
 
             const voucherDate = new Date(voucher.voucherDate);
 
+            await VoucherSequenceService.markUsed(
+                voucher.voucherNo,
+                { documentModel: "StockAdjustment", documentId: stockAdjustment[0]._id },
+                session
+            );
+
             // 3️⃣ Inventory + Registry (PER LINE)
             for (const line of items) {
                 const { from, to } = line;
@@ -386,6 +416,7 @@ export class StockAdjustmentService {
                 // GOLD Registry
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "XAU",
                     transactionId: stockAdjustment[0]._id,
                     reference: voucher.voucherNo,
@@ -399,6 +430,7 @@ export class StockAdjustmentService {
 
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "XAU",
                     transactionId: stockAdjustment[0]._id,
                     reference: voucher.voucherNo,
@@ -413,6 +445,7 @@ export class StockAdjustmentService {
                 // MAKING CHARGES
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "AED",
                     transactionId: stockAdjustment[0]._id,
                     reference: voucher.voucherNo,
@@ -425,6 +458,7 @@ export class StockAdjustmentService {
 
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "AED",
                     transactionId: stockAdjustment[0]._id,
                     reference: voucher.voucherNo,
@@ -439,6 +473,7 @@ export class StockAdjustmentService {
                     // STOCK ADJUSTMENT CASH/INVENTORY
                     await this.createRegistryEntry({
                         transactionType: "adjustment",
+                        session,
                         assetType: "AED",
                         transactionId: stockAdjustment[0]._id,
                         reference: voucher.voucherNo,
@@ -456,8 +491,16 @@ export class StockAdjustmentService {
                 }
             }
 
-            await session.commitTransaction();
-            session.endSession();
+            await RegistryIntegrityService.assertStoredBalanced(
+                { transactionType: "adjustment", transactionId: stockAdjustment[0]._id },
+                session
+            );
+
+            await InventoryCostingService.syncVoucher(voucher.voucherNo, { adminId, session });
+            if (!outerSession) {
+                await session.commitTransaction();
+                session.endSession();
+            }
 
             return {
                 voucherNumber: voucher.voucherNo,
@@ -466,8 +509,10 @@ export class StockAdjustmentService {
             };
 
         } catch (error) {
-            await session.abortTransaction();
-            session.endSession();
+            if (!outerSession) {
+                await session.abortTransaction();
+                session.endSession();
+            }
             throw error;
         }
     }
@@ -758,6 +803,7 @@ export class StockAdjustmentService {
                 // GOLD
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "XAU",
                     transactionId: existing._id,
                     reference: voucherNumber,
@@ -771,6 +817,7 @@ export class StockAdjustmentService {
 
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "XAU",
                     transactionId: existing._id,
                     reference: voucherNumber,
@@ -785,6 +832,7 @@ export class StockAdjustmentService {
                 // MAKING
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "AED",
                     transactionId: existing._id,
                     reference: voucherNumber,
@@ -797,6 +845,7 @@ export class StockAdjustmentService {
 
                 await this.createRegistryEntry({
                     transactionType: "adjustment",
+                    session,
                     assetType: "AED",
                     transactionId: existing._id,
                     reference: voucherNumber,
@@ -806,8 +855,37 @@ export class StockAdjustmentService {
                     createdBy: adminId,
                     description: "Making Charges Adjustment",
                 });
+
+                const stockDifference = to.pureWeight - from.pureWeight;
+                const makingAmountDifference = to.avgMakingAmount - from.avgMakingAmount;
+
+                if (stockDifference || makingAmountDifference) {
+                    await this.createRegistryEntry({
+                        transactionType: "adjustment",
+                        session,
+                        assetType: "AED",
+                        transactionId: existing._id,
+                        reference: voucherNumber,
+                        type: "STOCK_ADJUSTMENT",
+                        debit: makingAmountDifference > 0 ? Math.abs(makingAmountDifference) : 0,
+                        credit: makingAmountDifference < 0 ? Math.abs(makingAmountDifference) : 0,
+                        cashDebit: makingAmountDifference > 0 ? Math.abs(makingAmountDifference) : 0,
+                        cashCredit: makingAmountDifference < 0 ? Math.abs(makingAmountDifference) : 0,
+                        goldDebit: stockDifference > 0 ? Math.abs(stockDifference) : 0,
+                        goldCredit: stockDifference < 0 ? Math.abs(stockDifference) : 0,
+                        costCenter: "INVENTORY",
+                        createdBy: adminId,
+                        description: "Stock Adjustment",
+                    });
+                }
             }
 
+            await RegistryIntegrityService.assertStoredBalanced(
+                { transactionType: "adjustment", transactionId: existing._id },
+                session
+            );
+
+            await InventoryCostingService.syncVoucher(voucherNumber, { adminId, session });
             await session.commitTransaction();
             session.endSession();
 
@@ -911,6 +989,11 @@ export class StockAdjustmentService {
             console.log(id);
 
             await StockAdjustment.deleteOne({ _id: id }).session(session);
+            await VoucherSequenceService.voidNumber(
+                voucherNumber,
+                { reason: "Stock adjustment deleted", adminId },
+                session
+            );
 
             // // 🚫 Mark voucher cancelled
             // adjustment.status = "Cancelled";
@@ -919,6 +1002,7 @@ export class StockAdjustmentService {
 
             // await adjustment.save({ session });
 
+            await InventoryCostingService.syncVoucher(voucherNumber, { adminId, session });
             await session.commitTransaction();
             session.endSession();
 
@@ -955,6 +1039,7 @@ export class StockAdjustmentService {
         purity,
         grossWeight,
         pureWeight,
+        session = null,
     }) {
         try {
             const registryEntry = new Registry({
@@ -987,7 +1072,7 @@ export class StockAdjustmentService {
                 pureWeight,
             });
 
-            return await registryEntry.save();
+            return await registryEntry.save({ session });
         } catch (error) {
             console.error("Registry save failed:", error);
             throw error; // ❗ DO NOT swallow this
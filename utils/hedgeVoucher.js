@@ -26,10 +26,11 @@ const TRANSACTION_TYPE_TO_MODULE = {
 /**
  * Generate hedge voucher number dynamically using VoucherMasterService
  * This function replaces the old hardcoded prefix logic with dynamic voucher generation
- * based on VoucherMaster configuration. The voucher numbers are generated from
- * TransactionFixing model counts.
+ * based on VoucherMaster configuration. The number is reserved from the hedge
+ * module's voucher sequence, so concurrent hedges never share a number.
  * 
  * @param {string} transactionType - The transaction type (purchase, sale, purchaseReturn, etc.)
+ * @param {Object} [options] - Optional voucherDate (selects the financial year) and adminId
  * @returns {Promise<string>} - The generated hedge voucher number (e.g., "HPM0001", "HSM0001")
  * 
  * @example
@@ -42,7 +43,7 @@ const TRANSACTION_TYPE_TO_MODULE = {
  * const voucher = await generateHedgeVoucherNumber("sale");
  * // Returns: "HSM0001" (if configured in VoucherMaster with prefix "HSM")
  */
-export const generateHedgeVoucherNumber = async (transactionType) => {
+export const generateHedgeVoucherNumber = async (transactionType, options = {}) => {
   try {
     if (!transactionType) {
       throw new Error("Transaction type is required");
@@ -66,11 +67,12 @@ export const generateHedgeVoucherNumber = async (transactionType) => {
     // Use VoucherMasterService to generate voucher number dynamically
     // This will:
     // 1. Get voucher config from VoucherMaster for the module
-    // 2. Count existing transactions from TransactionFixing model (filtered by type)
-    // 3. Generate next sequential voucher number with configured prefix
+    // 2. Reserve the next number from the module sequence (per financial year if reset)
+    // 3. Log the number as issued so it can be audited
     const voucherData = await VoucherMasterService.generateVoucherNumber(
       module,
-      normalizedType
+      normalizedType,
+      options
     );
 
     console.log(